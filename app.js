@@ -10,6 +10,8 @@ var usersRouter = require('./routes/users');
 // 导入路由
 var chatRouter = require('./routes/chat');
 var operatorRouter = require('./routes/operator');
+var webhooksRouter = require('./routes/webhooks');
+var integrationsRouter = require('./routes/integrations');
 
 // 导入 database and Redis configuration
 const { testDatabaseConnection, initializeDatabase } = require('./models');
@@ -87,10 +89,8 @@ app.use('/', indexRouter);
 app.use('/users', usersRouter);
 app.use('/api/chat', chatRouter);
 app.use('/api/operators', operatorRouter);
-app.post('/api/notifications', (req, res) => { 
-  console.log('Received notification:', req.body);
-  res.json({ success: true, message: 'Notification received' });
-});
+app.use('/api/webhooks', webhooksRouter);
+app.use('/api/integrations', integrationsRouter);
 app.use('/test', express.static(path.join(__dirname, '../chatBox')));
 
 // catch 404 and forward to error handler
@@ -14,14 +14,16 @@ const redisConfig = {
 };
 
 // Create Redis client
-const createRedisClient = () => {
+// options 会传给 redis.createClient，例如 { disableOfflineQueue: true } 使断线时的命令立即失败而不是排队等待重连
+const createRedisClient = (options = {}) => {
   const client = redis.createClient({
     socket: {
       host: redisConfig.host,
       port: redisConfig.port
     },
     password: redisConfig.password,
-    database: redisConfig.db
+    database: redisConfig.db,
+    ...options
   });
 
   // Error handling
@@ -0,0 +1,295 @@
+/**
+ * 客服认证与权限中间件
+ * 校验 AuthService 签发的令牌，用于 REST 接口和 Socket.IO 握手；
+ * 按客服角色（agent < supervisor < admin）限制接口访问；
+ * 附件等访客也可访问的接口同时支持访客令牌；
+ * 外部系统调用的集成接口使用 API 密钥认证
+ */
+
+const AuthService = require('../services/AuthService');
+const { models } = require('../models');
+const { ChatSession } = models;
+
+// 角色等级，高等级角色拥有低等级角色的全部权限
+const ROLE_LEVELS = {
+  agent: 1,
+  supervisor: 2,
+  admin: 3
+};
+
+// 令牌校验失败原因 -> 错误代码
+const TOKEN_ERROR_CODES = {
+  'Invalid token': 'INVALID_TOKEN',
+  'Token expired': 'TOKEN_EXPIRED'
+};
+
+// 访客令牌校验失败原因 -> 错误代码
+const VISITOR_TOKEN_ERROR_CODES = {
+  'Invalid token': 'INVALID_VISITOR_TOKEN',
+  'Token expired': 'VISITOR_TOKEN_EXPIRED',
+  'Visitor tokens not configured': 'VISITOR_TOKEN_NOT_CONFIGURED'
+};
+
+// API 密钥校验失败原因 -> 错误代码
+const API_KEY_ERROR_CODES = {
+  'Invalid API key': 'INVALID_API_KEY',
+  'API keys not configured': 'API_KEYS_NOT_CONFIGURED'
+};
+
+/**
+ * 从 Authorization 头中读取 Bearer 令牌
+ * @param {string} header - Authorization 头
+ * @returns {string|null} 令牌
+ */
+const extractBearerToken = (header) => {
+  if (!header || !header.startsWith('Bearer ')) {
+    return null;
+  }
+  return header.slice(7).trim() || null;
+};
+
+/**
+ * 判断客服角色是否达到要求
+ * @param {Object} operator - 客服对象
+ * @param {string} role - 需要的最低角色
+ * @returns {boolean}
+ */
+const hasRole = (operator, role) => {
+  return Boolean(operator) && (ROLE_LEVELS[operator.role] || 0) >= ROLE_LEVELS[role];
+};
+
+/**
+ * 要求请求携带有效的客服令牌，认证通过后设置 req.operator
+ */
+const authenticateOperator = async (req, res, next) => {
+  const token = extractBearerToken(req.headers.authorization);
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: 'UNAUTHORIZED',
+        message: 'Authentication token is required'
+      }
+    });
+  }
+
+  const result = await AuthService.verifyOperatorToken(token);
+
+  if (!result.success) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: TOKEN_ERROR_CODES[result.error] || 'UNAUTHORIZED',
+        message: result.message
+      }
+    });
+  }
+
+  req.operator = result.operator;
+  next();
+};
+
+/**
+ * 要求当前客服至少具有指定角色
+ * @param {string} role - 需要的最低角色
+ */
+const requireRole = (role) => (req, res, next) => {
+  if (!hasRole(req.operator, role)) {
+    return res.forbidden(`This action requires the ${role} role`);
+  }
+
+  next();
+};
+
+/**
+ * 判断客服能否访问会话：会话已分配给该客服，或客服为主管及以上
+ * REST 中间件和 Socket 事件共用同一规则
+ * @param {Object} operator - 客服（包含 id 和 role）
+ * @param {Object} session - 会话对象
+ * @param {Object} options - 可选参数
+ * @param {boolean} options.allowUnassigned - 是否允许访问尚未分配客服的会话
+ * @returns {boolean}
+ */
+const canAccessSession = (operator, session, options = {}) => {
+  const { allowUnassigned = false } = options;
+
+  return hasRole(operator, 'supervisor') ||
+    session.operatorId === operator.id ||
+    (allowUnassigned && !session.operatorId);
+};
+
+/**
+ * 要求路径中的 :operatorId 与当前登录的客服一致（主管及以上可操作其他客服）
+ */
+const requireOperatorParam = (req, res, next) => {
+  if (req.params.operatorId !== req.operator.id && !hasRole(req.operator, 'supervisor')) {
+    return res.forbidden('Operators can only act on their own account');
+  }
+
+  next();
+};
+
+/**
+ * 要求会话已分配给当前客服（主管及以上可访问所有会话）
+ * 会话ID取自路径参数或请求体，会话不存在时交由后续处理返回 404
+ * @param {Object} options - 可选参数
+ * @param {boolean} options.allowUnassigned - 是否允许访问尚未分配客服的会话
+ */
+const requireSessionAccess = (options = {}) => async (req, res, next) => {
+  const { allowUnassigned = false } = options;
+
+  if (hasRole(req.operator, 'supervisor')) {
+    return next();
+  }
+
+  try {
+    const sessionId = req.params.sessionId || (req.body && req.body.sessionId);
+    const session = sessionId ? await ChatSession.findByPk(sessionId) : null;
+
+    if (!session || canAccessSession(req.operator, session, { allowUnassigned })) {
+      return next();
+    }
+
+    return res.forbidden('Session is not assigned to you');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * 认证会话参与者：客服使用 Bearer 令牌，访客使用 X-Visitor-Token 请求头（或 visitorToken 查询参数）
+ * 认证通过后设置 req.operator 或 req.visitor
+ */
+const authenticateParticipant = (req, res, next) => {
+  const visitorToken = req.headers['x-visitor-token'] || req.query.visitorToken;
+
+  if (extractBearerToken(req.headers.authorization) || !visitorToken) {
+    return authenticateOperator(req, res, next);
+  }
+
+  const result = AuthService.verifyVisitorToken(visitorToken);
+
+  if (!result.success) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: VISITOR_TOKEN_ERROR_CODES[result.error] || 'INVALID_VISITOR_TOKEN',
+        message: result.message
+      }
+    });
+  }
+
+  req.visitor = result.visitor;
+  next();
+};
+
+/**
+ * 判断当前请求者是否为会话参与者（会话访客、已分配的客服，主管及以上可访问所有会话）
+ * @param {Object} req - 请求对象（包含 req.visitor 或 req.operator）
+ * @param {Object} session - 会话对象
+ * @returns {boolean}
+ */
+const isSessionParticipant = (req, session) => {
+  if (req.visitor) {
+    return session.userId === req.visitor.userId;
+  }
+
+  return canAccessSession(req.operator, session);
+};
+
+/**
+ * 要求当前请求者是路径中 :sessionId 会话的参与者
+ * 会话不存在时交由后续处理返回 404
+ */
+const requireSessionParticipant = async (req, res, next) => {
+  try {
+    const session = await ChatSession.findByPk(req.params.sessionId);
+
+    if (!session || isSessionParticipant(req, session)) {
+      return next();
+    }
+
+    return res.forbidden('You are not a participant of this session');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * 要求请求在 X-API-Key 请求头中携带有效的集成 API 密钥，认证通过后设置 req.integration
+ */
+const authenticateApiKey = (req, res, next) => {
+  const apiKey = req.headers['x-api-key'];
+
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: 'UNAUTHORIZED',
+        message: 'API key is required'
+      }
+    });
+  }
+
+  const result = AuthService.verifyApiKey(apiKey);
+
+  if (!result.success) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: API_KEY_ERROR_CODES[result.error] || 'UNAUTHORIZED',
+        message: result.message
+      }
+    });
+  }
+
+  req.integration = result.integration;
+  next();
+};
+
+/**
+ * Socket.IO 握手认证
+ * 携带令牌的连接必须通过校验，认证后的客服信息保存在 socket.data.operator；
+ * 未携带令牌的连接按访客处理
+ */
+const authenticateSocket = async (socket, next) => {
+  const { auth = {}, query = {}, headers = {} } = socket.handshake;
+  const token = auth.token || query.token || extractBearerToken(headers.authorization);
+
+  if (!token) {
+    return next();
+  }
+
+  const result = await AuthService.verifyOperatorToken(token);
+
+  if (!result.success) {
+    const error = new Error(result.message);
+    error.data = { code: TOKEN_ERROR_CODES[result.error] || 'UNAUTHORIZED' };
+    return next(error);
+  }
+
+  socket.data.operator = {
+    id: result.operator.id,
+    name: result.operator.name,
+    email: result.operator.email,
+    role: result.operator.role
+  };
+  next();
+};
+
+module.exports = {
+  extractBearerToken,
+  hasRole,
+  canAccessSession,
+  authenticateOperator,
+  requireRole,
+  requireOperatorParam,
+  requireSessionAccess,
+  authenticateParticipant,
+  isSessionParticipant,
+  requireSessionParticipant,
+  authenticateApiKey,
+  authenticateSocket,
+  VISITOR_TOKEN_ERROR_CODES
+};
@@ -61,8 +61,8 @@ const validateMessage = [
     .withMessage('Message content must be between 1 and 5000 characters'),
   body('messageType')
     .optional()
-    .isIn(['text', 'image', 'system'])
-    .withMessage('Message type must be one of: text, image, system'),
+    .isIn(['text', 'image', 'file', 'system'])
+    .withMessage('Message type must be one of: text, image, file, system'),
   handleValidationErrors
 ];
 
@@ -78,6 +78,58 @@ const validateSessionId = [
   handleValidationErrors
 ];
 
+/**
+ * 消息ID验证规则
+ */
+const validateMessageId = [
+  param('messageId')
+    .notEmpty()
+    .withMessage('Message ID is required')
+    .isUUID()
+    .withMessage('Message ID must be a valid UUID'),
+  handleValidationErrors
+];
+
+/**
+ * 消息编辑验证规则
+ */
+const validateMessageEdit = [
+  body('content')
+    .notEmpty()
+    .withMessage('Message content is required')
+    .isString()
+    .withMessage('Message content must be a string')
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage('Message content must be between 1 and 5000 characters'),
+  handleValidationErrors
+];
+
+/**
+ * 附件ID验证规则
+ */
+const validateAttachmentId = [
+  param('attachmentId')
+    .notEmpty()
+    .withMessage('Attachment ID is required')
+    .isUUID()
+    .withMessage('Attachment ID must be a valid UUID'),
+  handleValidationErrors
+];
+
+/**
+ * 附件上传验证规则（文件本身由上传中间件和 AttachmentService 校验）
+ */
+const validateAttachmentUpload = [
+  body('caption')
+    .optional()
+    .isString()
+    .withMessage('Caption must be a string')
+    .isLength({ max: 1000 })
+    .withMessage('Caption must be at most 1000 characters'),
+  handleValidationErrors
+];
+
 /**
  * 用户ID验证规则
  */
@@ -146,8 +198,121 @@ const validateMessageQuery = [
     .withMessage('includeRead must be a boolean'),
   query('messageType')
     .optional()
-    .isIn(['text', 'image', 'system'])
-    .withMessage('Message type must be one of: text, image, system'),
+    .isIn(['text', 'image', 'file', 'system'])
+    .withMessage('Message type must be one of: text, image, file, system'),
+  handleValidationErrors
+];
+
+/**
+ * 消息搜索验证规则
+ */
+const validateMessageSearch = [
+  query('q')
+    .trim()
+    .notEmpty()
+    .withMessage('Search query is required')
+    .isLength({ max: 200 })
+    .withMessage('Search query must be at most 200 characters'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('startDate must be an ISO 8601 date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('endDate must be an ISO 8601 date'),
+  query('operatorId')
+    .optional()
+    .isUUID()
+    .withMessage('Operator ID must be a valid UUID'),
+  query('groupName')
+    .optional()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Group name must be between 1 and 100 characters'),
+  query('senderType')
+    .optional()
+    .isIn(['user', 'operator', 'system'])
+    .withMessage('Sender type must be one of: user, operator, system'),
+  query('status')
+    .optional()
+    .isIn(['waiting', 'active', 'completed', 'closed', 'timeout', 'cancelled'])
+    .withMessage('Status must be one of: waiting, active, completed, closed, timeout, cancelled'),
+  handleValidationErrors
+];
+
+/**
+ * 聊天记录导出验证规则（格式和时区）
+ */
+const validateTranscriptExport = [
+  query('format')
+    .optional()
+    .isIn(['html', 'csv', 'json', 'pdf'])
+    .withMessage('Format must be one of: html, csv, json, pdf'),
+  query('timezone')
+    .optional()
+    .custom(value => {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return true;
+      } catch (error) {
+        throw new Error('Timezone must be a valid IANA time zone');
+      }
+    }),
+  handleValidationErrors
+];
+
+/**
+ * 聊天记录邮件验证规则
+ */
+const validateTranscriptEmail = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Email must be a valid email address')
+    .isLength({ max: 255 })
+    .withMessage('Email must be at most 255 characters'),
+  handleValidationErrors
+];
+
+/**
+ * 批量导出聊天记录的会话筛选验证规则（与历史会话列表相同）
+ */
+const validateTranscriptFilter = [
+  query('keyword')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Keyword must be at most 100 characters'),
+  query('status')
+    .optional()
+    .isIn(['waiting', 'active', 'completed', 'closed', 'timeout', 'cancelled'])
+    .withMessage('Status must be one of: waiting, active, completed, closed, timeout, cancelled'),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('startDate must be an ISO 8601 date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('endDate must be an ISO 8601 date'),
+  handleValidationErrors
+];
+
+/**
+ * 满意度评价查询验证规则（时间范围和统计周期）
+ */
+const validateRatingQuery = [
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('startDate must be an ISO 8601 date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('endDate must be an ISO 8601 date'),
+  query('period')
+    .optional()
+    .isIn(['day', 'month', 'year'])
+    .withMessage('Period must be one of: day, month, year'),
   handleValidationErrors
 ];
 
@@ -186,16 +351,304 @@ const validateOperatorAssignment = [
   handleValidationErrors
 ];
 
+/**
+ * 快捷回复字段规则，更新时所有字段均为可选
+ * @param {boolean} partial - 是否为部分更新
+ */
+const cannedResponseRules = (partial) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+
+  return [
+    field('title')
+      .isString()
+      .withMessage('Title must be a string')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Title must be between 1 and 100 characters'),
+    field('body')
+      .isString()
+      .withMessage('Body must be a string')
+      .trim()
+      .isLength({ min: 1, max: 5000 })
+      .withMessage('Body must be between 1 and 5000 characters'),
+    body('shortcut')
+      .optional({ values: 'null' })
+      .matches(/^[\w-]{1,50}$/)
+      .withMessage('Shortcut may only contain letters, numbers, underscores and hyphens'),
+    body('tags')
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage('Tags must be an array of at most 20 items'),
+    body('tags.*')
+      .isString()
+      .withMessage('Each tag must be a string')
+      .trim()
+      .isLength({ min: 1, max: 30 })
+      .withMessage('Each tag must be between 1 and 30 characters'),
+    body('scope')
+      .optional()
+      .isIn(['personal', 'group', 'global'])
+      .withMessage('Scope must be one of: personal, group, global'),
+    body('groupName')
+      .if(body('scope').equals('group'))
+      .notEmpty()
+      .withMessage('Group name is required for group scope')
+      .isLength({ max: 100 })
+      .withMessage('Group name must be at most 100 characters'),
+    handleValidationErrors
+  ];
+};
+
+/**
+ * 快捷回复创建验证规则
+ */
+const validateCannedResponse = cannedResponseRules(false);
+
+/**
+ * 快捷回复更新验证规则
+ */
+const validateCannedResponseUpdate = cannedResponseRules(true);
+
+/**
+ * 快捷回复ID验证规则
+ */
+const validateCannedResponseId = [
+  param('cannedResponseId')
+    .notEmpty()
+    .withMessage('Canned response ID is required')
+    .isUUID()
+    .withMessage('Canned response ID must be a valid UUID'),
+  handleValidationErrors
+];
+
+/**
+ * 通知 outbox 查询参数验证规则
+ */
+const validateNotificationQuery = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'processing', 'delivered', 'dead'])
+    .withMessage('Status must be one of: pending, processing, delivered, dead'),
+  query('before')
+    .optional()
+    .isISO8601()
+    .withMessage('before must be an ISO 8601 date'),
+  handleValidationErrors
+];
+
+/**
+ * 通知ID验证规则
+ */
+const validateNotificationId = [
+  param('notificationId')
+    .notEmpty()
+    .withMessage('Notification ID is required')
+    .isUUID()
+    .withMessage('Notification ID must be a valid UUID'),
+  handleValidationErrors
+];
+
+/**
+ * Webhook 字段规则，更新时所有字段均为可选（事件名由模型校验）
+ * @param {boolean} partial - 是否为部分更新
+ */
+const webhookRules = (partial) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+
+  return [
+    field('url')
+      .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .withMessage('URL must be a valid http or https URL'),
+    field('events')
+      .isArray({ min: 1 })
+      .withMessage('Events must be a non-empty array'),
+    body('events.*')
+      .isString()
+      .withMessage('Each event must be a string'),
+    body('secret')
+      .optional()
+      .isString()
+      .isLength({ min: 16, max: 255 })
+      .withMessage('Secret must be between 16 and 255 characters'),
+    body('active')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('active must be a boolean'),
+    body('description')
+      .optional({ values: 'null' })
+      .isString()
+      .isLength({ max: 255 })
+      .withMessage('Description must be at most 255 characters'),
+    handleValidationErrors
+  ];
+};
+
+/**
+ * Webhook 创建验证规则
+ */
+const validateWebhook = webhookRules(false);
+
+/**
+ * Webhook 更新验证规则
+ */
+const validateWebhookUpdate = webhookRules(true);
+
+/**
+ * Webhook ID验证规则
+ */
+const validateWebhookId = [
+  param('webhookId')
+    .notEmpty()
+    .withMessage('Webhook ID is required')
+    .isUUID()
+    .withMessage('Webhook ID must be a valid UUID'),
+  handleValidationErrors
+];
+
+/**
+ * 集成接口主动发起会话验证规则
+ */
+const validateOutboundChat = [
+  body('userId')
+    .notEmpty()
+    .withMessage('User ID is required')
+    .isString()
+    .withMessage('User ID must be a string')
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('User ID must be between 1 and 255 characters'),
+  body('userName')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('User name must be at most 100 characters'),
+  body('groupName')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Group name must be at most 100 characters'),
+  body('content')
+    .optional()
+    .isString()
+    .withMessage('Message content must be a string')
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage('Message content must be between 1 and 5000 characters'),
+  handleValidationErrors
+];
+
+/**
+ * 会话标签变更验证规则（add 和 remove 至少提供一个）
+ */
+const validateSessionTags = [
+  body()
+    .custom(value => Array.isArray(value.add) || Array.isArray(value.remove))
+    .withMessage('At least one of add or remove is required'),
+  body(['add', 'remove'])
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Tags must be an array of at most 20 tags'),
+  body(['add.*', 'remove.*'])
+    .isString()
+    .withMessage('Each tag must be a string')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each tag must be between 1 and 50 characters'),
+  handleValidationErrors
+];
+
+/**
+ * 主动邀请规则字段规则，更新时所有字段均为可选
+ * @param {boolean} partial - 是否为部分更新
+ */
+const invitationRuleRules = (partial) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+
+  return [
+    field('pagePattern')
+      .isString()
+      .withMessage('Page pattern must be a string')
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Page pattern must be between 1 and 500 characters'),
+    field('message')
+      .isString()
+      .withMessage('Message must be a string')
+      .trim()
+      .isLength({ min: 1, max: 1000 })
+      .withMessage('Message must be between 1 and 1000 characters'),
+    body('minSecondsOnPage')
+      .optional()
+      .isInt({ min: 0, max: 3600 })
+      .withMessage('minSecondsOnPage must be an integer between 0 and 3600')
+      .toInt(),
+    body('groupName')
+      .optional({ values: 'null' })
+      .isString()
+      .isLength({ max: 100 })
+      .withMessage('Group name must be at most 100 characters'),
+    body('active')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('active must be a boolean'),
+    handleValidationErrors
+  ];
+};
+
+/**
+ * 主动邀请规则创建验证规则
+ */
+const validateInvitationRule = invitationRuleRules(false);
+
+/**
+ * 主动邀请规则更新验证规则
+ */
+const validateInvitationRuleUpdate = invitationRuleRules(true);
+
+/**
+ * 主动邀请规则ID验证规则
+ */
+const validateInvitationRuleId = [
+  param('ruleId')
+    .notEmpty()
+    .withMessage('Rule ID is required')
+    .isUUID()
+    .withMessage('Rule ID must be a valid UUID'),
+  handleValidationErrors
+];
+
 module.exports = {
   handleValidationErrors,
   validateChatSession,
   validateMessage,
   validateSessionId,
+  validateMessageId,
+  validateMessageEdit,
+  validateAttachmentId,
+  validateAttachmentUpload,
   validateUserId,
   validateOperatorId,
   validateOperatorStatus,
   validatePagination,
   validateMessageQuery,
+  validateMessageSearch,
+  validateTranscriptExport,
+  validateTranscriptEmail,
+  validateTranscriptFilter,
+  validateRatingQuery,
   validateBatchOperation,
-  validateOperatorAssignment
+  validateOperatorAssignment,
+  validateCannedResponse,
+  validateCannedResponseUpdate,
+  validateCannedResponseId,
+  validateNotificationQuery,
+  validateNotificationId,
+  validateWebhook,
+  validateWebhookUpdate,
+  validateWebhookId,
+  validateOutboundChat,
+  validateSessionTags,
+  validateInvitationRule,
+  validateInvitationRuleUpdate,
+  validateInvitationRuleId
 };
\ No newline at end of file
@@ -0,0 +1,75 @@
+/**
+ * 为已有数据库补充新增的字段
+ * sequelize.sync() 不会修改已存在的表，升级前创建的数据库需要执行本脚本；
+ * 已存在的字段会被跳过，可以重复执行
+ */
+
+const { sequelize } = require('./models');
+
+// 表 -> [字段, 字段定义]
+const COLUMNS = {
+  chat_sessions: [
+    ['endReason', 'VARCHAR(50) NULL'],
+    ['endedBy', 'VARCHAR(255) NULL'],
+    ['pendingTransfer', 'JSON NULL'],
+    ['transferHistory', 'JSON NULL'],
+    ['tags', 'JSON NULL'],
+    ['visitorContext', 'JSON NULL'],
+    ['isAnonymous', 'TINYINT(1) NOT NULL DEFAULT 0']
+  ],
+  operators: [
+    ['maxConcurrentSessions', 'INT NOT NULL DEFAULT 5'],
+    ['autoBusy', 'TINYINT(1) NOT NULL DEFAULT 0'],
+    ['passwordHash', 'VARCHAR(255) NULL'],
+    ['role', "ENUM('agent', 'supervisor', 'admin') NOT NULL DEFAULT 'agent'"]
+  ],
+  chat_messages: [
+    ['isEdited', 'TINYINT(1) NOT NULL DEFAULT 0'],
+    ['editedAt', 'DATETIME NULL'],
+    ['isDeleted', 'TINYINT(1) NOT NULL DEFAULT 0'],
+    ['deletedAt', 'DATETIME NULL']
+  ]
+};
+
+async function migrateSchemaColumns() {
+  try {
+    console.log('🔧 开始补充数据库字段...');
+
+    for (const [table, columns] of Object.entries(COLUMNS)) {
+      const existing = await sequelize.getQueryInterface().describeTable(table);
+
+      for (const [column, definition] of columns) {
+        if (existing[column]) {
+          console.log(`⏭️  ${table}.${column} 已存在`);
+          continue;
+        }
+
+        await sequelize.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        console.log(`✅ 已添加 ${table}.${column}`);
+      }
+    }
+
+    // 文件消息使用新的 messageType 枚举值
+    await sequelize.query(`
+      ALTER TABLE chat_messages
+      MODIFY COLUMN messageType ENUM('text', 'image', 'file', 'system')
+      DEFAULT 'text' NOT NULL
+    `);
+    console.log('✅ messageType 枚举迁移完成');
+
+    console.log('🎉 字段迁移完成，会话状态枚举请使用 migrate-status-enum.js 迁移');
+
+  } catch (error) {
+    console.error('❌ 迁移失败:', error);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+// 运行迁移
+if (require.main === module) {
+  migrateSchemaColumns();
+}
+
+module.exports = { migrateSchemaColumns };
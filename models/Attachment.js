@@ -0,0 +1,153 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Attachment = sequelize.define('Attachment', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+      validate: {
+        isUUID: 4
+      }
+    },
+    messageId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'chat_messages',
+        key: 'id'
+      }
+    },
+    sessionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      validate: {
+        isUUID: {
+          args: 4,
+          msg: 'Session ID must be a valid UUID'
+        }
+      },
+      references: {
+        model: 'chat_sessions',
+        key: 'id'
+      }
+    },
+    uploaderId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: 'Uploader ID cannot be empty'
+        }
+      }
+    },
+    uploaderType: {
+      type: DataTypes.ENUM('user', 'operator'),
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [['user', 'operator']],
+          msg: 'Uploader type must be one of: user, operator'
+        }
+      }
+    },
+    fileName: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: 'File name cannot be empty'
+        },
+        len: {
+          args: [1, 255],
+          msg: 'File name must be between 1 and 255 characters'
+        }
+      }
+    },
+    mimeType: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    size: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: {
+          args: [1],
+          msg: 'File size must be greater than 0'
+        }
+      }
+    },
+    storageKey: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: '文件在存储适配器中的键'
+    },
+    thumbnailKey: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: '图片缩略图在存储适配器中的键'
+    },
+    width: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    height: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  }, {
+    tableName: 'attachments',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['messageId']
+      },
+      {
+        fields: ['sessionId']
+      }
+    ]
+  });
+
+  // Instance methods
+  Attachment.prototype.isImage = function() {
+    return this.mimeType.startsWith('image/');
+  };
+
+  Attachment.prototype.hasThumbnail = function() {
+    return Boolean(this.thumbnailKey);
+  };
+
+  // 返回给客户端的附件信息（不包含存储键）
+  Attachment.prototype.toClientJSON = function() {
+    return {
+      id: this.id,
+      messageId: this.messageId,
+      sessionId: this.sessionId,
+      fileName: this.fileName,
+      mimeType: this.mimeType,
+      size: this.size,
+      width: this.width,
+      height: this.height,
+      hasThumbnail: this.hasThumbnail(),
+      url: `/api/chat/attachments/${this.id}`,
+      thumbnailUrl: this.hasThumbnail() ? `/api/chat/attachments/${this.id}/thumbnail` : null,
+      createdAt: this.createdAt
+    };
+  };
+
+  // Define associations (will be called from models/index.js)
+  Attachment.associate = function(models) {
+    Attachment.belongsTo(models.ChatMessage, {
+      foreignKey: 'messageId',
+      as: 'message'
+    });
+    Attachment.belongsTo(models.ChatSession, {
+      foreignKey: 'sessionId',
+      as: 'session'
+    });
+  };
+
+  return Attachment;
+};
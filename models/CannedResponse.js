@@ -0,0 +1,172 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const CannedResponse = sequelize.define('CannedResponse', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+      validate: {
+        isUUID: 4
+      }
+    },
+    title: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: 'Title cannot be empty'
+        },
+        len: {
+          args: [1, 100],
+          msg: 'Title must be between 1 and 100 characters'
+        }
+      }
+    },
+    shortcut: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      validate: {
+        is: {
+          args: /^[\w-]{1,50}$/,
+          msg: 'Shortcut may only contain letters, numbers, underscores and hyphens'
+        }
+      }
+    },
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: 'Body cannot be empty'
+        },
+        len: {
+          args: [1, 5000],
+          msg: 'Body must be between 1 and 5000 characters'
+        }
+      }
+    },
+    tags: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      validate: {
+        isStringArray(value) {
+          if (!Array.isArray(value) || value.some(tag => typeof tag !== 'string')) {
+            throw new Error('Tags must be an array of strings');
+          }
+        }
+      }
+    },
+    scope: {
+      type: DataTypes.ENUM('personal', 'group', 'global'),
+      defaultValue: 'personal',
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [['personal', 'group', 'global']],
+          msg: 'Scope must be one of: personal, group, global'
+        }
+      }
+    },
+    ownerId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      comment: '个人快捷回复的所属客服，小组和全局快捷回复的创建者',
+      references: {
+        model: 'operators',
+        key: 'id'
+      }
+    },
+    groupName: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: '小组快捷回复适用的访客分组（对应 ChatSession.groupName）',
+      validate: {
+        len: {
+          args: [0, 100],
+          msg: 'Group name must be between 0 and 100 characters'
+        }
+      }
+    },
+    usageCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'canned_responses',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['ownerId']
+      },
+      {
+        fields: ['scope', 'groupName']
+      }
+    ],
+    validate: {
+      groupScopeRequiresGroupName() {
+        if (this.scope === 'group' && !this.groupName) {
+          throw new Error('Group name is required for group scope');
+        }
+      }
+    },
+    hooks: {
+      beforeValidate: (cannedResponse, options) => {
+        if (cannedResponse.title && typeof cannedResponse.title === 'string') {
+          cannedResponse.title = cannedResponse.title.trim();
+        }
+        // 只有小组快捷回复需要分组
+        if (cannedResponse.scope !== 'group') {
+          cannedResponse.groupName = null;
+        }
+      }
+    }
+  });
+
+  // Instance methods
+  CannedResponse.prototype.isPersonal = function() {
+    return this.scope === 'personal';
+  };
+
+  // 个人快捷回复只对所属客服可见，小组快捷回复只能用于对应分组的会话
+  CannedResponse.prototype.isAvailableTo = function(operatorId, groupName) {
+    if (this.scope === 'personal') {
+      return this.ownerId === operatorId;
+    }
+    if (this.scope === 'group' && groupName !== undefined) {
+      return this.groupName === groupName;
+    }
+    return true;
+  };
+
+  // 用会话信息替换内容中的 {{userName}}、{{groupName}}、{{operatorName}}，未知占位符保持不变
+  CannedResponse.prototype.render = function(values = {}) {
+    return this.body.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => {
+      return Object.prototype.hasOwnProperty.call(values, name) ? String(values[name] ?? '') : placeholder;
+    });
+  };
+
+  // 使用次数在数据库中原子递增，避免并发发送时丢失计数
+  CannedResponse.prototype.recordUsage = async function() {
+    await this.increment('usageCount');
+    this.lastUsedAt = new Date();
+    return this.save({ fields: ['lastUsedAt'] });
+  };
+
+  // Define associations (will be called from models/index.js)
+  CannedResponse.associate = function(models) {
+    CannedResponse.belongsTo(models.Operator, {
+      foreignKey: 'ownerId',
+      as: 'owner'
+    });
+  };
+
+  return CannedResponse;
+};
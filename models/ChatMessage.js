@@ -60,13 +60,13 @@ module.exports = (sequelize) => {
       }
     },
     messageType: {
-      type: DataTypes.ENUM('text', 'image', 'system'),
+      type: DataTypes.ENUM('text', 'image', 'file', 'system'),
       defaultValue: 'text',
       allowNull: false,
       validate: {
         isIn: {
-          args: [['text', 'image', 'system']],
-          msg: 'Message type must be one of: text, image, system'
+          args: [['text', 'image', 'file', 'system']],
+          msg: 'Message type must be one of: text, image, file, system'
         }
       }
     },
@@ -92,6 +92,24 @@ module.exports = (sequelize) => {
           msg: 'isRead must be a boolean value'
         }
       }
+    },
+    isEdited: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      allowNull: false
+    },
+    editedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    isDeleted: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      allowNull: false
+    },
+    deletedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
     }
   }, {
     tableName: 'chat_messages',
@@ -117,6 +135,13 @@ module.exports = (sequelize) => {
       },
       {
         fields: ['sessionId', 'createdAt']
+      },
+      {
+        // 消息全文搜索，ngram 分词以支持中文内容
+        name: 'chat_messages_content_fulltext',
+        type: 'FULLTEXT',
+        parser: 'ngram',
+        fields: ['content']
       }
     ],
     hooks: {
@@ -159,6 +184,26 @@ module.exports = (sequelize) => {
     return this.messageType === 'image';
   };
 
+  ChatMessage.prototype.isFileMessage = function() {
+    return this.messageType === 'file';
+  };
+
+  // 根据已加载的回执计算投递状态：sent / delivered / read（系统消息没有投递状态）
+  ChatMessage.prototype.getDeliveryStatus = function() {
+    if (this.senderType === 'system') {
+      return null;
+    }
+
+    const receipts = this.receipts || [];
+    if (this.isRead || receipts.some(receipt => receipt.readAt)) {
+      return 'read';
+    }
+    if (receipts.some(receipt => receipt.deliveredAt)) {
+      return 'delivered';
+    }
+    return 'sent';
+  };
+
   // Class methods
   ChatMessage.findBySessionId = function(sessionId, options = {}) {
     const defaultOptions = {
@@ -213,6 +258,18 @@ module.exports = (sequelize) => {
       foreignKey: 'sessionId',
       as: 'session'
     });
+    ChatMessage.hasOne(models.Attachment, {
+      foreignKey: 'messageId',
+      as: 'attachment'
+    });
+    ChatMessage.hasMany(models.MessageReceipt, {
+      foreignKey: 'messageId',
+      as: 'receipts'
+    });
+    ChatMessage.hasMany(models.MessageRevision, {
+      foreignKey: 'messageId',
+      as: 'revisions'
+    });
   };
 
   return ChatMessage;
@@ -1,5 +1,31 @@
 const { DataTypes } = require('sequelize');
 
+// 会话状态
+const SESSION_STATUSES = ['waiting', 'active', 'completed', 'closed', 'timeout', 'cancelled'];
+
+// 会话结束后的终态
+const ENDED_STATUSES = ['completed', 'closed', 'timeout', 'cancelled'];
+
+// 允许的状态流转：当前状态 -> 可进入的状态
+const STATUS_TRANSITIONS = {
+  waiting: ['active', 'closed', 'timeout', 'cancelled'],
+  active: ['completed', 'closed', 'timeout'],
+  completed: [],
+  closed: [],
+  timeout: [],
+  cancelled: []
+};
+
+// 会话结束原因
+const END_REASONS = ['operator_ended', 'user_ended', 'timeout', 'admin_closed', 'cancelled'];
+
+// 会话列表中最后一条消息预览的长度（字符）
+const MESSAGE_PREVIEW_LENGTH = 100;
+
+// 会话标签的数量和长度上限
+const MAX_TAGS = 20;
+const TAG_MAX_LENGTH = 50;
+
 module.
 exports = (sequelize) => {
   const ChatSession = sequelize.define('ChatSession', 
@@ -46,6 +72,12 @@ exports = (sequelize) => {
         }
       }
     },
+    // 未携带签名令牌的访客，其分组由访客自填，不享受分组排队优先级
+    isAnonymous: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
     operatorId: {
       type: DataTypes.UUID,
       allowNull: true,
@@ -58,12 +90,12 @@ exports = (sequelize) => {
       // Note: Foreign key reference will be added when Operator model is created
     },
     status: {
-      type: DataTypes.ENUM('waiting', 'active', 'completed', 'closed', 'timeout', 'cancelled'),
+      type: DataTypes.ENUM(...SESSION_STATUSES),
       defaultValue: 'waiting',
       allowNull: false,
       validate: {
         isIn: {
-          args: [['waiting', 'active', 'completed', 'closed', 'timeout', 'cancelled']],
+          args: [SESSION_STATUSES],
           msg: 'Status must be one of: waiting, active, completed, closed, timeout, cancelled'
         }
       }
@@ -81,6 +113,91 @@ exports = (sequelize) => {
           }
         }
       }
+    },
+    endReason: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      validate: {
+        isIn: {
+          args: [END_REASONS],
+          msg: `End reason must be one of: ${END_REASONS.join(', ')}`
+        }
+      }
+    },
+    endedBy: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        len: {
+          args: [0, 255],
+          msg: 'Ended by must be between 0 and 255 characters'
+        }
+      }
+    },
+    pendingTransfer: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: '等待目标客服接受的转接请求'
+    },
+    transferHistory: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: '转接记录',
+      get() {
+        return this.getDataValue('transferHistory') || [];
+      }
+    },
+    lastMessageAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '最后一条非系统消息的时间'
+    },
+    lastMessagePreview: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: '最后一条非系统消息的内容预览'
+    },
+    messageCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false,
+      comment: '非系统消息数量'
+    },
+    tags: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: '会话标签（由外部系统或客服添加）',
+      get() {
+        return this.getDataValue('tags') || [];
+      },
+      validate: {
+        isTagList(value) {
+          if (value === null || value === undefined) {
+            return;
+          }
+          if (!Array.isArray(value) || value.length > MAX_TAGS) {
+            throw new Error(`Tags must be an array of at most ${MAX_TAGS} tags`);
+          }
+          if (value.some(tag => typeof tag !== 'string' || tag.length === 0 || tag.length > TAG_MAX_LENGTH)) {
+            throw new Error(`Tags must be strings between 1 and ${TAG_MAX_LENGTH} characters`);
+          }
+        }
+      }
+    },
+    visitorContext: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: '访客信息快照（当前页面、来源页面、浏览器、语言、页面停留时间），访客换页时更新',
+      validate: {
+        isContext(value) {
+          if (value === null || value === undefined) {
+            return;
+          }
+          if (typeof value !== 'object' || Array.isArray(value)) {
+            throw new Error('Visitor context must be an object');
+          }
+        }
+      }
     }
   }, 
   {
@@ -98,12 +215,16 @@ exports = (sequelize) => {
       },
       {
         fields: ['createdAt']
+      },
+      {
+        // 历史会话列表按最后消息时间分页
+        fields: ['lastMessageAt', 'id']
       }
     ],
     hooks: {
       beforeUpdate: (session, options) => {
-        // Automatically set closedAt when status changes to closed
-        if (session.changed('status') && session.status === 'closed' && !session.closedAt) {
+        // Automatically set closedAt when status changes to an ended status
+        if (session.changed('status') && ENDED_STATUSES.includes(session.status) && !session.closedAt) {
           session.closedAt = new Date();
         }
       }
@@ -111,15 +232,35 @@ exports = (sequelize) => {
   });
 
   // Instance methods
-  ChatSession.prototype.close = function() {
-    this.status = 'closed';
-    this.closedAt = new Date();
+  ChatSession.prototype.canTransitionTo = function(nextStatus) {
+    const allowed = STATUS_TRANSITIONS[this.status] || [];
+    return allowed.includes(nextStatus);
+  };
+
+  ChatSession.prototype.transitionTo = function(nextStatus, options = {}) {
+    const { endReason = null, endedBy = null } = options;
+
+    if (!this.canTransitionTo(nextStatus)) {
+      const error = new Error(`Invalid status transition from ${this.status} to ${nextStatus}`);
+      error.code = 'INVALID_STATUS_TRANSITION';
+      throw error;
+    }
+
+    this.status = nextStatus;
+    if (ENDED_STATUSES.includes(nextStatus)) {
+      this.closedAt = new Date();
+      this.endReason = endReason;
+      this.endedBy = endedBy;
+    }
     return this.save();
   };
 
+  ChatSession.prototype.close = function(options = {}) {
+    return this.transitionTo('closed', options);
+  };
+
   ChatSession.prototype.activate = function() {
-    this.status = 'active';
-    return this.save();
+    return this.transitionTo('active');
   };
 
   ChatSession.prototype.isActive = function() {
@@ -134,6 +275,28 @@ exports = (sequelize) => {
     return this.status === 'waiting';
   };
 
+  ChatSession.prototype.isEnded = function() {
+    return ENDED_STATUSES.includes(this.status);
+  };
+
+  ChatSession.prototype.hasPendingTransfer = function() {
+    return !!this.pendingTransfer;
+  };
+
+  // Class constants
+  ChatSession.STATUSES = SESSION_STATUSES;
+  ChatSession.ENDED_STATUSES = ENDED_STATUSES;
+  ChatSession.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+  ChatSession.MESSAGE_PREVIEW_LENGTH = MESSAGE_PREVIEW_LENGTH;
+  ChatSession.MAX_TAGS = MAX_TAGS;
+  ChatSession.TAG_MAX_LENGTH = TAG_MAX_LENGTH;
+
+  // 截取消息内容作为会话列表中的预览
+  ChatSession.toMessagePreview = function(content) {
+    return (content || '').slice(0, MESSAGE_PREVIEW_LENGTH);
+  };
+  ChatSession.END_REASONS = END_REASONS;
+
   // Class methods
   ChatSession.findActiveByUserId = function(userId) {
     return this.findOne({
@@ -174,6 +337,14 @@ exports = (sequelize) => {
       foreignKey: 'operatorId',
       as: 'operator'
     });
+    ChatSession.hasMany(models.TranscriptEmail, {
+      foreignKey: 'sessionId',
+      as: 'transcriptEmails'
+    });
+    ChatSession.hasOne(models.SessionRating, {
+      foreignKey: 'sessionId',
+      as: 'rating'
+    });
   };
 
   return ChatSession;
@@ -0,0 +1,153 @@
+const { DataTypes } = require('sequelize');
+
+// 访客停留时间的上限（秒）
+const MAX_SECONDS_ON_PAGE = 3600;
+
+/**
+ * 从页面地址中取出路径（不含查询参数），无法解析时原样返回
+ * @param {string} url - 页面地址或路径
+ * @returns {string} 路径
+ */
+const toPagePath = (url) => {
+  try {
+    return new URL(url, 'http://localhost').pathname;
+  } catch (error) {
+    return url;
+  }
+};
+
+/**
+ * 将页面规则转换为正则：`*` 匹配任意字符，其余字符按原样匹配
+ * @param {string} pattern - 页面规则，如 /pricing 或 /products/*
+ * @returns {RegExp}
+ */
+const toPageRegExp = (pattern) => {
+  const source = pattern
+    .split('*')
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+};
+
+module.exports = (sequelize) => {
+  const InvitationRule = sequelize.define('InvitationRule', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+      validate: {
+        isUUID: 4
+      }
+    },
+    groupName: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: '规则适用的访客分组（对应 ChatSession.groupName），为空时适用于所有分组',
+      validate: {
+        len: {
+          args: [0, 100],
+          msg: 'Group name must be between 0 and 100 characters'
+        }
+      }
+    },
+    pagePattern: {
+      type: DataTypes.STRING(500),
+      allowNull: false,
+      comment: '页面路径规则，`*` 匹配任意字符，如 /pricing 或 /products/*',
+      validate: {
+        notEmpty: {
+          msg: 'Page pattern cannot be empty'
+        },
+        len: {
+          args: [1, 500],
+          msg: 'Page pattern must be between 1 and 500 characters'
+        }
+      }
+    },
+    minSecondsOnPage: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false,
+      comment: '访客在页面停留多少秒后发出邀请',
+      validate: {
+        min: {
+          args: [0],
+          msg: 'Seconds on page cannot be negative'
+        },
+        max: {
+          args: [MAX_SECONDS_ON_PAGE],
+          msg: `Seconds on page cannot exceed ${MAX_SECONDS_ON_PAGE}`
+        }
+      }
+    },
+    message: {
+      type: DataTypes.STRING(1000),
+      allowNull: false,
+      comment: '邀请中显示给访客的开场消息',
+      validate: {
+        notEmpty: {
+          msg: 'Message cannot be empty'
+        },
+        len: {
+          args: [1, 1000],
+          msg: 'Message must be between 1 and 1000 characters'
+        }
+      }
+    },
+    active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+      allowNull: false
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'operators',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'invitation_rules',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['active', 'groupName']
+      }
+    ],
+    hooks: {
+      beforeValidate: (rule, options) => {
+        if (rule.pagePattern && typeof rule.pagePattern === 'string') {
+          rule.pagePattern = rule.pagePattern.trim();
+        }
+        if (rule.groupName === '') {
+          rule.groupName = null;
+        }
+      }
+    }
+  });
+
+  InvitationRule.MAX_SECONDS_ON_PAGE = MAX_SECONDS_ON_PAGE;
+  InvitationRule.toPagePath = toPagePath;
+
+  // Instance methods
+  InvitationRule.prototype.appliesToGroup = function(groupName) {
+    return !this.groupName || this.groupName === groupName;
+  };
+
+  // 按页面路径匹配，忽略查询参数和锚点
+  InvitationRule.prototype.matchesPage = function(url) {
+    return Boolean(url) && toPageRegExp(this.pagePattern).test(toPagePath(url));
+  };
+
+  // Define associations (will be called from models/index.js)
+  InvitationRule.associate = function(models) {
+    InvitationRule.belongsTo(models.Operator, {
+      foreignKey: 'createdBy',
+      as: 'creator'
+    });
+  };
+
+  return InvitationRule;
+};
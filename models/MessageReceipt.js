@@ -0,0 +1,89 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const MessageReceipt = sequelize.define('MessageReceipt', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+      validate: {
+        isUUID: 4
+      }
+    },
+    messageId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'chat_messages',
+        key: 'id'
+      }
+    },
+    sessionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'chat_sessions',
+        key: 'id'
+      }
+    },
+    recipientId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: 'Recipient ID cannot be empty'
+        }
+      }
+    },
+    recipientType: {
+      type: DataTypes.ENUM('user', 'operator'),
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [['user', 'operator']],
+          msg: 'Recipient type must be one of: user, operator'
+        }
+      }
+    },
+    deliveredAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    readAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'message_receipts',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['messageId', 'recipientId']
+      },
+      {
+        fields: ['sessionId']
+      }
+    ]
+  });
+
+  // Instance methods
+  MessageReceipt.prototype.isDelivered = function() {
+    return Boolean(this.deliveredAt);
+  };
+
+  MessageReceipt.prototype.isRead = function() {
+    return Boolean(this.readAt);
+  };
+
+  // Define associations (will be called from models/index.js)
+  MessageReceipt.associate = function(models) {
+    MessageReceipt.belongsTo(models.ChatMessage, {
+      foreignKey: 'messageId',
+      as: 'message'
+    });
+  };
+
+  return MessageReceipt;
+};
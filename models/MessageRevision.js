@@ -0,0 +1,86 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const MessageRevision = sequelize.define('MessageRevision', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+      validate: {
+        isUUID: 4
+      }
+    },
+    messageId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'chat_messages',
+        key: 'id'
+      }
+    },
+    sessionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'chat_sessions',
+        key: 'id'
+      }
+    },
+    action: {
+      type: DataTypes.ENUM('edit', 'delete'),
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [['edit', 'delete']],
+          msg: 'Revision action must be one of: edit, delete'
+        }
+      }
+    },
+    previousContent: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    editorId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: 'Editor ID cannot be empty'
+        }
+      }
+    },
+    editorType: {
+      type: DataTypes.ENUM('user', 'operator'),
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [['user', 'operator']],
+          msg: 'Editor type must be one of: user, operator'
+        }
+      }
+    }
+  }, {
+    tableName: 'message_revisions',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['messageId']
+      },
+      {
+        fields: ['sessionId']
+      }
+    ]
+  });
+
+  // Define associations (will be called from models/index.js)
+  MessageRevision.associate = function(models) {
+    MessageRevision.belongsTo(models.ChatMessage, {
+      foreignKey: 'messageId',
+      as: 'message'
+    });
+  };
+
+  return MessageRevision;
+};
@@ -0,0 +1,134 @@
+const { DataTypes } = require('sequelize');
+
+// pending: 等待投递（到达 nextAttemptAt 后处理）；processing: 已被某个实例领取；
+// delivered: 投递成功；dead: 重试次数用完，等待管理员重试或清理
+const NOTIFICATION_OUTBOX_STATUSES = ['pending', 'processing', 'delivered', 'dead'];
+
+module.exports = (sequelize) => {
+  const NotificationOutbox = sequelize.define('NotificationOutbox', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+      validate: {
+        isUUID: 4
+      }
+    },
+    idempotencyKey: {
+      type: DataTypes.STRING(191),
+      allowNull: false,
+      unique: true,
+      comment: '幂等键，相同键的通知只入队一次，投递时通过 Idempotency-Key 请求头传给接收方'
+    },
+    type: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: '通知类型，Webhook 投递时为事件名'
+    },
+    webhookId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'webhooks',
+        key: 'id'
+      },
+      comment: '投递目标 Webhook，为空时投递到 ADMIN_NOTIFICATION_URL'
+    },
+    payload: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM(...NOTIFICATION_OUTBOX_STATUSES),
+      defaultValue: 'pending',
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [NOTIFICATION_OUTBOX_STATUSES],
+          msg: `Status must be one of: ${NOTIFICATION_OUTBOX_STATUSES.join(', ')}`
+        }
+      }
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false,
+      comment: '已尝试投递的次数'
+    },
+    nextAttemptAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      comment: '下次投递时间（指数退避）'
+    },
+    lockedBy: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: '领取该通知的实例'
+    },
+    lockedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: '领取租约到期时间，实例崩溃后到期的通知会被重新领取'
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    responseStatus: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: '最近一次投递收到的 HTTP 状态码'
+    },
+    deliveredAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'notification_outbox',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['idempotencyKey']
+      },
+      {
+        fields: ['status', 'nextAttemptAt']
+      },
+      {
+        fields: ['status', 'updatedAt']
+      },
+      {
+        fields: ['webhookId', 'createdAt']
+      }
+    ]
+  });
+
+  NotificationOutbox.STATUSES = NOTIFICATION_OUTBOX_STATUSES;
+
+  // Instance methods
+  NotificationOutbox.prototype.isDead = function() {
+    return this.status === 'dead';
+  };
+
+  // 投递给接收方的内容：通知数据加上 outbox 记录的标识
+  NotificationOutbox.prototype.toNotification = function() {
+    return {
+      ...this.payload,
+      id: this.id,
+      type: this.type,
+      idempotencyKey: this.idempotencyKey
+    };
+  };
+
+  // Define associations (will be called from models/index.js)
+  NotificationOutbox.associate = function(models) {
+    NotificationOutbox.belongsTo(models.Webhook, {
+      foreignKey: 'webhookId',
+      as: 'webhook'
+    });
+  };
+
+  return NotificationOutbox;
+};
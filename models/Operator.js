@@ -1,4 +1,7 @@
 const { DataTypes } = require('sequelize');
+const bcrypt = require('bcryptjs');
+
+const PASSWORD_SALT_ROUNDS = 10;
 
 module.exports = (sequelize) => {
   const Operator = sequelize.define('Operator', {
@@ -61,6 +64,50 @@ module.exports = (sequelize) => {
           msg: 'Last active at must be a valid date'
         }
       }
+    },
+    maxConcurrentSessions: {
+      type: DataTypes.INTEGER,
+      defaultValue: 5,
+      allowNull: false,
+      validate: {
+        isInt: {
+          msg: 'Max concurrent sessions must be an integer'
+        },
+        min: {
+          args: [1],
+          msg: 'Max concurrent sessions must be at least 1'
+        }
+      }
+    },
+    passwordHash: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    password: {
+      type: DataTypes.VIRTUAL,
+      validate: {
+        len: {
+          args: [8, 128],
+          msg: 'Password must be between 8 and 128 characters'
+        }
+      }
+    },
+    role: {
+      type: DataTypes.ENUM('agent', 'supervisor', 'admin'),
+      defaultValue: 'agent',
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [['agent', 'supervisor', 'admin']],
+          msg: 'Role must be one of: agent, supervisor, admin'
+        }
+      }
+    },
+    autoBusy: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      allowNull: false,
+      comment: '是否因达到并发上限而被自动设为忙碌'
     }
   }, {
     tableName: 'operators',
@@ -91,6 +138,13 @@ module.exports = (sequelize) => {
           operator.name = operator.name.trim();
         }
       },
+      beforeSave: async (operator, options) => {
+        // 明文密码只在保存前哈希，不会写入数据库
+        if (operator.password) {
+          operator.passwordHash = await bcrypt.hash(operator.password, PASSWORD_SALT_ROUNDS);
+          operator.password = undefined;
+        }
+      },
       beforeUpdate: (operator, options) => {
         // Update lastActiveAt when status changes to online
         if (operator.changed('status') && operator.status === 'online') {
@@ -103,17 +157,21 @@ module.exports = (sequelize) => {
   // Instance methods
   Operator.prototype.setOnline = function() {
     this.status = 'online';
+    this.autoBusy = false;
     this.lastActiveAt = new Date();
     return this.save();
   };
 
   Operator.prototype.setOffline = function() {
     this.status = 'offline';
+    this.autoBusy = false;
     return this.save();
   };
 
-  Operator.prototype.setBusy = function() {
+  // automatic 为 true 表示因达到并发上限而忙碌，会话减少后会自动恢复在线
+  Operator.prototype.setBusy = function(options = {}) {
     this.status = 'busy';
+    this.autoBusy = !!options.automatic;
     this.lastActiveAt = new Date();
     return this.save();
   };
@@ -134,6 +192,30 @@ module.exports = (sequelize) => {
     return this.status === 'online';
   };
 
+  Operator.prototype.hasCapacity = function(activeSessionCount) {
+    return activeSessionCount < this.maxConcurrentSessions;
+  };
+
+  Operator.prototype.setPassword = function(password) {
+    this.password = password;
+    return this.save();
+  };
+
+  Operator.prototype.verifyPassword = function(password) {
+    if (!this.passwordHash || !password) {
+      return Promise.resolve(false);
+    }
+    return bcrypt.compare(password, this.passwordHash);
+  };
+
+  // 不在接口响应中暴露密码哈希
+  Operator.prototype.toJSON = function() {
+    const values = { ...this.get() };
+    delete values.passwordHash;
+    delete values.password;
+    return values;
+  };
+
   Operator.prototype.updateLastActive = function() {
     this.lastActiveAt = new Date();
     return this.save();
@@ -195,6 +277,14 @@ module.exports = (sequelize) => {
       foreignKey: 'operatorId',
       as: 'sessions'
     });
+    Operator.hasMany(models.CannedResponse, {
+      foreignKey: 'ownerId',
+      as: 'cannedResponses'
+    });
+    Operator.hasMany(models.SessionRating, {
+      foreignKey: 'operatorId',
+      as: 'ratings'
+    });
   };
 
   return Operator;
@@ -0,0 +1,110 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const SessionRating = sequelize.define('SessionRating', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+      validate: {
+        isUUID: 4
+      }
+    },
+    sessionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'chat_sessions',
+        key: 'id'
+      }
+    },
+    operatorId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: '会话结束时负责的客服',
+      references: {
+        model: 'operators',
+        key: 'id'
+      }
+    },
+    userId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: {
+          msg: 'User ID cannot be empty'
+        }
+      }
+    },
+    groupName: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: '评价时会话的访客分组，便于按分组统计'
+    },
+    rating: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        isInt: {
+          msg: 'Rating must be an integer between 1 and 5'
+        },
+        min: {
+          args: [1],
+          msg: 'Rating must be an integer between 1 and 5'
+        },
+        max: {
+          args: [5],
+          msg: 'Rating must be an integer between 1 and 5'
+        }
+      }
+    },
+    comment: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      validate: {
+        len: {
+          args: [0, 1000],
+          msg: 'Comment must be at most 1000 characters'
+        }
+      }
+    }
+  }, {
+    tableName: 'session_ratings',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['operatorId', 'createdAt']
+      },
+      {
+        fields: ['groupName']
+      },
+      {
+        fields: ['createdAt']
+      }
+    ],
+    hooks: {
+      beforeValidate: (sessionRating, options) => {
+        if (typeof sessionRating.comment === 'string') {
+          sessionRating.comment = sessionRating.comment.trim() || null;
+        }
+      }
+    }
+  });
+
+  // Define associations (will be called from models/index.js)
+  SessionRating.associate = function(models) {
+    SessionRating.belongsTo(models.ChatSession, {
+      foreignKey: 'sessionId',
+      as: 'session'
+    });
+    SessionRating.belongsTo(models.Operator, {
+      foreignKey: 'operatorId',
+      as: 'operator'
+    });
+  };
+
+  return SessionRating;
+};
@@ -0,0 +1,105 @@
+const { DataTypes } = require('sequelize');
+
+// pending: 等待会话结束；queued: 已进入发送队列；sent: 已发送；failed: 重试后仍失败
+const TRANSCRIPT_EMAIL_STATUSES = ['pending', 'queued', 'sent', 'failed'];
+
+module.exports = (sequelize) => {
+  const TranscriptEmail = sequelize.define('TranscriptEmail', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+      validate: {
+        isUUID: 4
+      }
+    },
+    sessionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'chat_sessions',
+        key: 'id'
+      }
+    },
+    email: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      validate: {
+        isEmail: {
+          msg: 'Must be a valid email address'
+        }
+      }
+    },
+    status: {
+      type: DataTypes.ENUM(...TRANSCRIPT_EMAIL_STATUSES),
+      defaultValue: 'pending',
+      allowNull: false,
+      validate: {
+        isIn: {
+          args: [TRANSCRIPT_EMAIL_STATUSES],
+          msg: `Status must be one of: ${TRANSCRIPT_EMAIL_STATUSES.join(', ')}`
+        }
+      }
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false,
+      comment: '已尝试发送的次数'
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'transcript_emails',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['sessionId', 'status']
+      }
+    ],
+    hooks: {
+      beforeValidate: (transcriptEmail, options) => {
+        if (transcriptEmail.email && typeof transcriptEmail.email === 'string') {
+          transcriptEmail.email = transcriptEmail.email.trim();
+        }
+      }
+    }
+  });
+
+  TranscriptEmail.STATUSES = TRANSCRIPT_EMAIL_STATUSES;
+
+  // Instance methods
+  TranscriptEmail.prototype.isSent = function() {
+    return this.status === 'sent';
+  };
+
+  // 记录一次发送尝试的结果，失败时保留错误信息以便排查
+  TranscriptEmail.prototype.recordAttempt = function(error = null) {
+    const changes = {
+      attempts: this.attempts + 1,
+      lastError: error ? error.message : null
+    };
+    if (!error) {
+      changes.status = 'sent';
+      changes.sentAt = new Date();
+    }
+    return this.update(changes);
+  };
+
+  // Define associations (will be called from models/index.js)
+  TranscriptEmail.associate = function(models) {
+    TranscriptEmail.belongsTo(models.ChatSession, {
+      foreignKey: 'sessionId',
+      as: 'session'
+    });
+  };
+
+  return TranscriptEmail;
+};
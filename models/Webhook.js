@@ -0,0 +1,122 @@
+const { DataTypes } = require('sequelize');
+
+// 可订阅的事件
+const WEBHOOK_EVENTS = [
+  'session.created',
+  'session.assigned',
+  'session.transferred',
+  'session.ended',
+  'message.created',
+  'operator.status_changed',
+  'rating.submitted'
+];
+
+module.exports = (sequelize) => {
+  const Webhook = sequelize.define('Webhook', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      allowNull: false,
+      validate: {
+        isUUID: 4
+      }
+    },
+    url: {
+      type: DataTypes.STRING(2048),
+      allowNull: false,
+      validate: {
+        isUrl: {
+          args: { protocols: ['http', 'https'], require_protocol: true },
+          msg: 'URL must be a valid http or https URL'
+        }
+      }
+    },
+    secret: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: '签名密钥，投递时用 HMAC-SHA256 签名请求体'
+    },
+    events: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      validate: {
+        isKnownEvents(value) {
+          if (!Array.isArray(value) || value.length === 0) {
+            throw new Error('Events must be a non-empty array');
+          }
+          const unknown = value.filter(event => !WEBHOOK_EVENTS.includes(event));
+          if (unknown.length > 0) {
+            throw new Error(`Unknown events: ${unknown.join(', ')}`);
+          }
+        }
+      }
+    },
+    active: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true,
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'operators',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'webhooks',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['active']
+      }
+    ],
+    hooks: {
+      beforeValidate: (webhook, options) => {
+        if (webhook.url && typeof webhook.url === 'string') {
+          webhook.url = webhook.url.trim();
+        }
+        if (Array.isArray(webhook.events)) {
+          webhook.events = [...new Set(webhook.events)];
+        }
+      }
+    }
+  });
+
+  Webhook.EVENTS = WEBHOOK_EVENTS;
+
+  // Instance methods
+  Webhook.prototype.isSubscribedTo = function(event) {
+    return this.active && this.events.includes(event);
+  };
+
+  // 不在接口响应中暴露签名密钥（仅创建时返回一次）
+  Webhook.prototype.toJSON = function() {
+    const values = { ...this.get() };
+    delete values.secret;
+    return values;
+  };
+
+  // Define associations (will be called from models/index.js)
+  Webhook.associate = function(models) {
+    Webhook.belongsTo(models.Operator, {
+      foreignKey: 'createdBy',
+      as: 'creator'
+    });
+
+    Webhook.hasMany(models.NotificationOutbox, {
+      foreignKey: 'webhookId',
+      as: 'deliveries',
+      onDelete: 'CASCADE'
+    });
+  };
+
+  return Webhook;
+};
@@ -2,12 +2,30 @@ const { sequelize } = require('../config/database');
 const ChatSession = require('./ChatSession');
 const ChatMessage = require('./ChatMessage');
 const Operator = require('./Operator');
+const Attachment = require('./Attachment');
+const MessageReceipt = require('./MessageReceipt');
+const MessageRevision = require('./MessageRevision');
+const CannedResponse = require('./CannedResponse');
+const TranscriptEmail = require('./TranscriptEmail');
+const SessionRating = require('./SessionRating');
+const NotificationOutbox = require('./NotificationOutbox');
+const Webhook = require('./Webhook');
+const InvitationRule = require('./InvitationRule');
 
 // Initialize models
 const models = {
   ChatSession: ChatSession(sequelize),
   ChatMessage: ChatMessage(sequelize),
-  Operator: Operator(sequelize)
+  Operator: Operator(sequelize),
+  Attachment: Attachment(sequelize),
+  MessageReceipt: MessageReceipt(sequelize),
+  MessageRevision: MessageRevision(sequelize),
+  CannedResponse: CannedResponse(sequelize),
+  TranscriptEmail: TranscriptEmail(sequelize),
+  SessionRating: SessionRating(sequelize),
+  NotificationOutbox: NotificationOutbox(sequelize),
+  Webhook: Webhook(sequelize),
+  InvitationRule: InvitationRule(sequelize)
 };
 
 // Define associations
@@ -57,6 +75,8 @@ const seedSampleData = async () => {
       defaults: {
         name: 'Alice Johnson',
         email: 'operator1@example.com',
+        password: process.env.SEED_OPERATOR_PASSWORD || 'changeme123',
+        role: 'admin',
         status: 'online'
       }
     });
@@ -66,6 +86,7 @@ const seedSampleData = async () => {
       defaults: {
         name: 'Bob Smith',
         email: 'operator2@example.com',
+        password: process.env.SEED_OPERATOR_PASSWORD || 'changeme123',
         status: 'offline'
       }
     });
@@ -77,6 +98,28 @@ const seedSampleData = async () => {
   }
 };
 
+// Recalculate denormalized session message stats from existing messages
+// (run once after adding lastMessageAt / lastMessagePreview / messageCount to chat_sessions)
+const backfillSessionMessageStats = async () => {
+  const sessionMessages = "FROM chat_messages m WHERE m.sessionId = chat_sessions.id AND m.senderType <> 'system'";
+
+  try {
+    await sequelize.query(`
+      UPDATE chat_sessions SET
+        messageCount = (SELECT COUNT(*) ${sessionMessages}),
+        lastMessageAt = (SELECT MAX(m.createdAt) ${sessionMessages}),
+        lastMessagePreview = (
+          SELECT SUBSTR(m.content, 1, ${models.ChatSession.MESSAGE_PREVIEW_LENGTH}) ${sessionMessages}
+          ORDER BY m.createdAt DESC LIMIT 1
+        )
+    `);
+    console.log('Session message stats backfilled successfully.');
+  } catch (error) {
+    console.error('Error backfilling session message stats:', error);
+    throw error;
+  }
+};
+
 // Test database connection and associations
 const testDatabaseConnection = async () => {
   try {
@@ -144,6 +187,7 @@ module.exports = {
   syncDatabase,
   initializeDatabase,
   seedSampleData,
+  backfillSessionMessageStats,
   testDatabaseConnection,
   ...models
 };
\ No newline at end of file
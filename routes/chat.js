@@ -1,20 +1,100 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const ChatService = require('../services/ChatService');
+const QueueService = require('../services/QueueService');
+const AttachmentService = require('../services/AttachmentService');
+const TranscriptService = require('../services/TranscriptService');
+const TranscriptEmailService = require('../services/TranscriptEmailService');
+const { emitAttachmentMessage, emitMessageReceipts, emitMessageChange, notifySessionEnded } = require('./index');
+const {
+  authenticateOperator,
+  authenticateParticipant,
+  hasRole,
+  isSessionParticipant,
+  requireRole,
+  requireSessionAccess,
+  requireSessionParticipant
+} = require('../middleware/auth');
 const { 
   validateChatSession, 
   validateMessage, 
   validateSessionId, 
+  validateMessageId,
+  validateMessageEdit,
+  validateAttachmentId,
+  validateAttachmentUpload,
   validateUserId, 
   validatePagination, 
-  validateMessageQuery 
+  validateMessageQuery,
+  validateMessageSearch,
+  validateTranscriptExport,
+  validateTranscriptEmail,
+  validateTranscriptFilter
 } = require('../middleware/validation');
 
+// 附件先读入内存，由 AttachmentService 校验后写入存储适配器
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: AttachmentService.maxFileSize, files: 1 },
+  defParamCharset: 'utf8'
+});
+
+// 附件上传失败原因 -> HTTP 状态码和错误代码
+const ATTACHMENT_ERRORS = {
+  'File required': [400, 'FILE_REQUIRED'],
+  'File too large': [413, 'FILE_TOO_LARGE'],
+  'Unsupported file type': [415, 'UNSUPPORTED_FILE_TYPE'],
+  'Invalid image': [400, 'INVALID_IMAGE'],
+  'Session not found': [404, 'SESSION_NOT_FOUND'],
+  'Session closed': [409, 'SESSION_CLOSED']
+};
+
+// 消息编辑/删除失败原因 -> HTTP 状态码和错误代码
+const MESSAGE_CHANGE_ERRORS = {
+  'Message not found': [404, 'MESSAGE_NOT_FOUND'],
+  'Not message sender': [403, 'FORBIDDEN'],
+  'Message deleted': [409, 'MESSAGE_DELETED'],
+  'Message not editable': [400, 'MESSAGE_NOT_EDITABLE'],
+  'Edit window expired': [403, 'EDIT_WINDOW_EXPIRED'],
+  'Session closed': [409, 'SESSION_CLOSED'],
+  'Content required': [400, 'EMPTY_MESSAGE']
+};
+
+// 聊天记录邮件登记失败原因 -> HTTP 状态码和错误代码
+const TRANSCRIPT_EMAIL_ERRORS = {
+  'Session not found': [404, 'SESSION_NOT_FOUND'],
+  'Invalid email': [400, 'INVALID_TRANSCRIPT_EMAIL']
+};
+
+/**
+ * 解析单个上传文件（表单字段 file），上传中间件的错误转换为统一的错误响应
+ */
+const uploadSingleFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+    res.status(tooLarge ? 413 : 400).json({
+      success: false,
+      error: {
+        code: tooLarge ? 'FILE_TOO_LARGE' : 'INVALID_UPLOAD',
+        message: tooLarge
+          ? `File size exceeds the limit of ${AttachmentService.maxFileSize} bytes`
+          : error.message
+      }
+    });
+  });
+};
+
 /**
  * 获取活跃会话列表（等待中和进行中的会话）
+ * 普通客服只能看到等待中的会话和分配给自己的会话
  * GET /api/chat/sessions/active
  */
-router.get('/sessions/active', validatePagination, async (req, res) => {
+router.get('/sessions/active', authenticateOperator, validatePagination, async (req, res) => {
   try {
     const { 
       limit = '50',
@@ -24,12 +104,21 @@ router.get('/sessions/active', validatePagination, async (req, res) => {
     const { Op, where } = require('sequelize');
     const { ChatSession } = require('../models');
 
+    const whereConditions = {
+      status: {
+        [Op.in]: ['waiting', 'active']
+      }
+    };
+
+    if (!hasRole(req.operator, 'supervisor')) {
+      whereConditions[Op.or] = [
+        { status: 'waiting' },
+        { operatorId: req.operator.id }
+      ];
+    }
+
     const sessions = await ChatSession.findAll({
-      where: {
-        status: {
-          [Op.in]: ['waiting', 'active']
-        }
-      },
+      where: whereConditions,
       order: [
         ['status', 'ASC'], // waiting 优先
         ['updatedAt', 'DESC']
@@ -39,11 +128,7 @@ router.get('/sessions/active', validatePagination, async (req, res) => {
     });
 
     const totalCount = await ChatSession.count({
-      where: {
-        status: {
-          [Op.in]: ['waiting', 'active']
-        }
-      }
+      where: whereConditions
     });
 
     res.json({
@@ -72,15 +157,57 @@ router.get('/sessions/active', validatePagination, async (req, res) => {
   }
 });
 
+/**
+ * 获取等待队列（按接入顺序）
+ * GET /api/chat/queue
+ */
+router.get('/queue', authenticateOperator, async (req, res) => {
+  try {
+    const result = await QueueService.getQueue();
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'QUEUE_RETRIEVAL_FAILED',
+          message: result.message,
+          details: result.error
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        queue: result.queue,
+        count: result.count
+      },
+      message: result.message
+    });
+
+  } catch (error) {
+    console.error('Error in GET /queue:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
 /**
  * 获取所有历史会话列表（支持分页和搜索）
+ * 普通客服只能看到分配给自己的会话；传入上一页的 nextCursor 作为 cursor 时使用游标分页
  * GET /api/chat/sessions/history
  */
-router.get('/sessions/history', validatePagination, async (req, res) => {
+router.get('/sessions/history', authenticateOperator, validatePagination, async (req, res) => {
   try {
     const { 
       page = '1',
       limit = '100',
+      cursor,
       keyword,
       status,
       startDate,
@@ -91,11 +218,13 @@ router.get('/sessions/history', validatePagination, async (req, res) => {
     const options = {
       page: parseInt(page, 10),
       limit: parseInt(limit, 10),
+      cursor: cursor || null,
       keyword: keyword || null,
       status: status || null,
       startDate: startDate || null,
       endDate: endDate || null,
-      includeMessages: includeMessages === 'true'
+      includeMessages: includeMessages === 'true',
+      operatorId: hasRole(req.operator, 'supervisor') ? null : req.operator.id
     };
 
     // 验证分页参数
@@ -122,10 +251,11 @@ router.get('/sessions/history', validatePagination, async (req, res) => {
     const result = await ChatService.getAllHistorySessions(options);
 
     if (!result.success) {
-      return res.status(500).json({
+      const invalidCursor = result.error === 'Invalid cursor';
+      return res.status(invalidCursor ? 400 : 500).json({
         success: false,
         error: {
-          code: 'HISTORY_SESSIONS_RETRIEVAL_FAILED',
+          code: invalidCursor ? 'INVALID_CURSOR' : 'HISTORY_SESSIONS_RETRIEVAL_FAILED',
           message: result.message,
           details: result.error
         }
@@ -154,10 +284,74 @@ router.get('/sessions/history', validatePagination, async (req, res) => {
 });
 
 /**
- * 获取用户的聊天会话列表
+ * 全文搜索聊天消息，返回高亮片段和所属会话
+ * 普通客服只能搜索分配给自己的会话，operatorId 过滤仅对主管及以上生效
+ * GET /api/chat/search?q=invoice 4471
+ */
+router.get('/search', authenticateOperator, validatePagination, validateMessageSearch, async (req, res) => {
+  try {
+    const {
+      q,
+      limit = '20',
+      offset = '0',
+      startDate,
+      endDate,
+      operatorId,
+      groupName,
+      senderType,
+      status
+    } = req.query;
+
+    const options = {
+      query: q,
+      limit: parseInt(limit, 10),
+      offset: parseInt(offset, 10),
+      startDate: startDate || null,
+      endDate: endDate || null,
+      operatorId: hasRole(req.operator, 'supervisor') ? operatorId || null : req.operator.id,
+      groupName: groupName || null,
+      senderType: senderType || null,
+      status: status || null
+    };
+
+    const result = await ChatService.searchMessages(options);
+
+    if (!result.success) {
+      const invalidQuery = result.error === 'Invalid search query';
+      return res.status(invalidQuery ? 400 : 500).json({
+        success: false,
+        error: {
+          code: invalidQuery ? 'INVALID_SEARCH_QUERY' : 'MESSAGE_SEARCH_FAILED',
+          message: result.message,
+          details: result.error
+        }
+      });
+    }
+
+    res.paginated(result.results, {
+      total: result.total,
+      limit: options.limit,
+      offset: options.offset,
+      hasMore: options.offset + result.results.length < result.total
+    }, result.message);
+
+  } catch (error) {
+    console.error('Error in GET /search:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * 获取用户的聊天会话列表（主管及以上）
  * GET /api/chat/sessions/:userId
  */
-router.get('/sessions/:userId', validateUserId, validatePagination, async (req, res) => {
+router.get('/sessions/:userId', authenticateOperator, requireRole('supervisor'), validateUserId, validatePagination, async (req, res) => {
   try {
     const { userId } = req.params;
     const { 
@@ -278,10 +472,10 @@ router.post('/sessions', validateChatSession, async (req, res) => {
  * 关闭聊天会话
  * PUT /api/chat/sessions/:sessionId/close
  */
-router.put('/sessions/:sessionId/close', validateSessionId, async (req, res) => {
+router.put('/sessions/:sessionId/close', authenticateOperator, validateSessionId, requireSessionAccess(), async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { closedBy } = req.body;
+    const closedBy = req.operator.id;
 
     if (!sessionId) {
       return res.status(400).json({
@@ -307,6 +501,11 @@ router.put('/sessions/:sessionId/close', validateSessionId, async (req, res) =>
       });
     }
 
+    // 通知会话参与者，同步客服负载并自动分配等待中的会话
+    if (!result.alreadyEnded) {
+      await notifySessionEnded(result.session);
+    }
+
     res.json({
       success: true,
       data: {
@@ -331,7 +530,7 @@ router.put('/sessions/:sessionId/close', validateSessionId, async (req, res) =>
  * 获取会话的消息历史
  * GET /api/chat/messages/:sessionId
  */
-router.get('/messages/:sessionId', validateSessionId, validatePagination, validateMessageQuery, async (req, res) => {
+router.get('/messages/:sessionId', authenticateOperator, validateSessionId, requireSessionAccess(), validatePagination, validateMessageQuery, async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { 
@@ -418,13 +617,13 @@ router.get('/messages/:sessionId', validateSessionId, validatePagination, valida
 });
 
 /**
- * 标记会话消息为已读
+ * 标记会话消息为已读（以当前客服身份记录已读回执，并通知会话中的访客）
  * PUT /api/chat/messages/:sessionId/read
  */
-router.put('/messages/:sessionId/read', validateSessionId, async (req, res) => {
+router.put('/messages/:sessionId/read', authenticateOperator, validateSessionId, requireSessionAccess(), async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { readBy } = req.body;
+    const { messageIds } = req.body;
 
     if (!sessionId) {
       return res.status(400).json({
@@ -436,7 +635,21 @@ router.put('/messages/:sessionId/read', validateSessionId, async (req, res) => {
       });
     }
 
-    const result = await ChatService.markMessagesAsRead(sessionId, readBy);
+    if (messageIds !== undefined && !Array.isArray(messageIds)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_MESSAGE_IDS',
+          message: 'messageIds must be an array'
+        }
+      });
+    }
+
+    const result = await ChatService.markMessagesAsRead(
+      sessionId,
+      { id: req.operator.id, type: 'operator' },
+      messageIds || null
+    );
 
     if (!result.success) {
       const statusCode = result.error === 'Session not found' ? 404 : 500;
@@ -450,10 +663,13 @@ router.put('/messages/:sessionId/read', validateSessionId, async (req, res) => {
       });
     }
 
+    emitMessageReceipts('message-read', sessionId, result.receipts);
+
     res.json({
       success: true,
       data: {
         updatedCount: result.updatedCount,
+        receipts: result.receipts,
         session: result.session
       },
       message: result.message
@@ -475,7 +691,7 @@ router.put('/messages/:sessionId/read', validateSessionId, async (req, res) => {
  * 获取会话未读消息数量
  * GET /api/chat/messages/:sessionId/unread-count
  */
-router.get('/messages/:sessionId/unread-count', validateSessionId, async (req, res) => {
+router.get('/messages/:sessionId/unread-count', authenticateOperator, validateSessionId, requireSessionAccess(), async (req, res) => {
   try {
     const { sessionId } = req.params;
 
@@ -524,4 +740,326 @@ router.get('/messages/:sessionId/unread-count', validateSessionId, async (req, r
   }
 });
 
+/**
+ * 编辑或删除消息，仅发送者可在时间窗口内操作
+ */
+const changeMessage = (action) => async (req, res) => {
+  try {
+    const { sessionId, messageId } = req.params;
+    const editor = req.visitor
+      ? { id: req.visitor.userId, type: 'user' }
+      : { id: req.operator.id, type: 'operator' };
+
+    const result = action === 'edit'
+      ? await ChatService.editMessage(sessionId, messageId, editor, req.body.content)
+      : await ChatService.deleteMessage(sessionId, messageId, editor);
+
+    if (!result.success) {
+      const fallbackCode = action === 'edit' ? 'MESSAGE_EDIT_FAILED' : 'MESSAGE_DELETE_FAILED';
+      const [statusCode, code] = MESSAGE_CHANGE_ERRORS[result.error] || [500, fallbackCode];
+      return res.status(statusCode).json({
+        success: false,
+        error: {
+          code,
+          message: result.message,
+          details: result.error
+        }
+      });
+    }
+
+    if (action === 'delete' || result.changed) {
+      emitMessageChange(result.message);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        message: result.message
+      },
+      message: result.messageText
+    });
+
+  } catch (error) {
+    console.error(`Error in ${req.method} /sessions/:sessionId/messages/:messageId:`, error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+};
+
+/**
+ * 编辑消息
+ * 客服使用 Bearer 令牌，访客使用 X-Visitor-Token 请求头
+ * PUT /api/chat/sessions/:sessionId/messages/:messageId
+ */
+router.put('/sessions/:sessionId/messages/:messageId', authenticateParticipant, validateSessionId, validateMessageId, requireSessionParticipant, validateMessageEdit, changeMessage('edit'));
+
+/**
+ * 删除消息
+ * DELETE /api/chat/sessions/:sessionId/messages/:messageId
+ */
+router.delete('/sessions/:sessionId/messages/:messageId', authenticateParticipant, validateSessionId, validateMessageId, requireSessionParticipant, changeMessage('delete'));
+
+/**
+ * 上传会话附件（multipart/form-data，字段 file，可选 caption）
+ * 客服使用 Bearer 令牌，访客使用 X-Visitor-Token 请求头
+ * POST /api/chat/sessions/:sessionId/attachments
+ */
+router.post('/sessions/:sessionId/attachments', authenticateParticipant, validateSessionId, requireSessionParticipant, uploadSingleFile, validateAttachmentUpload, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const uploader = req.visitor
+      ? { id: req.visitor.userId, type: 'user' }
+      : { id: req.operator.id, type: 'operator' };
+
+    const result = await AttachmentService.uploadAttachment(sessionId, uploader, req.file, {
+      caption: req.body.caption
+    });
+
+    if (!result.success) {
+      const [statusCode, code] = ATTACHMENT_ERRORS[result.error] || [500, 'ATTACHMENT_UPLOAD_FAILED'];
+      return res.status(statusCode).json({
+        success: false,
+        error: {
+          code,
+          message: result.message,
+          details: result.error
+        }
+      });
+    }
+
+    emitAttachmentMessage(result);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        message: result.message,
+        attachment: result.attachment.toClientJSON()
+      },
+      message: result.messageText
+    });
+
+  } catch (error) {
+    console.error('Error in POST /sessions/:sessionId/attachments:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * 下载附件原文件或缩略图，仅会话参与者可访问
+ */
+const sendAttachment = (options) => async (req, res) => {
+  try {
+    const result = await AttachmentService.getAttachment(req.params.attachmentId);
+
+    if (!result.success) {
+      const statusCode = result.error === 'Attachment not found' ? 404 : 500;
+      return res.status(statusCode).json({
+        success: false,
+        error: {
+          code: result.error === 'Attachment not found' ? 'ATTACHMENT_NOT_FOUND' : 'ATTACHMENT_RETRIEVAL_FAILED',
+          message: result.message,
+          details: result.error
+        }
+      });
+    }
+
+    const { attachment } = result;
+    const session = await attachment.getSession();
+
+    if (!session || !isSessionParticipant(req, session)) {
+      return res.forbidden('You are not a participant of this session');
+    }
+
+    const file = await AttachmentService.openAttachment(attachment, options);
+
+    if (!file.success) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ATTACHMENT_FILE_NOT_FOUND',
+          message: file.message,
+          details: file.error
+        }
+      });
+    }
+
+    res.set({
+      'Content-Type': file.mimeType,
+      'Content-Disposition': `${options.thumbnail || attachment.isImage() ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(file.fileName)}`,
+      'Cache-Control': 'private, max-age=3600',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    file.stream.pipe(res);
+
+  } catch (error) {
+    console.error('Error in GET /attachments/:attachmentId:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+};
+
+/**
+ * 下载附件
+ * GET /api/chat/attachments/:attachmentId
+ */
+router.get('/attachments/:attachmentId', authenticateParticipant, validateAttachmentId, sendAttachment({ thumbnail: false }));
+
+/**
+ * 获取图片附件的缩略图
+ * GET /api/chat/attachments/:attachmentId/thumbnail
+ */
+router.get('/attachments/:attachmentId/thumbnail', authenticateParticipant, validateAttachmentId, sendAttachment({ thumbnail: true }));
+
+// 附件链接使用当前请求的协议和主机
+const requestBaseUrl = (req) => `${req.protocol}://${req.get('host')}`;
+
+/**
+ * 导出会话的聊天记录，客服和访客都只能导出自己参与的会话
+ * GET /api/chat/sessions/:sessionId/transcript?format=html|csv|json|pdf&timezone=Asia/Shanghai
+ */
+router.get('/sessions/:sessionId/transcript', authenticateParticipant, validateSessionId, requireSessionParticipant, validateTranscriptExport, async (req, res) => {
+  try {
+    const { format = 'html', timezone } = req.query;
+
+    const result = await TranscriptService.exportSession(req.params.sessionId, format, {
+      timeZone: timezone,
+      baseUrl: requestBaseUrl(req)
+    });
+
+    if (!result.success) {
+      const notFound = result.error === 'Session not found';
+      return res.status(notFound ? 404 : 500).json({
+        success: false,
+        error: {
+          code: notFound ? 'SESSION_NOT_FOUND' : 'TRANSCRIPT_EXPORT_FAILED',
+          message: result.message,
+          details: result.error
+        }
+      });
+    }
+
+    res.attachment(result.fileName);
+    res.type(result.contentType);
+    res.send(result.body);
+
+  } catch (error) {
+    console.error('Error in GET /sessions/:sessionId/transcript:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * 把会话的聊天记录发送到邮箱
+ * 会话进行中时在会话结束后发送，会话已结束时立即发送
+ * POST /api/chat/sessions/:sessionId/transcript/email
+ */
+router.post('/sessions/:sessionId/transcript/email', authenticateParticipant, validateSessionId, requireSessionParticipant, validateTranscriptEmail, async (req, res) => {
+  try {
+    const result = await TranscriptEmailService.requestTranscript(req.params.sessionId, req.body.email);
+
+    if (!result.success) {
+      const [statusCode, code] = TRANSCRIPT_EMAIL_ERRORS[result.error] || [500, 'TRANSCRIPT_EMAIL_FAILED'];
+      return res.status(statusCode).json({
+        success: false,
+        error: {
+          code,
+          message: result.message,
+          details: result.error
+        }
+      });
+    }
+
+    const { transcriptEmail } = result;
+
+    res.status(202).json({
+      success: true,
+      data: {
+        transcriptEmail: {
+          id: transcriptEmail.id,
+          sessionId: transcriptEmail.sessionId,
+          email: transcriptEmail.email,
+          status: transcriptEmail.status
+        }
+      },
+      message: result.message
+    });
+
+  } catch (error) {
+    console.error('Error in POST /sessions/:sessionId/transcript/email:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * 批量导出聊天记录，筛选条件与历史会话列表相同，以 ZIP 流返回
+ * 普通客服只能导出分配给自己的会话
+ * GET /api/chat/transcripts/export?format=pdf&startDate=2024-01-01&endDate=2024-01-31
+ */
+router.get('/transcripts/export', authenticateOperator, validateTranscriptExport, validateTranscriptFilter, async (req, res) => {
+  const { format = 'html', timezone, keyword, status, startDate, endDate } = req.query;
+
+  const filter = {
+    keyword: keyword || null,
+    status: status || null,
+    startDate: startDate || null,
+    endDate: endDate || null,
+    operatorId: hasRole(req.operator, 'supervisor') ? null : req.operator.id
+  };
+
+  res.attachment(`transcripts-${new Date().toISOString().slice(0, 10)}.zip`);
+  res.type('application/zip');
+
+  try {
+    await TranscriptService.writeArchive(filter, format, {
+      timeZone: timezone,
+      baseUrl: requestBaseUrl(req)
+    }, res);
+  } catch (error) {
+    console.error('Error in GET /transcripts/export:', error);
+
+    // ZIP 已经开始输出时无法再返回错误响应，直接断开连接
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.removeHeader('Content-Disposition');
+    res.removeHeader('Content-Type');
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'TRANSCRIPT_EXPORT_FAILED',
+        message: 'Failed to export transcripts'
+      }
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -2,22 +2,41 @@ var express = require("express");
 const { v4: uuidv4 } = require("uuid");
 var router = express.Router();
 var socketIo = require("socket.io");
+const { createAdapter } = require("@socket.io/redis-adapter");
 var io;
 let connectedUsers = [];
 let rooms = [];
 
 const ChatService = require('../services/ChatService');
 const NotificationService = require('../services/NotificationService');
+const WebhookService = require('../services/WebhookService');
 const OperatorService = require('../services/OperatorService');
+const SessionTimeoutService = require('../services/SessionTimeoutService');
+const QueueService = require('../services/QueueService');
+const DispatchService = require('../services/DispatchService');
+const ConnectionRegistry = require('../services/ConnectionRegistry');
+const CannedResponseService = require('../services/CannedResponseService');
+const TranscriptEmailService = require('../services/TranscriptEmailService');
+const SessionRatingService = require('../services/SessionRatingService');
+const VisitorPresenceService = require('../services/VisitorPresenceService');
+const InvitationRuleService = require('../services/InvitationRuleService');
 const { ChatSession } = require('../models');
+const AuthService = require('../services/AuthService');
+const { authenticateSocket, hasRole, canAccessSession, VISITOR_TOKEN_ERROR_CODES } = require('../middleware/auth');
+const { createRedisClient } = require('../config/redis');
 
 // 初始化 notification 服务
 const notificationService = new NotificationService();
 
-// 存储活跃的聊天连接
-let chatConnections = new Map(); // socketId -> { userId, sessionId, type: 'user'|'operator' }
-// Store operator ID mapping: clientOperatorId -> actualOperatorId
-let operatorIdMapping = new Map();
+// 所有客服连接加入的房间，用于向全部客服广播通知
+const OPERATORS_ROOM = 'operators';
+
+// 访客输入指示器：广播节流间隔、未收到停止事件时的自动过期时间，以及草稿预览（sneak peek）开关
+const TYPING_THROTTLE_MS = parseInt(process.env.CHAT_TYPING_THROTTLE_MS, 10) || 1000;
+const TYPING_TIMEOUT_MS = parseInt(process.env.CHAT_TYPING_TIMEOUT_MS, 10) || 5000;
+const TYPING_PREVIEW_ENABLED = process.env.CHAT_TYPING_PREVIEW === 'true';
+const TYPING_PREVIEW_MAX_LENGTH = 1000;
+
 //创建路由验证房间是否存在
 router.get("/api/room-exists/:roomId", (req, res) => {
   const { roomId } = req.params;
@@ -48,13 +67,393 @@ router.get("/api/room-exists/:roomId", (req, res) => {
 });
 
 
+// 向所有客服广播因并发上限自动切换的客服状态
+const broadcastOperatorCapacityStatus = ({ operator, activeSessions }) => {
+  io.to(OPERATORS_ROOM).emit("operator-status-changed", {
+    operatorId: operator.id,
+    operatorName: operator.name,
+    status: operator.status,
+    activeSessions,
+    maxConcurrentSessions: operator.maxConcurrentSessions,
+    automatic: true,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// 按客服当前负载同步忙碌/在线状态，状态变化时广播
+const syncOperatorCapacity = async (operatorId) => {
+  const capacityResult = await OperatorService.syncOperatorCapacityStatus(operatorId);
+  if (capacityResult.success && capacityResult.changed) {
+    broadcastOperatorCapacityStatus(capacityResult);
+  }
+  return capacityResult;
+};
+
+// 向会话房间推送系统消息
+const emitSystemMessage = (sessionId, message) => {
+  if (!io) {
+    return;
+  }
+
+  io.to(`chat-session-${sessionId}`).emit("message-received", {
+    id: message.id,
+    sessionId: message.sessionId,
+    senderId: message.senderId,
+    senderType: message.senderType,
+    content: message.content,
+    messageType: message.messageType,
+    timestamp: message.createdAt.toISOString()
+  });
+};
+
+// 向会话房间推送附件消息，访客发送的附件同时通知所有客服
+const emitAttachmentMessage = ({ message, attachment, session }) => {
+  if (!io) {
+    return;
+  }
+
+  io.to(`chat-session-${message.sessionId}`).emit("message-received", {
+    id: message.id,
+    sessionId: message.sessionId,
+    senderId: message.senderId,
+    senderType: message.senderType,
+    content: message.content,
+    messageType: message.messageType,
+    groupName: message.groupName,
+    attachment: attachment.toClientJSON(),
+    timestamp: message.createdAt.toISOString()
+  });
+
+  if (message.senderType === 'user') {
+    io.to(OPERATORS_ROOM).emit("new-message-notification", {
+      sessionId: message.sessionId,
+      userId: message.senderId,
+      userName: session.userName || '访客',
+      groupName: session.groupName || '企业',
+      content: message.content,
+      timestamp: message.createdAt.toISOString(),
+      messageType: message.messageType
+    });
+  }
+};
+
+// 向会话房间推送消息编辑（message-updated）或删除（message-deleted）
+const emitMessageChange = (message) => {
+  if (!io) {
+    return;
+  }
+
+  if (message.isDeleted) {
+    io.to(`chat-session-${message.sessionId}`).emit("message-deleted", {
+      id: message.id,
+      sessionId: message.sessionId,
+      deletedAt: message.deletedAt,
+      timestamp: new Date().toISOString()
+    });
+    return;
+  }
+
+  io.to(`chat-session-${message.sessionId}`).emit("message-updated", {
+    id: message.id,
+    sessionId: message.sessionId,
+    content: message.content,
+    isEdited: message.isEdited,
+    editedAt: message.editedAt,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// 向会话房间推送送达/已读回执（message-delivered / message-read）
+const emitMessageReceipts = (event, sessionId, receipts = []) => {
+  if (!io || receipts.length === 0) {
+    return;
+  }
+
+  io.to(`chat-session-${sessionId}`).emit(event, {
+    sessionId,
+    recipientId: receipts[0].recipientId,
+    recipientType: receipts[0].recipientType,
+    receipts: receipts.map(receipt => ({
+      messageId: receipt.messageId,
+      deliveredAt: receipt.deliveredAt,
+      readAt: receipt.readAt
+    })),
+    timestamp: new Date().toISOString()
+  });
+};
+
+// 会话以 completed 结束后邀请访客评价（客服连接都在客服房间中，不会收到）
+const emitSurveyRequest = (session) => {
+  if (!io || session.status !== 'completed') {
+    return;
+  }
+
+  io.to(`chat-session-${session.id}`).except(OPERATORS_ROOM).emit("survey-request", {
+    sessionId: session.id,
+    operatorId: session.operatorId,
+    minRating: 1,
+    maxRating: 5,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// 将分配的会话推送给客服，并让客服的连接加入会话房间
+const notifyDispatchedOperator = async ({ session, operator, statusChanged, autoAssigned = true }) => {
+  const historyResult = await ChatService.getMessageHistory(session.id, {
+    limit: 50,
+    order: 'ASC'
+  });
+
+  // 客服的连接可能分布在多个实例上，通过个人房间统一处理
+  await ConnectionRegistry.setOperatorSession(operator.id, session.id);
+  io.in(`operator-${operator.id}`).socketsJoin(`chat-session-${session.id}`);
+
+  io.to(`operator-${operator.id}`).emit("operator-session-joined", {
+    sessionId: session.id,
+    operatorId: operator.id,
+    operatorName: operator.name,
+    sessionStatus: session.status,
+    visitorContext: session.visitorContext || null,
+    autoAssigned,
+    timestamp: new Date().toISOString()
+  });
+
+  if (historyResult.success) {
+    io.to(`operator-${operator.id}`).emit("message-history", {
+      sessionId: session.id,
+      messages: historyResult.messages,
+      pagination: historyResult.pagination
+    });
+  }
+
+  // 通知用户客服已接入
+  io.to(`chat-session-${session.id}`).emit("operator-joined", {
+    sessionId: session.id,
+    operatorId: operator.id,
+    operatorName: operator.name,
+    timestamp: new Date().toISOString()
+  });
+
+  if (statusChanged) {
+    const activeSessions = await ChatSession.countActiveSessionsByOperator(operator.id);
+    broadcastOperatorCapacityStatus({ operator, activeSessions });
+  }
+
+  console.log(`Session ${session.id} ${autoAssigned ? 'auto-assigned' : 'assigned'} to operator ${operator.id}`);
+};
+
+// 自动分配等待会话（未开启自动分配时不做任何处理）
+// 传入 sessionId 时只分配该会话，否则按队列顺序分配
+const autoDispatch = async (sessionId = null) => {
+  if (!DispatchService.isEnabled()) {
+    return;
+  }
+
+  try {
+    const options = { eligibleOperatorIds: await ConnectionRegistry.getConnectedOperatorIds() };
+    const result = sessionId
+      ? await DispatchService.dispatchSession(sessionId, options)
+      : await DispatchService.dispatchQueue(options);
+
+    if (!result.success) {
+      console.error('Auto dispatch failed:', result.message);
+      return;
+    }
+
+    const assignments = sessionId ? [result].filter(item => item.assigned) : result.assignments;
+    for (const assignment of assignments) {
+      await notifyDispatchedOperator(assignment);
+    }
+
+    if (assignments.length > 0) {
+      await QueueService.broadcastPositions(io);
+    }
+  } catch (error) {
+    console.error('Error in auto dispatch:', error);
+  }
+};
+
+// 推送不是由 user-join-chat 创建的新会话（集成接口发起、访客接受规则邀请）：进入等待队列，通知管理系统和在线客服
+const notifySessionOpened = async (session, operatorMessage = '外部系统发起了聊天') => {
+  const queueResult = await QueueService.enqueue(session);
+
+  await notificationService.sendNewChatNotification({
+    sessionId: session.id,
+    userId: session.userId,
+    message: "New chat session started",
+    timestamp: new Date()
+  });
+
+  if (!io) {
+    return;
+  }
+
+  if (queueResult.success) {
+    await QueueService.broadcastPositions(io);
+  }
+
+  io.to(OPERATORS_ROOM).emit("new-chat-notification", {
+    sessionId: session.id,
+    userId: session.userId,
+    userName: session.userName || '访客',
+    groupName: session.groupName || null,
+    queuePosition: queueResult.success ? queueResult.position : null,
+    timestamp: new Date().toISOString(),
+    message: operatorMessage
+  });
+};
+
+// 推送在 Socket 之外结束的会话（集成接口关闭、聊天 API 关闭）：移出等待队列，通知参与者，发送聊天记录邮件，
+// 同步客服负载并用空出的名额分配等待中的会话
+const notifySessionEnded = async (session) => {
+  const queueRemoval = await QueueService.remove(session.id);
+  await TranscriptEmailService.sendPendingForSession(session.id);
+
+  if (!io) {
+    return;
+  }
+
+  if (queueRemoval.removed) {
+    await QueueService.broadcastPositions(io);
+  }
+
+  io.to(`chat-session-${session.id}`).emit("session-ended", {
+    sessionId: session.id,
+    operatorId: session.operatorId,
+    status: session.status,
+    reason: session.endReason,
+    endedBy: session.endedBy,
+    timestamp: new Date().toISOString()
+  });
+  emitSurveyRequest(session);
+
+  if (session.operatorId) {
+    await syncOperatorCapacity(session.operatorId);
+  }
+  await autoDispatch();
+};
+
+// 推送在 Socket 之外分配的会话（客服 API 分配）：移出等待队列，同步客服负载，通知客服和访客；
+// 重新分配时原客服离开会话房间
+const notifySessionAssigned = async ({ session, operator, previousOperatorId = null }) => {
+  const queueRemoval = await QueueService.remove(session.id, { pickedUp: true });
+
+  if (!io) {
+    return;
+  }
+
+  if (queueRemoval.removed) {
+    await QueueService.broadcastPositions(io);
+  }
+
+  if (previousOperatorId && previousOperatorId !== operator.id) {
+    await removeOperatorFromSession(previousOperatorId, session.id);
+    await syncOperatorCapacity(previousOperatorId);
+  }
+
+  await syncOperatorCapacity(operator.id);
+  await notifyDispatchedOperator({ session, operator, statusChanged: false, autoAssigned: false });
+};
+
+// 让客服的所有连接（包括其他实例上的连接）离开会话房间
+const removeOperatorFromSession = async (operatorId, sessionId) => {
+  io.in(`operator-${operatorId}`).socketsLeave(`chat-session-${sessionId}`);
+  await ConnectionRegistry.setOperatorSession(operatorId, null, { onlyFrom: sessionId });
+};
+
+// 推送转接请求：指定目标客服时请其确认（原客服在接受前仍留在会话中），退回队列时原客服立即离开会话
+const notifyTransferRequested = async ({ session, transfer, requeued, systemMessage }) => {
+  if (!io) {
+    return;
+  }
+
+  if (systemMessage) {
+    emitSystemMessage(session.id, systemMessage);
+  }
+
+  if (!requeued) {
+    io.to(`operator-${transfer.toOperatorId}`).emit("session-transfer-request", {
+      sessionId: session.id,
+      transferId: transfer.id,
+      fromOperatorId: transfer.fromOperatorId,
+      note: transfer.note,
+      userId: session.userId,
+      userName: session.userName || '访客',
+      groupName: session.groupName || null,
+      timestamp: transfer.requestedAt
+    });
+    return;
+  }
+
+  await removeOperatorFromSession(transfer.fromOperatorId, session.id);
+  io.to(`chat-session-${session.id}`).emit("session-transferred", {
+    sessionId: session.id,
+    transferId: transfer.id,
+    fromOperatorId: transfer.fromOperatorId,
+    toOperatorId: null,
+    requeued: true,
+    timestamp: new Date().toISOString()
+  });
+
+  await QueueService.enqueue(session);
+  await QueueService.broadcastPositions(io);
+  await syncOperatorCapacity(transfer.fromOperatorId);
+};
+
+/**
+ * 确定加入聊天的访客身份
+ * 携带 visitorToken 时使用令牌中签名的 userId / userName / groupName，
+ * 否则分配服务端生成的匿名ID（客户端传入的 userId 不再被信任）
+ * @param {Object} data - user-join-chat 事件数据
+ * @returns {Object} 访客身份，匿名访客附带用于恢复会话的 visitorToken
+ */
+const resolveVisitorIdentity = (data = {}) => {
+  const { visitorToken, userName = null, groupName = null } = data;
+
+  if (!visitorToken) {
+    const { visitor, token } = AuthService.createAnonymousVisitor({ userName, groupName });
+    return { success: true, visitor, visitorToken: token };
+  }
+
+  const result = AuthService.verifyVisitorToken(visitorToken);
+  if (!result.success) {
+    return {
+      success: false,
+      code: VISITOR_TOKEN_ERROR_CODES[result.error] || 'INVALID_VISITOR_TOKEN',
+      message: result.message
+    };
+  }
+
+  return { success: true, visitor: result.visitor, visitorToken };
+};
+
+/**
+ * 读取聊天窗口上报的页面信息，未上报浏览器和语言时使用连接握手时的请求头
+ * @param {Object} data - 事件数据 { url, title, referrer, userAgent, locale, timeOnPage }
+ * @param {Object} socket - 访客的 socket
+ * @returns {Object} 页面信息
+ */
+const readVisitorPage = (data, socket) => {
+  const headers = socket.handshake.headers || {};
+  const acceptLanguage = headers['accept-language'] || '';
+
+  return {
+    url: data.url,
+    title: data.title,
+    referrer: data.referrer,
+    userAgent: data.userAgent || headers['user-agent'],
+    locale: data.locale || acceptLanguage.split(',')[0].split(';')[0],
+    timeOnPage: data.timeOnPage
+  };
+};
+
 // module.exports = router;
 module.exports = {
   indexRouter: router,
   init: function (server) {
     //初始化房间和用户
     // 传递server对象，初始化一个io实例
-    // const io = socketIo(server, {
+    // io = socketIo(server, {
     //   cors: {
     //     origin: ["http://localhost:7800", "http://127.0.0.1:7800","http://lshj.dev.northking.net", "http://dghj.product.northking.net"],
     //     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
@@ -63,7 +462,7 @@ module.exports = {
     //   },
     // });
 
-const io = socketIo(server, {
+io = socketIo(server, {
   cors: {
     origin: "*",
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
@@ -72,12 +471,111 @@ const io = socketIo(server, {
   },
 });
 
+    // 多实例部署时通过 Redis 适配器在实例之间转发房间广播，Redis 不可用时只在本实例内投递
+    const pubClient = createRedisClient();
+    const subClient = pubClient.duplicate();
+    subClient.on('error', (err) => {
+      console.error('Redis Subscriber Error:', err);
+    });
+    Promise.all([pubClient.connect(), subClient.connect()])
+      .then(() => {
+        io.adapter(createAdapter(pubClient, subClient));
+        console.log('Socket.IO Redis adapter enabled');
+      })
+      .catch((error) => {
+        console.error('Failed to enable Socket.IO Redis adapter, using in-memory adapter:', error);
+      });
+
+    // 握手时校验客服令牌，未携带令牌的连接按访客处理
+    io.use(authenticateSocket);
+
+    // 获取握手时认证的客服ID，未认证的连接返回 null
+    const getAuthenticatedOperatorId = (socket, { silent = false } = {}) => {
+      if (socket.data.operator) {
+        return socket.data.operator.id;
+      }
+
+      if (!silent) {
+        socket.emit("chat-error", {
+          error: "Operator authentication required",
+          code: "UNAUTHORIZED"
+        });
+      }
+      return null;
+    };
+
+    // 按 REST 接口 requireSessionAccess 的规则检查客服能否操作会话，不能操作时向客服发送错误
+    // 返回会话对象，会话不存在或无权访问时返回 null
+    const authorizeOperatorSession = async (socket, sessionId, options = {}) => {
+      const session = await ChatSession.findByPk(sessionId);
+
+      if (!session) {
+        socket.emit("chat-error", {
+          error: "Chat session does not exist",
+          code: "SESSION_NOT_FOUND"
+        });
+        return null;
+      }
+
+      if (!canAccessSession(socket.data.operator, session, options)) {
+        socket.emit("chat-error", {
+          error: "Session is not assigned to you",
+          code: "FORBIDDEN"
+        });
+        return null;
+      }
+
+      return session;
+    };
+
+    // 启动通知 outbox 投递任务（包括重启前未投递的通知）
+    notificationService.start();
+    // Webhook 事件入队后立即投递
+    WebhookService.onQueued = () => notificationService.schedule();
+
+    // 定时为本实例的连接记录续期，实例退出后其连接记录随 TTL 过期
+    const connectionHeartbeat = setInterval(() => {
+      ConnectionRegistry.refresh(Array.from(io.sockets.sockets.keys())).catch((error) => {
+        console.error('Error refreshing chat connections:', error);
+      });
+
+      const visitorIds = Array.from(io.sockets.sockets.values())
+        .filter(socket => socket.data.visitor)
+        .map(socket => socket.data.visitor.userId);
+      VisitorPresenceService.refresh(visitorIds).catch((error) => {
+        console.error('Error refreshing visitor presence:', error);
+      });
+    }, ConnectionRegistry.ttlSeconds * 500);
+    if (connectionHeartbeat.unref) {
+      connectionHeartbeat.unref();
+    }
+
+
+    // 启动空闲会话超时清理任务，关闭会话后同步客服负载并自动分配等待会话
+    const sessionTimeoutService = new SessionTimeoutService({
+      io,
+      onSessionEnded: emitSurveyRequest,
+      onOperatorReleased: syncOperatorCapacity,
+      onSessionsClosed: () => autoDispatch()
+    });
+    sessionTimeoutService.start();
 
 
     // 服务器监听客户端socketIo连接
     io.on("connection", (socket) => {
       console.log(`用户已实现socket连接${socket.id}`);
 
+      // 已认证的客服加入客服房间和个人房间，用于接收新会话通知和转接请求等定向通知
+      if (socket.data.operator) {
+        const operatorId = socket.data.operator.id;
+        socket.join(OPERATORS_ROOM);
+        socket.join(`operator-${operatorId}`);
+        ConnectionRegistry.set(socket.id, { type: 'operator', operatorId, sessionId: null })
+          .catch((error) => {
+            console.error('Error registering operator connection:', error);
+          });
+      }
+
       socket.on("create-new-room", (data) => {
         createNewRoomHandler(data, socket);
       });
@@ -119,6 +617,10 @@ const io = socketIo(server, {
         operatorSendMessageHandler(data, socket);
       });
 
+      socket.on("operator-send-canned-response", (data) => {
+        operatorSendCannedResponseHandler(data, socket);
+      });
+
       socket.on("operator-status-change", (data) => {
         operatorStatusChangeHandler(data, socket);
       });
@@ -131,6 +633,14 @@ const io = socketIo(server, {
         operatorStopTypingHandler(data, socket);
       });
 
+      socket.on("user-typing", (data) => {
+        userTypingHandler(data, socket);
+      });
+
+      socket.on("user-stop-typing", () => {
+        stopUserTyping(socket);
+      });
+
       socket.on("get-message-history", (data) => {
         getMessageHistoryHandler(data, socket);
       });
@@ -142,6 +652,62 @@ const io = socketIo(server, {
       socket.on("operator-reconnect-session", (data) => {
         operatorReconnectSessionHandler(data, socket);
       });
+
+      socket.on("operator-transfer-session", (data) => {
+        operatorTransferSessionHandler(data, socket);
+      });
+
+      socket.on("operator-accept-transfer", (data) => {
+        operatorRespondTransferHandler(data, socket, true);
+      });
+
+      socket.on("operator-decline-transfer", (data) => {
+        operatorRespondTransferHandler(data, socket, false);
+      });
+
+      socket.on("message-delivered", (data) => {
+        messageReceiptHandler(data, socket, 'delivered');
+      });
+
+      socket.on("message-read", (data) => {
+        messageReceiptHandler(data, socket, 'read');
+      });
+
+      socket.on("message-edit", (data) => {
+        messageChangeHandler(data, socket, 'edit');
+      });
+
+      socket.on("message-delete", (data) => {
+        messageChangeHandler(data, socket, 'delete');
+      });
+
+      socket.on("survey-submit", (data) => {
+        surveySubmitHandler(data, socket);
+      });
+
+      socket.on("visitor-presence", (data) => {
+        visitorPresenceHandler(data, socket);
+      });
+
+      socket.on("visitor-page-view", (data) => {
+        visitorPageViewHandler(data, socket);
+      });
+
+      socket.on("get-visitors-on-site", (data) => {
+        getVisitorsOnSiteHandler(data, socket);
+      });
+
+      socket.on("operator-invite-visitor", (data) => {
+        operatorInviteVisitorHandler(data, socket);
+      });
+
+      socket.on("visitor-accept-invitation", (data) => {
+        visitorRespondInvitationHandler(data, socket, true);
+      });
+
+      socket.on("visitor-decline-invitation", (data) => {
+        visitorRespondInvitationHandler(data, socket, false);
+      });
     });
 
     // socket.io handler
@@ -223,7 +789,7 @@ const io = socketIo(server, {
       });
     };
 
-    const disconnectHandler = (socket) => {
+    const disconnectHandler = async (socket) => {
       // Handle video conference disconnection
       const user = connectedUsers.find((user) => user.socketId === socket.id);
 
@@ -253,8 +819,29 @@ const io = socketIo(server, {
         }
       }
 
+      clearUserTyping(socket.id);
+
+      // 访客离开网站
+      clearInvitationRuleTimers(socket.id);
+      if (socket.data.visitor) {
+        const { userId } = socket.data.visitor;
+        const leftVisitor = await VisitorPresenceService.remove(userId, socket.id).catch((error) => {
+          console.error("Error removing visitor presence:", error);
+          return null;
+        });
+        if (leftVisitor) {
+          io.to(OPERATORS_ROOM).emit("visitor-left", {
+            userId,
+            timestamp: new Date().toISOString()
+          });
+        }
+      }
+
       // Handle chat disconnection
-      const chatConnection = chatConnections.get(socket.id);
+      const chatConnection = await ConnectionRegistry.remove(socket.id).catch((error) => {
+        console.error("Error removing chat connection:", error);
+        return null;
+      });
       if (chatConnection) {
         const { sessionId, type, userId, operatorId } = chatConnection;
         
@@ -273,26 +860,26 @@ const io = socketIo(server, {
           });
         }
 
-        // If operator disconnected, update their status to offline
+        // If operator disconnected and has no other connections on any instance, update their status to offline
         if (type === 'operator' && operatorId) {
-          OperatorService.updateOperatorStatus(operatorId, 'offline')
-            .then((result) => {
-              if (result.success) {
-                // Broadcast operator offline status
-                socket.broadcast.emit("operator-status-changed", {
-                  operatorId,
-                  status: 'offline',
-                  timestamp: new Date().toISOString()
-                });
-              }
-            })
-            .catch((error) => {
-              console.error("Error updating operator status on disconnect:", error);
-            });
+          const remainingSocketIds = await ConnectionRegistry.getOperatorSocketIds(operatorId);
+          if (remainingSocketIds.length === 0) {
+            OperatorService.updateOperatorStatus(operatorId, 'offline')
+              .then((result) => {
+                if (result.success) {
+                  // Broadcast operator offline status
+                  socket.broadcast.emit("operator-status-changed", {
+                    operatorId,
+                    status: 'offline',
+                    timestamp: new Date().toISOString()
+                  });
+                }
+              })
+              .catch((error) => {
+                console.error("Error updating operator status on disconnect:", error);
+              });
+          }
         }
-
-        // Remove from chat connections
-        chatConnections.delete(socket.id);
       }
     };
 
@@ -341,23 +928,27 @@ const io = socketIo(server, {
     // 用户加入对话处理函数
     const  userJoinChatHandler = async (data, socket) => {
       try {
-        const { userId, userName, groupName } = data;
-
-        console.log('*****groupName **------**',groupName )
-        
-        // 验证用户ID是否存在
-        if (!userId) {
+        // 校验访客令牌，未携带令牌的访客分配匿名ID
+        const identity = resolveVisitorIdentity(data);
+        if (!identity.success) {
           socket.emit("chat-error", { 
-            error: "User ID is required",
-            code: "MISSING_USER_ID"
+            error: identity.message,
+            code: identity.code
           });
           return;
         }
 
+        const { userId, userName, groupName, anonymous } = identity.visitor;
+        socket.data.visitor = identity.visitor;
+
         console.log(`User ${userId} joining chat with socket ${socket.id}`);
 
         // 创建或获取现有的聊天会话
-        const sessionResult = await ChatService.createChatSession(userId, { userName, groupName });
+        const sessionResult = await ChatService.createChatSession(userId, {
+          userName,
+          groupName,
+          isAnonymous: anonymous === true
+        });
         
         // 检查会话创建是否成功
         if (!sessionResult.success) {
@@ -370,8 +961,8 @@ const io = socketIo(server, {
 
         const { session, isNew } = sessionResult;
 
-        // 存储连接信息到内存映射中
-        chatConnections.set(socket.id, {
+        // 登记连接信息
+        await ConnectionRegistry.set(socket.id, {
           userId,
           sessionId: session.id,
           type: 'user'
@@ -384,11 +975,51 @@ const io = socketIo(server, {
         socket.emit("chat-session-created", {
           sessionId: session.id,
           userId,
+          visitorToken: identity.visitorToken,
           status: session.status,
           isNew,
           timestamp: new Date().toISOString()
         });
 
+        // 记录访客所在页面，作为会话的访客信息快照（已通过 visitor-presence 登记的访客沿用登记的信息）
+        // 在线状态和快照只是辅助信息，出错时不影响会话继续建立
+        try {
+          const page = readVisitorPage(data, socket);
+          const visitor = (data.url && await VisitorPresenceService.recordPageView(userId, page))
+            || await VisitorPresenceService.get(userId)
+            || await VisitorPresenceService.register(socket.id, identity.visitor, page);
+          broadcastVisitorPresence(visitor);
+          await syncVisitorContext(visitor);
+        } catch (error) {
+          console.error("Error syncing visitor context:", error);
+        }
+
+        // 访客加入时提供了邮箱，会话结束后发送聊天记录
+        if (data.email) {
+          const emailResult = await TranscriptEmailService.requestTranscript(session.id, data.email);
+          if (!emailResult.success) {
+            socket.emit("chat-error", {
+              error: emailResult.message,
+              code: emailResult.error === 'Invalid email' ? "INVALID_TRANSCRIPT_EMAIL" : "TRANSCRIPT_EMAIL_FAILED"
+            });
+          }
+        }
+
+        // 尚未分配客服的会话进入等待队列，并告知用户当前排队位置
+        let queueResult = null;
+        if (!session.operatorId) {
+          queueResult = await QueueService.enqueue(session);
+          if (queueResult.success) {
+            socket.emit("queue-position", {
+              sessionId: session.id,
+              position: queueResult.position,
+              queueLength: queueResult.queueLength,
+              estimatedWaitSeconds: queueResult.estimatedWaitSeconds,
+              timestamp: new Date().toISOString()
+            });
+          }
+        }
+
         // 如果是新会话，发送通知到管理系统和在线客服
         if (isNew) {
           await notificationService.sendNewChatNotification({
@@ -399,22 +1030,24 @@ const io = socketIo(server, {
           });
           
           // 直接向所有在线客服发送新聊天通知
-          for (const [socketId, connection] of chatConnections.entries()) {
-            if (connection.type === 'operator') {
-              io.to(socketId).emit("new-chat-notification", {
-                sessionId: session.id,
-                userId,
-                userName: userName || '访客',
-                groupName: groupName || null,
-                timestamp: new Date().toISOString(),
-                message: '用户发起了聊天请求'
-              });
-            }
-          }
+          io.to(OPERATORS_ROOM).emit("new-chat-notification", {
+            sessionId: session.id,
+            userId,
+            userName: userName || '访客',
+            groupName: groupName || null,
+            queuePosition: queueResult && queueResult.success ? queueResult.position : null,
+            timestamp: new Date().toISOString(),
+            message: '用户发起了聊天请求'
+          });
           
           console.log(`New chat session ${session.id} notification sent to all online operators`);
         }
 
+        // 开启自动分配时直接为等待中的会话分配客服
+        if (!session.operatorId) {
+          await autoDispatch(session.id);
+        }
+
         // 加载并发送消息历史记录
         const historyResult = await ChatService.getMessageHistory(session.id, {
           limit: 50,
@@ -445,9 +1078,9 @@ const io = socketIo(server, {
     const userSendMessageHandler = async (data, socket) => {
       try {
         const { content, messageType = 'text' } = data;
-        const connection = chatConnections.get(socket.id);
+        const connection = await ConnectionRegistry.get(socket.id);
 
-        if (!connection) {
+        if (!connection || connection.type !== 'user') {
           socket.emit("chat-error", { 
             error: "User not connected to chat",
             code: "NOT_CONNECTED"
@@ -483,6 +1116,9 @@ const io = socketIo(server, {
 
         const { message, session } = messageResult;
 
+        // 消息已发出，结束访客的输入状态
+        stopUserTyping(socket);
+
         // Broadcast message to all participants in the session
         const messageData = {
           id: message.id,
@@ -498,24 +1134,20 @@ const io = socketIo(server, {
         io.to(`chat-session-${sessionId}`).emit("message-received", messageData);
 
         // 广播新消息通知给所有在线客服
-        for (const [socketId, connection] of chatConnections.entries()) {
-          if (connection.type === 'operator') {
-            io.to(socketId).emit("new-message-notification", {
-              sessionId,
-              userId,
-              userName: session.userName || '访客',
-              groupName: session.groupName || '企业',
-              content: content.trim(),
-              timestamp: message.createdAt.toISOString(),
-              messageType
-            });
-            console.log(`消息通知已发送给客服 ${connection.operatorId || socketId}`);
-          }
-        }
+        io.to(OPERATORS_ROOM).emit("new-message-notification", {
+          sessionId,
+          userId,
+          userName: session.userName || '访客',
+          groupName: session.groupName || '企业',
+          content: content.trim(),
+          timestamp: message.createdAt.toISOString(),
+          messageType
+        });
 
         // Send notification to admin system
         await notificationService.sendMessageNotification({
           sessionId,
+          messageId: message.id,
           senderId: userId,
           senderType: 'user',
           content: content.trim(),
@@ -535,39 +1167,59 @@ const io = socketIo(server, {
 
     const operatorJoinSessionHandler = async (data, socket) => {
       try {
-        const { operatorId, sessionId } = data;
+        const actualOperatorId = getAuthenticatedOperatorId(socket);
+        if (!actualOperatorId) {
+          return;
+        }
+
+        const { sessionId } = data;
 
-        if (!operatorId || !sessionId) {
+        if (!sessionId) {
           socket.emit("chat-error", { 
-            error: "Operator ID and Session ID are required",
+            error: "Session ID is required",
             code: "MISSING_REQUIRED_FIELDS"
           });
           return;
         }
 
-        // 获取实际的客服ID
-        const actualOperatorId = operatorIdMapping.get(operatorId) || operatorId;
-        console.log(`Operator ${operatorId} (actual: ${actualOperatorId}) joining session ${sessionId} with socket ${socket.id}`);
+        console.log(`Operator ${actualOperatorId} joining session ${sessionId} with socket ${socket.id}`);
+
+        // 客服只能接入尚未分配的会话或自己的会话
+        if (!await authorizeOperatorSession(socket, sessionId, { allowUnassigned: true })) {
+          return;
+        }
 
-        // Assign operator to session
-        console.log('Calling ChatService.assignOperatorToSession...');
-        const assignResult = await ChatService.assignOperatorToSession(sessionId, actualOperatorId);
-        console.log('assignOperatorToSession result:', assignResult);
+        // 只有主管及以上可以接管已分配给其他客服的会话
+        const assignResult = await ChatService.assignOperatorToSession(sessionId, actualOperatorId, {
+          allowReassign: hasRole(socket.data.operator, 'supervisor')
+        });
 
         if (!assignResult.success) {
-          console.log('assignOperatorToSession failed:', assignResult);
           socket.emit("chat-error", { 
             error: assignResult.message,
-            code: "OPERATOR_ASSIGNMENT_FAILED"
+            code: assignResult.error === 'Session already assigned' ? "SESSION_ALREADY_ASSIGNED" : "OPERATOR_ASSIGNMENT_FAILED"
           });
           return;
         }
 
-        const { session, operator } = assignResult;
+        const { session, operator, previousOperatorId } = assignResult;
+
+        // 会话已被接入，移出等待队列并更新其余用户的排队位置
+        await QueueService.remove(sessionId, { pickedUp: true });
+        await QueueService.broadcastPositions(io);
+
+        // 主管接管会话时原客服离开会话房间
+        if (previousOperatorId && previousOperatorId !== actualOperatorId) {
+          await removeOperatorFromSession(previousOperatorId, sessionId);
+          await syncOperatorCapacity(previousOperatorId);
+        }
+
+        // 达到并发上限时自动切换为忙碌
+        await syncOperatorCapacity(actualOperatorId);
 
         // Store connection info
-        chatConnections.set(socket.id, {
-          operatorId: actualOperatorId, // 使用实际的客服ID
+        await ConnectionRegistry.set(socket.id, {
+          operatorId: actualOperatorId,
           sessionId,
           type: 'operator'
         });
@@ -575,7 +1227,7 @@ const io = socketIo(server, {
         // Join socket room for this session
         socket.join(`chat-session-${sessionId}`);
         
-        console.log(`客服 ${operatorId} (实际ID: ${actualOperatorId}) 已加入会话 ${sessionId}，Socket ID: ${socket.id}`);
+        console.log(`客服 ${actualOperatorId} 已加入会话 ${sessionId}，Socket ID: ${socket.id}`);
 
         // Notify operator of successful join
         socket.emit("operator-session-joined", {
@@ -583,6 +1235,7 @@ const io = socketIo(server, {
           operatorId: actualOperatorId,
           operatorName: operator.name,
           sessionStatus: session.status,
+          visitorContext: session.visitorContext || null,
           timestamp: new Date().toISOString()
         });
 
@@ -608,7 +1261,7 @@ const io = socketIo(server, {
           });
         }
 
-        console.log(`Operator ${operatorId} successfully joined session ${sessionId}`);
+        console.log(`Operator ${actualOperatorId} successfully joined session ${sessionId}`);
 
       } catch (error) {
         console.error("Error in operatorJoinSessionHandler:", error);
@@ -619,47 +1272,52 @@ const io = socketIo(server, {
       }
     };
 
+    // 客服发送消息处理，发送成功时返回消息
     const operatorSendMessageHandler = async (data, socket) => {
       try {
-        const { operatorId, sessionId, content, messageType = 'text' } = data;
+        const actualOperatorId = getAuthenticatedOperatorId(socket);
+        if (!actualOperatorId) {
+          return;
+        }
+
+        const { sessionId, content, messageType = 'text' } = data;
         
-        console.log('收到客服发送消息请求:', { operatorId, sessionId, content: content?.substring(0, 50) });
+        console.log('收到客服发送消息请求:', { operatorId: actualOperatorId, sessionId, content: content?.substring(0, 50) });
         
         // 验证必需参数
-        if (!operatorId || !sessionId || !content || content.trim().length === 0) {
+        if (!sessionId || !content || content.trim().length === 0) {
           socket.emit("chat-error", { 
-            error: "Operator ID, Session ID and message content are required",
+            error: "Session ID and message content are required",
             code: "MISSING_REQUIRED_FIELDS"
           });
           return;
         }
 
+        // 只能向分配给自己的会话发送消息（主管除外）
+        const session = await authorizeOperatorSession(socket, sessionId);
+        if (!session) {
+          return;
+        }
+
         // 检查连接信息
-        let connection = chatConnections.get(socket.id);
+        const connection = await ConnectionRegistry.get(socket.id);
         
         // 如果连接信息不存在或不匹配，尝试更新连接信息
         if (!connection || connection.type !== 'operator' || connection.sessionId !== sessionId) {
-          console.log('更新客服连接信息:', { operatorId, sessionId });
+          console.log('更新客服连接信息:', { operatorId: actualOperatorId, sessionId });
           
           // 更新或创建连接信息
-          chatConnections.set(socket.id, {
-            operatorId,
+          await ConnectionRegistry.set(socket.id, {
+            operatorId: actualOperatorId,
             sessionId,
             type: 'operator'
           });
           
           // 确保socket加入会话房间
           socket.join(`chat-session-${sessionId}`);
-          
-          connection = chatConnections.get(socket.id);
         }
 
-        // 获取实际的客服ID
-        const actualOperatorId = operatorIdMapping.get(operatorId) || operatorId;
-
-        // 获取会话信息以获取groupName
-        const session = await ChatSession.findByPk(sessionId);
-        const groupName = session ? session.groupName : null;
+        const groupName = session.groupName;
 
         // Send message through ChatService
         const messageResult = await ChatService.sendMessage(
@@ -699,6 +1357,8 @@ const io = socketIo(server, {
 
         console.log(`Message sent by operator ${actualOperatorId} in session ${sessionId}`);
 
+        return message;
+
       } catch (error) {
         console.error("Error in operatorSendMessageHandler:", error);
         socket.emit("chat-error", { 
@@ -708,52 +1368,110 @@ const io = socketIo(server, {
       }
     };
 
-    const operatorStatusChangeHandler = async (data, socket) => {
+    // 客服发送快捷回复：填充会话信息后按普通客服消息发送，发送成功后记录使用次数
+    const operatorSendCannedResponseHandler = async (data = {}, socket) => {
       try {
-        const { operatorId, status } = data;
+        const operatorId = getAuthenticatedOperatorId(socket);
+        if (!operatorId) {
+          return;
+        }
 
-        if (!operatorId || !status) {
+        const { sessionId, cannedResponseId } = data;
+
+        if (!sessionId || !cannedResponseId) {
           socket.emit("chat-error", { 
-            error: "Operator ID and status are required",
+            error: "Session ID and canned response ID are required",
             code: "MISSING_REQUIRED_FIELDS"
           });
           return;
         }
 
-        console.log(`Operator ${operatorId} changing status to ${status}`);
-
-        // Update operator status
-        const statusResult = await OperatorService.updateOperatorStatus(operatorId, status);
+        const session = await authorizeOperatorSession(socket, sessionId);
+        if (!session) {
+          return;
+        }
 
-        if (!statusResult.success) {
+        const rendered = await CannedResponseService.renderForSession(socket.data.operator, cannedResponseId, session);
+        if (!rendered.success) {
           socket.emit("chat-error", { 
-            error: statusResult.message,
-            code: "STATUS_UPDATE_FAILED"
+            error: rendered.message,
+            code: rendered.error === 'Canned response not found' ? "CANNED_RESPONSE_NOT_FOUND" : "INTERNAL_ERROR"
           });
           return;
         }
 
-        const { operator, actualOperatorId } = statusResult;
-        const realOperatorId = actualOperatorId || operatorId; // 使用实际的客服ID
-
-        // Store operator connection if going online
-        if (status === 'online') {
-          // Update connection info if exists
-          const connection = chatConnections.get(socket.id);
-          if (connection) {
-            connection.operatorId = realOperatorId;
-          } else {
-            chatConnections.set(socket.id, {
-              operatorId: realOperatorId,
-              type: 'operator',
-              sessionId: null
-            });
-          }
+        const message = await operatorSendMessageHandler({ sessionId, content: rendered.content }, socket);
+        if (message) {
+          await CannedResponseService.recordUsage(rendered.cannedResponse);
+        }
 
-          // 当客服上线时，推送现有的等待会话
-          try {
-            const waitingSessions = await ChatService.getUserSessions(null, {
-              status: 'waiting',
+      } catch (error) {
+        console.error("Error in operatorSendCannedResponseHandler:", error);
+        socket.emit("chat-error", { 
+          error: "Failed to send canned response",
+          code: "INTERNAL_ERROR"
+        });
+      }
+    };
+
+    const operatorStatusChangeHandler = async (data, socket) => {
+      try {
+        const operatorId = getAuthenticatedOperatorId(socket);
+        if (!operatorId) {
+          return;
+        }
+
+        const { status } = data;
+
+        if (!status) {
+          socket.emit("chat-error", { 
+            error: "Status is required",
+            code: "MISSING_REQUIRED_FIELDS"
+          });
+          return;
+        }
+
+        console.log(`Operator ${operatorId} changing status to ${status}`);
+
+        // Update operator status
+        const statusResult = await OperatorService.updateOperatorStatus(operatorId, status);
+
+        if (!statusResult.success) {
+          socket.emit("chat-error", { 
+            error: statusResult.message,
+            code: "STATUS_UPDATE_FAILED"
+          });
+          return;
+        }
+
+        let { operator } = statusResult;
+        const { actualOperatorId } = statusResult;
+        const realOperatorId = actualOperatorId || operatorId; // 使用实际的客服ID
+
+        // 已达到并发上限的客服上线后直接进入忙碌状态
+        if (status === 'online') {
+          const capacityResult = await OperatorService.syncOperatorCapacityStatus(realOperatorId);
+          if (capacityResult.success) {
+            operator = capacityResult.operator;
+          }
+        }
+
+        // Store operator connection if going online
+        if (status === 'online') {
+          // 连接记录已过期时重新登记
+          const connection = await ConnectionRegistry.get(socket.id);
+          if (!connection) {
+            await ConnectionRegistry.set(socket.id, {
+              operatorId: realOperatorId,
+              type: 'operator',
+              sessionId: null
+            });
+          }
+
+          // 当客服上线时，推送现有的等待会话
+          try {
+            const waitingSessions = await ChatService.getUserSessions(null, {
+              status: 'waiting',
               limit: 10,
               offset: 0,
               includeMessages: false
@@ -776,6 +1494,9 @@ const io = socketIo(server, {
           } catch (error) {
             console.error('Error fetching waiting sessions:', error);
           }
+
+          // 客服上线后自动分配排队中的会话
+          await autoDispatch();
         }
 
         // Notify operator of status change
@@ -805,14 +1526,19 @@ const io = socketIo(server, {
     };
 
     // 客服输入指示器处理
-    const operatorTypingHandler = (data, socket) => {
+    const operatorTypingHandler = async (data, socket) => {
       try {
-        const { sessionId, operatorId } = data;
+        const operatorId = getAuthenticatedOperatorId(socket, { silent: true });
+        const { sessionId } = data;
         
         if (!sessionId || !operatorId) {
           return;
         }
 
+        if (!await authorizeOperatorSession(socket, sessionId)) {
+          return;
+        }
+
         // 广播输入指示器给会话中的其他参与者
         socket.to(`chat-session-${sessionId}`).emit("typing-indicator", {
           sessionId,
@@ -827,14 +1553,19 @@ const io = socketIo(server, {
     };
 
     // 客服停止输入处理
-    const operatorStopTypingHandler = (data, socket) => {
+    const operatorStopTypingHandler = async (data, socket) => {
       try {
-        const { sessionId, operatorId } = data;
+        const operatorId = getAuthenticatedOperatorId(socket, { silent: true });
+        const { sessionId } = data;
         
         if (!sessionId || !operatorId) {
           return;
         }
 
+        if (!await authorizeOperatorSession(socket, sessionId)) {
+          return;
+        }
+
         // 广播停止输入指示器
         socket.to(`chat-session-${sessionId}`).emit("stop-typing-indicator", {
           sessionId,
@@ -848,6 +1579,251 @@ const io = socketIo(server, {
       }
     };
 
+    // 访客输入状态，按 socket 保存在本实例：上次广播时间、最新草稿、尾随广播和自动过期定时器
+    const userTypingStates = new Map();
+
+    const clearUserTyping = (socketId) => {
+      const state = userTypingStates.get(socketId);
+      if (!state) {
+        return null;
+      }
+
+      clearTimeout(state.trailingTimer);
+      clearTimeout(state.expireTimer);
+      userTypingStates.delete(socketId);
+      return state;
+    };
+
+    // 广播访客输入指示器；开启草稿预览时，草稿只发送给会话负责客服的连接
+    const broadcastUserTyping = async (socket, state) => {
+      state.lastSentAt = Date.now();
+      state.trailingTimer = null;
+
+      const { sessionId, userId, draft } = state;
+      socket.to(`chat-session-${sessionId}`).emit("typing-indicator", {
+        sessionId,
+        senderType: 'user',
+        userId,
+        timestamp: new Date().toISOString()
+      });
+
+      if (!TYPING_PREVIEW_ENABLED || typeof draft !== 'string') {
+        return;
+      }
+
+      const session = await ChatSession.findByPk(sessionId);
+      // 查询期间访客可能已停止输入，此时不再发送过期的草稿
+      if (!session || !session.operatorId || userTypingStates.get(socket.id) !== state) {
+        return;
+      }
+
+      io.to(`operator-${session.operatorId}`).emit("typing-preview", {
+        sessionId,
+        userId,
+        draft: draft.slice(0, TYPING_PREVIEW_MAX_LENGTH),
+        timestamp: new Date().toISOString()
+      });
+    };
+
+    // 访客停止输入（主动停止、发送消息或超时未收到新的输入事件）
+    const stopUserTyping = (socket, { expired = false } = {}) => {
+      const state = clearUserTyping(socket.id);
+      if (!state) {
+        return;
+      }
+
+      socket.to(`chat-session-${state.sessionId}`).emit("stop-typing-indicator", {
+        sessionId: state.sessionId,
+        senderType: 'user',
+        userId: state.userId,
+        expired,
+        timestamp: new Date().toISOString()
+      });
+    };
+
+    // 访客输入指示器处理：按 TYPING_THROTTLE_MS 节流广播，节流期间的最新草稿在间隔结束后补发
+    const userTypingHandler = async (data, socket) => {
+      try {
+        const { draft } = data || {};
+        const connection = await ConnectionRegistry.get(socket.id);
+
+        if (!connection || connection.type !== 'user' || !connection.sessionId) {
+          return;
+        }
+
+        let state = userTypingStates.get(socket.id);
+        if (!state || state.sessionId !== connection.sessionId) {
+          clearUserTyping(socket.id);
+          state = {
+            sessionId: connection.sessionId,
+            userId: connection.userId,
+            lastSentAt: 0,
+            trailingTimer: null,
+            expireTimer: null
+          };
+          userTypingStates.set(socket.id, state);
+        }
+
+        state.draft = draft;
+
+        clearTimeout(state.expireTimer);
+        state.expireTimer = setTimeout(() => {
+          stopUserTyping(socket, { expired: true });
+        }, TYPING_TIMEOUT_MS);
+
+        const wait = state.lastSentAt + TYPING_THROTTLE_MS - Date.now();
+        if (wait <= 0) {
+          await broadcastUserTyping(socket, state);
+        } else if (!state.trailingTimer) {
+          state.trailingTimer = setTimeout(() => {
+            broadcastUserTyping(socket, state).catch((error) => {
+              console.error("Error broadcasting user typing:", error);
+            });
+          }, wait);
+        }
+
+      } catch (error) {
+        console.error("Error in userTypingHandler:", error);
+      }
+    };
+
+    // 确定回执的接收者：访客只能确认自己会话中的消息，客服只能确认分配给自己的会话（主管及以上除外）
+    const resolveReceiptRecipient = async (sessionId, socket) => {
+      const operator = socket.data.operator;
+      if (operator) {
+        const session = await ChatSession.findByPk(sessionId);
+        if (!session || !canAccessSession(operator, session)) {
+          return null;
+        }
+        return { id: operator.id, type: 'operator' };
+      }
+
+      const connection = await ConnectionRegistry.get(socket.id);
+      if (!connection || connection.type !== 'user' || connection.sessionId !== sessionId) {
+        return null;
+      }
+      return { id: connection.userId, type: 'user' };
+    };
+
+    // 送达/已读回执处理，记录后通知会话中的其他参与者
+    const messageReceiptHandler = async (data = {}, socket, status) => {
+      try {
+        const { sessionId, messageIds } = data;
+
+        if (!sessionId) {
+          socket.emit("chat-error", { 
+            error: "Session ID is required",
+            code: "MISSING_SESSION_ID"
+          });
+          return;
+        }
+
+        if (messageIds !== undefined && !Array.isArray(messageIds)) {
+          socket.emit("chat-error", { 
+            error: "messageIds must be an array",
+            code: "INVALID_MESSAGE_IDS"
+          });
+          return;
+        }
+
+        const recipient = await resolveReceiptRecipient(sessionId, socket);
+        if (!recipient) {
+          socket.emit("chat-error", { 
+            error: "Not allowed to acknowledge messages in this session",
+            code: "FORBIDDEN"
+          });
+          return;
+        }
+
+        const result = status === 'read'
+          ? await ChatService.markMessagesAsRead(sessionId, recipient, messageIds || null)
+          : await ChatService.markMessagesDelivered(sessionId, recipient, messageIds || null);
+
+        if (!result.success) {
+          socket.emit("chat-error", { 
+            error: result.message,
+            code: "RECEIPT_FAILED"
+          });
+          return;
+        }
+
+        emitMessageReceipts(status === 'read' ? 'message-read' : 'message-delivered', sessionId, result.receipts);
+
+      } catch (error) {
+        console.error("Error in messageReceiptHandler:", error);
+        socket.emit("chat-error", { 
+          error: "Failed to record message receipt",
+          code: "INTERNAL_ERROR"
+        });
+      }
+    };
+
+    // 消息编辑/删除失败原因 -> 错误代码
+    const MESSAGE_CHANGE_ERROR_CODES = {
+      'Message not found': 'MESSAGE_NOT_FOUND',
+      'Not message sender': 'FORBIDDEN',
+      'Message deleted': 'MESSAGE_DELETED',
+      'Message not editable': 'MESSAGE_NOT_EDITABLE',
+      'Edit window expired': 'EDIT_WINDOW_EXPIRED',
+      'Session closed': 'SESSION_CLOSED',
+      'Content required': 'EMPTY_MESSAGE'
+    };
+
+    // 消息编辑/删除处理：只有发送者可以在时间窗口内修改，结果广播给会话中的所有参与者
+    const messageChangeHandler = async (data = {}, socket, action) => {
+      try {
+        const { messageId, content } = data;
+        let { sessionId } = data;
+        let editor;
+
+        if (socket.data.operator) {
+          editor = { id: socket.data.operator.id, type: 'operator' };
+        } else {
+          const connection = await ConnectionRegistry.get(socket.id);
+          if (!connection || connection.type !== 'user') {
+            socket.emit("chat-error", { 
+              error: "User not connected to chat",
+              code: "NOT_CONNECTED"
+            });
+            return;
+          }
+          editor = { id: connection.userId, type: 'user' };
+          sessionId = connection.sessionId;
+        }
+
+        if (!sessionId || !messageId) {
+          socket.emit("chat-error", { 
+            error: "Session ID and message ID are required",
+            code: "MISSING_MESSAGE_ID"
+          });
+          return;
+        }
+
+        const result = action === 'edit'
+          ? await ChatService.editMessage(sessionId, messageId, editor, content)
+          : await ChatService.deleteMessage(sessionId, messageId, editor);
+
+        if (!result.success) {
+          socket.emit("chat-error", { 
+            error: result.message,
+            code: MESSAGE_CHANGE_ERROR_CODES[result.error] || (action === 'edit' ? 'MESSAGE_EDIT_FAILED' : 'MESSAGE_DELETE_FAILED')
+          });
+          return;
+        }
+
+        if (action === 'delete' || result.changed) {
+          emitMessageChange(result.message);
+        }
+
+      } catch (error) {
+        console.error("Error in messageChangeHandler:", error);
+        socket.emit("chat-error", { 
+          error: action === 'edit' ? "Failed to edit message" : "Failed to delete message",
+          code: "INTERNAL_ERROR"
+        });
+      }
+    };
+
     // 获取消息历史处理
     const getMessageHistoryHandler = async (data, socket) => {
       try {
@@ -861,6 +1837,22 @@ const io = socketIo(server, {
           return;
         }
 
+        // 访客只能读取自己所在会话的历史记录，客服只能读取分配给自己的会话（主管及以上除外）
+        if (socket.data.operator) {
+          if (!await authorizeOperatorSession(socket, sessionId)) {
+            return;
+          }
+        } else {
+          const connection = await ConnectionRegistry.get(socket.id);
+          if (!connection || connection.sessionId !== sessionId) {
+            socket.emit("chat-error", { 
+              error: "Not allowed to read this session",
+              code: "FORBIDDEN"
+            });
+            return;
+          }
+        }
+
         // 获取消息历史
         const historyResult = await ChatService.getMessageHistory(sessionId, {
           limit,
@@ -895,18 +1887,27 @@ const io = socketIo(server, {
     // 客服结束会话处理
     const operatorEndSessionHandler = async (data, socket) => {
       try {
-        const { sessionId, operatorId } = data;
+        const actualOperatorId = getAuthenticatedOperatorId(socket);
+        if (!actualOperatorId) {
+          return;
+        }
+
+        const { sessionId, reason = 'operator_ended' } = data;
         
-        if (!sessionId || !operatorId) {
+        if (!sessionId) {
           socket.emit("chat-error", { 
-            error: "Session ID and Operator ID are required",
+            error: "Session ID is required",
             code: "MISSING_REQUIRED_FIELDS"
           });
           return;
         }
 
+        if (!await authorizeOperatorSession(socket, sessionId)) {
+          return;
+        }
+
         // 结束会话
-        const endResult = await ChatService.endChatSession(sessionId, operatorId);
+        const endResult = await ChatService.endChatSession(sessionId, actualOperatorId, { reason });
 
         if (!endResult.success) {
           socket.emit("chat-error", { 
@@ -916,21 +1917,40 @@ const io = socketIo(server, {
           return;
         }
 
-        // 通知会话中的所有参与者
-        io.to(`chat-session-${sessionId}`).emit("session-ended", {
-          sessionId,
-          operatorId,
-          timestamp: new Date().toISOString(),
-          reason: 'operator_ended'
-        });
+        const { session, alreadyEnded } = endResult;
+
+        // 未接入就结束的会话需要移出等待队列
+        const queueRemoval = await QueueService.remove(sessionId);
+        if (queueRemoval.removed) {
+          await QueueService.broadcastPositions(io);
+        }
 
-        // 从连接映射中移除
-        const connection = chatConnections.get(socket.id);
-        if (connection) {
-          connection.sessionId = null;
+        // 通知会话中的所有参与者
+        if (!alreadyEnded) {
+          io.to(`chat-session-${sessionId}`).emit("session-ended", {
+            sessionId,
+            operatorId: actualOperatorId,
+            status: session.status,
+            reason: session.endReason,
+            endedBy: session.endedBy,
+            timestamp: new Date().toISOString()
+          });
+          emitSurveyRequest(session);
+          await TranscriptEmailService.sendPendingForSession(sessionId);
         }
 
-        console.log(`Operator ${operatorId} ended session ${sessionId}`);
+        // 清除连接的当前会话
+        await ConnectionRegistry.update(socket.id, { sessionId: null });
+
+        console.log(`Operator ${actualOperatorId} ended session ${sessionId} (${session.status}, ${session.endReason})`);
+
+        // 客服结束会话后有了空闲名额，恢复在线并继续分配排队中的会话
+        if (!alreadyEnded) {
+          if (session.operatorId) {
+            await syncOperatorCapacity(session.operatorId);
+          }
+          await autoDispatch();
+        }
 
       } catch (error) {
         console.error("Error in operatorEndSessionHandler:", error);
@@ -941,26 +1961,105 @@ const io = socketIo(server, {
       }
     };
 
+    // 满意度评价失败原因 -> 错误代码
+    const SURVEY_ERROR_CODES = {
+      'Session not found': 'SESSION_NOT_FOUND',
+      'Not session visitor': 'FORBIDDEN',
+      'Session not completed': 'SESSION_NOT_COMPLETED',
+      'Already rated': 'ALREADY_RATED',
+      'Invalid rating': 'INVALID_RATING'
+    };
+
+    // 访客提交满意度评价（1-5 分和可选评论），默认评价当前连接所在的会话
+    const surveySubmitHandler = async (data = {}, socket) => {
+      try {
+        const visitor = socket.data.visitor;
+        if (socket.data.operator || !visitor) {
+          socket.emit("chat-error", {
+            error: "Only visitors can submit surveys",
+            code: "FORBIDDEN"
+          });
+          return;
+        }
+
+        let { sessionId } = data;
+        if (!sessionId) {
+          const connection = await ConnectionRegistry.get(socket.id);
+          sessionId = connection ? connection.sessionId : null;
+        }
+
+        if (!sessionId) {
+          socket.emit("chat-error", {
+            error: "Session ID is required",
+            code: "MISSING_SESSION_ID"
+          });
+          return;
+        }
+
+        const result = await SessionRatingService.submitRating(sessionId, visitor.userId, {
+          rating: data.rating,
+          comment: data.comment
+        });
+
+        if (!result.success) {
+          socket.emit("chat-error", {
+            error: result.message,
+            code: SURVEY_ERROR_CODES[result.error] || "SURVEY_SUBMIT_FAILED"
+          });
+          return;
+        }
+
+        socket.emit("survey-submitted", {
+          sessionId,
+          ratingId: result.rating.id,
+          rating: result.rating.rating,
+          timestamp: new Date().toISOString()
+        });
+
+        if (result.rating.operatorId) {
+          io.to(`operator-${result.rating.operatorId}`).emit("session-rated", {
+            sessionId,
+            rating: result.rating.rating,
+            comment: result.rating.comment,
+            timestamp: new Date().toISOString()
+          });
+        }
+
+      } catch (error) {
+        console.error("Error in surveySubmitHandler:", error);
+        socket.emit("chat-error", {
+          error: "Failed to submit survey",
+          code: "INTERNAL_ERROR"
+        });
+      }
+    };
+
     // 客服重连会话处理
     const operatorReconnectSessionHandler = async (data, socket) => {
       try {
-        const { operatorId, sessionId } = data;
+        const actualOperatorId = getAuthenticatedOperatorId(socket);
+        if (!actualOperatorId) {
+          return;
+        }
+
+        const { sessionId } = data;
         
-        if (!operatorId || !sessionId) {
+        if (!sessionId) {
           socket.emit("chat-error", { 
-            error: "Operator ID and Session ID are required",
+            error: "Session ID is required",
             code: "MISSING_REQUIRED_FIELDS"
           });
           return;
         }
 
-        console.log(`客服 ${operatorId} 重连到会话 ${sessionId}`);
+        console.log(`客服 ${actualOperatorId} 重连到会话 ${sessionId}`);
 
-        // 获取实际的客服ID
-        const actualOperatorId = operatorIdMapping.get(operatorId) || operatorId;
+        if (!await authorizeOperatorSession(socket, sessionId)) {
+          return;
+        }
 
         // 更新连接信息
-        chatConnections.set(socket.id, {
+        await ConnectionRegistry.set(socket.id, {
           operatorId: actualOperatorId,
           sessionId,
           type: 'operator'
@@ -977,7 +2076,7 @@ const io = socketIo(server, {
           reconnected: true
         });
 
-        console.log(`客服 ${operatorId} (实际ID: ${actualOperatorId}) 重连会话 ${sessionId} 成功`);
+        console.log(`客服 ${actualOperatorId} 重连会话 ${sessionId} 成功`);
 
       } catch (error) {
         console.error("Error in operatorReconnectSessionHandler:", error);
@@ -987,8 +2086,564 @@ const io = socketIo(server, {
         });
       }
     };
+    // 客服转接会话处理
+    const operatorTransferSessionHandler = async (data, socket) => {
+      try {
+        const actualOperatorId = getAuthenticatedOperatorId(socket);
+        if (!actualOperatorId) {
+          return;
+        }
+
+        const { sessionId, toOperatorId = null, note = null } = data;
+
+        if (!sessionId) {
+          socket.emit("chat-error", { 
+            error: "Session ID is required",
+            code: "MISSING_REQUIRED_FIELDS"
+          });
+          return;
+        }
+
+        const transferResult = await ChatService.requestTransfer(sessionId, actualOperatorId, {
+          toOperatorId,
+          note
+        });
+
+        if (!transferResult.success) {
+          socket.emit("chat-error", { 
+            error: transferResult.message,
+            code: "TRANSFER_FAILED"
+          });
+          return;
+        }
+
+        await notifyTransferRequested(transferResult);
+
+        const { transfer, requeued } = transferResult;
+
+        socket.emit("session-transfer-requested", {
+          sessionId,
+          transferId: transfer.id,
+          toOperatorId: transfer.toOperatorId,
+          status: transfer.status,
+          requeued,
+          timestamp: transfer.requestedAt
+        });
+
+        // 退回队列的会话可以立即重新分配
+        if (requeued) {
+          socket.leave(`chat-session-${sessionId}`);
+          await autoDispatch(sessionId);
+        }
+
+        console.log(`Operator ${actualOperatorId} transferred session ${sessionId} to ${transfer.toOperatorId || 'queue'}`);
+
+      } catch (error) {
+        console.error("Error in operatorTransferSessionHandler:", error);
+        socket.emit("chat-error", { 
+          error: "Failed to transfer session",
+          code: "INTERNAL_ERROR"
+        });
+      }
+    };
+
+    // 目标客服接受/拒绝转接处理
+    const operatorRespondTransferHandler = async (data, socket, accepted) => {
+      try {
+        const actualOperatorId = getAuthenticatedOperatorId(socket);
+        if (!actualOperatorId) {
+          return;
+        }
+
+        const { sessionId } = data;
+
+        if (!sessionId) {
+          socket.emit("chat-error", { 
+            error: "Session ID is required",
+            code: "MISSING_REQUIRED_FIELDS"
+          });
+          return;
+        }
+
+        const respondResult = await ChatService.respondToTransfer(sessionId, actualOperatorId, accepted);
+
+        if (!respondResult.success) {
+          socket.emit("chat-error", { 
+            error: respondResult.message,
+            code: "TRANSFER_RESPONSE_FAILED"
+          });
+          return;
+        }
+
+        const { session, transfer, operator, systemMessage } = respondResult;
+
+        if (!accepted) {
+          io.to(`operator-${transfer.fromOperatorId}`).emit("session-transfer-declined", {
+            sessionId,
+            transferId: transfer.id,
+            toOperatorId: actualOperatorId,
+            timestamp: transfer.respondedAt
+          });
+          console.log(`Operator ${actualOperatorId} declined transfer of session ${sessionId}`);
+          return;
+        }
+
+        // 新客服加入会话房间，原客服离开
+        await ConnectionRegistry.set(socket.id, {
+          operatorId: actualOperatorId,
+          sessionId,
+          type: 'operator'
+        });
+        io.in(`operator-${actualOperatorId}`).socketsJoin(`chat-session-${sessionId}`);
+        await removeOperatorFromSession(transfer.fromOperatorId, sessionId);
+
+        socket.emit("operator-session-joined", {
+          sessionId,
+          operatorId: actualOperatorId,
+          operatorName: operator.name,
+          sessionStatus: session.status,
+          visitorContext: session.visitorContext || null,
+          transferred: true,
+          timestamp: new Date().toISOString()
+        });
+
+        const historyResult = await ChatService.getMessageHistory(sessionId, {
+          limit: 50,
+          order: 'ASC'
+        });
+
+        if (historyResult.success) {
+          socket.emit("message-history", {
+            sessionId,
+            messages: historyResult.messages,
+            pagination: historyResult.pagination
+          });
+        }
+
+        if (systemMessage) {
+          emitSystemMessage(sessionId, systemMessage);
+        }
+
+        const transferredData = {
+          sessionId,
+          transferId: transfer.id,
+          fromOperatorId: transfer.fromOperatorId,
+          toOperatorId: actualOperatorId,
+          operatorName: operator.name,
+          timestamp: transfer.respondedAt
+        };
+        io.to(`chat-session-${sessionId}`).emit("session-transferred", transferredData);
+        io.to(`operator-${transfer.fromOperatorId}`).emit("session-transferred", transferredData);
+
+        await syncOperatorCapacity(actualOperatorId);
+        await syncOperatorCapacity(transfer.fromOperatorId);
+        await autoDispatch();
+
+        console.log(`Operator ${actualOperatorId} accepted transfer of session ${sessionId} from ${transfer.fromOperatorId}`);
+
+      } catch (error) {
+        console.error("Error in operatorRespondTransferHandler:", error);
+        socket.emit("chat-error", { 
+          error: "Failed to respond to transfer",
+          code: "INTERNAL_ERROR"
+        });
+      }
+    };
+
+    // 主动邀请失败原因 -> 错误代码
+    const INVITATION_ERROR_CODES = {
+      'Visitor not found': 'VISITOR_NOT_FOUND',
+      'Invitation pending': 'INVITATION_PENDING',
+      'Visitor already chatting': 'VISITOR_ALREADY_CHATTING',
+      'Invitation not found': 'INVITATION_NOT_FOUND'
+    };
+
+    // 邀请开场消息的最大长度（与邀请规则一致）
+    const INVITATION_MESSAGE_MAX_LENGTH = 1000;
+
+    // 访客连接上等待触发的规则邀请 socketId -> [timer]
+    const invitationRuleTimers = new Map();
+
+    // 向所有客服推送访客的最新状态（所在页面、待回应的邀请）
+    const broadcastVisitorPresence = (visitor) => {
+      io.to(OPERATORS_ROOM).emit("visitor-presence-updated", {
+        visitor: VisitorPresenceService.toPublic(visitor),
+        timestamp: new Date().toISOString()
+      });
+    };
+
+    // 把访客的最新页面信息保存到其进行中的会话，并推送给负责该会话的客服
+    const syncVisitorContext = async (visitor) => {
+      const result = await ChatService.updateVisitorContext(visitor.userId, VisitorPresenceService.toContext(visitor));
+      if (!result.success || !result.session || !result.session.operatorId) {
+        return;
+      }
+
+      const { session } = result;
+      io.to(`operator-${session.operatorId}`).emit("visitor-context-updated", {
+        sessionId: session.id,
+        userId: session.userId,
+        visitorContext: session.visitorContext,
+        timestamp: new Date().toISOString()
+      });
+    };
+
+    // 向访客的所有连接（包括其他实例上的连接）推送聊天邀请
+    const emitInvitation = (invitation) => {
+      io.to(`visitor-${invitation.userId}`).emit("chat-invitation", {
+        invitationId: invitation.id,
+        operatorId: invitation.operatorId,
+        operatorName: invitation.operatorName,
+        message: invitation.message,
+        expiresAt: invitation.expiresAt,
+        timestamp: invitation.createdAt
+      });
+    };
+
+    const clearInvitationRuleTimers = (socketId) => {
+      (invitationRuleTimers.get(socketId) || []).forEach(timer => clearTimeout(timer));
+      invitationRuleTimers.delete(socketId);
+    };
+
+    // 访客停留时间达到规则设定后发出邀请（访客已换页、已在聊天或有待回应的邀请时不发）
+    const sendRuleInvitation = async (userId, rule, pageViewedAt) => {
+      const result = await VisitorPresenceService.inviteByRule(userId, rule, pageViewedAt);
+      if (!result.success) {
+        return;
+      }
+
+      emitInvitation(result.invitation);
+      broadcastVisitorPresence(result.visitor);
+      console.log(`Visitor ${userId} invited by rule ${rule.id}`);
+    };
+
+    // 按访客当前页面重新安排规则邀请（扣除访客上报时已在页面停留的时间）
+    const scheduleInvitationRules = async (socket, visitor) => {
+      clearInvitationRuleTimers(socket.id);
+
+      const secondsOnPage = VisitorPresenceService.getSecondsOnPage(visitor);
+      const rules = await InvitationRuleService.findMatchingRules(visitor.groupName, visitor.url);
+      const timers = rules
+        .filter(rule => !visitor.triggeredRuleIds.includes(rule.id))
+        .map(rule => setTimeout(() => {
+          sendRuleInvitation(visitor.userId, rule, visitor.pageViewedAt).catch((error) => {
+            console.error("Error sending rule invitation:", error);
+          });
+        }, Math.max(rule.minSecondsOnPage - secondsOnPage, 0) * 1000));
+
+      if (timers.length > 0) {
+        invitationRuleTimers.set(socket.id, timers);
+      }
+    };
+
+    // 聊天窗口加载后上报访客身份和所在页面，访客出现在客服的"网站访客"列表中
+    const visitorPresenceHandler = async (data = {}, socket) => {
+      try {
+        if (socket.data.operator) {
+          socket.emit("chat-error", {
+            error: "Only visitors can report presence",
+            code: "FORBIDDEN"
+          });
+          return;
+        }
+
+        // 与 user-join-chat 相同的身份校验，匿名访客需要在之后的 user-join-chat 中带上返回的 visitorToken
+        const identity = resolveVisitorIdentity(data);
+        if (!identity.success) {
+          socket.emit("chat-error", {
+            error: identity.message,
+            code: identity.code
+          });
+          return;
+        }
+
+        const { userId } = identity.visitor;
+        socket.data.visitor = identity.visitor;
+        socket.join(`visitor-${userId}`);
+
+        const visitor = await VisitorPresenceService.register(socket.id, identity.visitor, readVisitorPage(data, socket));
+
+        socket.emit("visitor-registered", {
+          userId,
+          visitorToken: identity.visitorToken,
+          timestamp: new Date().toISOString()
+        });
+        broadcastVisitorPresence(visitor);
+        await syncVisitorContext(visitor);
+
+        // 新打开的页面也显示尚未回应的邀请
+        const pendingInvitation = VisitorPresenceService.getPendingInvitation(visitor);
+        if (pendingInvitation) {
+          emitInvitation(pendingInvitation);
+        }
+
+        await scheduleInvitationRules(socket, visitor);
+
+      } catch (error) {
+        console.error("Error in visitorPresenceHandler:", error);
+        socket.emit("chat-error", {
+          error: "Failed to register visitor presence",
+          code: "INTERNAL_ERROR"
+        });
+      }
+    };
+
+    // 访客在网站内打开了新的页面
+    const visitorPageViewHandler = async (data = {}, socket) => {
+      try {
+        const identity = socket.data.visitor;
+        if (!identity) {
+          socket.emit("chat-error", {
+            error: "Visitor presence is not registered",
+            code: "VISITOR_NOT_REGISTERED"
+          });
+          return;
+        }
+
+        const page = readVisitorPage(data, socket);
+        // 访客记录已过期（例如实例重启）时重新登记
+        const visitor = await VisitorPresenceService.recordPageView(identity.userId, page)
+          || await VisitorPresenceService.register(socket.id, identity, page);
+
+        broadcastVisitorPresence(visitor);
+        await syncVisitorContext(visitor);
+        await scheduleInvitationRules(socket, visitor);
+
+      } catch (error) {
+        console.error("Error in visitorPageViewHandler:", error);
+        socket.emit("chat-error", {
+          error: "Failed to record page view",
+          code: "INTERNAL_ERROR"
+        });
+      }
+    };
+
+    // 客服获取当前在网站上的访客，可按分组过滤
+    const getVisitorsOnSiteHandler = async (data = {}, socket) => {
+      try {
+        if (!getAuthenticatedOperatorId(socket)) {
+          return;
+        }
+
+        const visitors = await VisitorPresenceService.list({ groupName: data.groupName });
+
+        socket.emit("visitors-on-site", {
+          visitors,
+          timestamp: new Date().toISOString()
+        });
+
+      } catch (error) {
+        console.error("Error in getVisitorsOnSiteHandler:", error);
+        socket.emit("chat-error", {
+          error: "Failed to load visitors on site",
+          code: "INTERNAL_ERROR"
+        });
+      }
+    };
+
+    // 客服邀请网站上的访客开始聊天
+    const operatorInviteVisitorHandler = async (data = {}, socket) => {
+      try {
+        const actualOperatorId = getAuthenticatedOperatorId(socket);
+        if (!actualOperatorId) {
+          return;
+        }
+
+        const { userId } = data;
+        const message = typeof data.message === 'string' ? data.message.trim() : '';
+
+        if (!userId || !message) {
+          socket.emit("chat-error", {
+            error: "Visitor ID and invitation message are required",
+            code: "MISSING_REQUIRED_FIELDS"
+          });
+          return;
+        }
+
+        if (message.length > INVITATION_MESSAGE_MAX_LENGTH) {
+          socket.emit("chat-error", {
+            error: `Invitation message must be at most ${INVITATION_MESSAGE_MAX_LENGTH} characters`,
+            code: "INVALID_INVITATION"
+          });
+          return;
+        }
+
+        const result = await VisitorPresenceService.createInvitation(userId, {
+          message,
+          operatorId: actualOperatorId,
+          operatorName: socket.data.operator.name
+        });
+
+        if (!result.success) {
+          socket.emit("chat-error", {
+            error: result.message,
+            code: INVITATION_ERROR_CODES[result.error] || "INVITATION_FAILED"
+          });
+          return;
+        }
+
+        emitInvitation(result.invitation);
+        socket.emit("visitor-invited", {
+          invitation: result.invitation,
+          timestamp: new Date().toISOString()
+        });
+        broadcastVisitorPresence(result.visitor);
+
+        console.log(`Operator ${actualOperatorId} invited visitor ${userId}`);
+
+      } catch (error) {
+        console.error("Error in operatorInviteVisitorHandler:", error);
+        socket.emit("chat-error", {
+          error: "Failed to invite visitor",
+          code: "INTERNAL_ERROR"
+        });
+      }
+    };
+
+    // 访客接受邀请：创建会话，客服发出的邀请直接分配给该客服，否则进入等待队列
+    const startInvitedChat = async (socket, identity, invitation) => {
+      const chatResult = await ChatService.startInvitedChat(identity, invitation);
+
+      if (!chatResult.success) {
+        socket.emit("chat-error", {
+          error: chatResult.message,
+          code: "SESSION_CREATION_FAILED"
+        });
+        return;
+      }
+
+      const { session, isNew, operator } = chatResult;
+      clearInvitationRuleTimers(socket.id);
+
+      await ConnectionRegistry.set(socket.id, {
+        userId: identity.userId,
+        sessionId: session.id,
+        type: 'user'
+      });
+      io.in(`visitor-${identity.userId}`).socketsJoin(`chat-session-${session.id}`);
+
+      socket.emit("chat-session-created", {
+        sessionId: session.id,
+        userId: identity.userId,
+        status: session.status,
+        isNew,
+        invitationId: invitation.id,
+        timestamp: new Date().toISOString()
+      });
+
+      if (operator) {
+        if (isNew) {
+          await notificationService.sendNewChatNotification({
+            sessionId: session.id,
+            userId: identity.userId,
+            message: "New chat session started",
+            timestamp: new Date()
+          });
+        }
+        await notifyDispatchedOperator({ session, operator, statusChanged: false, autoAssigned: false });
+        await syncOperatorCapacity(operator.id);
+      } else if (isNew) {
+        await notifySessionOpened(session, '访客接受了聊天邀请');
+        await autoDispatch(session.id);
+      }
+
+      const visitor = await VisitorPresenceService.get(identity.userId);
+      if (visitor) {
+        await syncVisitorContext(visitor);
+      }
+
+      const historyResult = await ChatService.getMessageHistory(session.id, {
+        limit: 50,
+        order: 'ASC'
+      });
+      if (historyResult.success) {
+        socket.emit("message-history", {
+          sessionId: session.id,
+          messages: historyResult.messages,
+          pagination: historyResult.pagination
+        });
+      }
+
+      if (invitation.operatorId) {
+        io.to(`operator-${invitation.operatorId}`).emit("invitation-accepted", {
+          invitationId: invitation.id,
+          userId: identity.userId,
+          sessionId: session.id,
+          assigned: Boolean(operator),
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      console.log(`Visitor ${identity.userId} accepted invitation ${invitation.id}, session ${session.id}`);
+    };
+
+    // 访客接受或拒绝聊天邀请
+    const visitorRespondInvitationHandler = async (data = {}, socket, accepted) => {
+      try {
+        const identity = socket.data.visitor;
+        if (socket.data.operator || !identity) {
+          socket.emit("chat-error", {
+            error: "Only visitors can respond to invitations",
+            code: "FORBIDDEN"
+          });
+          return;
+        }
+
+        const { invitationId } = data;
+        if (!invitationId) {
+          socket.emit("chat-error", {
+            error: "Invitation ID is required",
+            code: "MISSING_REQUIRED_FIELDS"
+          });
+          return;
+        }
+
+        const result = await VisitorPresenceService.respondToInvitation(identity.userId, invitationId);
+        if (!result.success) {
+          socket.emit("chat-error", {
+            error: result.message,
+            code: INVITATION_ERROR_CODES[result.error] || "INVITATION_FAILED"
+          });
+          return;
+        }
+
+        const { invitation } = result;
+        broadcastVisitorPresence(result.visitor);
+
+        if (accepted) {
+          await startInvitedChat(socket, identity, invitation);
+          return;
+        }
+
+        if (invitation.operatorId) {
+          io.to(`operator-${invitation.operatorId}`).emit("invitation-declined", {
+            invitationId: invitation.id,
+            userId: identity.userId,
+            timestamp: new Date().toISOString()
+          });
+        }
+
+      } catch (error) {
+        console.error("Error in visitorRespondInvitationHandler:", error);
+        socket.emit("chat-error", {
+          error: "Failed to respond to invitation",
+          code: "INTERNAL_ERROR"
+        });
+      }
+    };
     return io;
   },
+  notifyTransferRequested,
+  notifySessionOpened,
+  notifySessionEnded,
+  notifySessionAssigned,
+  emitSystemMessage,
+  emitAttachmentMessage,
+  emitMessageReceipts,
+  emitMessageChange,
+  emitSurveyRequest,
+  resolveVisitorIdentity,
+  notificationService,
   getIo: function () {
     if (!io) {
       throw new Error("Socket.io not initialized!");
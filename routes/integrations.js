@@ -0,0 +1,187 @@
+const express = require('express');
+const router = express.Router();
+const ChatService = require('../services/ChatService');
+const { emitSystemMessage, notifySessionOpened, notifySessionEnded } = require('./index');
+const { authenticateApiKey } = require('../middleware/auth');
+const {
+  validateMessage,
+  validateSessionId,
+  validateOutboundChat,
+  validateSessionTags
+} = require('../middleware/validation');
+
+// 集成接口失败原因 -> HTTP 状态码和错误代码
+const INTEGRATION_ERRORS = {
+  'Session not found': [404, 'SESSION_NOT_FOUND'],
+  'Session closed': [409, 'SESSION_CLOSED'],
+  'Invalid status transition': [409, 'INVALID_STATUS_TRANSITION'],
+  'Invalid tags': [400, 'INVALID_TAGS']
+};
+
+const sendIntegrationError = (res, result, fallbackCode) => {
+  const [statusCode, code] = INTEGRATION_ERRORS[result.error] || [500, fallbackCode];
+  return res.status(statusCode).json({
+    success: false,
+    error: {
+      code,
+      message: result.message,
+      details: result.error
+    }
+  });
+};
+
+const sendInternalError = (res, route, error) => {
+  console.error(`Error in ${route}:`, error);
+  res.status(500).json({
+    success: false,
+    error: {
+      code: 'INTERNAL_ERROR',
+      message: 'Internal server error'
+    }
+  });
+};
+
+// 写入消息和结束会话时记录的操作者，如 integration:crm
+const integrationActor = (req) => `integration:${req.integration.name}`;
+
+// 集成接口使用 API 密钥认证
+router.use(authenticateApiKey);
+
+/**
+ * 主动向已知用户发起会话（用户已有进行中的会话时沿用该会话），可附带开场消息
+ * 新会话进入等待队列并通知在线客服
+ * POST /api/integrations/chats
+ */
+router.post('/chats', validateOutboundChat, async (req, res) => {
+  try {
+    const { userId, userName, groupName, content } = req.body;
+
+    const result = await ChatService.startOutboundChat(userId, {
+      userName,
+      groupName,
+      content,
+      startedBy: integrationActor(req)
+    });
+
+    if (!result.success) {
+      return sendIntegrationError(res, result, 'SESSION_CREATION_FAILED');
+    }
+
+    if (result.isNew) {
+      await notifySessionOpened(result.session);
+    }
+    if (result.openingMessage) {
+      emitSystemMessage(result.session.id, result.openingMessage);
+    }
+
+    res.status(result.isNew ? 201 : 200).json({
+      success: true,
+      data: {
+        session: result.session,
+        isNew: result.isNew,
+        openingMessage: result.openingMessage
+      },
+      message: result.message
+    });
+
+  } catch (error) {
+    sendInternalError(res, 'POST /integrations/chats', error);
+  }
+});
+
+/**
+ * 向会话写入系统消息，推送给会话中的访客和客服
+ * POST /api/integrations/sessions/:sessionId/messages
+ */
+router.post('/sessions/:sessionId/messages', validateSessionId, validateMessage, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const result = await ChatService.sendMessage(
+      sessionId,
+      integrationActor(req),
+      'system',
+      req.body.content,
+      'system'
+    );
+
+    if (!result.success) {
+      return sendIntegrationError(res, result, 'MESSAGE_SEND_FAILED');
+    }
+
+    emitSystemMessage(sessionId, result.message);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        message: result.message
+      },
+      message: result.messageText
+    });
+
+  } catch (error) {
+    sendInternalError(res, 'POST /integrations/sessions/:sessionId/messages', error);
+  }
+});
+
+/**
+ * 关闭会话（结束原因 admin_closed），已结束的会话直接返回
+ * POST /api/integrations/sessions/:sessionId/close
+ */
+router.post('/sessions/:sessionId/close', validateSessionId, async (req, res) => {
+  try {
+    const result = await ChatService.endChatSession(req.params.sessionId, integrationActor(req), {
+      reason: 'admin_closed'
+    });
+
+    if (!result.success) {
+      return sendIntegrationError(res, result, 'SESSION_CLOSE_FAILED');
+    }
+
+    if (!result.alreadyEnded) {
+      await notifySessionEnded(result.session);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        session: result.session,
+        alreadyEnded: result.alreadyEnded
+      },
+      message: result.message
+    });
+
+  } catch (error) {
+    sendInternalError(res, 'POST /integrations/sessions/:sessionId/close', error);
+  }
+});
+
+/**
+ * 添加或移除会话标签（已结束的会话也可以修改）
+ * 请求体: { add: ['vip'], remove: ['pending'] }
+ * POST /api/integrations/sessions/:sessionId/tags
+ */
+router.post('/sessions/:sessionId/tags', validateSessionId, validateSessionTags, async (req, res) => {
+  try {
+    const { add, remove } = req.body;
+
+    const result = await ChatService.updateSessionTags(req.params.sessionId, { add, remove });
+
+    if (!result.success) {
+      return sendIntegrationError(res, result, 'SESSION_TAGS_UPDATE_FAILED');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        session: result.session
+      },
+      message: result.message
+    });
+
+  } catch (error) {
+    sendInternalError(res, 'POST /integrations/sessions/:sessionId/tags', error);
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,153 @@ const express = require('express');
 const router = express.Router();
 const OperatorService = require('../services/OperatorService');
 const ChatService = require('../services/ChatService');
+const AuthService = require('../services/AuthService');
+const CannedResponseService = require('../services/CannedResponseService');
+const SessionRatingService = require('../services/SessionRatingService');
+const InvitationRuleService = require('../services/InvitationRuleService');
+const {
+  authenticateOperator,
+  hasRole,
+  requireRole,
+  requireOperatorParam,
+  requireSessionAccess
+} = require('../middleware/auth');
+const {
+  validatePagination,
+  validateRatingQuery,
+  validateCannedResponse,
+  validateCannedResponseUpdate,
+  validateCannedResponseId,
+  validateNotificationQuery,
+  validateNotificationId,
+  validateInvitationRule,
+  validateInvitationRuleUpdate,
+  validateInvitationRuleId
+} = require('../middleware/validation');
+const { notifyTransferRequested, notifySessionAssigned, notificationService } = require('./index');
+
+// 转接失败原因 -> HTTP 状态码
+const TRANSFER_ERROR_STATUS = {
+  'Session not found': 404,
+  'Operator not found': 404,
+  'Not session operator': 403,
+  'Transfer already pending': 409,
+  'Session closed': 400,
+  'Invalid transfer target': 400,
+  'Operator not available': 400
+};
+
+// 分配会话失败原因 -> HTTP 状态码和错误代码
+const ASSIGNMENT_ERRORS = {
+  'Session not found': [404, 'SESSION_NOT_FOUND'],
+  'Operator not found': [404, 'OPERATOR_NOT_FOUND'],
+  'Session closed': [409, 'SESSION_CLOSED'],
+  'Session already assigned': [409, 'SESSION_ALREADY_ASSIGNED'],
+  'Invalid status transition': [409, 'INVALID_STATUS_TRANSITION'],
+  'Operator not available': [409, 'OPERATOR_NOT_AVAILABLE'],
+  'Operator at capacity': [409, 'OPERATOR_AT_CAPACITY']
+};
+
+// 快捷回复失败原因 -> HTTP 状态码和错误代码
+const CANNED_RESPONSE_ERRORS = {
+  'Canned response not found': [404, 'CANNED_RESPONSE_NOT_FOUND'],
+  'Invalid canned response': [400, 'INVALID_CANNED_RESPONSE']
+};
+
+// 通知重试失败原因 -> HTTP 状态码和错误代码
+const NOTIFICATION_RETRY_ERRORS = {
+  'Notification not found': [404, 'NOTIFICATION_NOT_FOUND'],
+  'Notification not failed': [409, 'NOTIFICATION_NOT_FAILED']
+};
+
+// 主动邀请规则失败原因 -> HTTP 状态码和错误代码
+const INVITATION_RULE_ERRORS = {
+  'Invitation rule not found': [404, 'INVITATION_RULE_NOT_FOUND'],
+  'Invalid invitation rule': [400, 'INVALID_INVITATION_RULE']
+};
+
+const sendInvitationRuleError = (res, result, fallbackCode) => {
+  const [statusCode, code] = INVITATION_RULE_ERRORS[result.error] || [500, fallbackCode];
+  return res.status(statusCode).json({
+    success: false,
+    error: {
+      code,
+      message: result.message,
+      details: result.error
+    }
+  });
+};
+
+const sendCannedResponseError = (res, result, fallbackCode) => {
+  const [statusCode, code] = CANNED_RESPONSE_ERRORS[result.error] || [500, fallbackCode];
+  return res.status(statusCode).json({
+    success: false,
+    error: {
+      code,
+      message: result.message,
+      details: result.error
+    }
+  });
+};
+
+// 小组和全局快捷回复只能由主管及以上角色维护
+const canManageSharedCannedResponses = (operator) => hasRole(operator, 'supervisor');
+
+/**
+ * 客服登录
+ * POST /api/operators/login
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'MISSING_CREDENTIALS',
+          message: 'Email and password are required'
+        }
+      });
+    }
+
+    const result = await AuthService.login(email, password);
+
+    if (!result.success) {
+      const statusCode = result.error === 'Invalid credentials' ? 401 : 500;
+      return res.status(statusCode).json({
+        success: false,
+        error: {
+          code: statusCode === 401 ? 'INVALID_CREDENTIALS' : 'LOGIN_FAILED',
+          message: result.message
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: result.token,
+        expiresIn: result.expiresIn,
+        operator: result.operator
+      },
+      message: result.message
+    });
+
+  } catch (error) {
+    console.error('Error in POST /operators/login:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+// 以下接口需要客服登录
+router.use(authenticateOperator);
 
 /**
  * 获取在线客服列表
@@ -133,7 +280,7 @@ router.get('/:operatorId/status', async (req, res) => {
  * 更新客服状态
  * PUT /api/operators/:operatorId/status
  */
-router.put('/:operatorId/status', async (req, res) => {
+router.put('/:operatorId/status', requireOperatorParam, async (req, res) => {
   try {
     const { operatorId } = req.params;
     const { status } = req.body;
@@ -161,10 +308,11 @@ router.put('/:operatorId/status', async (req, res) => {
     const result = await OperatorService.updateOperatorStatus(operatorId, status);
 
     if (!result.success) {
-      return res.status(500).json({
+      const notFound = result.error === 'Operator not found';
+      return res.status(notFound ? 404 : 500).json({
         success: false,
         error: {
-          code: 'STATUS_UPDATE_FAILED',
+          code: notFound ? 'OPERATOR_NOT_FOUND' : 'STATUS_UPDATE_FAILED',
           message: result.message,
           details: result.error
         }
@@ -196,7 +344,7 @@ router.put('/:operatorId/status', async (req, res) => {
  * 获取客服的活跃会话
  * GET /api/operators/:operatorId/sessions
  */
-router.get('/:operatorId/sessions', async (req, res) => {
+router.get('/:operatorId/sessions', requireOperatorParam, async (req, res) => {
   try {
     const { operatorId } = req.params;
     const { status = 'active' } = req.query;
@@ -248,9 +396,10 @@ router.get('/:operatorId/sessions', async (req, res) => {
 
 /**
  * 分配客服到会话
+ * 普通客服只能接入等待中的会话，主管及以上可以重新分配已有客服的会话
  * POST /api/operators/:operatorId/assign-session
  */
-router.post('/:operatorId/assign-session', async (req, res) => {
+router.post('/:operatorId/assign-session', requireOperatorParam, requireSessionAccess({ allowUnassigned: true }), async (req, res) => {
   try {
     const { operatorId } = req.params;
     const { sessionId } = req.body;
@@ -275,19 +424,26 @@ router.post('/:operatorId/assign-session', async (req, res) => {
       });
     }
 
-    const result = await ChatService.assignOperatorToSession(sessionId, operatorId);
+    const result = await ChatService.assignOperatorToSession(sessionId, operatorId, {
+      enforceCapacity: true,
+      allowReassign: hasRole(req.operator, 'supervisor')
+    });
 
     if (!result.success) {
-      return res.status(500).json({
+      const [statusCode, code] = ASSIGNMENT_ERRORS[result.error] || [500, 'ASSIGNMENT_FAILED'];
+      return res.status(statusCode).json({
         success: false,
         error: {
-          code: 'ASSIGNMENT_FAILED',
+          code,
           message: result.message,
           details: result.error
         }
       });
     }
 
+    // 与 Socket 接入相同：移出等待队列、同步客服负载，并把会话推送给客服的连接
+    await notifySessionAssigned(result);
+
     res.json({
       success: true,
       data: {
@@ -309,6 +465,62 @@ router.post('/:operatorId/assign-session', async (req, res) => {
   }
 });
 
+/**
+ * 转接会话给其他客服或退回等待队列
+ * POST /api/operators/:operatorId/transfer
+ */
+router.post('/:operatorId/transfer', requireOperatorParam, async (req, res) => {
+  try {
+    const { operatorId } = req.params;
+    const { sessionId, toOperatorId = null, note = null } = req.body;
+
+    if (!sessionId) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'MISSING_SESSION_ID',
+          message: 'Session ID is required'
+        }
+      });
+    }
+
+    const result = await ChatService.requestTransfer(sessionId, operatorId, { toOperatorId, note });
+
+    if (!result.success) {
+      return res.status(TRANSFER_ERROR_STATUS[result.error] || 500).json({
+        success: false,
+        error: {
+          code: 'TRANSFER_FAILED',
+          message: result.message,
+          details: result.error
+        }
+      });
+    }
+
+    await notifyTransferRequested(result);
+
+    res.json({
+      success: true,
+      data: {
+        session: result.session,
+        transfer: result.transfer,
+        requeued: result.requeued
+      },
+      message: result.message
+    });
+
+  } catch (error) {
+    console.error('Error in POST /operators/:operatorId/transfer:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
 /**
  * 获取待处理会话列表
  * GET /api/operators/pending-sessions
@@ -358,10 +570,10 @@ router.get('/pending-sessions', async (req, res) => {
 });
 
 /**
- * 获取活跃会话列表（等待中和进行中的会话）
+ * 获取活跃会话列表（等待中和进行中的会话，主管及以上）
  * GET /api/operators/active-sessions
  */
-router.get('/active-sessions', async (req, res) => {
+router.get('/active-sessions', requireRole('supervisor'), async (req, res) => {
   try {
     const { limit = '50', offset = '0' } = req.query;
 
@@ -418,12 +630,14 @@ router.get('/active-sessions', async (req, res) => {
 });
 
 /**
- * 获取客服统计信息
+ * 获取客服统计信息（主管及以上）
+ * 满意度评价按 startDate、endDate 筛选，按 period（day / month / year）统计
  * GET /api/operators/stats
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', requireRole('supervisor'), validateRatingQuery, async (req, res) => {
   try {
-    const result = await OperatorService.getOperatorStats();
+    const { startDate, endDate, period } = req.query;
+    const result = await OperatorService.getOperatorStats({ startDate, endDate, period });
 
     if (!result.success) {
       return res.status(500).json({
@@ -457,10 +671,10 @@ router.get('/stats', async (req, res) => {
 });
 
 /**
- * 智能分配客服
+ * 智能分配客服（主管及以上）
  * POST /api/operators/assign
  */
-router.post('/assign', async (req, res) => {
+router.post('/assign', requireRole('supervisor'), async (req, res) => {
   try {
     const { 
       preferredOperatorId, 
@@ -507,10 +721,10 @@ router.post('/assign', async (req, res) => {
 });
 
 /**
- * 批量更新客服状态
+ * 批量更新客服状态（仅管理员）
  * PUT /api/operators/batch-status
  */
-router.put('/batch-status', async (req, res) => {
+router.put('/batch-status', requireRole('admin'), async (req, res) => {
   try {
     const { operatorIds, status } = req.body;
 
@@ -567,4 +781,512 @@ router.put('/batch-status', async (req, res) => {
   }
 });
 
+/**
+ * 查看通知 outbox 中的通知（仅管理员，默认列出投递失败的通知）
+ * 查询参数: status（pending / processing / delivered / dead）、limit、offset
+ * GET /api/operators/notifications
+ */
+router.get('/notifications', requireRole('admin'), validatePagination, validateNotificationQuery, async (req, res) => {
+  try {
+    const { status = 'dead', limit = '20', offset = '0' } = req.query;
+
+    const [result, queueStatus] = await Promise.all([
+      notificationService.listNotifications({
+        status,
+        limit: parseInt(limit, 10),
+        offset: parseInt(offset, 10)
+      }),
+      notificationService.getQueueStatus()
+    ]);
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'NOTIFICATIONS_RETRIEVAL_FAILED',
+          message: result.message,
+          details: result.error
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        notifications: result.notifications,
+        queueStatus,
+        pagination: result.pagination
+      },
+      message: result.message
+    });
+
+  } catch (error) {
+    console.error('Error in GET /operators/notifications:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * 重新投递所有失败的通知（仅管理员）
+ * POST /api/operators/notifications/retry
+ */
+router.post('/notifications/retry', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await notificationService.retryFailed();
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'NOTIFICATION_RETRY_FAILED',
+          message: result.message,
+          details: result.error
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        retriedCount: result.count
+      },
+      message: result.message
+    });
+
+  } catch (error) {
+    console.error('Error in POST /operators/notifications/retry:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * 重新投递一条失败的通知（仅管理员）
+ * POST /api/operators/notifications/:notificationId/retry
+ */
+router.post('/notifications/:notificationId/retry', requireRole('admin'), validateNotificationId, async (req, res) => {
+  try {
+    const result = await notificationService.retryFailed(req.params.notificationId);
+
+    if (!result.success) {
+      const [status, code] = NOTIFICATION_RETRY_ERRORS[result.error] || [500, 'NOTIFICATION_RETRY_FAILED'];
+      return res.status(status).json({
+        success: false,
+        error: {
+          code,
+          message: result.message,
+          details: result.error
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        retriedCount: result.count
+      },
+      message: result.message
+    });
+
+  } catch (error) {
+    console.error('Error in POST /operators/notifications/:notificationId/retry:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * 清理投递失败的通知（仅管理员）
+ * 查询参数: before（只清理该时间之前失败的通知）
+ * DELETE /api/operators/notifications
+ */
+router.delete('/notifications', requireRole('admin'), validateNotificationQuery, async (req, res) => {
+  try {
+    const result = await notificationService.purgeFailed({ before: req.query.before });
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: {
+          code: 'NOTIFICATION_PURGE_FAILED',
+          message: result.message,
+          details: result.error
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        purgedCount: result.count
+      },
+      message: result.message
+    });
+
+  } catch (error) {
+    console.error('Error in DELETE /operators/notifications:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * 获取主动邀请规则（主管及以上）
+ * 查询参数: groupName（只返回适用于该分组的规则）
+ * GET /api/operators/invitation-rules
+ */
+router.get('/invitation-rules', requireRole('supervisor'), async (req, res) => {
+  try {
+    const result = await InvitationRuleService.listRules({ groupName: req.query.groupName });
+
+    if (!result.success) {
+      return sendInvitationRuleError(res, result, 'INVITATION_RULES_RETRIEVAL_FAILED');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        rules: result.rules
+      },
+      message: result.message
+    });
+
+  } catch (error) {
+    console.error('Error in GET /operators/invitation-rules:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * 创建主动邀请规则（主管及以上）
+ * 请求体: { groupName, pagePattern, minSecondsOnPage, message, active }
+ * POST /api/operators/invitation-rules
+ */
+router.post('/invitation-rules', requireRole('supervisor'), validateInvitationRule, async (req, res) => {
+  try {
+    const result = await InvitationRuleService.createRule(req.body, req.operator.id);
+
+    if (!result.success) {
+      return sendInvitationRuleError(res, result, 'INVITATION_RULE_CREATE_FAILED');
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        rule: result.rule
+      },
+      message: result.message
+    });
+
+  } catch (error) {
+    console.error('Error in POST /operators/invitation-rules:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * 更新主动邀请规则（主管及以上）
+ * PUT /api/operators/invitation-rules/:ruleId
+ */
+router.put('/invitation-rules/:ruleId', requireRole('supervisor'), validateInvitationRuleId, validateInvitationRuleUpdate, async (req, res) => {
+  try {
+    const result = await InvitationRuleService.updateRule(req.params.ruleId, req.body);
+
+    if (!result.success) {
+      return sendInvitationRuleError(res, result, 'INVITATION_RULE_UPDATE_FAILED');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        rule: result.rule
+      },
+      message: result.message
+    });
+
+  } catch (error) {
+    console.error('Error in PUT /operators/invitation-rules/:ruleId:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * 删除主动邀请规则（主管及以上）
+ * DELETE /api/operators/invitation-rules/:ruleId
+ */
+router.delete('/invitation-rules/:ruleId', requireRole('supervisor'), validateInvitationRuleId, async (req, res) => {
+  try {
+    const result = await InvitationRuleService.deleteRule(req.params.ruleId);
+
+    if (!result.success) {
+      return sendInvitationRuleError(res, result, 'INVITATION_RULE_DELETE_FAILED');
+    }
+
+    res.json({
+      success: true,
+      message: result.message
+    });
+
+  } catch (error) {
+    console.error('Error in DELETE /operators/invitation-rules/:ruleId:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * 获取客服收到的满意度评价及平均分（普通客服只能查看自己的评价）
+ * 查询参数: limit、offset、startDate、endDate
+ * GET /api/operators/:operatorId/ratings
+ */
+router.get('/:operatorId/ratings', requireOperatorParam, validatePagination, validateRatingQuery, async (req, res) => {
+  try {
+    const { operatorId } = req.params;
+    const { limit = '20', offset = '0', startDate, endDate } = req.query;
+
+    const result = await SessionRatingService.getOperatorRatings(operatorId, {
+      limit: parseInt(limit, 10),
+      offset: parseInt(offset, 10),
+      startDate,
+      endDate
+    });
+
+    if (!result.success) {
+      const notFound = result.error === 'Operator not found';
+      return res.status(notFound ? 404 : 500).json({
+        success: false,
+        error: {
+          code: notFound ? 'OPERATOR_NOT_FOUND' : 'RATINGS_RETRIEVAL_FAILED',
+          message: result.message,
+          details: result.error
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ratings: result.ratings,
+        summary: result.summary,
+        pagination: result.pagination
+      },
+      message: result.message
+    });
+
+  } catch (error) {
+    console.error('Error in GET /operators/:operatorId/ratings:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * 获取客服可用的快捷回复（个人、小组和全局）
+ * 查询参数: groupName（只返回该访客分组的小组快捷回复）、tag、search
+ * GET /api/operators/:operatorId/canned-responses
+ */
+router.get('/:operatorId/canned-responses', requireOperatorParam, async (req, res) => {
+  try {
+    const { operatorId } = req.params;
+    const { groupName, tag, search } = req.query;
+
+    const result = await CannedResponseService.listCannedResponses(operatorId, { groupName, tag, search });
+
+    if (!result.success) {
+      return sendCannedResponseError(res, result, 'CANNED_RESPONSES_RETRIEVAL_FAILED');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        cannedResponses: result.cannedResponses,
+        count: result.count
+      },
+      message: result.message
+    });
+
+  } catch (error) {
+    console.error('Error in GET /operators/:operatorId/canned-responses:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * 创建快捷回复（小组和全局快捷回复需要主管及以上角色）
+ * POST /api/operators/:operatorId/canned-responses
+ */
+router.post('/:operatorId/canned-responses', requireOperatorParam, validateCannedResponse, async (req, res) => {
+  try {
+    const { operatorId } = req.params;
+    const { scope = 'personal' } = req.body;
+
+    if (scope !== 'personal' && !canManageSharedCannedResponses(req.operator)) {
+      return res.forbidden('Only supervisors can create group or global canned responses');
+    }
+
+    const result = await CannedResponseService.createCannedResponse(operatorId, req.body);
+
+    if (!result.success) {
+      return sendCannedResponseError(res, result, 'CANNED_RESPONSE_CREATE_FAILED');
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        cannedResponse: result.cannedResponse
+      },
+      message: result.message
+    });
+
+  } catch (error) {
+    console.error('Error in POST /operators/:operatorId/canned-responses:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * 更新快捷回复
+ * PUT /api/operators/:operatorId/canned-responses/:cannedResponseId
+ */
+router.put('/:operatorId/canned-responses/:cannedResponseId', requireOperatorParam, validateCannedResponseId, validateCannedResponseUpdate, async (req, res) => {
+  try {
+    const { operatorId, cannedResponseId } = req.params;
+
+    const found = await CannedResponseService.getCannedResponse(operatorId, cannedResponseId);
+    if (!found.success) {
+      return sendCannedResponseError(res, found, 'CANNED_RESPONSE_UPDATE_FAILED');
+    }
+
+    const sharing = req.body.scope !== undefined && req.body.scope !== 'personal';
+    if ((!found.cannedResponse.isPersonal() || sharing) && !canManageSharedCannedResponses(req.operator)) {
+      return res.forbidden('Only supervisors can change group or global canned responses');
+    }
+
+    const result = await CannedResponseService.updateCannedResponse(found.cannedResponse, req.body);
+
+    if (!result.success) {
+      return sendCannedResponseError(res, result, 'CANNED_RESPONSE_UPDATE_FAILED');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        cannedResponse: result.cannedResponse
+      },
+      message: result.message
+    });
+
+  } catch (error) {
+    console.error('Error in PUT /operators/:operatorId/canned-responses/:cannedResponseId:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
+/**
+ * 删除快捷回复
+ * DELETE /api/operators/:operatorId/canned-responses/:cannedResponseId
+ */
+router.delete('/:operatorId/canned-responses/:cannedResponseId', requireOperatorParam, validateCannedResponseId, async (req, res) => {
+  try {
+    const { operatorId, cannedResponseId } = req.params;
+
+    const found = await CannedResponseService.getCannedResponse(operatorId, cannedResponseId);
+    if (!found.success) {
+      return sendCannedResponseError(res, found, 'CANNED_RESPONSE_DELETE_FAILED');
+    }
+
+    if (!found.cannedResponse.isPersonal() && !canManageSharedCannedResponses(req.operator)) {
+      return res.forbidden('Only supervisors can delete group or global canned responses');
+    }
+
+    const result = await CannedResponseService.deleteCannedResponse(found.cannedResponse);
+
+    if (!result.success) {
+      return sendCannedResponseError(res, result, 'CANNED_RESPONSE_DELETE_FAILED');
+    }
+
+    res.json({
+      success: true,
+      message: result.message
+    });
+
+  } catch (error) {
+    console.error('Error in DELETE /operators/:operatorId/canned-responses/:cannedResponseId:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Internal server error'
+      }
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,216 @@
+const express = require('express');
+const router = express.Router();
+const WebhookService = require('../services/WebhookService');
+const { models } = require('../models');
+const { authenticateOperator, requireRole } = require('../middleware/auth');
+const {
+  validatePagination,
+  validateNotificationQuery,
+  validateWebhook,
+  validateWebhookUpdate,
+  validateWebhookId
+} = require('../middleware/validation');
+
+// Webhook 失败原因 -> HTTP 状态码和错误代码
+const WEBHOOK_ERRORS = {
+  'Webhook not found': [404, 'WEBHOOK_NOT_FOUND'],
+  'Invalid webhook': [400, 'INVALID_WEBHOOK']
+};
+
+const sendWebhookError = (res, result, fallbackCode) => {
+  const [statusCode, code] = WEBHOOK_ERRORS[result.error] || [500, fallbackCode];
+  return res.status(statusCode).json({
+    success: false,
+    error: {
+      code,
+      message: result.message,
+      details: result.error
+    }
+  });
+};
+
+const sendInternalError = (res, route, error) => {
+  console.error(`Error in ${route}:`, error);
+  res.status(500).json({
+    success: false,
+    error: {
+      code: 'INTERNAL_ERROR',
+      message: 'Internal server error'
+    }
+  });
+};
+
+// Webhook 管理仅限管理员
+router.use(authenticateOperator, requireRole('admin'));
+
+/**
+ * 获取可订阅的事件列表
+ * GET /api/webhooks/events
+ */
+router.get('/events', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      events: models.Webhook.EVENTS
+    },
+    message: 'Webhook events retrieved successfully'
+  });
+});
+
+/**
+ * 获取所有 Webhook
+ * GET /api/webhooks
+ */
+router.get('/', async (req, res) => {
+  try {
+    const result = await WebhookService.listWebhooks();
+
+    if (!result.success) {
+      return sendWebhookError(res, result, 'WEBHOOKS_RETRIEVAL_FAILED');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        webhooks: result.webhooks
+      },
+      message: result.message
+    });
+
+  } catch (error) {
+    sendInternalError(res, 'GET /webhooks', error);
+  }
+});
+
+/**
+ * 创建 Webhook（未提供 secret 时自动生成，secret 只在创建时返回）
+ * POST /api/webhooks
+ */
+router.post('/', validateWebhook, async (req, res) => {
+  try {
+    const result = await WebhookService.createWebhook(req.body, req.operator.id);
+
+    if (!result.success) {
+      return sendWebhookError(res, result, 'WEBHOOK_CREATE_FAILED');
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        webhook: result.webhook,
+        secret: result.secret
+      },
+      message: result.message
+    });
+
+  } catch (error) {
+    sendInternalError(res, 'POST /webhooks', error);
+  }
+});
+
+/**
+ * 获取单个 Webhook
+ * GET /api/webhooks/:webhookId
+ */
+router.get('/:webhookId', validateWebhookId, async (req, res) => {
+  try {
+    const result = await WebhookService.getWebhook(req.params.webhookId);
+
+    if (!result.success) {
+      return sendWebhookError(res, result, 'WEBHOOK_RETRIEVAL_FAILED');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        webhook: result.webhook
+      },
+      message: result.message
+    });
+
+  } catch (error) {
+    sendInternalError(res, 'GET /webhooks/:webhookId', error);
+  }
+});
+
+/**
+ * 更新 Webhook
+ * PUT /api/webhooks/:webhookId
+ */
+router.put('/:webhookId', validateWebhookId, validateWebhookUpdate, async (req, res) => {
+  try {
+    const result = await WebhookService.updateWebhook(req.params.webhookId, req.body);
+
+    if (!result.success) {
+      return sendWebhookError(res, result, 'WEBHOOK_UPDATE_FAILED');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        webhook: result.webhook
+      },
+      message: result.message
+    });
+
+  } catch (error) {
+    sendInternalError(res, 'PUT /webhooks/:webhookId', error);
+  }
+});
+
+/**
+ * 删除 Webhook 及其投递记录
+ * DELETE /api/webhooks/:webhookId
+ */
+router.delete('/:webhookId', validateWebhookId, async (req, res) => {
+  try {
+    const result = await WebhookService.deleteWebhook(req.params.webhookId);
+
+    if (!result.success) {
+      return sendWebhookError(res, result, 'WEBHOOK_DELETE_FAILED');
+    }
+
+    res.json({
+      success: true,
+      message: result.message
+    });
+
+  } catch (error) {
+    sendInternalError(res, 'DELETE /webhooks/:webhookId', error);
+  }
+});
+
+/**
+ * 获取 Webhook 的投递记录
+ * 查询参数: status（pending / processing / delivered / dead）、limit、offset
+ * GET /api/webhooks/:webhookId/deliveries
+ */
+router.get('/:webhookId/deliveries', validateWebhookId, validatePagination, validateNotificationQuery, async (req, res) => {
+  try {
+    const { status, limit = '20', offset = '0' } = req.query;
+
+    const result = await WebhookService.getDeliveries(req.params.webhookId, {
+      status,
+      limit: parseInt(limit, 10),
+      offset: parseInt(offset, 10)
+    });
+
+    if (!result.success) {
+      return sendWebhookError(res, result, 'WEBHOOK_DELIVERIES_RETRIEVAL_FAILED');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        deliveries: result.deliveries,
+        pagination: result.pagination
+      },
+      message: result.message
+    });
+
+  } catch (error) {
+    sendInternalError(res, 'GET /webhooks/:webhookId/deliveries', error);
+  }
+});
+
+module.exports = router;
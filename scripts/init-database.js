@@ -7,16 +7,18 @@
  *   --force: Drop and recreate all tables
  *   --seed: Add sample data
  *   --test: Test database connection and associations
+ *   --backfill: Recalculate session message stats (lastMessageAt, lastMessagePreview, messageCount)
  */
 
-const { initializeDatabase, testDatabaseConnection, sequelize } = require('../models');
+const { initializeDatabase, backfillSessionMessageStats, testDatabaseConnection, sequelize } = require('../models');
 
 async function main() {
   const args = process.argv.slice(2);
   const options = {
     force: args.includes('--force'),
     seedData: args.includes('--seed'),
-    testConnection: args.includes('--test')
+    testConnection: args.includes('--test'),
+    backfill: args.includes('--backfill')
   };
 
   try {
@@ -29,6 +31,12 @@ async function main() {
       seedData: options.seedData
     });
 
+    // Backfill denormalized session fields for existing data if requested
+    if (options.backfill) {
+      console.log('Backfilling session message stats...');
+      await backfillSessionMessageStats();
+    }
+
     // Test connection and associations if requested
     if (options.testConnection) {
       console.log('Testing database connection and associations...');
@@ -0,0 +1,314 @@
+const path = require('path');
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const { models } = require('../models');
+const { ChatSession, ChatMessage, Attachment } = models;
+const ChatService = require('./ChatService');
+const { createStorageAdapter } = require('./storage');
+
+// 允许上传的文件类型：扩展名、消息类型和文件头签名（无固定签名的文本类型不校验文件头）
+const ALLOWED_TYPES = {
+  'image/jpeg': { extension: '.jpg', messageType: 'image', signatures: [[0xff, 0xd8, 0xff]] },
+  'image/png': { extension: '.png', messageType: 'image', signatures: [[0x89, 0x50, 0x4e, 0x47]] },
+  'image/gif': { extension: '.gif', messageType: 'image', signatures: [[0x47, 0x49, 0x46, 0x38]] },
+  'image/webp': { extension: '.webp', messageType: 'image', signatures: [[0x52, 0x49, 0x46, 0x46]] },
+  'application/pdf': { extension: '.pdf', messageType: 'file', signatures: [[0x25, 0x50, 0x44, 0x46]] },
+  'application/msword': { extension: '.doc', messageType: 'file', signatures: [[0xd0, 0xcf, 0x11, 0xe0]] },
+  'application/vnd.ms-excel': { extension: '.xls', messageType: 'file', signatures: [[0xd0, 0xcf, 0x11, 0xe0]] },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': {
+    extension: '.docx', messageType: 'file', signatures: [[0x50, 0x4b, 0x03, 0x04]]
+  },
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': {
+    extension: '.xlsx', messageType: 'file', signatures: [[0x50, 0x4b, 0x03, 0x04]]
+  },
+  'application/zip': { extension: '.zip', messageType: 'file', signatures: [[0x50, 0x4b, 0x03, 0x04]] },
+  'text/plain': { extension: '.txt', messageType: 'file', signatures: null },
+  'text/csv': { extension: '.csv', messageType: 'file', signatures: null }
+};
+
+/**
+ * AttachmentService - 聊天附件
+ * 校验上传文件的类型和大小，通过存储适配器保存文件，为图片生成缩略图，
+ * 并创建 image / file 类型的消息及其关联的 Attachment 记录。
+ */
+class AttachmentService {
+  constructor() {
+    this.storage = createStorageAdapter();
+    this.maxFileSize = (parseInt(process.env.ATTACHMENT_MAX_SIZE_MB, 10) || 10) * 1024 * 1024;
+    this.thumbnailSize = parseInt(process.env.ATTACHMENT_THUMBNAIL_SIZE, 10) || 320;
+  }
+
+  /**
+   * 获取允许上传的 MIME 类型
+   * @returns {Array<string>} MIME 类型列表
+   */
+  getAllowedMimeTypes() {
+    return Object.keys(ALLOWED_TYPES);
+  }
+
+  /**
+   * 校验上传文件的类型、大小和文件头
+   * @param {Object} file - 上传文件（buffer, mimetype, size）
+   * @returns {Object} 校验结果，成功时包含 messageType
+   */
+  validateFile(file) {
+    if (!file || !file.buffer || file.size === 0) {
+      return {
+        success: false,
+        error: 'File required',
+        message: 'A non-empty file is required'
+      };
+    }
+
+    if (file.size > this.maxFileSize) {
+      return {
+        success: false,
+        error: 'File too large',
+        message: `File size exceeds the limit of ${this.maxFileSize} bytes`
+      };
+    }
+
+    const type = ALLOWED_TYPES[file.mimetype];
+    if (!type) {
+      return {
+        success: false,
+        error: 'Unsupported file type',
+        message: `File type ${file.mimetype} is not allowed`
+      };
+    }
+
+    if (type.signatures && !type.signatures.some(signature => signature.every((byte, index) => file.buffer[index] === byte))) {
+      return {
+        success: false,
+        error: 'Unsupported file type',
+        message: `File content does not match type ${file.mimetype}`
+      };
+    }
+
+    return {
+      success: true,
+      messageType: type.messageType,
+      extension: type.extension
+    };
+  }
+
+  /**
+   * 生成图片缩略图
+   * @param {Buffer} buffer - 图片内容
+   * @returns {Promise<Object>} 原图尺寸和缩略图内容
+   */
+  async createThumbnail(buffer) {
+    const image = sharp(buffer);
+    const metadata = await image.metadata();
+    const thumbnail = await image
+      .rotate()
+      .resize(this.thumbnailSize, this.thumbnailSize, { fit: 'inside', withoutEnlargement: true })
+      .webp()
+      .toBuffer();
+
+    return {
+      width: metadata.width || null,
+      height: metadata.height || null,
+      thumbnail
+    };
+  }
+
+  /**
+   * 上传附件并发送对应的消息
+   * @param {string} sessionId - 会话ID
+   * @param {Object} uploader - 上传者
+   * @param {string} uploader.id - 用户ID或客服ID
+   * @param {string} uploader.type - 'user' | 'operator'
+   * @param {Object} file - 上传文件（buffer, originalname, mimetype, size）
+   * @param {Object} options - 可选参数
+   * @param {string} options.caption - 附件说明，作为消息内容（默认使用文件名）
+   * @returns {Promise<Object>} 上传结果，包含 message、attachment 和 session
+   */
+  async uploadAttachment(sessionId, uploader, file, options = {}) {
+    const storedKeys = [];
+    let message = null;
+
+    try {
+      const validation = this.validateFile(file);
+      if (!validation.success) {
+        return validation;
+      }
+
+      const session = await ChatSession.findByPk(sessionId);
+      if (!session) {
+        return {
+          success: false,
+          error: 'Session not found',
+          message: 'Chat session does not exist'
+        };
+      }
+
+      if (session.isEnded()) {
+        return {
+          success: false,
+          error: 'Session closed',
+          message: 'Cannot send attachments to closed session'
+        };
+      }
+
+      const attachmentId = uuidv4();
+      const fileName = path.basename(file.originalname || `attachment${validation.extension}`).slice(0, 255);
+      let imageInfo = { width: null, height: null, thumbnail: null };
+
+      if (validation.messageType === 'image') {
+        try {
+          imageInfo = await this.createThumbnail(file.buffer);
+        } catch (error) {
+          return {
+            success: false,
+            error: 'Invalid image',
+            message: 'Image could not be processed'
+          };
+        }
+      }
+
+      const storageKey = await this.storage.save(`${sessionId}/${attachmentId}${validation.extension}`, file.buffer);
+      storedKeys.push(storageKey);
+
+      let thumbnailKey = null;
+      if (imageInfo.thumbnail) {
+        thumbnailKey = await this.storage.save(`${sessionId}/${attachmentId}-thumb.webp`, imageInfo.thumbnail);
+        storedKeys.push(thumbnailKey);
+      }
+
+      const caption = typeof options.caption === 'string' ? options.caption.trim() : '';
+      const messageResult = await ChatService.sendMessage(
+        sessionId,
+        uploader.id,
+        uploader.type,
+        caption || fileName,
+        validation.messageType,
+        { groupName: session.groupName }
+      );
+
+      if (!messageResult.success) {
+        await this.removeStoredFiles(storedKeys);
+        return messageResult;
+      }
+
+      message = messageResult.message;
+
+      const attachment = await Attachment.create({
+        id: attachmentId,
+        messageId: message.id,
+        sessionId,
+        uploaderId: uploader.id,
+        uploaderType: uploader.type,
+        fileName,
+        mimeType: file.mimetype,
+        size: file.size,
+        storageKey,
+        thumbnailKey,
+        width: imageInfo.width,
+        height: imageInfo.height
+      });
+
+      return {
+        success: true,
+        message,
+        attachment,
+        session: messageResult.session,
+        messageText: 'Attachment uploaded successfully'
+      };
+    } catch (error) {
+      console.error('Error uploading attachment:', error);
+      await this.removeStoredFiles(storedKeys);
+      if (message) {
+        await ChatMessage.destroy({ where: { id: message.id } }).catch(() => {});
+      }
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to upload attachment'
+      };
+    }
+  }
+
+  /**
+   * 删除已保存的文件（用于上传失败时回滚）
+   * @param {Array<string>} keys - 存储键列表
+   */
+  async removeStoredFiles(keys) {
+    for (const key of keys) {
+      try {
+        await this.storage.remove(key);
+      } catch (error) {
+        console.error(`Error removing stored attachment ${key}:`, error);
+      }
+    }
+  }
+
+  /**
+   * 获取附件记录
+   * @param {string} attachmentId - 附件ID
+   * @returns {Promise<Object>} 附件
+   */
+  async getAttachment(attachmentId) {
+    try {
+      const attachment = await Attachment.findByPk(attachmentId);
+      if (!attachment) {
+        return {
+          success: false,
+          error: 'Attachment not found',
+          message: 'Attachment does not exist'
+        };
+      }
+
+      return {
+        success: true,
+        attachment,
+        message: 'Attachment retrieved successfully'
+      };
+    } catch (error) {
+      console.error('Error getting attachment:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to retrieve attachment'
+      };
+    }
+  }
+
+  /**
+   * 打开附件文件
+   * @param {Object} attachment - 附件记录
+   * @param {Object} options - 可选参数
+   * @param {boolean} options.thumbnail - 是否读取缩略图
+   * @returns {Promise<Object>} 文件流和响应所需的文件信息
+   */
+  async openAttachment(attachment, options = {}) {
+    const { thumbnail = false } = options;
+
+    if (thumbnail && !attachment.hasThumbnail()) {
+      return {
+        success: false,
+        error: 'Thumbnail not found',
+        message: 'Attachment has no thumbnail'
+      };
+    }
+
+    try {
+      const stream = await this.storage.createReadStream(thumbnail ? attachment.thumbnailKey : attachment.storageKey);
+      return {
+        success: true,
+        stream,
+        mimeType: thumbnail ? 'image/webp' : attachment.mimeType,
+        fileName: attachment.fileName
+      };
+    } catch (error) {
+      console.error('Error opening attachment:', error);
+      return {
+        success: false,
+        error: 'File not found',
+        message: 'Attachment file is missing from storage'
+      };
+    }
+  }
+}
+
+module.exports = new AttachmentService();
@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { models } = require('../models');
+const { Operator } = models;
+
+/**
+ * AuthService - 客服登录与令牌校验
+ * 客服使用邮箱和密码登录，登录成功后签发 JWT，REST 接口和 Socket.IO 握手都使用该令牌认证。
+ * 访客身份由接入网站使用共享密钥 VISITOR_TOKEN_SECRET 签名，未签名的访客由服务端分配匿名ID。
+ * 外部系统（CRM、工单系统等）使用 INTEGRATION_API_KEYS 中配置的 API 密钥调用集成接口。
+ */
+class AuthService {
+  constructor() {
+    this.tokenExpiresIn = process.env.OPERATOR_TOKEN_EXPIRES_IN || '12h';
+    this.visitorTokenExpiresIn = process.env.VISITOR_TOKEN_EXPIRES_IN || '30d';
+  }
+
+  /**
+   * 获取签名密钥（测试环境允许使用默认密钥）
+   * @returns {string|null} 签名密钥
+   */
+  getSecret() {
+    if (process.env.JWT_SECRET) {
+      return process.env.JWT_SECRET;
+    }
+    return process.env.NODE_ENV === 'test' ? 'test-jwt-secret' : null;
+  }
+
+  /**
+   * 获取访客令牌的共享密钥（测试环境允许使用默认密钥）
+   * @returns {string|null} 共享密钥
+   */
+  getVisitorSecret() {
+    if (process.env.VISITOR_TOKEN_SECRET) {
+      return process.env.VISITOR_TOKEN_SECRET;
+    }
+    return process.env.NODE_ENV === 'test' ? 'test-visitor-secret' : null;
+  }
+
+  /**
+   * 读取集成接口的 API 密钥配置
+   * INTEGRATION_API_KEYS 为逗号分隔的 `名称:密钥`，省略名称时名称为 integration
+   * @returns {Array<Object>} [{ name, key }]
+   */
+  getIntegrationKeys() {
+    return (process.env.INTEGRATION_API_KEYS || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map((entry) => {
+        const separator = entry.indexOf(':');
+        return separator > 0
+          ? { name: entry.slice(0, separator).trim(), key: entry.slice(separator + 1).trim() }
+          : { name: 'integration', key: entry };
+      })
+      .filter(item => item.key);
+  }
+
+  /**
+   * 为客服签发令牌
+   * @param {Object} operator - 客服对象
+   * @returns {string} 令牌
+   */
+  signOperatorToken(operator) {
+    return jwt.sign(
+      { sub: operator.id, type: 'operator' },
+      this.getSecret(),
+      { expiresIn: this.tokenExpiresIn }
+    );
+  }
+
+  /**
+   * 客服登录
+   * @param {string} email - 邮箱
+   * @param {string} password - 密码
+   * @returns {Promise<Object>} 登录结果
+   */
+  async login(email, password) {
+    try {
+      if (!this.getSecret()) {
+        return {
+          success: false,
+          error: 'Authentication not configured',
+          message: 'JWT_SECRET is not configured'
+        };
+      }
+
+      const operator = email ? await Operator.findByEmail(email) : null;
+      const valid = operator ? await operator.verifyPassword(password) : false;
+
+      if (!valid) {
+        return {
+          success: false,
+          error: 'Invalid credentials',
+          message: 'Email or password is incorrect'
+        };
+      }
+
+      return {
+        success: true,
+        token: this.signOperatorToken(operator),
+        expiresIn: this.tokenExpiresIn,
+        operator,
+        message: 'Login successful'
+      };
+    } catch (error) {
+      console.error('Error logging in operator:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to log in'
+      };
+    }
+  }
+
+  /**
+   * 校验客服令牌并加载客服
+   * @param {string} token - 令牌
+   * @returns {Promise<Object>} 校验结果
+   */
+  async verifyOperatorToken(token) {
+    try {
+      const secret = this.getSecret();
+      if (!token || !secret) {
+        return {
+          success: false,
+          error: 'Invalid token',
+          message: 'Authentication token is missing or invalid'
+        };
+      }
+
+      const payload = jwt.verify(token, secret);
+      if (payload.type !== 'operator') {
+        return {
+          success: false,
+          error: 'Invalid token',
+          message: 'Authentication token is not an operator token'
+        };
+      }
+
+      const operator = await Operator.findByPk(payload.sub);
+      if (!operator) {
+        return {
+          success: false,
+          error: 'Invalid token',
+          message: 'Operator no longer exists'
+        };
+      }
+
+      return {
+        success: true,
+        operator,
+        payload,
+        message: 'Token verified successfully'
+      };
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        return {
+          success: false,
+          error: 'Token expired',
+          message: 'Authentication token expired'
+        };
+      }
+
+      if (error.name === 'JsonWebTokenError') {
+        return {
+          success: false,
+          error: 'Invalid token',
+          message: 'Authentication token is missing or invalid'
+        };
+      }
+
+      console.error('Error verifying operator token:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to verify token'
+      };
+    }
+  }
+
+  /**
+   * 校验集成接口的 API 密钥（按摘要做定长比较，避免通过响应时间猜测密钥）
+   * @param {string} apiKey - 请求携带的 API 密钥
+   * @returns {Object} 校验结果，成功时包含 integration（密钥对应的集成名称）
+   */
+  verifyApiKey(apiKey) {
+    const keys = this.getIntegrationKeys();
+    if (keys.length === 0) {
+      return {
+        success: false,
+        error: 'API keys not configured',
+        message: 'INTEGRATION_API_KEYS is not configured'
+      };
+    }
+
+    const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    const provided = digest(apiKey);
+    const match = keys.find(item => crypto.timingSafeEqual(digest(item.key), provided));
+
+    if (!match) {
+      return {
+        success: false,
+        error: 'Invalid API key',
+        message: 'API key is invalid'
+      };
+    }
+
+    return {
+      success: true,
+      integration: { name: match.name },
+      message: 'API key verified successfully'
+    };
+  }
+
+  /**
+   * 签发访客令牌（接入网站使用同一共享密钥和格式签名）
+   * @param {Object} visitor - 访客信息
+   * @param {string} visitor.userId - 用户ID
+   * @param {string} visitor.userName - 用户名称
+   * @param {string} visitor.groupName - 分组名称
+   * @param {boolean} visitor.anonymous - 是否为服务端分配的匿名访客
+   * @returns {string|null} 令牌，未配置共享密钥时返回 null
+   */
+  signVisitorToken({ userId, userName = null, groupName = null, anonymous = false }) {
+    const secret = this.getVisitorSecret();
+    if (!secret) {
+      return null;
+    }
+
+    return jwt.sign(
+      { userId, userName, groupName, anonymous },
+      secret,
+      { expiresIn: this.visitorTokenExpiresIn }
+    );
+  }
+
+  /**
+   * 校验访客令牌
+   * @param {string} token - 访客令牌
+   * @returns {Object} 校验结果，成功时包含 visitor
+   */
+  verifyVisitorToken(token) {
+    const secret = this.getVisitorSecret();
+    if (!secret) {
+      return {
+        success: false,
+        error: 'Visitor tokens not configured',
+        message: 'VISITOR_TOKEN_SECRET is not configured'
+      };
+    }
+
+    try {
+      const payload = jwt.verify(token, secret);
+      if (!payload.userId || typeof payload.userId !== 'string') {
+        return {
+          success: false,
+          error: 'Invalid token',
+          message: 'Visitor token does not contain a userId'
+        };
+      }
+
+      return {
+        success: true,
+        visitor: {
+          userId: payload.userId,
+          userName: payload.userName || null,
+          groupName: payload.groupName || null,
+          anonymous: payload.anonymous === true
+        },
+        message: 'Visitor token verified successfully'
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token',
+        message: error.name === 'TokenExpiredError'
+          ? 'Visitor token expired'
+          : 'Visitor token is invalid'
+      };
+    }
+  }
+
+  /**
+   * 为未签名的访客分配匿名身份，并签发可用于恢复会话的访客令牌
+   * @param {Object} options - 访客自填信息
+   * @param {string} options.userName - 用户名称
+   * @param {string} options.groupName - 分组名称
+   * @returns {Object} 匿名访客及其令牌
+   */
+  createAnonymousVisitor({ userName = null, groupName = null } = {}) {
+    const visitor = {
+      userId: `visitor-${uuidv4()}`,
+      userName,
+      groupName,
+      anonymous: true
+    };
+
+    return {
+      visitor,
+      token: this.signVisitorToken(visitor)
+    };
+  }
+}
+
+module.exports = new AuthService();
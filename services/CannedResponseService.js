@@ -0,0 +1,252 @@
+const { Op } = require('sequelize');
+const { models } = require('../models');
+const { CannedResponse } = models;
+
+// 创建和更新时允许写入的字段
+const EDITABLE_FIELDS = ['title', 'shortcut', 'body', 'tags', 'scope', 'groupName'];
+
+/**
+ * CannedResponseService - 客服快捷回复
+ * 个人快捷回复只对所属客服可见，小组快捷回复用于对应访客分组的会话，全局快捷回复对所有客服可见。
+ */
+class CannedResponseService {
+  /**
+   * 从请求数据中挑选可写入的字段
+   * @param {Object} data - 请求数据
+   * @returns {Object} 可写入的字段
+   */
+  pickEditableFields(data = {}) {
+    return EDITABLE_FIELDS.reduce((fields, field) => {
+      if (data[field] !== undefined) {
+        fields[field] = data[field];
+      }
+      return fields;
+    }, {});
+  }
+
+  /**
+   * 将模型校验错误转换为统一的返回格式
+   * @param {Error} error - 错误
+   * @param {string} message - 其他错误时的提示
+   * @returns {Object} 失败结果
+   */
+  toFailure(error, message) {
+    if (error.name === 'SequelizeValidationError') {
+      return {
+        success: false,
+        error: 'Invalid canned response',
+        message: error.errors.map(item => item.message).join(', ')
+      };
+    }
+
+    return {
+      success: false,
+      error: error.message,
+      message
+    };
+  }
+
+  /**
+   * 获取客服可用的快捷回复（本人的个人快捷回复、小组和全局快捷回复）
+   * @param {string} operatorId - 客服ID
+   * @param {Object} options - 查询选项
+   * @param {string} options.groupName - 只返回适用于该访客分组的小组快捷回复
+   * @param {string} options.tag - 标签过滤
+   * @param {string} options.search - 按标题、快捷键和内容搜索
+   * @returns {Promise<Object>} 快捷回复列表，按使用次数倒序
+   */
+  async listCannedResponses(operatorId, options = {}) {
+    try {
+      const { groupName, tag, search } = options;
+
+      const groupCondition = { scope: 'group' };
+      if (groupName) {
+        groupCondition.groupName = groupName;
+      }
+
+      const conditions = [{
+        [Op.or]: [
+          { scope: 'personal', ownerId: operatorId },
+          { scope: 'global' },
+          groupCondition
+        ]
+      }];
+
+      if (search) {
+        const pattern = `%${search}%`;
+        conditions.push({
+          [Op.or]: [
+            { title: { [Op.like]: pattern } },
+            { shortcut: { [Op.like]: pattern } },
+            { body: { [Op.like]: pattern } }
+          ]
+        });
+      }
+
+      let cannedResponses = await CannedResponse.findAll({
+        where: { [Op.and]: conditions },
+        order: [['usageCount', 'DESC'], ['title', 'ASC']]
+      });
+
+      // 标签保存为 JSON 数组，不同数据库的 JSON 查询语法不同，在内存中过滤
+      if (tag) {
+        cannedResponses = cannedResponses.filter(item => (item.tags || []).includes(tag));
+      }
+
+      return {
+        success: true,
+        cannedResponses,
+        count: cannedResponses.length,
+        message: 'Canned responses retrieved successfully'
+      };
+    } catch (error) {
+      console.error('Error listing canned responses:', error);
+      return this.toFailure(error, 'Failed to retrieve canned responses');
+    }
+  }
+
+  /**
+   * 获取客服可见的单个快捷回复
+   * @param {string} operatorId - 客服ID
+   * @param {string} cannedResponseId - 快捷回复ID
+   * @returns {Promise<Object>} 快捷回复
+   */
+  async getCannedResponse(operatorId, cannedResponseId) {
+    try {
+      const cannedResponse = await CannedResponse.findByPk(cannedResponseId);
+
+      if (!cannedResponse || !cannedResponse.isAvailableTo(operatorId)) {
+        return {
+          success: false,
+          error: 'Canned response not found',
+          message: 'Canned response does not exist'
+        };
+      }
+
+      return {
+        success: true,
+        cannedResponse,
+        message: 'Canned response retrieved successfully'
+      };
+    } catch (error) {
+      console.error('Error getting canned response:', error);
+      return this.toFailure(error, 'Failed to retrieve canned response');
+    }
+  }
+
+  /**
+   * 创建快捷回复
+   * @param {string} operatorId - 所属客服ID（小组和全局快捷回复记录为创建者）
+   * @param {Object} data - 快捷回复内容（title, shortcut, body, tags, scope, groupName）
+   * @returns {Promise<Object>} 创建的快捷回复
+   */
+  async createCannedResponse(operatorId, data) {
+    try {
+      const cannedResponse = await CannedResponse.create({
+        ...this.pickEditableFields(data),
+        ownerId: operatorId
+      });
+
+      return {
+        success: true,
+        cannedResponse,
+        message: 'Canned response created successfully'
+      };
+    } catch (error) {
+      console.error('Error creating canned response:', error);
+      return this.toFailure(error, 'Failed to create canned response');
+    }
+  }
+
+  /**
+   * 更新快捷回复
+   * @param {Object} cannedResponse - 快捷回复
+   * @param {Object} data - 需要更新的字段
+   * @returns {Promise<Object>} 更新后的快捷回复
+   */
+  async updateCannedResponse(cannedResponse, data) {
+    try {
+      await cannedResponse.update(this.pickEditableFields(data));
+
+      return {
+        success: true,
+        cannedResponse,
+        message: 'Canned response updated successfully'
+      };
+    } catch (error) {
+      console.error('Error updating canned response:', error);
+      return this.toFailure(error, 'Failed to update canned response');
+    }
+  }
+
+  /**
+   * 删除快捷回复
+   * @param {Object} cannedResponse - 快捷回复
+   * @returns {Promise<Object>} 删除结果
+   */
+  async deleteCannedResponse(cannedResponse) {
+    try {
+      await cannedResponse.destroy();
+
+      return {
+        success: true,
+        message: 'Canned response deleted successfully'
+      };
+    } catch (error) {
+      console.error('Error deleting canned response:', error);
+      return this.toFailure(error, 'Failed to delete canned response');
+    }
+  }
+
+  /**
+   * 为会话生成快捷回复的消息内容，填充 {{userName}}、{{groupName}}、{{operatorName}}
+   * @param {Object} operator - 发送消息的客服 { id, name }
+   * @param {string} cannedResponseId - 快捷回复ID
+   * @param {Object} session - 聊天会话
+   * @returns {Promise<Object>} 快捷回复和填充后的内容
+   */
+  async renderForSession(operator, cannedResponseId, session) {
+    try {
+      const cannedResponse = await CannedResponse.findByPk(cannedResponseId);
+
+      if (!cannedResponse || !cannedResponse.isAvailableTo(operator.id, session.groupName || null)) {
+        return {
+          success: false,
+          error: 'Canned response not found',
+          message: 'Canned response does not exist or cannot be used in this session'
+        };
+      }
+
+      return {
+        success: true,
+        cannedResponse,
+        content: cannedResponse.render({
+          userName: session.userName || '访客',
+          groupName: session.groupName || '',
+          operatorName: operator.name || ''
+        }),
+        message: 'Canned response rendered successfully'
+      };
+    } catch (error) {
+      console.error('Error rendering canned response:', error);
+      return this.toFailure(error, 'Failed to render canned response');
+    }
+  }
+
+  /**
+   * 记录快捷回复被使用一次，用于统计
+   * @param {Object} cannedResponse - 快捷回复
+   * @returns {Promise<Object>} 记录结果
+   */
+  async recordUsage(cannedResponse) {
+    try {
+      await cannedResponse.recordUsage();
+      return { success: true };
+    } catch (error) {
+      console.error('Error recording canned response usage:', error);
+      return this.toFailure(error, 'Failed to record canned response usage');
+    }
+  }
+}
+
+module.exports = new CannedResponseService();
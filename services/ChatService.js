@@ -1,7 +1,44 @@
-const { models } = require('../models');
-const { ChatSession, ChatMessage, Operator } = models;
+const { v4: uuidv4 } = require('uuid');
+const { sequelize, models } = require('../models');
+const { ChatSession, ChatMessage, Operator, Attachment, MessageReceipt, MessageRevision } = models;
+const WebhookService = require('./WebhookService');
+
+// 会话结束时写入的系统消息
+const END_REASON_MESSAGES = {
+  operator_ended: 'Chat session has been ended by the operator',
+  user_ended: 'Chat session has been ended by the user',
+  timeout: 'Chat session has ended due to inactivity',
+  admin_closed: 'Chat session has been closed',
+  cancelled: 'Chat session has been cancelled'
+};
+
+// 消息删除后保留的占位内容，原内容保存在 MessageRevision 中
+const DELETED_MESSAGE_CONTENT = 'This message was deleted';
+
+// 消息搜索结果片段的最大长度（字符）
+const SEARCH_SNIPPET_LENGTH = 160;
+
+// MySQL 布尔全文检索的运算符，从搜索词中去掉
+const FULLTEXT_OPERATORS = /[+\-<>()~*"@]+/g;
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 class ChatService {
+  constructor() {
+    // 发送者可以编辑/删除消息的时间窗口（分钟，0 表示不限制）
+    const editWindow = parseFloat(process.env.CHAT_MESSAGE_EDIT_WINDOW_MINUTES);
+    this.messageEditWindowMinutes = Number.isNaN(editWindow) ? 15 : editWindow;
+  }
+
   /**
    * 创建新的聊天会话
    * @param {string} userId - 用户ID
@@ -32,6 +69,8 @@ class ChatService {
         ...options
       });
 
+      await WebhookService.dispatch('session.created', WebhookService.sessionData(session), session.id);
+
       return {
         success: true,
         session,
@@ -54,7 +93,7 @@ class ChatService {
    * @param {string} senderId - 发送者ID
    * @param {string} senderType - 发送者类型 ('user' | 'operator')
    * @param {string} content - 消息内容
-   * @param {string} messageType - 消息类型 ('text' | 'image' | 'system')
+   * @param {string} messageType - 消息类型 ('text' | 'image' | 'file' | 'system')
    * @returns {Promise<Object>} 发送结果
    */
   async sendMessage(sessionId, senderId, senderType, content, messageType = 'text', options = {}) {
@@ -70,7 +109,7 @@ class ChatService {
       }
 
       // 检查会话状态
-      if (session.isClosed()) {
+      if (session.isEnded()) {
         return {
           success: false,
           error: 'Session closed',
@@ -89,11 +128,25 @@ class ChatService {
         groupName: options.groupName
       });
 
+      // 更新会话的最后一条消息和消息数，系统消息不计入，计数在数据库中原子递增
+      if (senderType !== 'system') {
+        await session.update({
+          lastMessageAt: message.createdAt,
+          lastMessagePreview: ChatSession.toMessagePreview(content)
+        });
+        await session.increment('messageCount');
+      }
+
       // 如果是用户发送的第一条消息，激活会话
       if (senderType === 'user' && session.isWaiting()) {
         await session.activate();
       }
 
+      // 系统消息不作为 message.created 事件分发
+      if (senderType !== 'system') {
+        await WebhookService.dispatch('message.created', WebhookService.messageData(message), message.id);
+      }
+
       return {
         success: true,
         message,
@@ -110,6 +163,209 @@ class ChatService {
     }
   }
 
+  /**
+   * 查找发送者可以修改的消息，校验发送者、消息类型、会话状态和编辑时间窗口
+   * @param {string} sessionId - 会话ID
+   * @param {string} messageId - 消息ID
+   * @param {Object} editor - 修改者 { id, type: 'user' | 'operator' }
+   * @returns {Promise<Object>} 校验结果，成功时包含 message 和 session
+   */
+  async findEditableMessage(sessionId, messageId, editor) {
+    const message = await ChatMessage.findOne({ where: { id: messageId, sessionId } });
+    if (!message) {
+      return {
+        success: false,
+        error: 'Message not found',
+        message: 'Message does not exist in this session'
+      };
+    }
+
+    if (message.senderId !== editor.id || message.senderType !== editor.type) {
+      return {
+        success: false,
+        error: 'Not message sender',
+        message: 'Only the sender can change this message'
+      };
+    }
+
+    if (message.isDeleted) {
+      return {
+        success: false,
+        error: 'Message deleted',
+        message: 'Message has already been deleted'
+      };
+    }
+
+    // 附件消息的内容是文件说明，不支持修改
+    if (!message.isTextMessage()) {
+      return {
+        success: false,
+        error: 'Message not editable',
+        message: 'Only text messages can be changed'
+      };
+    }
+
+    const windowMs = this.messageEditWindowMinutes * 60 * 1000;
+    if (windowMs > 0 && Date.now() - new Date(message.createdAt).getTime() > windowMs) {
+      return {
+        success: false,
+        error: 'Edit window expired',
+        message: `Messages can only be changed within ${this.messageEditWindowMinutes} minutes`
+      };
+    }
+
+    const session = await ChatSession.findByPk(sessionId);
+    if (!session || session.isEnded()) {
+      return {
+        success: false,
+        error: 'Session closed',
+        message: 'Cannot change messages in closed session'
+      };
+    }
+
+    return { success: true, message, session };
+  }
+
+  /**
+   * 被修改的消息是会话的最后一条消息时，同步更新会话列表中的预览
+   * @param {Object} session - 聊天会话
+   * @param {Object} message - 修改后的消息
+   * @param {Object} transaction - 事务
+   * @returns {Promise<void>}
+   */
+  async refreshLastMessagePreview(session, message, transaction) {
+    if (!session.lastMessageAt || new Date(session.lastMessageAt).getTime() !== message.createdAt.getTime()) {
+      return;
+    }
+
+    await session.update({
+      lastMessagePreview: ChatSession.toMessagePreview(message.content)
+    }, { transaction });
+  }
+
+  /**
+   * 编辑消息，原内容记录到修订表
+   * @param {string} sessionId - 会话ID
+   * @param {string} messageId - 消息ID
+   * @param {Object} editor - 修改者 { id, type: 'user' | 'operator' }
+   * @param {string} content - 新的消息内容
+   * @returns {Promise<Object>} 编辑结果
+   */
+  async editMessage(sessionId, messageId, editor, content) {
+    try {
+      const found = await this.findEditableMessage(sessionId, messageId, editor);
+      if (!found.success) {
+        return found;
+      }
+
+      const { message, session } = found;
+      const newContent = typeof content === 'string' ? content.trim() : '';
+
+      if (!newContent) {
+        return {
+          success: false,
+          error: 'Content required',
+          message: 'Message content is required'
+        };
+      }
+
+      if (newContent === message.content) {
+        return {
+          success: true,
+          message,
+          session,
+          changed: false,
+          messageText: 'Message content unchanged'
+        };
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        await MessageRevision.create({
+          messageId: message.id,
+          sessionId,
+          action: 'edit',
+          previousContent: message.content,
+          editorId: editor.id,
+          editorType: editor.type
+        }, { transaction });
+
+        await message.update({
+          content: newContent,
+          isEdited: true,
+          editedAt: new Date()
+        }, { transaction });
+
+        await this.refreshLastMessagePreview(session, message, transaction);
+      });
+
+      return {
+        success: true,
+        message,
+        session,
+        changed: true,
+        messageText: 'Message edited successfully'
+      };
+    } catch (error) {
+      console.error('Error editing message:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to edit message'
+      };
+    }
+  }
+
+  /**
+   * 删除消息：消息记录保留并标记为已删除，原内容记录到修订表
+   * @param {string} sessionId - 会话ID
+   * @param {string} messageId - 消息ID
+   * @param {Object} editor - 删除者 { id, type: 'user' | 'operator' }
+   * @returns {Promise<Object>} 删除结果
+   */
+  async deleteMessage(sessionId, messageId, editor) {
+    try {
+      const found = await this.findEditableMessage(sessionId, messageId, editor);
+      if (!found.success) {
+        return found;
+      }
+
+      const { message, session } = found;
+
+      await sequelize.transaction(async (transaction) => {
+        await MessageRevision.create({
+          messageId: message.id,
+          sessionId,
+          action: 'delete',
+          previousContent: message.content,
+          editorId: editor.id,
+          editorType: editor.type
+        }, { transaction });
+
+        await message.update({
+          content: DELETED_MESSAGE_CONTENT,
+          isDeleted: true,
+          deletedAt: new Date()
+        }, { transaction });
+
+        await this.refreshLastMessagePreview(session, message, transaction);
+      });
+
+      return {
+        success: true,
+        message,
+        session,
+        messageText: 'Message deleted successfully'
+      };
+    } catch (error) {
+      console.error('Error deleting message:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to delete message'
+      };
+    }
+  }
+
   /**
    * 获取会话的历史消息
    * @param {string} sessionId - 会话ID
@@ -147,14 +403,30 @@ class ChatService {
         whereClause.messageType = messageType;
       }
 
-      // 获取消息
+      // 获取消息（附带附件信息和送达回执，不返回存储键）
       const messages = await ChatMessage.findAll({
         where: whereClause,
+        include: [
+          {
+            model: Attachment,
+            as: 'attachment',
+            required: false,
+            attributes: { exclude: ['storageKey', 'thumbnailKey'] }
+          },
+          {
+            model: MessageReceipt,
+            as: 'receipts',
+            required: false,
+            attributes: ['recipientId', 'recipientType', 'deliveredAt', 'readAt']
+          }
+        ],
         order: [['createdAt', order]],
         limit,
         offset
       });
 
+      messages.forEach(message => message.setDataValue('deliveryStatus', message.getDeliveryStatus()));
+
       // 获取总数
       const totalCount = await ChatMessage.count({
         where: whereClause
@@ -283,10 +555,11 @@ class ChatService {
         };
       }
 
-      if (session.isClosed()) {
+      if (session.isEnded()) {
         return {
           success: true,
           session,
+          alreadyEnded: true,
           message: 'Session was already closed'
         };
       }
@@ -303,7 +576,12 @@ class ChatService {
       }
 
       // 关闭会话
-      await session.close();
+      await session.close({
+        endReason: 'admin_closed',
+        endedBy: closedBy
+      });
+
+      await WebhookService.dispatch('session.ended', WebhookService.sessionData(session), session.id);
 
       return {
         success: true,
@@ -321,14 +599,48 @@ class ChatService {
   }
 
   /**
-   * 分配客服到会话
+   * 根据结束原因推导会话的目标状态
+   * @param {Object} session - 会话对象
+   * @param {string} reason - 结束原因
+   * @returns {string} 目标状态
+   */
+  resolveEndStatus(session, reason) {
+    switch (reason) {
+      case 'timeout':
+        return 'timeout';
+      case 'cancelled':
+        return 'cancelled';
+      case 'admin_closed':
+        return 'closed';
+      case 'user_ended':
+        return session.isWaiting() ? 'cancelled' : 'completed';
+      case 'operator_ended':
+      default:
+        return session.isWaiting() ? 'closed' : 'completed';
+    }
+  }
+
+  /**
+   * 结束聊天会话
    * @param {string} sessionId - 会话ID
-   * @param {string} operatorId - 客服ID
-   * @returns {Promise<Object>} 分配结果
+   * @param {string} endedBy - 结束者ID ('system' 表示系统结束)
+   * @param {Object} options - 可选参数
+   * @param {string} options.reason - 结束原因 (默认 'operator_ended')
+   * @param {string} options.status - 目标状态 (不传则根据结束原因推导)
+   * @returns {Promise<Object>} 结束结果
    */
-  async assignOperatorToSession(sessionId, operatorId) {
+  async endChatSession(sessionId, endedBy = null, options = {}) {
     try {
-      console.log(`ChatService.assignOperatorToSession called with sessionId: ${sessionId}, operatorId: ${operatorId}`);
+      const { reason = 'operator_ended', status = null } = options;
+
+      if (!ChatSession.END_REASONS.includes(reason)) {
+        return {
+          success: false,
+          error: 'Invalid end reason',
+          message: `End reason must be one of: ${ChatSession.END_REASONS.join(', ')}`
+        };
+      }
+
       const session = await ChatSession.findByPk(sessionId);
       if (!session) {
         return {
@@ -338,133 +650,191 @@ class ChatService {
         };
       }
 
-      if (session.isClosed()) {
+      if (session.isEnded()) {
         return {
-          success: false,
-          error: 'Session closed',
-          message: 'Cannot assign operator to closed session'
+          success: true,
+          session,
+          alreadyEnded: true,
+          message: 'Session was already ended'
         };
       }
 
-      // 验证客服是否存在且在线
-      console.log(`Looking for operator with ID: ${operatorId}`);
-      let operator = await Operator.findByPk(operatorId);
-      console.log(`Found operator:`, operator ? operator.toJSON() : 'null');
-      if (!operator) {
-        // 如果客服不存在，尝试创建一个新的客服记录（用于测试）
-        try {
-          operator = await Operator.create({
-            id: operatorId, // 使用请求的ID作为客服ID
-            name: `Test Operator ${operatorId.slice(-8)}`,
-            email: `${operatorId.slice(-8)}_${Date.now()}@test.com`,
-            status: 'online',
-            lastActiveAt: new Date()
-          });
-          console.log(`Created new operator for session assignment: ${operator.id}`);
-        } catch (createError) {
-          console.error('Error creating operator for session:', createError);
-          // 如果使用指定ID创建失败，尝试自动生成ID
-          try {
-            operator = await Operator.create({
-              name: `Test Operator ${operatorId.slice(-8)}`,
-              email: `${operatorId.slice(-8)}_${Date.now()}@test.com`,
-              status: 'online',
-              lastActiveAt: new Date()
-            });
-            console.log(`Created new operator with auto-generated ID: ${operator.id} (requested: ${operatorId})`);
-          } catch (secondCreateError) {
-            console.error('Error creating operator with auto ID:', secondCreateError);
-            return {
-              success: false,
-              error: 'Operator not found',
-              message: 'Operator does not exist and could not be created'
-            };
-          }
-        }
-      }
-
-      if (!operator.isAvailable()) {
-        console.log(`Operator ${operatorId} is not available, status: ${operator.status}`);
+      const nextStatus = status || this.resolveEndStatus(session, reason);
+      if (!session.canTransitionTo(nextStatus)) {
         return {
           success: false,
-          error: 'Operator not available',
-          message: 'Operator is not available for assignment'
+          error: 'Invalid status transition',
+          message: `Cannot change session status from ${session.status} to ${nextStatus}`
         };
       }
 
-      // 分配客服（使用实际的客服ID）
-      session.operatorId = operator.id;
-      session.status = 'active';
-      await session.save();
-
-      // 添加系统消息
+      // 添加系统消息记录会话结束
       await this.sendMessage(
         sessionId,
         'system',
         'system',
-        `Operator ${operator.name} 加入了会话`,
+        END_REASON_MESSAGES[reason],
         'system'
       );
 
+      await session.transitionTo(nextStatus, {
+        endReason: reason,
+        endedBy
+      });
+
+      await WebhookService.dispatch('session.ended', WebhookService.sessionData(session), session.id);
+
       return {
         success: true,
         session,
-        operator,
-        message: 'Operator assigned successfully'
+        alreadyEnded: false,
+        message: 'Chat session ended successfully'
       };
     } catch (error) {
-      console.error('Error assigning operator to session:', error);
+      console.error('Error ending chat session:', error);
       return {
         success: false,
         error: error.message,
-        message: 'Failed to assign operator to session'
+        message: 'Failed to end chat session'
       };
     }
   }
 
   /**
-   * 标记消息为已读
-   * @param {string} sessionId - 会话ID
-   * @param {string} readBy - 读取者ID (可选)
-   * @returns {Promise<Object>} 标记结果
+   * 主动向已知用户发起会话（由外部系统调用），用户已有进行中的会话时沿用该会话
+   * 开场消息以系统消息写入会话，访客打开聊天窗口时在消息历史中看到
+   * @param {string} userId - 用户ID
+   * @param {Object} options - 可选参数
+   * @param {string} options.userName - 用户名称
+   * @param {string} options.groupName - 分组名称
+   * @param {string} options.content - 开场消息内容
+   * @param {string} options.startedBy - 发起者标识（写入开场消息的 senderId）
+   * @returns {Promise<Object>} 发起结果，包含 session、isNew 和 openingMessage
    */
-  async markMessagesAsRead(sessionId, readBy = null) {
+  async startOutboundChat(userId, options = {}) {
+    const { userName, groupName, content, startedBy = 'system' } = options;
+
+    const sessionResult = await this.createChatSession(userId, { userName, groupName });
+    if (!sessionResult.success) {
+      return sessionResult;
+    }
+
+    const { session, isNew } = sessionResult;
+    let openingMessage = null;
+
+    if (content) {
+      const messageResult = await this.sendMessage(session.id, startedBy, 'system', content, 'system');
+      if (!messageResult.success) {
+        return messageResult;
+      }
+      openingMessage = messageResult.message;
+    }
+
+    return {
+      success: true,
+      session,
+      isNew,
+      openingMessage,
+      message: isNew ? 'Outbound chat session started successfully' : 'Found existing active session'
+    };
+  }
+
+  /**
+   * 访客接受主动邀请后开始会话
+   * 客服发出的邀请直接分配给该客服，开场消息以该客服的消息写入；
+   * 规则触发的邀请或客服已不可接入时会话保持等待，开场消息以系统消息写入
+   * @param {Object} visitor - 访客身份 { userId, userName, groupName, anonymous }
+   * @param {Object} invitation - 邀请（operatorId、message）
+   * @returns {Promise<Object>} 开始结果，包含 session、isNew、operator（已分配时）和 openingMessage
+   */
+  async startInvitedChat(visitor, invitation) {
+    const { userId, userName, groupName, anonymous } = visitor;
+
+    const sessionResult = await this.createChatSession(userId, {
+      userName,
+      groupName,
+      isAnonymous: anonymous === true
+    });
+    if (!sessionResult.success) {
+      return sessionResult;
+    }
+
+    let { session } = sessionResult;
+    let operator = null;
+
+    if (invitation.operatorId && !session.operatorId) {
+      const assignResult = await this.assignOperatorToSession(session.id, invitation.operatorId);
+      if (assignResult.success) {
+        ({ session, operator } = assignResult);
+      }
+    }
+
+    const messageResult = operator
+      ? await this.sendMessage(session.id, operator.id, 'operator', invitation.message, 'text', { groupName })
+      : await this.sendMessage(session.id, 'system', 'system', invitation.message, 'system');
+    if (!messageResult.success) {
+      return messageResult;
+    }
+
+    return {
+      success: true,
+      session,
+      isNew: sessionResult.isNew,
+      operator,
+      openingMessage: messageResult.message,
+      message: operator ? 'Invited chat assigned to operator' : 'Invited chat waiting for an operator'
+    };
+  }
+
+  /**
+   * 更新访客进行中会话的访客信息快照
+   * @param {string} userId - 访客ID
+   * @param {Object} visitorContext - 访客信息（url、title、referrer、userAgent、locale、pageViewedAt、timeOnPage）
+   * @returns {Promise<Object>} 更新结果，访客没有进行中的会话时 session 为 null
+   */
+  async updateVisitorContext(userId, visitorContext) {
     try {
-      const session = await ChatSession.findByPk(sessionId);
+      const session = await ChatSession.findActiveByUserId(userId);
       if (!session) {
         return {
-          success: false,
-          error: 'Session not found',
-          message: 'Chat session does not exist'
+          success: true,
+          session: null,
+          message: 'Visitor has no active chat session'
         };
       }
 
-      // 标记所有未读消息为已读
-      const [updatedCount] = await ChatMessage.markAllAsReadBySessionId(sessionId);
+      // 访客信息随页面跳转上报，不属于会话活动，不更新 updatedAt 以免推迟空闲超时
+      await session.update({ visitorContext }, { silent: true });
 
       return {
         success: true,
-        updatedCount,
         session,
-        message: `${updatedCount} messages marked as read`
+        message: 'Visitor context updated successfully'
       };
     } catch (error) {
-      console.error('Error marking messages as read:', error);
+      console.error('Error updating visitor context:', error);
       return {
         success: false,
         error: error.message,
-        message: 'Failed to mark messages as read'
+        message: 'Failed to update visitor context'
       };
     }
   }
 
   /**
-   * 获取未读消息数量
+   * 添加或移除会话标签（已结束的会话也可以修改）
    * @param {string} sessionId - 会话ID
-   * @returns {Promise<Object>} 未读消息数量
+   * @param {Object} changes - 标签变更
+   * @param {Array<string>} changes.add - 要添加的标签
+   * @param {Array<string>} changes.remove - 要移除的标签
+   * @returns {Promise<Object>} 更新结果
    */
-  async getUnreadMessageCount(sessionId) {
+  async updateSessionTags(sessionId, changes = {}) {
     try {
+      const normalize = tags => (tags || []).map(tag => String(tag).trim()).filter(Boolean);
+      const add = normalize(changes.add);
+      const remove = normalize(changes.remove);
+
       const session = await ChatSession.findByPk(sessionId);
       if (!session) {
         return {
@@ -474,180 +844,772 @@ class ChatService {
         };
       }
 
-      const unreadCount = await ChatMessage.countUnreadBySessionId(sessionId);
+      const tags = [...new Set([...session.tags, ...add])].filter(tag => !remove.includes(tag));
+      await session.update({ tags });
 
       return {
         success: true,
-        unreadCount,
         session,
-        message: 'Unread message count retrieved successfully'
+        message: 'Session tags updated successfully'
       };
     } catch (error) {
-      console.error('Error getting unread message count:', error);
+      if (error.name === 'SequelizeValidationError') {
+        return {
+          success: false,
+          error: 'Invalid tags',
+          message: error.errors.map(item => item.message).join(', ')
+        };
+      }
+
+      console.error('Error updating session tags:', error);
       return {
         success: false,
         error: error.message,
-        message: 'Failed to get unread message count'
+        message: 'Failed to update session tags'
       };
     }
   }
 
   /**
-   * 获取所有历史会话列表（支持分页和搜索）
-   * @param {Object} options - 查询选项
-   * @returns {Promise<Object>} 历史会话列表
+   * 分配客服到会话
+   * @param {string} sessionId - 会话ID
+   * @param {string} operatorId - 客服ID
+   * @param {Object} options - 可选参数
+   * @param {boolean} options.enforceCapacity - 客服进行中的会话已达到并发上限时拒绝分配
+   * @param {boolean} options.allowReassign - 是否允许接管已分配给其他客服的会话（仅限主管及以上）
+   * @returns {Promise<Object>} 分配结果，previousOperatorId 为重新分配前的客服
    */
-  async getAllHistorySessions(options = {}) {
+  async assignOperatorToSession(sessionId, operatorId, options = {}) {
     try {
-      console.log('🔍 getAllHistorySessions called with options:', options);
-      
-      const {
-        page = 1,
-        limit = 100,
-        keyword = null,
-        status = null,
-        startDate = null,
-        endDate = null,
-        includeMessages = false
+      const session = await ChatSession.findByPk(sessionId);
+      if (!session) {
+        return {
+          success: false,
+          error: 'Session not found',
+          message: 'Chat session does not exist'
+        };
+      }
+
+      if (session.isEnded()) {
+        return {
+          success: false,
+          error: 'Session closed',
+          message: 'Cannot assign operator to closed session'
+        };
+      }
+
+      if (session.operatorId && session.operatorId !== operatorId && !options.allowReassign) {
+        return {
+          success: false,
+          error: 'Session already assigned',
+          message: 'Session is already assigned to another operator'
+        };
+      }
+
+      // 验证客服是否存在且在线
+      let operator = await Operator.findByPk(operatorId);
+      if (!operator) {
+        if (process.env.NODE_ENV !== 'test') {
+          return {
+            success: false,
+            error: 'Operator not found',
+            message: 'Operator does not exist'
+          };
+        }
+
+        // 测试环境中为不存在的客服创建一个测试客服记录
+        try {
+          operator = await Operator.create({
+            id: operatorId, // 使用请求的ID作为客服ID
+            name: `Test Operator ${operatorId.slice(-8)}`,
+            email: `${operatorId.slice(-8)}_${Date.now()}@test.com`,
+            status: 'online',
+            lastActiveAt: new Date()
+          });
+        } catch (createError) {
+          console.error('Error creating operator for session:', createError);
+          // 如果使用指定ID创建失败，尝试自动生成ID
+          try {
+            operator = await Operator.create({
+              name: `Test Operator ${operatorId.slice(-8)}`,
+              email: `${operatorId.slice(-8)}_${Date.now()}@test.com`,
+              status: 'online',
+              lastActiveAt: new Date()
+            });
+          } catch (secondCreateError) {
+            console.error('Error creating operator with auto ID:', secondCreateError);
+            return {
+              success: false,
+              error: 'Operator not found',
+              message: 'Operator does not exist and could not be created'
+            };
+          }
+        }
+      }
+
+      if (!operator.isAvailable()) {
+        return {
+          success: false,
+          error: 'Operator not available',
+          message: 'Operator is not available for assignment'
+        };
+      }
+
+      // 等待中的会话按状态机进入 active，进行中的会话（重新分配）只更换客服
+      if (!session.isActive() && !session.canTransitionTo('active')) {
+        return {
+          success: false,
+          error: 'Invalid status transition',
+          message: `Cannot change session status from ${session.status} to active`
+        };
+      }
+
+      // 会话已由该客服接待时不占用新的名额
+      if (options.enforceCapacity && session.operatorId !== operator.id) {
+        const activeSessions = await ChatSession.countActiveSessionsByOperator(operator.id);
+        if (!operator.hasCapacity(activeSessions)) {
+          return {
+            success: false,
+            error: 'Operator at capacity',
+            message: `Operator already has ${activeSessions} of ${operator.maxConcurrentSessions} concurrent sessions`
+          };
+        }
+      }
+
+      const previousOperatorId = session.operatorId;
+      session.operatorId = operator.id;
+      if (session.isActive()) {
+        await session.save();
+      } else {
+        await session.transitionTo('active');
+      }
+
+      // 添加系统消息
+      await this.sendMessage(
+        sessionId,
+        'system',
+        'system',
+        `Operator ${operator.name} 加入了会话`,
+        'system'
+      );
+
+      await WebhookService.dispatch('session.assigned', {
+        ...WebhookService.sessionData(session),
+        operatorName: operator.name
+      });
+
+      return {
+        success: true,
+        session,
+        operator,
+        previousOperatorId,
+        message: 'Operator assigned successfully'
+      };
+    } catch (error) {
+      console.error('Error assigning operator to session:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to assign operator to session'
+      };
+    }
+  }
+
+  /**
+   * 发起会话转接
+   * 指定 toOperatorId 时转接请求需要目标客服接受，接受前原客服仍负责该会话；
+   * 不指定时会话立即退回等待队列
+   * @param {string} sessionId - 会话ID
+   * @param {string} fromOperatorId - 发起转接的客服ID
+   * @param {Object} options - 可选参数
+   * @param {string} options.toOperatorId - 目标客服ID (不传则退回等待队列)
+   * @param {string} options.note - 内部备注 (访客不可见)
+   * @returns {Promise<Object>} 转接结果
+   */
+  async requestTransfer(sessionId, fromOperatorId, options = {}) {
+    try {
+      const { toOperatorId = null, note = null } = options;
+
+      const session = await ChatSession.findByPk(sessionId);
+      if (!session) {
+        return {
+          success: false,
+          error: 'Session not found',
+          message: 'Chat session does not exist'
+        };
+      }
+
+      if (session.isEnded()) {
+        return {
+          success: false,
+          error: 'Session closed',
+          message: 'Cannot transfer closed session'
+        };
+      }
+
+      if (session.operatorId !== fromOperatorId) {
+        return {
+          success: false,
+          error: 'Not session operator',
+          message: 'Only the operator assigned to the session can transfer it'
+        };
+      }
+
+      if (session.hasPendingTransfer()) {
+        return {
+          success: false,
+          error: 'Transfer already pending',
+          message: 'Session already has a pending transfer'
+        };
+      }
+
+      let toOperator = null;
+      if (toOperatorId) {
+        if (toOperatorId === fromOperatorId) {
+          return {
+            success: false,
+            error: 'Invalid transfer target',
+            message: 'Cannot transfer session to the same operator'
+          };
+        }
+
+        toOperator = await Operator.findByPk(toOperatorId);
+        if (!toOperator) {
+          return {
+            success: false,
+            error: 'Operator not found',
+            message: 'Target operator does not exist'
+          };
+        }
+
+        if (!toOperator.isAvailable()) {
+          return {
+            success: false,
+            error: 'Operator not available',
+            message: 'Target operator is not available for transfer'
+          };
+        }
+      }
+
+      const transfer = {
+        id: uuidv4(),
+        fromOperatorId,
+        toOperatorId,
+        note,
+        status: toOperatorId ? 'pending' : 'requeued',
+        requestedAt: new Date().toISOString()
+      };
+
+      session.transferHistory = [...session.transferHistory, transfer];
+      if (toOperatorId) {
+        session.pendingTransfer = transfer;
+      } else {
+        session.operatorId = null;
+      }
+      await session.save();
+
+      const messageResult = await this.sendMessage(
+        sessionId,
+        'system',
+        'system',
+        toOperatorId
+          ? 'Your chat is being transferred to another operator, please wait'
+          : 'Your chat has been returned to the queue, the next available operator will be with you shortly',
+        'system'
+      );
+
+      // 退回等待队列时会话立即离开原客服；指定目标客服时在对方接受后分发
+      if (!toOperatorId) {
+        await WebhookService.dispatch('session.transferred', {
+          ...WebhookService.sessionData(session),
+          transfer
+        }, transfer.id);
+      }
+
+      return {
+        success: true,
+        session,
+        transfer,
+        toOperator,
+        requeued: !toOperatorId,
+        systemMessage: messageResult.success ? messageResult.message : null,
+        message: toOperatorId ? 'Transfer requested successfully' : 'Session returned to queue successfully'
+      };
+    } catch (error) {
+      console.error('Error requesting session transfer:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to request session transfer'
+      };
+    }
+  }
+
+  /**
+   * 目标客服接受或拒绝转接
+   * @param {string} sessionId - 会话ID
+   * @param {string} operatorId - 目标客服ID
+   * @param {boolean} accepted - 是否接受
+   * @returns {Promise<Object>} 处理结果
+   */
+  async respondToTransfer(sessionId, operatorId, accepted) {
+    try {
+      const session = await ChatSession.findByPk(sessionId);
+      if (!session) {
+        return {
+          success: false,
+          error: 'Session not found',
+          message: 'Chat session does not exist'
+        };
+      }
+
+      const pending = session.pendingTransfer;
+      if (!pending || pending.toOperatorId !== operatorId) {
+        return {
+          success: false,
+          error: 'No pending transfer',
+          message: 'There is no pending transfer for this operator'
+        };
+      }
+
+      const operator = await Operator.findByPk(operatorId);
+      if (accepted && session.isEnded()) {
+        return {
+          success: false,
+          error: 'Session closed',
+          message: 'Cannot accept transfer of closed session'
+        };
+      }
+
+      if (accepted && (!operator || !operator.isAvailable())) {
+        return {
+          success: false,
+          error: 'Operator not available',
+          message: 'Operator is not available to accept the transfer'
+        };
+      }
+
+      const transfer = {
+        ...pending,
+        status: accepted ? 'accepted' : 'declined',
+        respondedAt: new Date().toISOString()
+      };
+
+      session.transferHistory = session.transferHistory.map(item => (item.id === transfer.id ? transfer : item));
+      session.pendingTransfer = null;
+      if (accepted) {
+        session.operatorId = operatorId;
+      }
+      await session.save();
+
+      let systemMessage = null;
+      if (accepted) {
+        const messageResult = await this.sendMessage(
+          sessionId,
+          'system',
+          'system',
+          `Operator ${operator.name} has joined the chat`,
+          'system'
+        );
+        systemMessage = messageResult.success ? messageResult.message : null;
+
+        await WebhookService.dispatch('session.transferred', {
+          ...WebhookService.sessionData(session),
+          transfer
+        }, transfer.id);
+      }
+
+      return {
+        success: true,
+        session,
+        transfer,
+        operator,
+        systemMessage,
+        message: accepted ? 'Transfer accepted successfully' : 'Transfer declined'
+      };
+    } catch (error) {
+      console.error('Error responding to session transfer:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to respond to session transfer'
+      };
+    }
+  }
+
+  /**
+   * 标记消息为已读
+   * 传入读取者时只标记对方发送的消息，并为读取者记录已读回执
+   * @param {string} sessionId - 会话ID
+   * @param {Object} readBy - 读取者 { id, type: 'user' | 'operator' } (可选)
+   * @param {Array<string>} messageIds - 已读的消息ID (可选，默认为会话中对方发送的全部消息)
+   * @returns {Promise<Object>} 标记结果，包含新记录的回执
+   */
+  async markMessagesAsRead(sessionId, readBy = null, messageIds = null) {
+    try {
+      const session = await ChatSession.findByPk(sessionId);
+      if (!session) {
+        return {
+          success: false,
+          error: 'Session not found',
+          message: 'Chat session does not exist'
+        };
+      }
+
+      if (readBy) {
+        const receipts = await this.recordReceipts(sessionId, readBy, messageIds, 'readAt');
+        if (receipts.length > 0) {
+          await ChatMessage.update(
+            { isRead: true },
+            { where: { id: receipts.map(receipt => receipt.messageId) } }
+          );
+        }
+
+        return {
+          success: true,
+          updatedCount: receipts.length,
+          receipts,
+          session,
+          message: `${receipts.length} messages marked as read`
+        };
+      }
+
+      // 标记所有未读消息为已读
+      const [updatedCount] = await ChatMessage.markAllAsReadBySessionId(sessionId);
+
+      return {
+        success: true,
+        updatedCount,
+        session,
+        message: `${updatedCount} messages marked as read`
+      };
+    } catch (error) {
+      console.error('Error marking messages as read:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to mark messages as read'
+      };
+    }
+  }
+
+  /**
+   * 记录消息已送达
+   * @param {string} sessionId - 会话ID
+   * @param {Object} recipient - 接收者 { id, type: 'user' | 'operator' }
+   * @param {Array<string>} messageIds - 已送达的消息ID (可选，默认为会话中对方发送的全部消息)
+   * @returns {Promise<Object>} 新记录的送达回执
+   */
+  async markMessagesDelivered(sessionId, recipient, messageIds = null) {
+    try {
+      const session = await ChatSession.findByPk(sessionId);
+      if (!session) {
+        return {
+          success: false,
+          error: 'Session not found',
+          message: 'Chat session does not exist'
+        };
+      }
+
+      const receipts = await this.recordReceipts(sessionId, recipient, messageIds, 'deliveredAt');
+
+      return {
+        success: true,
+        receipts,
+        session,
+        message: `${receipts.length} messages marked as delivered`
+      };
+    } catch (error) {
+      console.error('Error marking messages as delivered:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to mark messages as delivered'
+      };
+    }
+  }
+
+  /**
+   * 为接收者记录送达/已读时间，已记录过的回执不会被覆盖
+   * 只处理对方发送的消息（不包括系统消息和接收者一方发送的消息）
+   * @param {string} sessionId - 会话ID
+   * @param {Object} recipient - 接收者 { id, type }
+   * @param {Array<string>|null} messageIds - 消息ID列表
+   * @param {string} field - 'deliveredAt' | 'readAt'
+   * @returns {Promise<Array>} 本次新记录的回执
+   */
+  async recordReceipts(sessionId, recipient, messageIds, field) {
+    const { Op } = require('sequelize');
+
+    const where = {
+      sessionId,
+      senderType: { [Op.notIn]: [recipient.type, 'system'] }
+    };
+    if (Array.isArray(messageIds)) {
+      where.id = { [Op.in]: messageIds };
+    }
+
+    const messages = await ChatMessage.findAll({ where, attributes: ['id'] });
+    if (messages.length === 0) {
+      return [];
+    }
+
+    const existing = await MessageReceipt.findAll({
+      where: {
+        messageId: { [Op.in]: messages.map(message => message.id) },
+        recipientId: recipient.id
+      }
+    });
+    const existingByMessage = new Map(existing.map(receipt => [receipt.messageId, receipt]));
+
+    const now = new Date();
+    const receipts = [];
+
+    for (const message of messages) {
+      const receipt = existingByMessage.get(message.id);
+
+      if (!receipt) {
+        receipts.push(await MessageReceipt.create({
+          messageId: message.id,
+          sessionId,
+          recipientId: recipient.id,
+          recipientType: recipient.type,
+          deliveredAt: now,
+          readAt: field === 'readAt' ? now : null
+        }));
+      } else if (!receipt[field]) {
+        receipt[field] = now;
+        if (!receipt.deliveredAt) {
+          receipt.deliveredAt = now;
+        }
+        receipts.push(await receipt.save());
+      }
+    }
+
+    return receipts;
+  }
+
+  /**
+   * 获取未读消息数量
+   * @param {string} sessionId - 会话ID
+   * @returns {Promise<Object>} 未读消息数量
+   */
+  async getUnreadMessageCount(sessionId) {
+    try {
+      const session = await ChatSession.findByPk(sessionId);
+      if (!session) {
+        return {
+          success: false,
+          error: 'Session not found',
+          message: 'Chat session does not exist'
+        };
+      }
+
+      const unreadCount = await ChatMessage.countUnreadBySessionId(sessionId);
+
+      return {
+        success: true,
+        unreadCount,
+        session,
+        message: 'Unread message count retrieved successfully'
+      };
+    } catch (error) {
+      console.error('Error getting unread message count:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to get unread message count'
+      };
+    }
+  }
+
+  /**
+   * 生成历史会话列表的分页游标（最后消息时间和会话ID）
+   * @param {Object} session - 当前页的最后一个会话
+   * @returns {string} 游标
+   */
+  encodeHistoryCursor(session) {
+    const position = {
+      lastMessageAt: new Date(session.lastMessageAt).toISOString(),
+      id: session.id
+    };
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+  }
+
+  /**
+   * 解析历史会话列表的分页游标
+   * @param {string} cursor - 游标
+   * @returns {Object|null} { lastMessageAt, id }，游标无效时返回 null
+   */
+  decodeHistoryCursor(cursor) {
+    try {
+      const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      const lastMessageAt = new Date(position.lastMessageAt);
+
+      if (typeof position.id !== 'string' || !position.id || Number.isNaN(lastMessageAt.getTime())) {
+        return null;
+      }
+
+      return { lastMessageAt, id: position.id };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 获取所有历史会话列表（支持分页和搜索）
+   * 只返回有非系统消息的会话，按最后一条消息时间倒序；最后消息和消息数来自会话上的冗余字段
+   * 传入 cursor 时使用游标分页（忽略 page），否则按页码分页
+   * @param {Object} options - 查询选项
+   * @param {number} options.page - 页码
+   * @param {number} options.limit - 每页数量
+   * @param {string} options.cursor - 上一页返回的 nextCursor
+   * @param {string} options.keyword - 按用户ID、用户名或会话ID搜索
+   * @param {string} options.status - 会话状态
+   * @param {string} options.startDate - 最后消息时间下限
+   * @param {string} options.endDate - 最后消息时间上限
+   * @param {boolean} options.includeMessages - 是否附带会话的全部消息
+   * @param {string} options.operatorId - 只返回该客服负责的会话
+   * @returns {Promise<Object>} 历史会话列表
+   */
+  async getAllHistorySessions(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 100,
+        cursor = null,
+        keyword = null,
+        status = null,
+        startDate = null,
+        endDate = null,
+        includeMessages = false,
+        operatorId = null
       } = options;
+      const { Op } = require('sequelize');
 
-      // 计算偏移量
-      const offset = (page - 1) * limit;
+      let position = null;
+      if (cursor) {
+        position = this.decodeHistoryCursor(cursor);
+        if (!position) {
+          return {
+            success: false,
+            error: 'Invalid cursor',
+            message: 'History cursor is malformed'
+          };
+        }
+      }
+
+      // 只显示有非系统消息的会话
+      const conditions = [{ messageCount: { [Op.gt]: 0 } }];
 
-      // 构建查询条件
-      const whereConditions = {};
-      
-      // 状态过滤 - 如果指定了状态就按状态过滤，否则显示所有有消息的会话
       if (status) {
-        whereConditions.status = status;
+        conditions.push({ status });
+      }
+
+      // 只查询指定客服负责的会话
+      if (operatorId) {
+        conditions.push({ operatorId });
       }
-      // 不再限制状态，而是通过消息数量来判断是否为历史会话
 
       // 关键词搜索（用户名、用户ID或会话ID）
       if (keyword) {
-        const { Op } = require('sequelize');
-        whereConditions[Op.or] = [
-          { userId: { [Op.like]: `%${keyword}%` } },
-          { userName: { [Op.like]: `%${keyword}%` } },
-          { id: { [Op.like]: `%${keyword}%` } }
-        ];
+        conditions.push({
+          [Op.or]: [
+            { userId: { [Op.like]: `%${keyword}%` } },
+            { userName: { [Op.like]: `%${keyword}%` } },
+            { id: { [Op.like]: `%${keyword}%` } }
+          ]
+        });
       }
 
-      // 时间范围过滤
+      // 时间范围过滤（最后一条消息的时间）
       if (startDate || endDate) {
-        const { Op } = require('sequelize');
-        whereConditions.updatedAt = {};
+        const range = {};
         if (startDate) {
-          whereConditions.updatedAt[Op.gte] = new Date(startDate);
+          range[Op.gte] = new Date(startDate);
         }
         if (endDate) {
-          whereConditions.updatedAt[Op.lte] = new Date(endDate);
+          range[Op.lte] = new Date(endDate);
         }
+        conditions.push({ lastMessageAt: range });
       }
 
-      // 查询会话列表 - 只显示有用户消息的会话
-      const { Op } = require('sequelize');
-      
-      // 首先获取所有有用户消息的会话ID
-      const sessionIdsWithUserMessages = await ChatMessage.findAll({
-        attributes: ['sessionId'],
-        where: {
-          senderType: { [Op.ne]: 'system' }
-        },
-        group: ['sessionId'],
-        raw: true
-      });
-      
-      const sessionIds = sessionIdsWithUserMessages.map(item => item.sessionId);
-      
-      if (sessionIds.length === 0) {
-        return {
-          success: true,
-          sessions: [],
-          pagination: {
-            page: page,
-            limit: limit,
-            total: 0,
-            totalPages: 0,
-            hasNext: false,
-            hasPrev: false
-          },
-          message: 'No sessions with user messages found'
-        };
+      // 游标之后的会话：最后消息更早，或时间相同但ID更小
+      if (position) {
+        conditions.push({
+          [Op.or]: [
+            { lastMessageAt: { [Op.lt]: position.lastMessageAt } },
+            { lastMessageAt: position.lastMessageAt, id: { [Op.lt]: position.id } }
+          ]
+        });
       }
-      
-      // 添加会话ID过滤条件
-      whereConditions.id = { [Op.in]: sessionIds };
-      
-      const sessions = await ChatSession.findAll({
-        where: whereConditions,
-        order: [['updatedAt', 'DESC']],
-        limit: limit,
-        offset: offset,
-        attributes: ['id', 'userId', 'userName','groupName', 'operatorId', 'status', 'createdAt', 'updatedAt', 'closedAt'],
-        include: [
-          {
-            model: ChatMessage,
-            as: 'messages',
-            attributes: ['id', 'content', 'createdAt', 'senderType'],
-            limit: includeMessages ? undefined : 1,
-            order: [['createdAt', 'DESC']],
-            required: false // 改为false，因为我们已经通过sessionIds过滤了
-          }
+
+      const query = {
+        where: { [Op.and]: conditions },
+        order: [['lastMessageAt', 'DESC'], ['id', 'DESC']],
+        attributes: [
+          'id', 'userId', 'userName', 'groupName', 'operatorId', 'status',
+          'createdAt', 'updatedAt', 'closedAt', 'lastMessageAt', 'lastMessagePreview', 'messageCount'
         ]
-      });
+      };
+
+      let sessions;
+      let pagination;
+
+      if (position) {
+        // 多取一条判断是否还有下一页，游标分页不统计总数
+        const rows = await ChatSession.findAll({ ...query, limit: limit + 1 });
+        const hasNext = rows.length > limit;
+        sessions = rows.slice(0, limit);
+        pagination = {
+          limit,
+          hasNext,
+          nextCursor: hasNext ? this.encodeHistoryCursor(sessions[sessions.length - 1]) : null
+        };
+      } else {
+        const { count, rows } = await ChatSession.findAndCountAll({
+          ...query,
+          limit,
+          offset: (page - 1) * limit
+        });
+        const totalPages = Math.ceil(count / limit);
+        const hasNext = page < totalPages;
+        sessions = rows;
+        pagination = {
+          page,
+          limit,
+          total: count,
+          totalPages,
+          hasNext,
+          hasPrev: page > 1,
+          nextCursor: hasNext && rows.length > 0 ? this.encodeHistoryCursor(rows[rows.length - 1]) : null
+        };
+      }
+
+      // 需要消息时用一次查询取出当前页所有会话的消息
+      const messagesBySession = new Map();
+      if (includeMessages && sessions.length > 0) {
+        const messages = await ChatMessage.findAll({
+          where: { sessionId: { [Op.in]: sessions.map(session => session.id) } },
+          attributes: ['id', 'sessionId', 'content', 'createdAt', 'senderType'],
+          order: [['createdAt', 'ASC']]
+        });
 
-      // 获取总数 - 只统计有用户消息的会话
-      const total = sessionIds.length;
+        messages.forEach(message => {
+          const list = messagesBySession.get(message.sessionId) || [];
+          list.push(message.toJSON());
+          messagesBySession.set(message.sessionId, list);
+        });
+      }
 
-      // 处理会话数据
-      const processedSessions = await Promise.all(sessions.map(async session => {
+      const processedSessions = sessions.map(session => {
         const sessionData = session.toJSON();
-        
-        // 添加最后一条消息（优先显示非系统消息）
-        if (sessionData.messages && sessionData.messages.length > 0) {
-          // 查找最后一条非系统消息
-          const { Op } = require('sequelize');
-          const lastUserMessage = await ChatMessage.findOne({
-            where: { 
-              sessionId: session.id,
-              senderType: { [Op.ne]: 'system' }
-            },
-            order: [['createdAt', 'DESC']]
-          });
-          
-          if (lastUserMessage) {
-            sessionData.lastMessage = lastUserMessage.content;
-          } else {
-            sessionData.lastMessage = sessionData.messages[0].content;
-          }
+        sessionData.lastMessage = sessionData.lastMessagePreview;
+        if (includeMessages) {
+          sessionData.messages = messagesBySession.get(session.id) || [];
         }
-        
-        // 获取消息总数（排除系统消息）
-        const { Op } = require('sequelize');
-        const messageCount = await ChatMessage.count({
-          where: { 
-            sessionId: session.id,
-            senderType: { [Op.ne]: 'system' }
-          }
-        });
-        sessionData.messageCount = messageCount;
-        
-        // 清理不需要的字段
-        delete sessionData.messages;
-        
         return sessionData;
-      }));
-
-      // 计算分页信息
-      const pagination = {
-        page: page,
-        limit: limit,
-        total: total,
-        totalPages: Math.ceil(total / limit),
-        hasNext: page < Math.ceil(total / limit),
-        hasPrev: page > 1
-      };
+      });
 
       return {
         success: true,
@@ -665,6 +1627,171 @@ class ChatService {
       };
     }
   }
+
+  /**
+   * 将搜索文本拆分为搜索词（去掉全文检索运算符和重复词）
+   * @param {string} text - 搜索文本
+   * @returns {Array<string>} 搜索词
+   */
+  parseSearchTerms(text) {
+    const terms = String(text || '')
+      .replace(FULLTEXT_OPERATORS, ' ')
+      .split(/\s+/)
+      .filter(Boolean);
+
+    return [...new Set(terms)];
+  }
+
+  /**
+   * 截取消息中第一个命中位置附近的片段，并用 <mark> 标出搜索词
+   * 片段中的其他内容做 HTML 转义，可以直接插入页面
+   * @param {string} content - 消息内容
+   * @param {Array<string>} terms - 搜索词
+   * @returns {string} 高亮后的片段
+   */
+  buildSearchSnippet(content, terms) {
+    const text = content || '';
+    const lowerText = text.toLowerCase();
+    const positions = terms
+      .map(term => lowerText.indexOf(term.toLowerCase()))
+      .filter(position => position >= 0);
+    const firstMatch = positions.length > 0 ? Math.min(...positions) : 0;
+
+    // 命中位置前保留约四分之一的片段长度作为上下文
+    const start = Math.max(0, Math.min(
+      firstMatch - Math.floor(SEARCH_SNIPPET_LENGTH / 4),
+      text.length - SEARCH_SNIPPET_LENGTH
+    ));
+    const end = Math.min(text.length, start + SEARCH_SNIPPET_LENGTH);
+    const excerpt = text.slice(start, end);
+
+    const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+    const highlighted = excerpt
+      .split(pattern)
+      .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+      .join('');
+
+    return `${start > 0 ? '…' : ''}${highlighted}${end < text.length ? '…' : ''}`;
+  }
+
+  /**
+   * 全文搜索聊天消息（基于 chat_messages.content 的 FULLTEXT 索引）
+   * 所有搜索词都必须出现，结果按相关度和时间倒序排列
+   * @param {Object} options - 搜索选项
+   * @param {string} options.query - 搜索文本
+   * @param {number} options.limit - 每页数量
+   * @param {number} options.offset - 偏移量
+   * @param {string} options.startDate - 消息时间下限
+   * @param {string} options.endDate - 消息时间上限
+   * @param {string} options.operatorId - 只搜索该客服负责的会话
+   * @param {string} options.groupName - 只搜索该访客分组的会话
+   * @param {string} options.senderType - 发送者类型
+   * @param {string} options.status - 会话状态
+   * @returns {Promise<Object>} 命中的消息（高亮片段和所属会话）及总数
+   */
+  async searchMessages(options = {}) {
+    try {
+      const {
+        query,
+        limit = 20,
+        offset = 0,
+        startDate = null,
+        endDate = null,
+        operatorId = null,
+        groupName = null,
+        senderType = null,
+        status = null
+      } = options;
+      const { Op } = require('sequelize');
+
+      const terms = this.parseSearchTerms(query);
+      if (terms.length === 0) {
+        return {
+          success: false,
+          error: 'Invalid search query',
+          message: 'Search query must contain at least one word'
+        };
+      }
+
+      // 布尔模式下每个词都是必须出现的短语，用户输入经过转义
+      const fullTextQuery = terms.map(term => `+"${term}"`).join(' ');
+      const match = sequelize.literal(
+        `MATCH (\`ChatMessage\`.\`content\`) AGAINST (${sequelize.escape(fullTextQuery)} IN BOOLEAN MODE)`
+      );
+
+      // 已删除消息只保留占位内容，不参与搜索
+      const messageWhere = {
+        [Op.and]: [match],
+        isDeleted: false
+      };
+      if (senderType) {
+        messageWhere.senderType = senderType;
+      }
+      if (startDate || endDate) {
+        messageWhere.createdAt = {};
+        if (startDate) {
+          messageWhere.createdAt[Op.gte] = new Date(startDate);
+        }
+        if (endDate) {
+          messageWhere.createdAt[Op.lte] = new Date(endDate);
+        }
+      }
+
+      const sessionWhere = {};
+      if (operatorId) {
+        sessionWhere.operatorId = operatorId;
+      }
+      if (groupName) {
+        sessionWhere.groupName = groupName;
+      }
+      if (status) {
+        sessionWhere.status = status;
+      }
+
+      const { count, rows } = await ChatMessage.findAndCountAll({
+        where: messageWhere,
+        attributes: ['id', 'sessionId', 'senderId', 'senderType', 'messageType', 'content', 'createdAt'],
+        include: [
+          {
+            model: ChatSession,
+            as: 'session',
+            where: sessionWhere,
+            required: true,
+            attributes: ['id', 'userId', 'userName', 'groupName', 'operatorId', 'status', 'createdAt', 'closedAt']
+          }
+        ],
+        order: [[match, 'DESC'], ['createdAt', 'DESC']],
+        limit,
+        offset
+      });
+
+      const results = rows.map(message => ({
+        id: message.id,
+        sessionId: message.sessionId,
+        senderId: message.senderId,
+        senderType: message.senderType,
+        messageType: message.messageType,
+        createdAt: message.createdAt,
+        snippet: this.buildSearchSnippet(message.content, terms),
+        session: message.session
+      }));
+
+      return {
+        success: true,
+        results,
+        total: count,
+        message: `Found ${count} matching messages`
+      };
+
+    } catch (error) {
+      console.error('Error searching messages:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to search messages'
+      };
+    }
+  }
 }
 
 module.exports = new ChatService();
\ No newline at end of file
@@ -0,0 +1,253 @@
+const os = require('os');
+const { createRedisClient } = require('../config/redis');
+
+const CONNECTION_KEY_PREFIX = 'chat:connection:';
+const OPERATOR_SOCKETS_KEY_PREFIX = 'chat:operator-sockets:';
+const CONNECTED_OPERATORS_KEY = 'chat:connected-operators';
+
+/**
+ * ConnectionRegistry - 聊天连接登记
+ * 记录每个 socket 对应的用户/客服和所在会话，保存在 Redis 中供所有实例共享。
+ * 每条连接记录带有 TTL，由所在实例定时续期，实例异常退出后记录会自动过期；
+ * Redis 未就绪时退回到进程内存（仅适用于单实例部署），Redis 恢复后在续期时写回 Redis。
+ */
+class ConnectionRegistry {
+  constructor() {
+    this.redisClient = null;
+    this.ttlSeconds = parseInt(process.env.CHAT_CONNECTION_TTL_SECONDS, 10) || 120;
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+    this.localConnections = new Map(); // socketId -> connection (Redis 不可用时使用)
+    this.initRedis();
+  }
+
+  /**
+   * 初始化Redis连接
+   */
+  async initRedis() {
+    try {
+      this.redisClient = createRedisClient({ disableOfflineQueue: true });
+      await this.redisClient.connect();
+    } catch (error) {
+      console.error('Failed to initialize Redis for ConnectionRegistry:', error);
+      this.redisClient = null;
+    }
+  }
+
+  /**
+   * 获取已就绪的Redis客户端
+   * Redis 无法连接时 connect() 会一直重试，未就绪期间返回 null，连接信息改为保存在进程内存中
+   * @returns {Object|null} Redis 客户端
+   */
+  getRedisClient() {
+    return this.redisClient && this.redisClient.isReady ? this.redisClient : null;
+  }
+
+  /**
+   * 获取连接记录的键
+   * @param {string} socketId - socket ID
+   * @returns {string} Redis 键
+   */
+  getConnectionKey(socketId) {
+    return `${CONNECTION_KEY_PREFIX}${socketId}`;
+  }
+
+  /**
+   * 获取客服连接集合的键
+   * @param {string} operatorId - 客服ID
+   * @returns {string} Redis 键
+   */
+  getOperatorSocketsKey(operatorId) {
+    return `${OPERATOR_SOCKETS_KEY_PREFIX}${operatorId}`;
+  }
+
+  /**
+   * 登记（覆盖）连接信息
+   * @param {string} socketId - socket ID
+   * @param {Object} connection - 连接信息
+   * @param {string} connection.type - 'user' | 'operator'
+   * @param {string} connection.userId - 用户ID
+   * @param {string} connection.operatorId - 客服ID
+   * @param {string} connection.sessionId - 当前会话ID
+   * @returns {Promise<Object>} 登记后的连接信息
+   */
+  async set(socketId, connection) {
+    const value = {
+      type: connection.type,
+      userId: connection.userId || null,
+      operatorId: connection.operatorId || null,
+      sessionId: connection.sessionId || null,
+      instanceId: this.instanceId
+    };
+
+    const redisClient = this.getRedisClient();
+    if (!redisClient) {
+      this.localConnections.set(socketId, value);
+      return value;
+    }
+
+    await redisClient.set(this.getConnectionKey(socketId), JSON.stringify(value), {
+      EX: this.ttlSeconds
+    });
+
+    if (value.type === 'operator' && value.operatorId) {
+      await redisClient.sAdd(this.getOperatorSocketsKey(value.operatorId), socketId);
+      await redisClient.sAdd(CONNECTED_OPERATORS_KEY, value.operatorId);
+    }
+
+    this.localConnections.delete(socketId);
+    return value;
+  }
+
+  /**
+   * 获取连接信息
+   * @param {string} socketId - socket ID
+   * @returns {Promise<Object|null>} 连接信息
+   */
+  async get(socketId) {
+    const redisClient = this.getRedisClient();
+    if (!redisClient) {
+      return this.localConnections.get(socketId) || null;
+    }
+
+    // Redis 恢复前登记在内存中、尚未写回的连接
+    const value = await redisClient.get(this.getConnectionKey(socketId));
+    return value ? JSON.parse(value) : this.localConnections.get(socketId) || null;
+  }
+
+  /**
+   * 更新已登记连接的部分字段
+   * @param {string} socketId - socket ID
+   * @param {Object} changes - 需要更新的字段
+   * @returns {Promise<Object|null>} 更新后的连接信息，连接不存在时返回 null
+   */
+  async update(socketId, changes) {
+    const connection = await this.get(socketId);
+    if (!connection) {
+      return null;
+    }
+
+    return this.set(socketId, { ...connection, ...changes });
+  }
+
+  /**
+   * 移除连接
+   * @param {string} socketId - socket ID
+   * @returns {Promise<Object|null>} 被移除的连接信息
+   */
+  async remove(socketId) {
+    const connection = await this.get(socketId);
+    this.localConnections.delete(socketId);
+
+    const redisClient = this.getRedisClient();
+    if (!redisClient) {
+      return connection;
+    }
+
+    await redisClient.del(this.getConnectionKey(socketId));
+    if (connection && connection.type === 'operator' && connection.operatorId) {
+      await redisClient.sRem(this.getOperatorSocketsKey(connection.operatorId), socketId);
+    }
+
+    return connection;
+  }
+
+  /**
+   * 为本实例的连接续期，Redis 未就绪期间登记在内存中的连接在此时写回 Redis
+   * @param {Array<string>} socketIds - socket ID 列表
+   */
+  async refresh(socketIds) {
+    const redisClient = this.getRedisClient();
+    if (!redisClient) {
+      return;
+    }
+
+    for (const socketId of socketIds) {
+      const localConnection = this.localConnections.get(socketId);
+      if (localConnection) {
+        await this.set(socketId, localConnection);
+      } else {
+        await redisClient.expire(this.getConnectionKey(socketId), this.ttlSeconds);
+      }
+    }
+  }
+
+  /**
+   * 获取客服仍然有效的连接（顺带清理已过期的记录）
+   * @param {string} operatorId - 客服ID
+   * @returns {Promise<Array<string>>} socket ID 列表
+   */
+  async getOperatorSocketIds(operatorId) {
+    const redisClient = this.getRedisClient();
+    if (!redisClient) {
+      return Array.from(this.localConnections.entries())
+        .filter(([, connection]) => connection.type === 'operator' && connection.operatorId === operatorId)
+        .map(([socketId]) => socketId);
+    }
+
+    const key = this.getOperatorSocketsKey(operatorId);
+    const socketIds = await redisClient.sMembers(key);
+    const liveSocketIds = [];
+
+    for (const socketId of socketIds) {
+      if (await redisClient.get(this.getConnectionKey(socketId))) {
+        liveSocketIds.push(socketId);
+      } else {
+        await redisClient.sRem(key, socketId);
+      }
+    }
+
+    return liveSocketIds;
+  }
+
+  /**
+   * 获取当前有在线连接的客服ID（所有实例）
+   * @returns {Promise<Array<string>>} 客服ID列表
+   */
+  async getConnectedOperatorIds() {
+    const redisClient = this.getRedisClient();
+    if (!redisClient) {
+      const operatorIds = new Set();
+      for (const connection of this.localConnections.values()) {
+        if (connection.type === 'operator' && connection.operatorId) {
+          operatorIds.add(connection.operatorId);
+        }
+      }
+      return Array.from(operatorIds);
+    }
+
+    const operatorIds = await redisClient.sMembers(CONNECTED_OPERATORS_KEY);
+    const connectedOperatorIds = [];
+
+    for (const operatorId of operatorIds) {
+      const socketIds = await this.getOperatorSocketIds(operatorId);
+      if (socketIds.length > 0) {
+        connectedOperatorIds.push(operatorId);
+      } else {
+        await redisClient.sRem(CONNECTED_OPERATORS_KEY, operatorId);
+      }
+    }
+
+    return connectedOperatorIds;
+  }
+
+  /**
+   * 更新客服所有连接的当前会话
+   * @param {string} operatorId - 客服ID
+   * @param {string|null} sessionId - 新的会话ID
+   * @param {Object} options - 可选参数
+   * @param {string} options.onlyFrom - 只更新当前处于该会话的连接
+   */
+  async setOperatorSession(operatorId, sessionId, options = {}) {
+    const { onlyFrom } = options;
+    const socketIds = await this.getOperatorSocketIds(operatorId);
+
+    for (const socketId of socketIds) {
+      const connection = await this.get(socketId);
+      if (connection && (onlyFrom === undefined || connection.sessionId === onlyFrom)) {
+        await this.set(socketId, { ...connection, sessionId });
+      }
+    }
+  }
+}
+
+module.exports = new ConnectionRegistry();
@@ -0,0 +1,190 @@
+const { models } = require('../models');
+const { Operator, ChatSession } = models;
+const ChatService = require('./ChatService');
+const OperatorService = require('./OperatorService');
+const QueueService = require('./QueueService');
+
+const DISPATCH_STRATEGIES = ['round_robin', 'least_busy', 'most_recent'];
+
+/**
+ * DispatchService - 等待会话自动分配
+ * 开启后，会话进入等待队列或客服空闲时，按配置的策略调用 OperatorService.assignOperator 选择客服并接入会话，
+ * 每位客服的进行中会话数不超过其 maxConcurrentSessions。
+ */
+class DispatchService {
+  constructor() {
+    this.enabled = process.env.CHAT_AUTO_DISPATCH === 'true';
+    this.strategy = DISPATCH_STRATEGIES.includes(process.env.CHAT_AUTO_DISPATCH_STRATEGY)
+      ? process.env.CHAT_AUTO_DISPATCH_STRATEGY
+      : 'least_busy';
+    // 分配任务串行执行，避免并发分配导致客服超出并发上限
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * 是否开启了自动分配
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * 串行执行分配任务
+   * @param {Function} task - 分配任务
+   * @returns {Promise<*>} 任务结果
+   */
+  runExclusive(task) {
+    const run = this.pending.then(task, task);
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * 获取本次分配需要排除的客服（已达到并发上限或没有在线连接）
+   * @param {Array<string>|null} eligibleOperatorIds - 可接收分配的客服ID，为 null 时不限制
+   * @returns {Promise<Array<string>>} 需要排除的客服ID
+   */
+  async getExcludedOperatorIds(eligibleOperatorIds = null) {
+    const operators = await Operator.findAvailable();
+    const excluded = [];
+
+    for (const operator of operators) {
+      if (eligibleOperatorIds && !eligibleOperatorIds.includes(operator.id)) {
+        excluded.push(operator.id);
+        continue;
+      }
+
+      const activeCount = await ChatSession.countActiveSessionsByOperator(operator.id);
+      if (!operator.hasCapacity(activeCount)) {
+        excluded.push(operator.id);
+      }
+    }
+
+    return excluded;
+  }
+
+  /**
+   * 为单个等待会话自动分配客服
+   * @param {string} sessionId - 会话ID
+   * @param {Object} options - 可选参数
+   * @param {Array<string>} options.eligibleOperatorIds - 可接收分配的客服ID
+   * @returns {Promise<Object>} 分配结果
+   */
+  dispatchSession(sessionId, options = {}) {
+    return this.runExclusive(() => this.assignSession(sessionId, options));
+  }
+
+  /**
+   * 按队列顺序为等待会话分配客服，直到没有可用客服为止
+   * @param {Object} options - 可选参数
+   * @param {Array<string>} options.eligibleOperatorIds - 可接收分配的客服ID
+   * @returns {Promise<Object>} 分配结果
+   */
+  dispatchQueue(options = {}) {
+    return this.runExclusive(async () => {
+      try {
+        const queueResult = await QueueService.getQueue();
+        if (!queueResult.success) {
+          return queueResult;
+        }
+
+        const assignments = [];
+        for (const entry of queueResult.queue) {
+          const result = await this.assignSession(entry.sessionId, options);
+          if (result.assigned) {
+            assignments.push(result);
+          } else if (result.error === 'No available operators') {
+            break;
+          }
+        }
+
+        return {
+          success: true,
+          assignments,
+          count: assignments.length,
+          message: `${assignments.length} waiting sessions dispatched`
+        };
+      } catch (error) {
+        console.error('Error dispatching waiting queue:', error);
+        return {
+          success: false,
+          error: error.message,
+          message: 'Failed to dispatch waiting queue'
+        };
+      }
+    });
+  }
+
+  /**
+   * 选择客服并接入会话
+   * @param {string} sessionId - 会话ID
+   * @param {Object} options - 可选参数
+   * @returns {Promise<Object>} 分配结果
+   */
+  async assignSession(sessionId, options = {}) {
+    try {
+      const { eligibleOperatorIds = null } = options;
+
+      const session = await ChatSession.findByPk(sessionId);
+      if (!session || session.isEnded() || session.operatorId) {
+        return {
+          success: true,
+          assigned: false,
+          message: 'Session does not need dispatching'
+        };
+      }
+
+      const excludeOperatorIds = await this.getExcludedOperatorIds(eligibleOperatorIds);
+      const operatorResult = await OperatorService.assignOperator({
+        strategy: this.strategy,
+        excludeOperatorIds
+      });
+
+      if (!operatorResult.success) {
+        return {
+          success: true,
+          assigned: false,
+          error: 'No available operators',
+          message: operatorResult.message
+        };
+      }
+
+      const assignResult = await ChatService.assignOperatorToSession(sessionId, operatorResult.operator.id);
+      if (!assignResult.success) {
+        return {
+          success: false,
+          assigned: false,
+          error: assignResult.error,
+          message: assignResult.message
+        };
+      }
+
+      await QueueService.remove(sessionId, { pickedUp: true });
+
+      // 接入后达到并发上限的客服自动切换为忙碌
+      const capacityResult = await OperatorService.syncOperatorCapacityStatus(assignResult.operator.id);
+      const operator = capacityResult.success ? capacityResult.operator : assignResult.operator;
+
+      return {
+        success: true,
+        assigned: true,
+        session: assignResult.session,
+        operator,
+        statusChanged: capacityResult.success && capacityResult.changed,
+        strategy: this.strategy,
+        message: `Session dispatched using ${this.strategy} strategy`
+      };
+    } catch (error) {
+      console.error('Error dispatching session:', error);
+      return {
+        success: false,
+        assigned: false,
+        error: error.message,
+        message: 'Failed to dispatch session'
+      };
+    }
+  }
+}
+
+module.exports = new DispatchService();
@@ -0,0 +1,183 @@
+const { Op } = require('sequelize');
+const { models } = require('../models');
+const { InvitationRule } = models;
+
+// 创建和更新时允许写入的字段
+const EDITABLE_FIELDS = ['groupName', 'pagePattern', 'minSecondsOnPage', 'message', 'active'];
+
+/**
+ * InvitationRuleService - 主动邀请规则
+ * 访客在匹配的页面停留达到设定时间后自动收到聊天邀请，规则可以只适用于某个访客分组。
+ */
+class InvitationRuleService {
+  /**
+   * 从请求数据中挑选可写入的字段
+   * @param {Object} data - 请求数据
+   * @returns {Object} 可写入的字段
+   */
+  pickEditableFields(data = {}) {
+    return EDITABLE_FIELDS.reduce((fields, field) => {
+      if (data[field] !== undefined) {
+        fields[field] = data[field];
+      }
+      return fields;
+    }, {});
+  }
+
+  /**
+   * 将模型校验错误转换为统一的返回格式
+   * @param {Error} error - 错误
+   * @param {string} message - 其他错误时的提示
+   * @returns {Object} 失败结果
+   */
+  toFailure(error, message) {
+    if (error.name === 'SequelizeValidationError') {
+      return {
+        success: false,
+        error: 'Invalid invitation rule',
+        message: error.errors.map(item => item.message).join(', ')
+      };
+    }
+
+    console.error(`${message}:`, error);
+    return {
+      success: false,
+      error: error.message,
+      message
+    };
+  }
+
+  /**
+   * 规则不存在时的返回结果
+   * @returns {Object} 失败结果
+   */
+  notFound() {
+    return {
+      success: false,
+      error: 'Invitation rule not found',
+      message: 'Invitation rule does not exist'
+    };
+  }
+
+  /**
+   * 获取邀请规则
+   * @param {Object} options - 查询选项
+   * @param {string} options.groupName - 只返回适用于该分组的规则（包括适用于所有分组的规则）
+   * @returns {Promise<Object>} 规则列表
+   */
+  async listRules(options = {}) {
+    try {
+      const { groupName } = options;
+      const where = {};
+      if (groupName) {
+        where.groupName = { [Op.or]: [groupName, null] };
+      }
+
+      const rules = await InvitationRule.findAll({
+        where,
+        order: [['groupName', 'ASC'], ['minSecondsOnPage', 'ASC'], ['createdAt', 'ASC']]
+      });
+
+      return {
+        success: true,
+        rules,
+        message: 'Invitation rules retrieved successfully'
+      };
+    } catch (error) {
+      return this.toFailure(error, 'Failed to list invitation rules');
+    }
+  }
+
+  /**
+   * 创建邀请规则
+   * @param {Object} data - 规则数据（groupName、pagePattern、minSecondsOnPage、message、active）
+   * @param {string} createdBy - 创建者客服ID
+   * @returns {Promise<Object>} 创建结果
+   */
+  async createRule(data, createdBy = null) {
+    try {
+      const rule = await InvitationRule.create({
+        ...this.pickEditableFields(data),
+        createdBy
+      });
+
+      return {
+        success: true,
+        rule,
+        message: 'Invitation rule created successfully'
+      };
+    } catch (error) {
+      return this.toFailure(error, 'Failed to create invitation rule');
+    }
+  }
+
+  /**
+   * 更新邀请规则（只更新传入的字段）
+   * @param {string} ruleId - 规则ID
+   * @param {Object} data - 要更新的字段
+   * @returns {Promise<Object>} 更新结果
+   */
+  async updateRule(ruleId, data) {
+    try {
+      const rule = await InvitationRule.findByPk(ruleId);
+      if (!rule) {
+        return this.notFound();
+      }
+
+      await rule.update(this.pickEditableFields(data));
+
+      return {
+        success: true,
+        rule,
+        message: 'Invitation rule updated successfully'
+      };
+    } catch (error) {
+      return this.toFailure(error, 'Failed to update invitation rule');
+    }
+  }
+
+  /**
+   * 删除邀请规则
+   * @param {string} ruleId - 规则ID
+   * @returns {Promise<Object>} 删除结果
+   */
+  async deleteRule(ruleId) {
+    try {
+      const rule = await InvitationRule.findByPk(ruleId);
+      if (!rule) {
+        return this.notFound();
+      }
+
+      await rule.destroy();
+
+      return {
+        success: true,
+        message: 'Invitation rule deleted successfully'
+      };
+    } catch (error) {
+      return this.toFailure(error, 'Failed to delete invitation rule');
+    }
+  }
+
+  /**
+   * 查找适用于访客当前页面的启用规则，按停留时间从短到长排序
+   * @param {string} groupName - 访客分组
+   * @param {string} url - 访客当前页面
+   * @returns {Promise<Array>} 匹配的规则
+   */
+  async findMatchingRules(groupName, url) {
+    try {
+      const rules = await InvitationRule.findAll({
+        where: { active: true },
+        order: [['minSecondsOnPage', 'ASC']]
+      });
+
+      return rules.filter(rule => rule.appliesToGroup(groupName) && rule.matchesPage(url));
+    } catch (error) {
+      console.error('Error finding invitation rules:', error);
+      return [];
+    }
+  }
+}
+
+module.exports = new InvitationRuleService();
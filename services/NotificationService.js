@@ -1,25 +1,103 @@
+const os = require('os');
 const https = require('https');
 const http = require('http');
 const { URL } = require('url');
+const { Op } = require('sequelize');
+const { models } = require('../models');
+const { NotificationOutbox, Webhook } = models;
+const WebhookService = require('./WebhookService');
+
+const numberFromEnv = (name, defaultValue) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? defaultValue : value;
+};
 
 /**
  * NotificationService - 处理向后台管理系统发送通知
- * 支持重试机制和队列管理
+ * 通知先写入 notification_outbox 表，再由后台任务定时领取投递，进程重启后未投递的通知不会丢失。
+ * 每条通知独立按指数退避重试，超过重试次数后进入 dead 状态，由管理员重试或清理；
+ * 领取通知时加租约，多实例部署时同一条通知同一时刻只由一个实例投递。
+ * Webhook 订阅的事件（见 WebhookService）也通过 outbox 投递。
  */
 class NotificationService {
+  /**
+   * @param {Object} options - 可选参数
+   * @param {number} options.maxAttempts - 最大投递次数，超过后进入 dead 状态
+   * @param {number} options.retryDelay - 重试基础延迟（毫秒），每次失败后翻倍
+   * @param {number} options.maxRetryDelay - 重试延迟上限（毫秒）
+   * @param {number} options.pollInterval - 后台任务轮询间隔（毫秒）
+   * @param {number} options.batchSize - 每次轮询最多处理的通知数
+   * @param {number} options.leaseMs - 领取租约时长（毫秒）
+   * @param {number} options.retentionDays - 已投递通知的保留天数，期间相同幂等键不会重复入队
+   * @param {boolean} options.autoProcess - 入队后是否立即尝试投递
+   */
   constructor(options = {}) {
     this.notificationUrl = process.env.ADMIN_NOTIFICATION_URL;
-    this.retryAttempts = 3;
-    this.retryDelay = 1000; // 1秒
-    this.queue = [];
-    this.processing = false;
+    this.maxAttempts = options.maxAttempts ?? numberFromEnv('NOTIFICATION_MAX_ATTEMPTS', 8);
+    this.retryDelay = options.retryDelay ?? numberFromEnv('NOTIFICATION_RETRY_DELAY_MS', 1000);
+    this.maxRetryDelay = options.maxRetryDelay ?? numberFromEnv('NOTIFICATION_MAX_RETRY_DELAY_MS', 60 * 60 * 1000);
+    this.pollInterval = options.pollInterval ?? numberFromEnv('NOTIFICATION_POLL_INTERVAL_MS', 5000);
+    this.batchSize = options.batchSize ?? 50;
+    this.leaseMs = options.leaseMs ?? 60000;
+    this.retentionDays = options.retentionDays ?? numberFromEnv('NOTIFICATION_RETENTION_DAYS', 7);
     this.autoProcess = options.autoProcess !== false; // Default to true
-    
+    this.workerId = `${os.hostname()}:${process.pid}:${Math.random().toString(36).substr(2, 9)}`;
+    this.processing = false;
+    this.timer = null;
+    this.lastPrunedAt = 0;
+
     if (!this.notificationUrl) {
       console.warn('ADMIN_NOTIFICATION_URL not configured, notifications will be disabled');
     }
   }
 
+  /**
+   * 启动后台投递任务
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.processDue().catch((error) => {
+        console.error('Error processing notification outbox:', error);
+      });
+    }, this.pollInterval);
+
+    // 不阻止进程退出
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+
+    // 启动时立即投递上次退出前未完成的通知
+    this.schedule();
+
+    console.log(`Notification outbox worker started (interval: ${this.pollInterval}ms)`);
+  }
+
+  /**
+   * 停止后台投递任务
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * 在当前调用结束后投递到期的通知
+   */
+  schedule() {
+    // Don't await here to avoid blocking the caller
+    setImmediate(() => {
+      this.processDue().catch((error) => {
+        console.error('Error processing notification outbox:', error);
+      });
+    });
+  }
+
   /**
    * 发送新聊天通知到后台管理系统
    * @param {Object} chatData - 聊天数据
@@ -38,13 +116,14 @@ class NotificationService {
       timestamp: chatData.timestamp ? chatData.timestamp.toISOString() : new Date().toISOString()
     };
 
-    return this.addToQueue(notification);
+    return this.addToQueue(notification, `new_chat:${chatData.sessionId}`);
   }
 
   /**
    * 发送消息通知到后台管理系统
    * @param {Object} messageData - 消息数据
    * @param {string} messageData.sessionId - 会话ID
+   * @param {string} messageData.messageId - 消息ID（用作幂等键）
    * @param {string} messageData.senderId - 发送者ID
    * @param {string} messageData.senderType - 发送者类型 (user/operator)
    * @param {string} messageData.content - 消息内容
@@ -55,82 +134,329 @@ class NotificationService {
     const notification = {
       type: 'new_message',
       sessionId: messageData.sessionId,
+      messageId: messageData.messageId,
       senderId: messageData.senderId,
       senderType: messageData.senderType,
       content: messageData.content,
       timestamp: messageData.timestamp ? messageData.timestamp.toISOString() : new Date().toISOString()
     };
 
-    return this.addToQueue(notification);
+    return this.addToQueue(notification, messageData.messageId ? `new_message:${messageData.messageId}` : undefined);
   }
 
   /**
-   * 添加通知到队列
-   * @param {Object} notification - 通知数据
+   * 添加通知到 outbox
+   * 相同幂等键的通知只保存一次，重复入队视为成功
+   * @param {Object} notification - 通知数据（type 为通知类型）
+   * @param {string} idempotencyKey - 幂等键，默认生成唯一ID
    * @returns {Promise<boolean>} 是否成功添加到队列
    */
-  async addToQueue(notification) {
+  async addToQueue(notification, idempotencyKey = this.generateNotificationId()) {
     if (!this.notificationUrl) {
       console.warn('Notification URL not configured, skipping notification');
       return false;
     }
 
-    this.queue.push({
-      ...notification,
-      attempts: 0,
-      id: this.generateNotificationId()
-    });
+    const { type, ...payload } = notification;
+
+    try {
+      await NotificationOutbox.create({ idempotencyKey, type, payload });
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return true;
+      }
+      console.error('Error saving notification to outbox:', error);
+      return false;
+    }
 
-    // 如果队列没有在处理且自动处理开启，开始处理
-    if (!this.processing && this.autoProcess) {
-      // Don't await here to avoid blocking the caller
-      setImmediate(() => this.processQueue());
+    // 立即尝试投递，失败的通知由后台任务按退避时间重试
+    if (this.autoProcess) {
+      this.schedule();
     }
 
     return true;
   }
 
   /**
-   * 处理通知队列
+   * 计算第 N 次失败后的重试延迟（指数退避）
+   * @param {number} attempts - 已尝试次数
+   * @returns {number} 延迟毫秒数
    */
-  async processQueue() {
-    if (this.processing || this.queue.length === 0) {
-      return;
+  getRetryDelay(attempts) {
+    return Math.min(this.retryDelay * 2 ** Math.max(attempts - 1, 0), this.maxRetryDelay);
+  }
+
+  /**
+   * 可领取的通知：到期的 pending 通知，以及租约已过期（领取实例已退出）的 processing 通知
+   * @param {Date} now - 当前时间
+   * @returns {Object} 查询条件
+   */
+  dueCondition(now) {
+    return {
+      [Op.or]: [
+        { status: 'pending', nextAttemptAt: { [Op.lte]: now } },
+        { status: 'processing', lockedUntil: { [Op.lt]: now } }
+      ]
+    };
+  }
+
+  /**
+   * 领取一条通知，只有条件更新成功的实例可以投递
+   * @param {Object} item - NotificationOutbox 实例
+   * @param {Date} now - 当前时间
+   * @returns {Promise<boolean>} 是否领取成功
+   */
+  async claim(item, now) {
+    const [affectedCount] = await NotificationOutbox.update({
+      status: 'processing',
+      lockedBy: this.workerId,
+      lockedUntil: new Date(now.getTime() + this.leaseMs)
+    }, {
+      where: { id: item.id, ...this.dueCondition(now) }
+    });
+
+    return affectedCount === 1;
+  }
+
+  /**
+   * 投递所有到期的通知
+   * @param {Date} now - 当前时间 (便于测试)
+   * @returns {Promise<number>} 本次投递成功的通知数
+   */
+  async processDue(now = new Date()) {
+    if (this.processing) {
+      return 0;
     }
 
     this.processing = true;
+    let deliveredCount = 0;
 
-    while (this.queue.length > 0) {
-      const notification = this.queue.shift();
-      
-      try {
-        const success = await this.sendHttpNotification(notification);
-        
-        if (!success) {
-          // 如果发送失败且还有重试次数，重新加入队列
-          if (notification.attempts < this.retryAttempts) {
-            notification.attempts++;
-            this.queue.push(notification);
-            
-            // 等待重试延迟
-            await this.delay(this.retryDelay * notification.attempts);
-          } else {
-            console.error(`Notification failed after ${this.retryAttempts} attempts:`, notification.id);
-          }
+    try {
+      const due = await NotificationOutbox.findAll({
+        where: this.dueCondition(now),
+        order: [['nextAttemptAt', 'ASC']],
+        limit: this.batchSize
+      });
+
+      for (const item of due) {
+        if (!(await this.claim(item, now))) {
+          continue;
         }
-      } catch (error) {
-        console.error('Error processing notification:', error);
-        
-        // 重试逻辑
-        if (notification.attempts < this.retryAttempts) {
-          notification.attempts++;
-          this.queue.push(notification);
-          await this.delay(this.retryDelay * notification.attempts);
+        if (await this.deliver(item, now)) {
+          deliveredCount++;
         }
       }
+
+      await this.pruneDelivered(now);
+    } finally {
+      this.processing = false;
     }
 
-    this.processing = false;
+    return deliveredCount;
+  }
+
+  /**
+   * 投递一条已领取的通知并记录结果
+   * 失败时按指数退避安排下次投递，超过最大次数后进入 dead 状态
+   * @param {Object} item - NotificationOutbox 实例
+   * @param {Date} now - 当前时间
+   * @returns {Promise<boolean>} 是否投递成功
+   */
+  async deliver(item, now = new Date()) {
+    const result = await this.send(item, now);
+    const attempts = item.attempts + 1;
+    let changes;
+
+    if (result.success) {
+      changes = { status: 'delivered', deliveredAt: new Date(), lastError: null };
+    } else if (attempts >= this.maxAttempts || result.permanent) {
+      console.error(`Notification failed after ${attempts} attempts:`, item.id);
+      changes = { status: 'dead', lastError: result.error };
+    } else {
+      changes = {
+        status: 'pending',
+        nextAttemptAt: new Date(now.getTime() + this.getRetryDelay(attempts)),
+        lastError: result.error
+      };
+    }
+
+    // 只在租约仍由本实例持有时记录结果
+    await NotificationOutbox.update({
+      ...changes,
+      attempts,
+      responseStatus: result.statusCode || null,
+      lockedBy: null,
+      lockedUntil: null
+    }, {
+      where: { id: item.id, lockedBy: this.workerId }
+    });
+
+    return result.success;
+  }
+
+  /**
+   * 把通知发送到投递目标：Webhook 订阅的通知发往订阅地址并签名，其它通知发往 ADMIN_NOTIFICATION_URL
+   * @param {Object} item - NotificationOutbox 实例
+   * @param {Date} now - 当前时间
+   * @returns {Promise<Object>} { success, error, statusCode, permanent }，permanent 表示不再重试
+   */
+  async send(item, now = new Date()) {
+    if (!item.webhookId) {
+      return this.postNotification(item.toNotification());
+    }
+
+    const webhook = await Webhook.findByPk(item.webhookId);
+    if (!webhook || !webhook.active) {
+      return { success: false, error: 'Webhook is inactive', permanent: true };
+    }
+
+    const { body, headers } = WebhookService.buildDelivery(webhook, item, now);
+    return this.post(webhook.url, body, headers, item.id);
+  }
+
+  /**
+   * 清理超过保留期的已投递通知（每小时最多一次）
+   * @param {Date} now - 当前时间
+   * @returns {Promise<number>} 清理的通知数
+   */
+  async pruneDelivered(now = new Date()) {
+    if (now.getTime() - this.lastPrunedAt < 60 * 60 * 1000) {
+      return 0;
+    }
+
+    this.lastPrunedAt = now.getTime();
+    return NotificationOutbox.destroy({
+      where: {
+        status: 'delivered',
+        updatedAt: { [Op.lt]: new Date(now.getTime() - this.retentionDays * 24 * 60 * 60 * 1000) }
+      }
+    });
+  }
+
+  /**
+   * 分页列出 outbox 中的通知（默认列出投递失败的通知）
+   * @param {Object} options - 查询选项
+   * @param {string} options.status - 通知状态
+   * @param {number} options.limit - 每页数量
+   * @param {number} options.offset - 偏移量
+   * @returns {Promise<Object>} 通知列表和分页信息
+   */
+  async listNotifications(options = {}) {
+    try {
+      const { status = 'dead', limit = 20, offset = 0 } = options;
+
+      const { count: total, rows } = await NotificationOutbox.findAndCountAll({
+        where: { status },
+        order: [['updatedAt', 'DESC']],
+        limit,
+        offset
+      });
+
+      return {
+        success: true,
+        notifications: rows,
+        pagination: {
+          total,
+          limit,
+          offset,
+          hasMore: offset + rows.length < total
+        },
+        message: 'Notifications retrieved successfully'
+      };
+    } catch (error) {
+      console.error('Error listing notifications:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to list notifications'
+      };
+    }
+  }
+
+  /**
+   * 重新投递失败的通知，重置尝试次数并立即进入待投递状态
+   * @param {string} notificationId - 通知ID，不传时重试所有失败的通知
+   * @returns {Promise<Object>} 重试结果
+   */
+  async retryFailed(notificationId = null) {
+    try {
+      if (notificationId) {
+        const notification = await NotificationOutbox.findByPk(notificationId);
+        if (!notification) {
+          return {
+            success: false,
+            error: 'Notification not found',
+            message: 'Notification does not exist'
+          };
+        }
+
+        if (!notification.isDead()) {
+          return {
+            success: false,
+            error: 'Notification not failed',
+            message: 'Only failed notifications can be retried'
+          };
+        }
+      }
+
+      const where = { status: 'dead' };
+      if (notificationId) {
+        where.id = notificationId;
+      }
+
+      const [count] = await NotificationOutbox.update({
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date()
+      }, { where });
+
+      if (count > 0 && this.autoProcess) {
+        this.schedule();
+      }
+
+      return {
+        success: true,
+        count,
+        message: `${count} notifications scheduled for retry`
+      };
+    } catch (error) {
+      console.error('Error retrying notifications:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to retry notifications'
+      };
+    }
+  }
+
+  /**
+   * 删除投递失败的通知
+   * @param {Object} options - 清理选项
+   * @param {string} options.before - 只删除该时间之前失败的通知
+   * @returns {Promise<Object>} 清理结果
+   */
+  async purgeFailed(options = {}) {
+    try {
+      const where = { status: 'dead' };
+      if (options.before) {
+        where.updatedAt = { [Op.lt]: new Date(options.before) };
+      }
+
+      const count = await NotificationOutbox.destroy({ where });
+
+      return {
+        success: true,
+        count,
+        message: `${count} failed notifications purged`
+      };
+    } catch (error) {
+      console.error('Error purging notifications:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to purge notifications'
+      };
+    }
   }
 
   /**
@@ -139,19 +465,44 @@ class NotificationService {
    * @returns {Promise<boolean>} 发送是否成功
    */
   async sendHttpNotification(notification) {
-    return new Promise((resolve) => {
-      if (!this.notificationUrl) {
-        resolve(false);
-        return;
-      }
+    const result = await this.postNotification(notification);
+    return result.success;
+  }
+
+  /**
+   * 向后台管理系统 POST 通知
+   * @param {Object} notification - 通知数据
+   * @returns {Promise<Object>} { success, error, statusCode }，失败时 error 为失败原因
+   */
+  async postNotification(notification) {
+    if (!this.notificationUrl) {
+      return { success: false, error: 'Notification URL not configured' };
+    }
 
+    const headers = {};
+    if (notification.idempotencyKey) {
+      // 接收方可据此忽略重试导致的重复通知
+      headers['Idempotency-Key'] = notification.idempotencyKey;
+    }
+
+    return this.post(this.notificationUrl, JSON.stringify(notification), headers, notification.id);
+  }
+
+  /**
+   * 发送 JSON POST 请求
+   * @param {string} targetUrl - 请求地址
+   * @param {string} postData - 请求体
+   * @param {Object} extraHeaders - 额外的请求头
+   * @param {string} logId - 日志中使用的通知ID
+   * @returns {Promise<Object>} { success, error, statusCode }
+   */
+  post(targetUrl, postData, extraHeaders = {}, logId = null) {
+    return new Promise((resolve) => {
       try {
-        const url = new URL(this.notificationUrl);
+        const url = new URL(targetUrl);
         const isHttps = url.protocol === 'https:';
         const client = isHttps ? https : http;
 
-        const postData = JSON.stringify(notification);
-        
         const options = {
           hostname: url.hostname,
           port: url.port || (isHttps ? 443 : 80),
@@ -160,7 +511,8 @@ class NotificationService {
           headers: {
             'Content-Type': 'application/json',
             'Content-Length': Buffer.byteLength(postData),
-            'User-Agent': 'CustomerServiceChat/1.0'
+            'User-Agent': 'CustomerServiceChat/1.0',
+            ...extraHeaders
           },
           timeout: 10000 // 10秒超时
         };
@@ -174,24 +526,24 @@ class NotificationService {
           
           res.on('end', () => {
             if (res.statusCode >= 200 && res.statusCode < 300) {
-              console.log(`Notification sent successfully: ${notification.id}`);
-              resolve(true);
+              console.log(`Notification sent successfully: ${logId}`);
+              resolve({ success: true, statusCode: res.statusCode });
             } else {
-              console.error(`Notification failed with status ${res.statusCode}: ${notification.id}`);
-              resolve(false);
+              console.error(`Notification failed with status ${res.statusCode}: ${logId}`);
+              resolve({ success: false, error: `HTTP ${res.statusCode}`, statusCode: res.statusCode });
             }
           });
         });
 
         req.on('error', (error) => {
           console.error(`Notification request error: ${error.message}`);
-          resolve(false);
+          resolve({ success: false, error: error.message });
         });
 
         req.on('timeout', () => {
-          console.error(`Notification request timeout: ${notification.id}`);
+          console.error(`Notification request timeout: ${logId}`);
           req.destroy();
-          resolve(false);
+          resolve({ success: false, error: 'Request timeout' });
         });
 
         req.write(postData);
@@ -199,7 +551,7 @@ class NotificationService {
 
       } catch (error) {
         console.error(`Error creating notification request: ${error.message}`);
-        resolve(false);
+        resolve({ success: false, error: error.message });
       }
     });
   }
@@ -213,33 +565,28 @@ class NotificationService {
   }
 
   /**
-   * 延迟函数
-   * @param {number} ms - 延迟毫秒数
-   * @returns {Promise} Promise对象
+   * 获取队列状态（按 outbox 中各状态的通知数统计）
+   * @returns {Promise<Object>} 队列状态信息
    */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
+  async getQueueStatus() {
+    const counts = await NotificationOutbox.count({
+      attributes: ['status'],
+      group: ['status']
+    });
+    const byStatus = Object.fromEntries(NotificationOutbox.STATUSES.map(status => [status, 0]));
+    counts.forEach(({ status, count }) => {
+      byStatus[status] = count;
+    });
 
-  /**
-   * 获取队列状态
-   * @returns {Object} 队列状态信息
-   */
-  getQueueStatus() {
     return {
-      queueLength: this.queue.length,
-      processing: this.processing,
+      queueLength: byStatus.pending + byStatus.processing,
+      pending: byStatus.pending,
+      processing: byStatus.processing,
+      delivered: byStatus.delivered,
+      dead: byStatus.dead,
       configured: !!this.notificationUrl
     };
   }
-
-  /**
-   * 清空队列
-   */
-  clearQueue() {
-    this.queue = [];
-    this.processing = false;
-  }
 }
 
 module.exports = NotificationService;
\ No newline at end of file
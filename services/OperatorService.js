@@ -1,6 +1,9 @@
+const { Op, fn, col } = require('sequelize');
 const { models } = require('../models');
 const { Operator, ChatSession } = models;
 const { createRedisClient } = require('../config/redis');
+const SessionRatingService = require('./SessionRatingService');
+const WebhookService = require('./WebhookService');
 
 class OperatorService {
   constructor() {
@@ -21,6 +24,25 @@ class OperatorService {
     }
   }
 
+  /**
+   * 客服状态变化时分发 operator.status_changed 事件
+   * @param {Object} operator - 客服对象（已更新为新状态）
+   * @param {string} previousStatus - 原状态
+   */
+  async publishStatusChange(operator, previousStatus) {
+    if (operator.status === previousStatus) {
+      return;
+    }
+
+    await WebhookService.dispatch('operator.status_changed', {
+      operatorId: operator.id,
+      operatorName: operator.name,
+      previousStatus,
+      status: operator.status,
+      changedAt: new Date().toISOString()
+    });
+  }
+
   /**
    * 客服上线
    * @param {string} operatorId - 客服ID
@@ -38,7 +60,9 @@ class OperatorService {
       }
 
       // 更新数据库状态
+      const previousStatus = operator.status;
       await operator.setOnline();
+      await this.publishStatusChange(operator, previousStatus);
 
       // 更新Redis缓存
       if (this.redisClient) {
@@ -83,7 +107,9 @@ class OperatorService {
       }
 
       // 更新数据库状态
+      const previousStatus = operator.status;
       await operator.setOffline();
+      await this.publishStatusChange(operator, previousStatus);
 
       // 更新Redis缓存
       if (this.redisClient) {
@@ -124,7 +150,9 @@ class OperatorService {
       }
 
       // 更新数据库状态
+      const previousStatus = operator.status;
       await operator.setBusy();
+      await this.publishStatusChange(operator, previousStatus);
 
       // 更新Redis缓存
       if (this.redisClient) {
@@ -147,6 +175,72 @@ class OperatorService {
     }
   }
 
+  /**
+   * 根据客服当前的进行中会话数自动切换忙碌/在线状态
+   * 达到并发上限的在线客服设为忙碌；因上限自动忙碌的客服在会话减少后恢复在线，手动设置的忙碌状态不受影响
+   * @param {string} operatorId - 客服ID
+   * @returns {Promise<Object>} 同步结果，changed 表示状态是否发生变化
+   */
+  async syncOperatorCapacityStatus(operatorId) {
+    try {
+      const operator = await Operator.findByPk(operatorId);
+      if (!operator) {
+        return {
+          success: false,
+          error: 'Operator not found',
+          message: 'Operator does not exist'
+        };
+      }
+
+      const activeSessions = await ChatSession.countActiveSessionsByOperator(operatorId);
+      const previousStatus = operator.status;
+      let changed = false;
+
+      if (operator.isOnline() && !operator.hasCapacity(activeSessions)) {
+        await operator.setBusy({ automatic: true });
+        changed = true;
+      } else if (operator.isBusy() && operator.autoBusy && operator.hasCapacity(activeSessions)) {
+        await operator.setOnline();
+        changed = true;
+      }
+
+      if (changed) {
+        await this.publishStatusChange(operator, previousStatus);
+      }
+
+      // 更新Redis缓存
+      if (changed && this.redisClient) {
+        await this.redisClient.setEx(`operator:${operatorId}:status`, 3600, operator.status);
+
+        if (operator.isOnline()) {
+          await this.redisClient.sAdd('operators:online', operatorId);
+          await this.redisClient.sAdd('operators:available', operatorId);
+        } else {
+          await this.redisClient.sRem('operators:available', operatorId);
+        }
+      }
+
+      return {
+        success: true,
+        operator,
+        changed,
+        previousStatus,
+        activeSessions,
+        freeSlots: Math.max(operator.maxConcurrentSessions - activeSessions, 0),
+        message: changed
+          ? `Operator status switched to ${operator.status}`
+          : 'Operator status unchanged'
+      };
+    } catch (error) {
+      console.error('Error syncing operator capacity status:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to sync operator capacity status'
+      };
+    }
+  }
+
   /**
    * 获取在线客服列表
    * @param {Object} options - 查询选项
@@ -417,25 +511,58 @@ class OperatorService {
   }
 
   /**
-   * 获取客服统计信息
+   * 获取客服统计信息，包括满意度评价的平均分（按客服、访客分组和周期）
+   * @param {Object} options - 满意度统计的筛选条件
+   * @param {string} options.startDate - 开始时间
+   * @param {string} options.endDate - 结束时间
+   * @param {string} options.period - 统计周期 day / month / year
    * @returns {Promise<Object>} 统计信息
    */
-  async getOperatorStats() {
+  async getOperatorStats(options = {}) {
     try {
-      const [onlineCount, offlineCount, busyCount, totalCount] = await Promise.all([
+      const [onlineCount, offlineCount, busyCount, totalCount, onlineOperators, workloads, ratings] = await Promise.all([
         Operator.countByStatus('online'),
         Operator.countByStatus('offline'),
         Operator.countByStatus('busy'),
-        Operator.count()
+        Operator.count(),
+        Operator.findOnline(),
+        ChatSession.findAll({
+          attributes: ['operatorId', [fn('COUNT', col('id')), 'activeSessions']],
+          where: {
+            operatorId: { [Op.ne]: null },
+            status: 'active'
+          },
+          group: ['operatorId'],
+          raw: true
+        }),
+        SessionRatingService.getRatingStats(options)
       ]);
 
+      const activeByOperator = new Map(
+        workloads.map(item => [item.operatorId, parseInt(item.activeSessions, 10)])
+      );
+
+      // 可用 = 在线且仍有空闲名额的客服
+      let available = 0;
+      let freeSlots = 0;
+      onlineOperators.forEach((operator) => {
+        const activeSessions = activeByOperator.get(operator.id) || 0;
+        if (operator.hasCapacity(activeSessions)) {
+          available++;
+          freeSlots += operator.maxConcurrentSessions - activeSessions;
+        }
+      });
+
       const stats = {
         total: totalCount,
         online: onlineCount,
         offline: offlineCount,
         busy: busyCount,
-        available: onlineCount, // 在线即可用（不忙碌的在线客服）
-        utilization: totalCount > 0 ? ((onlineCount + busyCount) / totalCount * 100).toFixed(2) : '0'
+        available,
+        freeSlots,
+        activeSessions: Array.from(activeByOperator.values()).reduce((sum, count) => sum + count, 0),
+        utilization: totalCount > 0 ? ((onlineCount + busyCount) / totalCount * 100).toFixed(2) : '0',
+        ratings
       };
 
       return {
@@ -521,7 +648,15 @@ class OperatorService {
       // 检查客服是否存在
       let operator = await Operator.findByPk(operatorId);
       if (!operator) {
-        // 如果客服不存在，创建一个新的客服记录（用于测试）
+        if (process.env.NODE_ENV !== 'test') {
+          return {
+            success: false,
+            error: 'Operator not found',
+            message: 'Operator does not exist'
+          };
+        }
+
+        // 测试环境中为不存在的客服创建一个测试客服记录
         // 由于Operator模型要求UUID格式的ID，我们让数据库自动生成UUID
         try {
           const timestamp = Date.now();
@@ -532,8 +667,6 @@ class OperatorService {
             status: status,
             lastActiveAt: new Date()
           });
-          
-          console.log(`Created new operator with UUID: ${operator.id} for requested ID: ${operatorId}`);
         } catch (createError) {
           console.error('Error creating operator:', createError);
           return {
@@ -545,6 +678,7 @@ class OperatorService {
       }
 
       // 更新现有客服状态
+      const previousStatus = operator.status;
       switch (status) {
         case 'online':
           await operator.setOnline();
@@ -556,6 +690,7 @@ class OperatorService {
           await operator.setBusy();
           break;
       }
+      await this.publishStatusChange(operator, previousStatus);
 
       // 更新Redis缓存
       if (this.redisClient) {
@@ -571,7 +706,6 @@ class OperatorService {
         }
       }
 
-      console.log(`Returning operator status result: operator.id=${operator.id}, requested operatorId=${operatorId}`);
       return {
         success: true,
         operator,
@@ -580,12 +714,6 @@ class OperatorService {
       };
     } catch (error) {
       console.error('Error updating operator status:', error);
-      console.error('Error details:', {
-        operatorId,
-        status,
-        errorMessage: error.message,
-        errorStack: error.stack
-      });
       return {
         success: false,
         error: error.message,
@@ -610,9 +738,14 @@ class OperatorService {
         };
       }
 
+      const changedOperators = await Operator.findAll({
+        where: { id: operatorIds, status: { [Op.ne]: status } }
+      });
+
       const [updatedCount] = await Operator.update(
         { 
           status,
+          autoBusy: false,
           lastActiveAt: status === 'online' ? new Date() : undefined
         },
         {
@@ -637,6 +770,12 @@ class OperatorService {
         }
       }
 
+      for (const operator of changedOperators) {
+        const previousStatus = operator.status;
+        operator.status = status;
+        await this.publishStatusChange(operator, previousStatus);
+      }
+
       return {
         success: true,
         updatedCount,
@@ -0,0 +1,396 @@
+const { Op } = require('sequelize');
+const { models } = require('../models');
+const { ChatSession } = models;
+const { createRedisClient } = require('../config/redis');
+
+const QUEUE_KEY = 'chat:queue';
+const ENTRIES_KEY = 'chat:queue:entries';
+const PICKUPS_KEY = 'chat:queue:pickups';
+const MAX_PICKUP_SAMPLES = 20;
+
+// 分数 = -优先级 * PRIORITY_WEIGHT + 入队时间，优先级高的排在前面，同优先级按入队先后
+const PRIORITY_WEIGHT = 1e13;
+
+/**
+ * QueueService - 等待客服接入的会话队列
+ * 队列保存在 Redis 有序集合中，支持按分组设置优先级；Redis 不可用时从数据库推导队列。
+ */
+class QueueService {
+  constructor() {
+    this.redisClient = null;
+    this.groupPriorities = this.parseGroupPriorities(process.env.CHAT_QUEUE_GROUP_PRIORITIES);
+    this.initRedis();
+  }
+
+  /**
+   * 初始化Redis连接
+   */
+  async initRedis() {
+    try {
+      this.redisClient = createRedisClient({ disableOfflineQueue: true });
+      await this.redisClient.connect();
+    } catch (error) {
+      console.error('Failed to initialize Redis for QueueService:', error);
+      this.redisClient = null;
+    }
+  }
+
+  /**
+   * 获取已就绪的Redis客户端
+   * Redis 无法连接时 connect() 会一直重试，未就绪期间返回 null，队列改为从数据库推导
+   * @returns {Object|null} Redis 客户端
+   */
+  getRedisClient() {
+    return this.redisClient && this.redisClient.isReady ? this.redisClient : null;
+  }
+
+  /**
+   * 解析分组优先级配置，例如 {"VIP": 10, "企业": 5}
+   * @param {string} value - JSON 字符串
+   * @returns {Object} 分组 -> 优先级
+   */
+  parseGroupPriorities(value) {
+    if (!value) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      console.error('Invalid CHAT_QUEUE_GROUP_PRIORITIES, ignoring:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * 获取分组的优先级
+   * @param {string} groupName - 分组名称
+   * @returns {number} 优先级，默认 0
+   */
+  getGroupPriority(groupName) {
+    const priority = groupName ? parseInt(this.groupPriorities[groupName], 10) : 0;
+    return Number.isNaN(priority) ? 0 : priority;
+  }
+
+  /**
+   * 获取会话的排队优先级
+   * 匿名访客的分组由访客自填，只有签名令牌中的分组享受分组优先级
+   * @param {Object} session - 会话对象
+   * @returns {number} 优先级
+   */
+  getSessionPriority(session) {
+    return session.isAnonymous ? 0 : this.getGroupPriority(session.groupName);
+  }
+
+  /**
+   * 计算队列排序分数
+   * @param {number} priority - 优先级
+   * @param {Date} enqueuedAt - 入队时间
+   * @returns {number} 排序分数
+   */
+  getScore(priority, enqueuedAt) {
+    return -priority * PRIORITY_WEIGHT + new Date(enqueuedAt).getTime();
+  }
+
+  /**
+   * 会话入队（已在队列中的会话保持原有位置）
+   * @param {Object} session - 会话对象
+   * @param {Object} options - 可选参数
+   * @param {number} options.priority - 优先级 (不传则使用会话的排队优先级)
+   * @returns {Promise<Object>} 入队结果
+   */
+  async enqueue(session, options = {}) {
+    try {
+      const priority = options.priority !== undefined
+        ? options.priority
+        : this.getSessionPriority(session);
+      const enqueuedAt = session.createdAt ? new Date(session.createdAt) : new Date();
+      const redisClient = this.getRedisClient();
+
+      if (redisClient) {
+        const entry = {
+          sessionId: session.id,
+          userId: session.userId,
+          userName: session.userName || null,
+          groupName: session.groupName || null,
+          priority,
+          enqueuedAt: enqueuedAt.toISOString()
+        };
+
+        const added = await redisClient.zAdd(QUEUE_KEY, {
+          score: this.getScore(priority, enqueuedAt),
+          value: session.id
+        }, { NX: true });
+
+        if (added) {
+          await redisClient.hSet(ENTRIES_KEY, session.id, JSON.stringify(entry));
+        }
+      }
+
+      const positionResult = await this.getPosition(session.id);
+
+      return {
+        success: true,
+        position: positionResult.success ? positionResult.position : null,
+        queueLength: positionResult.success ? positionResult.queueLength : null,
+        estimatedWaitSeconds: positionResult.success ? positionResult.estimatedWaitSeconds : null,
+        message: 'Session added to queue successfully'
+      };
+    } catch (error) {
+      console.error('Error adding session to queue:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to add session to queue'
+      };
+    }
+  }
+
+  /**
+   * 会话出队
+   * @param {string} sessionId - 会话ID
+   * @param {Object} options - 可选参数
+   * @param {boolean} options.pickedUp - 是否由客服接入（用于统计等待时间）
+   * @returns {Promise<Object>} 出队结果
+   */
+  async remove(sessionId, options = {}) {
+    try {
+      const { pickedUp = false } = options;
+      const redisClient = this.getRedisClient();
+
+      if (!redisClient) {
+        return {
+          success: true,
+          removed: false,
+          message: 'Queue is derived from database'
+        };
+      }
+
+      const rawEntry = await redisClient.hGet(ENTRIES_KEY, sessionId);
+      const removed = await redisClient.zRem(QUEUE_KEY, sessionId);
+      await redisClient.hDel(ENTRIES_KEY, sessionId);
+
+      let waitMs = null;
+      if (removed && pickedUp && rawEntry) {
+        const entry = JSON.parse(rawEntry);
+        const pickedUpAt = new Date();
+        waitMs = pickedUpAt.getTime() - new Date(entry.enqueuedAt).getTime();
+        await this.recordPickup(redisClient, pickedUpAt, waitMs);
+      }
+
+      return {
+        success: true,
+        removed: !!removed,
+        waitMs,
+        message: removed ? 'Session removed from queue' : 'Session was not in queue'
+      };
+    } catch (error) {
+      console.error('Error removing session from queue:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to remove session from queue'
+      };
+    }
+  }
+
+  /**
+   * 记录一次客服接入，用于估算等待时间
+   * @param {Object} redisClient - Redis 客户端
+   * @param {Date} pickedUpAt - 接入时间
+   * @param {number} waitMs - 该会话的等待时长
+   */
+  async recordPickup(redisClient, pickedUpAt, waitMs) {
+    await redisClient.lPush(PICKUPS_KEY, JSON.stringify({
+      pickedUpAt: pickedUpAt.toISOString(),
+      waitMs
+    }));
+    await redisClient.lTrim(PICKUPS_KEY, 0, MAX_PICKUP_SAMPLES - 1);
+  }
+
+  /**
+   * 获取最近的接入记录
+   * @returns {Promise<Array>} 接入记录列表
+   */
+  async getPickupSamples() {
+    const redisClient = this.getRedisClient();
+    if (!redisClient) {
+      return [];
+    }
+
+    const samples = await redisClient.lRange(PICKUPS_KEY, 0, -1);
+    return samples.map(item => JSON.parse(item));
+  }
+
+  /**
+   * 根据最近的接入记录估算等待时间
+   * 有多条记录时按接入间隔（吞吐量）估算，只有一条时使用其等待时长
+   * @param {number} position - 队列位置 (从 1 开始)
+   * @param {Array} samples - 最近的接入记录
+   * @returns {number|null} 预计等待秒数，无数据时为 null
+   */
+  estimateWaitSeconds(position, samples) {
+    if (!position || samples.length === 0) {
+      return null;
+    }
+
+    if (samples.length === 1) {
+      return Math.round(samples[0].waitMs / 1000);
+    }
+
+    const times = samples.map(sample => new Date(sample.pickedUpAt).getTime());
+    const averageIntervalMs = (Math.max(...times) - Math.min(...times)) / (samples.length - 1);
+    return Math.round((averageIntervalMs * position) / 1000);
+  }
+
+  /**
+   * 获取当前队列（按出队顺序）
+   * 已被接入或已结束的会话会被自动移出队列
+   * @returns {Promise<Object>} 队列信息
+   */
+  async getQueue() {
+    try {
+      let entries;
+      const redisClient = this.getRedisClient();
+
+      if (redisClient) {
+        const sessionIds = await redisClient.zRange(QUEUE_KEY, 0, -1);
+        const [sessions, rawEntries] = sessionIds.length > 0
+          ? await Promise.all([
+            ChatSession.findAll({ where: { id: sessionIds } }),
+            redisClient.hmGet(ENTRIES_KEY, sessionIds)
+          ])
+          : [[], []];
+        const sessionsById = new Map(sessions.map(session => [session.id, session]));
+
+        entries = [];
+        for (const [index, sessionId] of sessionIds.entries()) {
+          const session = sessionsById.get(sessionId);
+          if (!session || session.operatorId || session.isEnded()) {
+            await this.remove(sessionId);
+            continue;
+          }
+
+          const rawEntry = rawEntries[index];
+          entries.push(rawEntry ? JSON.parse(rawEntry) : this.toEntry(session));
+        }
+      } else {
+        const sessions = await ChatSession.findAll({
+          where: {
+            operatorId: null,
+            status: { [Op.in]: ['waiting', 'active'] }
+          },
+          order: [['createdAt', 'ASC']]
+        });
+
+        entries = sessions
+          .map(session => this.toEntry(session))
+          .sort((a, b) => this.getScore(a.priority, a.enqueuedAt) - this.getScore(b.priority, b.enqueuedAt));
+      }
+
+      const samples = await this.getPickupSamples();
+      const queue = entries.map((entry, index) => ({
+        ...entry,
+        position: index + 1,
+        estimatedWaitSeconds: this.estimateWaitSeconds(index + 1, samples)
+      }));
+
+      return {
+        success: true,
+        queue,
+        count: queue.length,
+        message: 'Queue retrieved successfully'
+      };
+    } catch (error) {
+      console.error('Error getting queue:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to get queue'
+      };
+    }
+  }
+
+  /**
+   * 获取会话在队列中的位置
+   * @param {string} sessionId - 会话ID
+   * @returns {Promise<Object>} 位置信息
+   */
+  async getPosition(sessionId) {
+    const queueResult = await this.getQueue();
+    if (!queueResult.success) {
+      return queueResult;
+    }
+
+    const entry = queueResult.queue.find(item => item.sessionId === sessionId);
+
+    return {
+      success: true,
+      position: entry ? entry.position : null,
+      queueLength: queueResult.count,
+      estimatedWaitSeconds: entry ? entry.estimatedWaitSeconds : null,
+      message: entry ? 'Session is queued' : 'Session is not in queue'
+    };
+  }
+
+  /**
+   * 向队列中每个会话推送当前位置
+   * @param {Object} io - Socket.IO 实例
+   * @returns {Promise<Object>} 推送结果
+   */
+  async broadcastPositions(io) {
+    const queueResult = await this.getQueue();
+    if (!queueResult.success) {
+      return queueResult;
+    }
+
+    const timestamp = new Date().toISOString();
+    queueResult.queue.forEach((entry) => {
+      io.to(`chat-session-${entry.sessionId}`).emit('queue-position', {
+        sessionId: entry.sessionId,
+        position: entry.position,
+        queueLength: queueResult.count,
+        estimatedWaitSeconds: entry.estimatedWaitSeconds,
+        timestamp
+      });
+    });
+
+    return {
+      success: true,
+      count: queueResult.count,
+      message: 'Queue positions broadcast successfully'
+    };
+  }
+
+  /**
+   * 将会话转换为队列项
+   * @param {Object} session - 会话对象
+   * @returns {Object} 队列项
+   */
+  toEntry(session) {
+    return {
+      sessionId: session.id,
+      userId: session.userId,
+      userName: session.userName || null,
+      groupName: session.groupName || null,
+      priority: this.getSessionPriority(session),
+      enqueuedAt: new Date(session.createdAt).toISOString()
+    };
+  }
+
+  /**
+   * 关闭Redis连接
+   */
+  async closeRedisConnection() {
+    if (this.redisClient) {
+      try {
+        await this.redisClient.quit();
+        this.redisClient = null;
+      } catch (error) {
+        console.error('Error closing Redis connection:', error);
+      }
+    }
+  }
+}
+
+module.exports = new QueueService();
@@ -0,0 +1,131 @@
+/**
+ * RetryQueue - 带重试的内存任务队列
+ * 任务按顺序处理，失败的任务重新排到队尾并按尝试次数递增等待时间，
+ * 超过重试次数后交给 handleExhausted。子类实现 processItem 完成具体投递。
+ */
+class RetryQueue {
+  /**
+   * @param {Object} options - 可选参数
+   * @param {number} options.retryAttempts - 最大重试次数
+   * @param {number} options.retryDelay - 重试基础延迟（毫秒）
+   * @param {boolean} options.autoProcess - 入队后是否自动开始处理
+   */
+  constructor(options = {}) {
+    this.retryAttempts = options.retryAttempts ?? 3;
+    this.retryDelay = options.retryDelay ?? 1000; // 1秒
+    this.queue = [];
+    this.processing = false;
+    this.autoProcess = options.autoProcess !== false; // Default to true
+  }
+
+  /**
+   * 添加任务到队列
+   * @param {Object} item - 任务数据
+   * @returns {Object} 入队的任务
+   */
+  enqueue(item) {
+    const queued = { ...item, attempts: 0 };
+    this.queue.push(queued);
+
+    // 如果队列没有在处理且自动处理开启，开始处理
+    if (!this.processing && this.autoProcess) {
+      // Don't await here to avoid blocking the caller
+      setImmediate(() => this.processQueue());
+    }
+
+    return queued;
+  }
+
+  /**
+   * 处理单个任务，由子类实现
+   * @param {Object} item - 任务数据（attempts 为已重试次数）
+   * @returns {Promise<boolean>} 是否处理成功
+   */
+  async processItem(item) {
+    throw new Error('processItem must be implemented by subclasses');
+  }
+
+  /**
+   * 任务超过重试次数后的处理，子类可覆盖
+   * @param {Object} item - 任务数据
+   * @param {Error|null} error - 最后一次失败抛出的错误
+   */
+  async handleExhausted(item, error) {
+    console.error(`Queue item failed after ${this.retryAttempts} retries:`, item.id);
+  }
+
+  /**
+   * 处理队列
+   */
+  async processQueue() {
+    if (this.processing || this.queue.length === 0) {
+      return;
+    }
+
+    this.processing = true;
+
+    while (this.queue.length > 0) {
+      const item = this.queue.shift();
+      let success = false;
+      let lastError = null;
+
+      try {
+        success = await this.processItem(item);
+      } catch (error) {
+        console.error('Error processing queue item:', error);
+        lastError = error;
+      }
+
+      if (success) {
+        continue;
+      }
+
+      // 如果处理失败且还有重试次数，重新加入队列
+      if (item.attempts < this.retryAttempts) {
+        item.attempts++;
+        this.queue.push(item);
+
+        // 等待重试延迟
+        await this.delay(this.retryDelay * item.attempts);
+      } else {
+        try {
+          await this.handleExhausted(item, lastError);
+        } catch (error) {
+          console.error('Error handling failed queue item:', error);
+        }
+      }
+    }
+
+    this.processing = false;
+  }
+
+  /**
+   * 延迟函数
+   * @param {number} ms - 延迟毫秒数
+   * @returns {Promise} Promise对象
+   */
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * 获取队列状态
+   * @returns {Object} 队列状态信息
+   */
+  getQueueStatus() {
+    return {
+      queueLength: this.queue.length,
+      processing: this.processing
+    };
+  }
+
+  /**
+   * 清空队列
+   */
+  clearQueue() {
+    this.queue = [];
+    this.processing = false;
+  }
+}
+
+module.exports = RetryQueue;
@@ -0,0 +1,292 @@
+const { Op, fn, col } = require('sequelize');
+const { models } = require('../models');
+const { ChatSession, Operator, SessionRating } = models;
+const WebhookService = require('./WebhookService');
+
+// 统计周期 -> 截取 createdAt 的前几位（YYYY / YYYY-MM / YYYY-MM-DD）
+const PERIOD_LENGTHS = {
+  year: 4,
+  month: 7,
+  day: 10
+};
+
+const toAverage = (value) => (value === null || value === undefined ? null : Number(Number(value).toFixed(2)));
+
+/**
+ * SessionRatingService - 会话结束后的满意度评价（CSAT）
+ * 访客对已完成的会话评分（1-5）并可附带评论，每个会话只能评价一次；
+ * 评价记录会话结束时的客服和访客分组，按客服、分组和周期统计平均分。
+ */
+class SessionRatingService {
+  /**
+   * 按创建时间范围构造查询条件
+   * @param {Object} filter - 筛选条件
+   * @param {string} filter.startDate - 开始时间
+   * @param {string} filter.endDate - 结束时间
+   * @param {string} filter.operatorId - 客服ID
+   * @returns {Object} 查询条件
+   */
+  buildWhere({ startDate, endDate, operatorId } = {}) {
+    const where = {};
+
+    if (operatorId) {
+      where.operatorId = operatorId;
+    }
+
+    if (startDate || endDate) {
+      where.createdAt = {};
+      if (startDate) {
+        where.createdAt[Op.gte] = new Date(startDate);
+      }
+      if (endDate) {
+        where.createdAt[Op.lte] = new Date(endDate);
+      }
+    }
+
+    return where;
+  }
+
+  /**
+   * 提交满意度评价
+   * @param {string} sessionId - 会话ID
+   * @param {string} userId - 访客ID
+   * @param {Object} data - 评价内容
+   * @param {number} data.rating - 评分（1-5）
+   * @param {string} data.comment - 评论（可选）
+   * @returns {Promise<Object>} 提交结果
+   */
+  async submitRating(sessionId, userId, { rating, comment = null } = {}) {
+    try {
+      const session = await ChatSession.findByPk(sessionId);
+      if (!session) {
+        return {
+          success: false,
+          error: 'Session not found',
+          message: 'Chat session does not exist'
+        };
+      }
+
+      if (session.userId !== userId) {
+        return {
+          success: false,
+          error: 'Not session visitor',
+          message: 'Only the visitor of the session can rate it'
+        };
+      }
+
+      if (session.status !== 'completed') {
+        return {
+          success: false,
+          error: 'Session not completed',
+          message: 'Only completed sessions can be rated'
+        };
+      }
+
+      const existing = await SessionRating.findOne({ where: { sessionId } });
+      if (existing) {
+        return {
+          success: false,
+          error: 'Already rated',
+          message: 'This session has already been rated'
+        };
+      }
+
+      const sessionRating = await SessionRating.create({
+        sessionId,
+        operatorId: session.operatorId,
+        userId,
+        groupName: session.groupName,
+        rating,
+        comment
+      });
+
+      await WebhookService.dispatch('rating.submitted', {
+        ratingId: sessionRating.id,
+        sessionId,
+        operatorId: sessionRating.operatorId,
+        userId,
+        groupName: sessionRating.groupName,
+        rating: sessionRating.rating,
+        comment: sessionRating.comment,
+        createdAt: sessionRating.createdAt
+      }, sessionRating.id);
+
+      return {
+        success: true,
+        rating: sessionRating,
+        message: 'Rating submitted successfully'
+      };
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return {
+          success: false,
+          error: 'Already rated',
+          message: 'This session has already been rated'
+        };
+      }
+
+      if (error.name === 'SequelizeValidationError') {
+        return {
+          success: false,
+          error: 'Invalid rating',
+          message: error.errors.map(item => item.message).join(', ')
+        };
+      }
+
+      console.error('Error submitting session rating:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to submit rating'
+      };
+    }
+  }
+
+  /**
+   * 按分组统计评价数量和平均分
+   * @param {Object} where - 查询条件
+   * @param {string|Object} groupBy - 分组字段或表达式
+   * @returns {Promise<Array<Object>>} [{ key, count, average }]
+   */
+  async aggregate(where, groupBy) {
+    const rows = await SessionRating.findAll({
+      attributes: [
+        [groupBy, 'groupKey'],
+        [fn('COUNT', col('id')), 'count'],
+        [fn('AVG', col('rating')), 'average']
+      ],
+      where,
+      group: [groupBy],
+      raw: true
+    });
+
+    return rows.map(row => ({
+      key: row.groupKey,
+      count: parseInt(row.count, 10),
+      average: toAverage(row.average)
+    }));
+  }
+
+  /**
+   * 统计满意度评价：整体、按客服、按访客分组和按周期的平均分
+   * @param {Object} options - 筛选条件（startDate、endDate）
+   * @param {string} options.period - 统计周期 day / month / year（默认 day）
+   * @returns {Promise<Object>} 统计结果
+   */
+  async getRatingStats(options = {}) {
+    const { period = 'day' } = options;
+    const where = this.buildWhere(options);
+    const periodKey = fn('SUBSTR', col('createdAt'), 1, PERIOD_LENGTHS[period] || PERIOD_LENGTHS.day);
+
+    const [overall, byOperator, byGroup, byPeriod] = await Promise.all([
+      SessionRating.findOne({
+        attributes: [
+          [fn('COUNT', col('id')), 'count'],
+          [fn('AVG', col('rating')), 'average']
+        ],
+        where,
+        raw: true
+      }),
+      this.aggregate(where, col('operatorId')),
+      this.aggregate(where, col('groupName')),
+      this.aggregate(where, periodKey)
+    ]);
+
+    const operatorIds = byOperator.map(item => item.key).filter(Boolean);
+    const operators = operatorIds.length > 0
+      ? await Operator.findAll({ attributes: ['id', 'name'], where: { id: operatorIds }, raw: true })
+      : [];
+    const operatorNames = new Map(operators.map(operator => [operator.id, operator.name]));
+
+    const byCount = (a, b) => b.count - a.count;
+
+    return {
+      period: PERIOD_LENGTHS[period] ? period : 'day',
+      count: parseInt(overall.count, 10),
+      average: toAverage(overall.average),
+      byOperator: byOperator
+        .map(({ key, count, average }) => ({
+          operatorId: key,
+          operatorName: operatorNames.get(key) || null,
+          count,
+          average
+        }))
+        .sort(byCount),
+      byGroup: byGroup
+        .map(({ key, count, average }) => ({ groupName: key, count, average }))
+        .sort(byCount),
+      byPeriod: byPeriod
+        .map(({ key, count, average }) => ({ period: key, count, average }))
+        .sort((a, b) => a.period.localeCompare(b.period))
+    };
+  }
+
+  /**
+   * 获取客服收到的满意度评价
+   * @param {string} operatorId - 客服ID
+   * @param {Object} options - 查询选项
+   * @param {number} options.limit - 每页数量
+   * @param {number} options.offset - 偏移量
+   * @param {string} options.startDate - 开始时间
+   * @param {string} options.endDate - 结束时间
+   * @returns {Promise<Object>} 评价列表、汇总和分页信息
+   */
+  async getOperatorRatings(operatorId, options = {}) {
+    try {
+      const { limit = 20, offset = 0, startDate, endDate } = options;
+
+      const operator = await Operator.findByPk(operatorId);
+      if (!operator) {
+        return {
+          success: false,
+          error: 'Operator not found',
+          message: 'Operator does not exist'
+        };
+      }
+
+      const where = this.buildWhere({ operatorId, startDate, endDate });
+
+      const [{ count: total, rows }, summary] = await Promise.all([
+        SessionRating.findAndCountAll({
+          where,
+          order: [['createdAt', 'DESC']],
+          limit,
+          offset
+        }),
+        SessionRating.findOne({
+          attributes: [
+            [fn('COUNT', col('id')), 'count'],
+            [fn('AVG', col('rating')), 'average']
+          ],
+          where,
+          raw: true
+        })
+      ]);
+
+      return {
+        success: true,
+        ratings: rows,
+        summary: {
+          count: parseInt(summary.count, 10),
+          average: toAverage(summary.average)
+        },
+        pagination: {
+          total,
+          limit,
+          offset,
+          hasMore: offset + rows.length < total
+        },
+        message: 'Ratings retrieved successfully'
+      };
+    } catch (error) {
+      console.error('Error getting operator ratings:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to get operator ratings'
+      };
+    }
+  }
+}
+
+module.exports = new SessionRatingService();
@@ -0,0 +1,409 @@
+const os = require('os');
+const { Op, fn, col } = require('sequelize');
+const { models } = require('../models');
+const { ChatSession, ChatMessage } = models;
+const { createRedisClient } = require('../config/redis');
+const ChatService = require('./ChatService');
+const OperatorService = require('./OperatorService');
+const QueueService = require('./QueueService');
+const TranscriptEmailService = require('./TranscriptEmailService');
+
+const LOCK_KEY = 'session-timeout:sweep:lock';
+// 获取清理锁的最长等待时间，超时后跳过本轮清理
+const LOCK_TIMEOUT_MS = 5000;
+
+// 仅当锁仍由当前实例持有时才释放
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0
+`;
+
+const minutesFromEnv = (name, defaultValue) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? defaultValue : value;
+};
+
+/**
+ * SessionTimeoutService - 定时清理空闲会话
+ * 对超过空闲时限的 waiting / active 会话先发出关闭提醒，再以 timeout 原因结束会话。
+ * 多实例部署时通过 Redis 锁保证同一时刻只有一个实例执行清理。
+ */
+class SessionTimeoutService {
+  constructor(options = {}) {
+    this.io = options.io || null;
+    // 会话因空闲结束后的回调（如邀请访客评价），参数为结束后的会话
+    this.onSessionEnded = options.onSessionEnded || null;
+    // 客服的会话减少后同步其忙碌/在线状态的回调，参数为客服ID（未提供时只同步不广播）
+    this.onOperatorReleased = options.onOperatorReleased || null;
+    // 本轮清理关闭了会话后的回调（如自动分配等待中的会话）
+    this.onSessionsClosed = options.onSessionsClosed || null;
+    this.waitingTimeoutMinutes = options.waitingTimeoutMinutes !== undefined
+      ? options.waitingTimeoutMinutes
+      : minutesFromEnv('SESSION_WAITING_TIMEOUT_MINUTES', 15);
+    this.activeTimeoutMinutes = options.activeTimeoutMinutes !== undefined
+      ? options.activeTimeoutMinutes
+      : minutesFromEnv('SESSION_ACTIVE_TIMEOUT_MINUTES', 30);
+    this.warningMinutes = options.warningMinutes !== undefined
+      ? options.warningMinutes
+      : minutesFromEnv('SESSION_TIMEOUT_WARNING_MINUTES', 2);
+    this.intervalMs = options.intervalMs || parseInt(process.env.SESSION_SWEEP_INTERVAL_MS, 10) || 60000;
+    this.lockTimeoutMs = options.lockTimeoutMs || LOCK_TIMEOUT_MS;
+    this.lockToken = `${os.hostname()}:${process.pid}:${Math.random().toString(36).substr(2, 9)}`;
+    this.redisClient = options.redisClient || null;
+    this.warnedSessions = new Map(); // sessionId -> lastActivity (Redis 不可用时使用)
+    this.timer = null;
+    this.running = false;
+
+    if (!this.redisClient && options.useRedis !== false) {
+      this.initRedis();
+    }
+  }
+
+  /**
+   * 初始化Redis连接
+   */
+  async initRedis() {
+    try {
+      this.redisClient = createRedisClient({ disableOfflineQueue: true });
+      await this.redisClient.connect();
+    } catch (error) {
+      console.error('Failed to initialize Redis for SessionTimeoutService:', error);
+      this.redisClient = null;
+    }
+  }
+
+  /**
+   * 获取已就绪的Redis客户端
+   * Redis 无法连接时 connect() 会一直重试，未就绪期间返回 null，清理按单实例执行
+   * @returns {Object|null} Redis 客户端
+   */
+  getRedisClient() {
+    return this.redisClient && this.redisClient.isReady ? this.redisClient : null;
+  }
+
+  /**
+   * 启动定时清理任务
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.sweep().catch((error) => {
+        console.error('Error in session timeout sweep:', error);
+      });
+    }, this.intervalMs);
+
+    // 不阻止进程退出
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+
+    console.log(`Session timeout sweeper started (waiting: ${this.waitingTimeoutMinutes}m, active: ${this.activeTimeoutMinutes}m, interval: ${this.intervalMs}ms)`);
+  }
+
+  /**
+   * 停止定时清理任务
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * 获取会话状态对应的空闲时限（毫秒），0 表示不限制
+   * @param {string} status - 会话状态
+   * @returns {number} 空闲时限
+   */
+  getIdleLimitMs(status) {
+    const minutes = status === 'waiting' ? this.waitingTimeoutMinutes : this.activeTimeoutMinutes;
+    return minutes > 0 ? minutes * 60 * 1000 : 0;
+  }
+
+  /**
+   * 获取清理锁
+   * @returns {Promise<boolean>} 是否获得锁
+   */
+  async acquireLock() {
+    const redisClient = this.getRedisClient();
+    if (!redisClient) {
+      // 没有Redis时按单实例处理
+      return true;
+    }
+
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error('Timed out acquiring session timeout lock')), this.lockTimeoutMs);
+    });
+
+    try {
+      const result = await Promise.race([
+        redisClient.set(LOCK_KEY, this.lockToken, {
+          NX: true,
+          PX: this.intervalMs
+        }),
+        timeout
+      ]);
+      return result === 'OK';
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * 释放清理锁
+   */
+  async releaseLock() {
+    const redisClient = this.getRedisClient();
+    if (!redisClient) {
+      return;
+    }
+
+    try {
+      await redisClient.eval(RELEASE_LOCK_SCRIPT, {
+        keys: [LOCK_KEY],
+        arguments: [this.lockToken]
+      });
+    } catch (error) {
+      console.error('Error releasing session timeout lock:', error);
+    }
+  }
+
+  /**
+   * 执行一次空闲会话清理
+   * @param {Date} now - 当前时间 (便于测试)
+   * @returns {Promise<Object>} 清理结果
+   */
+  async sweep(now = new Date()) {
+    if (this.running) {
+      return { success: true, skipped: true, message: 'Sweep already running' };
+    }
+
+    this.running = true;
+    let locked = false;
+
+    try {
+      locked = await this.acquireLock();
+      if (!locked) {
+        return { success: true, skipped: true, message: 'Sweep is running on another instance' };
+      }
+
+      const candidates = await this.findIdleCandidates(now);
+      let warnedCount = 0;
+      let closedCount = 0;
+
+      for (const { session, lastActivityAt, messageCount } of candidates) {
+        const idleLimitMs = this.getIdleLimitMs(session.status);
+        const idleMs = now.getTime() - lastActivityAt.getTime();
+
+        if (idleMs >= idleLimitMs) {
+          const closed = await this.closeIdleSession(session, messageCount);
+          if (closed) {
+            closedCount++;
+          }
+        } else if (await this.warnIdleSession(session, lastActivityAt, idleLimitMs, now)) {
+          warnedCount++;
+        }
+      }
+
+      // 有会话被关闭时更新排队位置，并让空出的客服容量接待等待中的会话
+      if (closedCount > 0) {
+        if (this.io) {
+          await QueueService.broadcastPositions(this.io);
+        }
+        if (this.onSessionsClosed) {
+          await this.onSessionsClosed();
+        }
+      }
+
+      return {
+        success: true,
+        skipped: false,
+        warnedCount,
+        closedCount,
+        message: `${closedCount} idle sessions closed, ${warnedCount} warned`
+      };
+    } catch (error) {
+      console.error('Error sweeping idle sessions:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to sweep idle sessions'
+      };
+    } finally {
+      if (locked) {
+        await this.releaseLock();
+      }
+      this.running = false;
+    }
+  }
+
+  /**
+   * 查找进入提醒或超时区间的会话
+   * 会话的最后活跃时间取会话更新时间与最后一条非系统消息时间的较大值
+   * @param {Date} now - 当前时间
+   * @returns {Promise<Array>} 候选会话列表
+   */
+  async findIdleCandidates(now) {
+    const warningMs = this.warningMinutes * 60 * 1000;
+    const statusConditions = ['waiting', 'active']
+      .filter(status => this.getIdleLimitMs(status) > 0)
+      .map(status => ({
+        status,
+        updatedAt: {
+          [Op.lte]: new Date(now.getTime() - Math.max(this.getIdleLimitMs(status) - warningMs, 0))
+        }
+      }));
+
+    if (statusConditions.length === 0) {
+      return [];
+    }
+
+    const sessions = await ChatSession.findAll({
+      where: { [Op.or]: statusConditions },
+      order: [['updatedAt', 'ASC']]
+    });
+
+    if (sessions.length === 0) {
+      return [];
+    }
+
+    const messageStats = await ChatMessage.findAll({
+      attributes: [
+        'sessionId',
+        [fn('MAX', col('createdAt')), 'lastMessageAt'],
+        [fn('COUNT', col('id')), 'messageCount']
+      ],
+      where: {
+        sessionId: sessions.map(session => session.id),
+        senderType: { [Op.ne]: 'system' }
+      },
+      group: ['sessionId'],
+      raw: true
+    });
+
+    const statsBySession = new Map(messageStats.map(stat => [stat.sessionId, stat]));
+
+    return sessions.map((session) => {
+      const stat = statsBySession.get(session.id);
+      const lastMessageAt = stat && stat.lastMessageAt ? new Date(stat.lastMessageAt) : null;
+      const updatedAt = new Date(session.updatedAt);
+
+      return {
+        session,
+        lastActivityAt: lastMessageAt && lastMessageAt > updatedAt ? lastMessageAt : updatedAt,
+        messageCount: stat ? parseInt(stat.messageCount, 10) : 0
+      };
+    }).filter(({ session, lastActivityAt }) => {
+      const idleMs = now.getTime() - lastActivityAt.getTime();
+      return idleMs >= this.getIdleLimitMs(session.status) - warningMs;
+    });
+  }
+
+  /**
+   * 向会话发出即将关闭的提醒（同一空闲周期内只提醒一次）
+   * @param {Object} session - 会话对象
+   * @param {Date} lastActivityAt - 最后活跃时间
+   * @param {number} idleLimitMs - 空闲时限
+   * @param {Date} now - 当前时间
+   * @returns {Promise<boolean>} 是否发出了提醒
+   */
+  async warnIdleSession(session, lastActivityAt, idleLimitMs, now = new Date()) {
+    const warningKey = `session:${session.id}:timeout-warning`;
+    const activityMarker = lastActivityAt.toISOString();
+
+    const redisClient = this.getRedisClient();
+    if (redisClient) {
+      const warnedFor = await redisClient.get(warningKey);
+      if (warnedFor === activityMarker) {
+        return false;
+      }
+      await redisClient.setEx(warningKey, Math.ceil(idleLimitMs / 1000), activityMarker);
+    } else {
+      if (this.warnedSessions.get(session.id) === activityMarker) {
+        return false;
+      }
+      this.warnedSessions.set(session.id, activityMarker);
+    }
+
+    const closesAt = new Date(lastActivityAt.getTime() + idleLimitMs);
+    const remainingMinutes = Math.max(Math.ceil((closesAt.getTime() - now.getTime()) / 60000), 1);
+
+    if (this.io) {
+      this.io.to(`chat-session-${session.id}`).emit('session-timeout-warning', {
+        sessionId: session.id,
+        closesAt: closesAt.toISOString(),
+        remainingMinutes,
+        message: `This chat will close in ${remainingMinutes} minute${remainingMinutes === 1 ? '' : 's'} due to inactivity`,
+        timestamp: now.toISOString()
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * 以 timeout 原因结束空闲会话并通知参与者
+   * 有过双方消息往来的进行中会话标记为 completed，其余标记为 timeout
+   * @param {Object} session - 会话对象
+   * @param {number} messageCount - 非系统消息数量
+   * @returns {Promise<boolean>} 是否成功结束
+   */
+  async closeIdleSession(session, messageCount) {
+    const status = session.isActive() && messageCount > 1 ? 'completed' : 'timeout';
+    const endResult = await ChatService.endChatSession(session.id, 'system', {
+      reason: 'timeout',
+      status
+    });
+
+    if (!endResult.success || endResult.alreadyEnded) {
+      if (!endResult.success) {
+        console.error(`Failed to close idle session ${session.id}:`, endResult.message);
+      }
+      return false;
+    }
+
+    this.warnedSessions.delete(session.id);
+    await QueueService.remove(session.id);
+    const redisClient = this.getRedisClient();
+    if (redisClient) {
+      await redisClient.del(`session:${session.id}:timeout-warning`);
+    }
+
+    if (this.io) {
+      this.io.to(`chat-session-${session.id}`).emit('session-ended', {
+        sessionId: session.id,
+        operatorId: endResult.session.operatorId,
+        status: endResult.session.status,
+        reason: 'timeout',
+        endedBy: 'system',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (this.onSessionEnded) {
+      this.onSessionEnded(endResult.session);
+    }
+
+    await TranscriptEmailService.sendPendingForSession(session.id);
+
+    // 客服的会话减少后可能从忙碌恢复在线
+    if (endResult.session.operatorId) {
+      if (this.onOperatorReleased) {
+        await this.onOperatorReleased(endResult.session.operatorId);
+      } else {
+        await OperatorService.syncOperatorCapacityStatus(endResult.session.operatorId);
+      }
+    }
+
+    console.log(`Idle session ${session.id} closed (${endResult.session.status})`);
+    return true;
+  }
+}
+
+module.exports = SessionTimeoutService;
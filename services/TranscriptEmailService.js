@@ -0,0 +1,187 @@
+const { models } = require('../models');
+const { ChatSession, TranscriptEmail } = models;
+const RetryQueue = require('./RetryQueue');
+const TranscriptService = require('./TranscriptService');
+const { createMailer } = require('./mailer');
+
+/**
+ * TranscriptEmailService - 会话结束后把聊天记录发送到访客邮箱
+ * 访客在加入会话时或会话结束后提供邮箱；会话结束时渲染 HTML 记录并通过邮件适配器发送，
+ * 发送状态保存在 TranscriptEmail 中，失败时按 RetryQueue 的重试机制重新发送。
+ */
+class TranscriptEmailService extends RetryQueue {
+  /**
+   * @param {Object} options - 可选参数（同 RetryQueue）
+   * @param {Object} options.mailer - 邮件适配器，默认按 MAILER_TRANSPORT 创建
+   */
+  constructor(options = {}) {
+    super(options);
+    this.mailer = options.mailer || null;
+    this.subject = 'Your chat transcript';
+    // 邮件中的附件链接需要使用完整地址
+    this.baseUrl = process.env.PUBLIC_BASE_URL || '';
+  }
+
+  /**
+   * 获取邮件适配器（首次使用时创建）
+   * @returns {Object} 邮件适配器
+   */
+  getMailer() {
+    if (!this.mailer) {
+      this.mailer = createMailer();
+    }
+    return this.mailer;
+  }
+
+  /**
+   * 访客请求把聊天记录发送到邮箱
+   * 会话进行中时登记邮箱等待会话结束（重复提供时以最后一次为准），会话已结束时立即发送
+   * @param {string} sessionId - 会话ID
+   * @param {string} email - 收件邮箱
+   * @returns {Promise<Object>} 登记结果
+   */
+  async requestTranscript(sessionId, email) {
+    try {
+      const session = await ChatSession.findByPk(sessionId);
+      if (!session) {
+        return {
+          success: false,
+          error: 'Session not found',
+          message: 'Chat session does not exist'
+        };
+      }
+
+      let transcriptEmail = await TranscriptEmail.findOne({
+        where: { sessionId, status: 'pending' }
+      });
+      if (transcriptEmail) {
+        await transcriptEmail.update({ email });
+      } else {
+        transcriptEmail = await TranscriptEmail.create({ sessionId, email });
+      }
+
+      if (session.isEnded()) {
+        await this.queueEmail(transcriptEmail);
+      }
+
+      return {
+        success: true,
+        transcriptEmail,
+        message: session.isEnded()
+          ? 'Transcript email queued'
+          : 'Transcript will be emailed when the session ends'
+      };
+    } catch (error) {
+      if (error.name === 'SequelizeValidationError') {
+        return {
+          success: false,
+          error: 'Invalid email',
+          message: error.errors.map(item => item.message).join(', ')
+        };
+      }
+
+      console.error('Error requesting transcript email:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to request transcript email'
+      };
+    }
+  }
+
+  /**
+   * 会话结束后发送该会话登记的聊天记录邮件
+   * @param {string} sessionId - 会话ID
+   * @returns {Promise<Object>} 入队结果
+   */
+  async sendPendingForSession(sessionId) {
+    try {
+      const pending = await TranscriptEmail.findAll({
+        where: { sessionId, status: 'pending' }
+      });
+
+      for (const transcriptEmail of pending) {
+        await this.queueEmail(transcriptEmail);
+      }
+
+      return {
+        success: true,
+        count: pending.length
+      };
+    } catch (error) {
+      console.error('Error sending transcript emails:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to send transcript emails'
+      };
+    }
+  }
+
+  /**
+   * 把邮件加入发送队列，未配置邮件服务时直接标记为失败
+   * @param {Object} transcriptEmail - TranscriptEmail 实例
+   */
+  async queueEmail(transcriptEmail) {
+    if (!this.getMailer().isConfigured()) {
+      console.warn('Mailer not configured, skipping transcript email');
+      await transcriptEmail.update({ status: 'failed', lastError: 'Mailer is not configured' });
+      return;
+    }
+
+    await transcriptEmail.update({ status: 'queued' });
+    this.enqueue({ id: transcriptEmail.id });
+  }
+
+  /**
+   * 渲染并发送一封聊天记录邮件，记录本次尝试的结果
+   * @param {Object} item - 队列任务（id 为 TranscriptEmail ID）
+   * @returns {Promise<boolean>} 是否发送成功
+   */
+  async processItem(item) {
+    const transcriptEmail = await TranscriptEmail.findByPk(item.id);
+    if (!transcriptEmail || transcriptEmail.isSent()) {
+      return true;
+    }
+
+    try {
+      const transcript = await TranscriptService.exportSession(transcriptEmail.sessionId, 'html', {
+        baseUrl: this.baseUrl
+      });
+      if (!transcript.success) {
+        throw new Error(transcript.message);
+      }
+
+      await this.getMailer().send({
+        to: transcriptEmail.email,
+        subject: this.subject,
+        html: transcript.body,
+        attachments: [{
+          filename: transcript.fileName,
+          content: transcript.body,
+          contentType: transcript.contentType
+        }]
+      });
+    } catch (error) {
+      console.error(`Transcript email ${transcriptEmail.id} failed:`, error.message);
+      await transcriptEmail.recordAttempt(error);
+      return false;
+    }
+
+    await transcriptEmail.recordAttempt();
+    return true;
+  }
+
+  /**
+   * 重试次数用完后标记为发送失败
+   * @param {Object} item - 队列任务
+   */
+  async handleExhausted(item) {
+    console.error(`Transcript email failed after ${this.retryAttempts} retries:`, item.id);
+    await TranscriptEmail.update({ status: 'failed' }, {
+      where: { id: item.id, status: 'queued' }
+    });
+  }
+}
+
+module.exports = new TranscriptEmailService();
@@ -0,0 +1,448 @@
+const archiver = require('archiver');
+const PDFDocument = require('pdfkit');
+const { Op } = require('sequelize');
+const { models } = require('../models');
+const { ChatSession, ChatMessage, Operator, Attachment } = models;
+const ChatService = require('./ChatService');
+
+// 导出格式 -> Content-Type 和文件扩展名
+const TRANSCRIPT_FORMATS = {
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+const CSV_COLUMNS = ['time', 'senderType', 'senderName', 'messageType', 'content', 'attachmentName', 'attachmentUrl', 'edited', 'deleted'];
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+const escapeHtml = (text) => String(text ?? '').replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
+// 以 = + - @ 开头的单元格会被表格软件当作公式执行，加单引号前缀
+const escapeCsv = (value) => {
+  let text = String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * TranscriptService - 聊天记录导出
+ * 将会话消息整理为记录（客服姓名、系统消息、指定时区的时间、附件链接），
+ * 渲染为 HTML、CSV、JSON 或 PDF，批量导出时把多个会话的记录打包为 ZIP 流。
+ */
+class TranscriptService {
+  constructor() {
+    this.formats = Object.keys(TRANSCRIPT_FORMATS);
+    this.defaultTimeZone = process.env.TRANSCRIPT_TIMEZONE || 'UTC';
+    // PDF 内置字体不包含中文，需要中文时配置支持 CJK 的 TTF/OTF 字体文件
+    this.pdfFont = process.env.TRANSCRIPT_PDF_FONT || null;
+    // 批量导出时每次查询的会话数量
+    this.exportBatchSize = 100;
+  }
+
+  /**
+   * 按时区格式化时间为 YYYY-MM-DD HH:mm:ss
+   * @param {Date} date - 时间
+   * @param {string} timeZone - IANA 时区
+   * @returns {string|null} 格式化后的时间
+   */
+  formatTimestamp(date, timeZone) {
+    if (!date) {
+      return null;
+    }
+
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(new Date(date)).forEach(part => {
+      parts[part.type] = part.value;
+    });
+
+    return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}`;
+  }
+
+  /**
+   * 读取会话及其全部消息，整理为导出用的记录
+   * @param {string} sessionId - 会话ID
+   * @param {Object} options - 导出选项
+   * @param {string} options.timeZone - 时间使用的时区
+   * @param {string} options.baseUrl - 附件链接的前缀（协议和主机）
+   * @returns {Promise<Object|null>} 记录，会话不存在时返回 null
+   */
+  async buildTranscript(sessionId, options = {}) {
+    const { timeZone = this.defaultTimeZone, baseUrl = '' } = options;
+
+    const session = await ChatSession.findByPk(sessionId, {
+      include: [{ model: Operator, as: 'operator', attributes: ['id', 'name'] }]
+    });
+    if (!session) {
+      return null;
+    }
+
+    const messages = await ChatMessage.findAll({
+      where: { sessionId },
+      include: [{ model: Attachment, as: 'attachment', required: false }],
+      order: [['createdAt', 'ASC']]
+    });
+
+    // 会话可能经过转接，按消息中出现的客服ID一次查出所有客服姓名
+    const operatorIds = [...new Set(messages
+      .filter(message => message.senderType === 'operator')
+      .map(message => message.senderId))];
+    const operators = operatorIds.length > 0
+      ? await Operator.findAll({ where: { id: { [Op.in]: operatorIds } }, attributes: ['id', 'name'] })
+      : [];
+    const operatorNames = new Map(operators.map(operator => [operator.id, operator.name]));
+
+    const visitorName = session.userName || session.userId;
+    const senderName = (message) => {
+      if (message.senderType === 'operator') {
+        return operatorNames.get(message.senderId) || message.senderId;
+      }
+      return message.senderType === 'user' ? visitorName : 'System';
+    };
+
+    return {
+      session: {
+        id: session.id,
+        userId: session.userId,
+        userName: session.userName,
+        groupName: session.groupName,
+        status: session.status,
+        operatorName: session.operator ? session.operator.name : null,
+        visitorContext: session.visitorContext || null,
+        startedAt: this.formatTimestamp(session.createdAt, timeZone),
+        closedAt: this.formatTimestamp(session.closedAt, timeZone)
+      },
+      timeZone,
+      generatedAt: this.formatTimestamp(new Date(), timeZone),
+      messages: messages.map(message => ({
+        id: message.id,
+        senderType: message.senderType,
+        senderName: senderName(message),
+        messageType: message.messageType,
+        content: message.content,
+        time: this.formatTimestamp(message.createdAt, timeZone),
+        timestamp: message.createdAt.toISOString(),
+        isEdited: Boolean(message.isEdited),
+        isDeleted: Boolean(message.isDeleted),
+        attachment: message.attachment ? {
+          fileName: message.attachment.fileName,
+          mimeType: message.attachment.mimeType,
+          size: message.attachment.size,
+          url: `${baseUrl}${message.attachment.toClientJSON().url}`
+        } : null
+      }))
+    };
+  }
+
+  /**
+   * 记录头部显示的访客信息（页面、来源、浏览器、语言、停留时间）
+   * @param {Object} session - 记录中的会话信息
+   * @returns {Array<Array>} [标签, 值] 列表
+   */
+  visitorDetails(session) {
+    const context = session.visitorContext;
+    if (!context) {
+      return [];
+    }
+
+    return [
+      ['Page', context.title ? `${context.title} (${context.url})` : context.url],
+      ['Referrer', context.referrer],
+      ['User agent', context.userAgent],
+      ['Locale', context.locale],
+      ['Time on page', Number.isInteger(context.timeOnPage) ? `${context.timeOnPage}s` : null]
+    ];
+  }
+
+  /**
+   * 渲染 JSON 记录
+   * @param {Object} transcript - 记录
+   * @returns {string} JSON 文本
+   */
+  renderJson(transcript) {
+    return JSON.stringify(transcript, null, 2);
+  }
+
+  /**
+   * 渲染 CSV 记录（带 BOM，表格软件可以正确识别中文）
+   * @param {Object} transcript - 记录
+   * @returns {string} CSV 文本
+   */
+  renderCsv(transcript) {
+    const rows = transcript.messages.map(message => [
+      message.time,
+      message.senderType,
+      message.senderName,
+      message.messageType,
+      message.content,
+      message.attachment ? message.attachment.fileName : '',
+      message.attachment ? message.attachment.url : '',
+      message.isEdited,
+      message.isDeleted
+    ]);
+
+    return `\ufeff${[CSV_COLUMNS, ...rows].map(row => row.map(escapeCsv).join(',')).join('\r\n')}\r\n`;
+  }
+
+  /**
+   * 渲染 HTML 记录（独立页面，内容全部转义）
+   * @param {Object} transcript - 记录
+   * @returns {string} HTML 文本
+   */
+  renderHtml(transcript) {
+    const { session } = transcript;
+    const details = [
+      ['Visitor', session.userName || session.userId],
+      ['Group', session.groupName],
+      ['Operator', session.operatorName],
+      ...this.visitorDetails(session),
+      ['Status', session.status],
+      ['Started', session.startedAt],
+      ['Closed', session.closedAt],
+      ['Time zone', transcript.timeZone]
+    ].filter(([, value]) => value)
+      .map(([label, value]) => `<dt>${label}</dt><dd>${escapeHtml(value)}</dd>`)
+      .join('\n');
+
+    const messages = transcript.messages.map(message => {
+      const attachment = message.attachment
+        ? `<div class="attachment"><a href="${escapeHtml(message.attachment.url)}">${escapeHtml(message.attachment.fileName)}</a></div>`
+        : '';
+      const flags = [message.isEdited && 'edited', message.isDeleted && 'deleted'].filter(Boolean).join(', ');
+
+      return [
+        `<li class="message ${message.senderType}">`,
+        `<div class="meta"><time datetime="${message.timestamp}">${message.time}</time> <strong>${escapeHtml(message.senderName)}</strong>${flags ? ` <em>(${flags})</em>` : ''}</div>`,
+        `<div class="content">${escapeHtml(message.content)}</div>`,
+        attachment,
+        '</li>'
+      ].join('');
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Chat transcript ${escapeHtml(session.id)}</title>
+<style>
+body { font-family: sans-serif; margin: 2em; color: #222; }
+dl { display: grid; grid-template-columns: max-content auto; gap: 0.25em 1em; }
+dt { font-weight: bold; }
+dd { margin: 0; }
+ul { list-style: none; padding: 0; }
+.message { padding: 0.5em 0; border-bottom: 1px solid #eee; }
+.message.system { color: #777; font-style: italic; }
+.meta { font-size: 0.85em; color: #555; }
+.content { white-space: pre-wrap; }
+</style>
+</head>
+<body>
+<h1>Chat transcript</h1>
+<dl>
+${details}
+</dl>
+<ul>
+${messages}
+</ul>
+<footer>Generated ${transcript.generatedAt} (${escapeHtml(transcript.timeZone)})</footer>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * 渲染 PDF 记录
+   * @param {Object} transcript - 记录
+   * @returns {Promise<Buffer>} PDF 文件内容
+   */
+  renderPdf(transcript) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ margin: 50, info: { Title: `Chat transcript ${transcript.session.id}` } });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      if (this.pdfFont) {
+        doc.font(this.pdfFont);
+      }
+
+      const { session } = transcript;
+      doc.fontSize(16).text('Chat transcript');
+      doc.moveDown(0.5).fontSize(10);
+      [
+        ['Session', session.id],
+        ['Visitor', session.userName || session.userId],
+        ['Group', session.groupName],
+        ['Operator', session.operatorName],
+        ...this.visitorDetails(session),
+        ['Status', session.status],
+        ['Started', session.startedAt],
+        ['Closed', session.closedAt],
+        ['Time zone', transcript.timeZone]
+      ].filter(([, value]) => value).forEach(([label, value]) => {
+        doc.text(`${label}: ${value}`);
+      });
+      doc.moveDown();
+
+      transcript.messages.forEach(message => {
+        const flags = [message.isEdited && 'edited', message.isDeleted && 'deleted'].filter(Boolean).join(', ');
+        doc.fillColor('#555555').fontSize(8).text(`${message.time}  ${message.senderName}${flags ? ` (${flags})` : ''}`);
+        doc.fillColor(message.senderType === 'system' ? '#777777' : '#000000').fontSize(10).text(message.content);
+        if (message.attachment) {
+          doc.fillColor('#0645ad').text(message.attachment.fileName, { link: message.attachment.url, underline: true });
+        }
+        doc.moveDown(0.5);
+      });
+
+      doc.end();
+    });
+  }
+
+  /**
+   * 按格式渲染记录
+   * @param {Object} transcript - 记录
+   * @param {string} format - html | csv | json | pdf
+   * @returns {Promise<string|Buffer>} 文件内容
+   */
+  async render(transcript, format) {
+    switch (format) {
+      case 'csv':
+        return this.renderCsv(transcript);
+      case 'json':
+        return this.renderJson(transcript);
+      case 'pdf':
+        return this.renderPdf(transcript);
+      default:
+        return this.renderHtml(transcript);
+    }
+  }
+
+  /**
+   * 导出单个会话的记录
+   * @param {string} sessionId - 会话ID
+   * @param {string} format - html | csv | json | pdf
+   * @param {Object} options - 导出选项（timeZone, baseUrl）
+   * @returns {Promise<Object>} 文件名、Content-Type 和文件内容
+   */
+  async exportSession(sessionId, format = 'html', options = {}) {
+    try {
+      const transcript = await this.buildTranscript(sessionId, options);
+      if (!transcript) {
+        return {
+          success: false,
+          error: 'Session not found',
+          message: 'Chat session does not exist'
+        };
+      }
+
+      const { contentType, extension } = TRANSCRIPT_FORMATS[format] || TRANSCRIPT_FORMATS.html;
+
+      return {
+        success: true,
+        fileName: `transcript-${sessionId}.${extension}`,
+        contentType,
+        body: await this.render(transcript, format),
+        message: 'Transcript exported successfully'
+      };
+    } catch (error) {
+      console.error('Error exporting transcript:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to export transcript'
+      };
+    }
+  }
+
+  /**
+   * 向 ZIP 中追加文件，等待写入完成后再继续，避免输出较慢时在内存中堆积
+   * @param {Object} archive - archiver 实例
+   * @param {string|Buffer} body - 文件内容
+   * @param {string} name - 文件名
+   * @returns {Promise<void>}
+   */
+  appendToArchive(archive, body, name) {
+    return new Promise((resolve, reject) => {
+      const onEntry = () => {
+        archive.off('error', onError);
+        resolve();
+      };
+      const onError = (error) => {
+        archive.off('entry', onEntry);
+        reject(error);
+      };
+
+      archive.once('entry', onEntry);
+      archive.once('error', onError);
+      archive.append(body, { name });
+    });
+  }
+
+  /**
+   * 将历史会话列表筛选出的会话记录打包为 ZIP 写入输出流
+   * @param {Object} filter - 历史会话筛选条件（keyword, status, startDate, endDate, operatorId）
+   * @param {string} format - 每个记录的格式
+   * @param {Object} options - 导出选项（timeZone, baseUrl）
+   * @param {Object} output - 可写流（如 HTTP 响应）
+   * @returns {Promise<number>} 导出的会话数量
+   */
+  async writeArchive(filter, format, options, output) {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.pipe(output);
+
+    const { extension } = TRANSCRIPT_FORMATS[format] || TRANSCRIPT_FORMATS.html;
+    let cursor = null;
+    let count = 0;
+
+    try {
+      // 按游标逐批读取会话，每批只保留当前会话的记录在内存中
+      do {
+        const page = await ChatService.getAllHistorySessions({
+          ...filter,
+          limit: this.exportBatchSize,
+          cursor
+        });
+        if (!page.success) {
+          throw new Error(page.message);
+        }
+
+        for (const session of page.sessions) {
+          const transcript = await this.buildTranscript(session.id, options);
+          if (transcript) {
+            await this.appendToArchive(archive, await this.render(transcript, format), `transcript-${session.id}.${extension}`);
+            count += 1;
+          }
+        }
+
+        cursor = page.pagination.nextCursor;
+      } while (cursor);
+
+      await archive.finalize();
+      return count;
+    } catch (error) {
+      archive.abort();
+      throw error;
+    }
+  }
+}
+
+module.exports = new TranscriptService();
@@ -0,0 +1,450 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const { createRedisClient } = require('../config/redis');
+const { models } = require('../models');
+const { ChatSession } = models;
+
+const VISITOR_KEY_PREFIX = 'chat:visitor:';
+const VISITORS_KEY = 'chat:visitors';
+
+// 访客上报的页面信息 -> 最大长度，超出部分截断
+const PAGE_FIELD_LIMITS = {
+  url: 2048,
+  title: 500,
+  referrer: 2048,
+  userAgent: 512,
+  locale: 35
+};
+
+// 上报的页面停留时间上限（秒）
+const MAX_TIME_ON_PAGE = 86400;
+
+/**
+ * VisitorPresenceService - 网站访客在线状态和主动聊天邀请
+ * 聊天窗口加载后上报访客所在页面（以及来源页面、浏览器和语言），客服据此查看当前在网站上的访客并发出邀请，
+ * 访客进行中的会话也保存这些信息的快照；
+ * 访客记录保存在 Redis 中供所有实例共享，带有 TTL 并由所在实例定时续期，
+ * Redis 未就绪时退回到进程内存（仅适用于单实例部署），Redis 恢复后在续期时写回 Redis。
+ * 每个访客同一时间只有一个待回应的邀请，超时未回应的邀请自动失效。
+ */
+class VisitorPresenceService {
+  constructor() {
+    this.redisClient = null;
+    this.ttlSeconds = parseInt(process.env.CHAT_CONNECTION_TTL_SECONDS, 10) || 120;
+    this.invitationTimeoutSeconds = parseInt(process.env.CHAT_INVITATION_TIMEOUT_SECONDS, 10) || 120;
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+    this.localVisitors = new Map(); // userId -> visitor (Redis 不可用时使用)
+    this.initRedis();
+  }
+
+  /**
+   * 初始化Redis连接
+   */
+  async initRedis() {
+    try {
+      this.redisClient = createRedisClient({ disableOfflineQueue: true });
+      await this.redisClient.connect();
+    } catch (error) {
+      console.error('Failed to initialize Redis for VisitorPresenceService:', error);
+      this.redisClient = null;
+    }
+  }
+
+  /**
+   * 获取已就绪的Redis客户端
+   * Redis 无法连接时 connect() 会一直重试，未就绪期间返回 null，访客记录改为保存在进程内存中
+   * @returns {Object|null} Redis 客户端
+   */
+  getRedisClient() {
+    return this.redisClient && this.redisClient.isReady ? this.redisClient : null;
+  }
+
+  /**
+   * 获取访客记录的键
+   * @param {string} userId - 访客ID
+   * @returns {string} Redis 键
+   */
+  getVisitorKey(userId) {
+    return `${VISITOR_KEY_PREFIX}${userId}`;
+  }
+
+  /**
+   * 保存访客记录
+   * @param {Object} visitor - 访客记录
+   * @returns {Promise<Object>} 访客记录
+   */
+  async save(visitor) {
+    const redisClient = this.getRedisClient();
+    if (!redisClient) {
+      this.localVisitors.set(visitor.userId, visitor);
+      return visitor;
+    }
+
+    await redisClient.set(this.getVisitorKey(visitor.userId), JSON.stringify(visitor), {
+      EX: this.ttlSeconds
+    });
+    await redisClient.sAdd(VISITORS_KEY, visitor.userId);
+    this.localVisitors.delete(visitor.userId);
+    return visitor;
+  }
+
+  /**
+   * 获取访客记录
+   * @param {string} userId - 访客ID
+   * @returns {Promise<Object|null>} 访客记录
+   */
+  async get(userId) {
+    const redisClient = this.getRedisClient();
+    if (!redisClient) {
+      return this.localVisitors.get(userId) || null;
+    }
+
+    // Redis 恢复前登记在内存中、尚未写回的访客
+    const value = await redisClient.get(this.getVisitorKey(userId));
+    return value ? JSON.parse(value) : this.localVisitors.get(userId) || null;
+  }
+
+  /**
+   * 整理访客上报的页面信息：截断过长的文本，按已停留时间推算打开页面的时间
+   * @param {Object} page - 页面信息 { url, title, referrer, userAgent, locale, timeOnPage }
+   * @returns {Object} 页面信息，包含 pageViewedAt
+   */
+  normalizePage(page = {}) {
+    const fields = Object.keys(PAGE_FIELD_LIMITS).reduce((result, field) => {
+      const value = page[field];
+      result[field] = typeof value === 'string' && value.trim()
+        ? value.trim().slice(0, PAGE_FIELD_LIMITS[field])
+        : null;
+      return result;
+    }, {});
+
+    const timeOnPage = Math.min(Math.max(parseInt(page.timeOnPage, 10) || 0, 0), MAX_TIME_ON_PAGE);
+    fields.pageViewedAt = new Date(Date.now() - timeOnPage * 1000).toISOString();
+    return fields;
+  }
+
+  /**
+   * 登记访客（同一访客在新的页面或标签页重新登记时保留待回应的邀请和已触发的规则）
+   * @param {string} socketId - 访客的 socket ID
+   * @param {Object} identity - 访客身份 { userId, userName, groupName }
+   * @param {Object} page - 当前页面 { url, title, referrer, userAgent, locale, timeOnPage }
+   * @returns {Promise<Object>} 访客记录
+   */
+  async register(socketId, identity, page = {}) {
+    const existing = await this.get(identity.userId);
+    const fields = this.normalizePage(page);
+
+    return this.save({
+      userId: identity.userId,
+      userName: identity.userName || null,
+      groupName: identity.groupName || null,
+      socketId,
+      instanceId: this.instanceId,
+      ...fields,
+      connectedAt: existing ? existing.connectedAt : new Date().toISOString(),
+      invitation: existing ? existing.invitation : null,
+      triggeredRuleIds: existing ? existing.triggeredRuleIds : []
+    });
+  }
+
+  /**
+   * 记录访客打开了新的页面（未上报浏览器和语言时沿用之前的值）
+   * @param {string} userId - 访客ID
+   * @param {Object} page - 当前页面 { url, title, referrer, userAgent, locale, timeOnPage }
+   * @returns {Promise<Object|null>} 更新后的访客记录，访客不在线时返回 null
+   */
+  async recordPageView(userId, page = {}) {
+    const visitor = await this.get(userId);
+    if (!visitor) {
+      return null;
+    }
+
+    const fields = this.normalizePage(page);
+    return this.save({
+      ...visitor,
+      ...fields,
+      userAgent: fields.userAgent || visitor.userAgent || null,
+      locale: fields.locale || visitor.locale || null
+    });
+  }
+
+  /**
+   * 访客的连接断开时移除访客记录（访客已在其他连接上重新登记时保留）
+   * @param {string} userId - 访客ID
+   * @param {string} socketId - 断开的 socket ID
+   * @returns {Promise<Object|null>} 被移除的访客记录
+   */
+  async remove(userId, socketId) {
+    const visitor = await this.get(userId);
+    if (!visitor || visitor.socketId !== socketId) {
+      return null;
+    }
+
+    this.localVisitors.delete(userId);
+
+    const redisClient = this.getRedisClient();
+    if (!redisClient) {
+      return visitor;
+    }
+
+    await redisClient.del(this.getVisitorKey(userId));
+    await redisClient.sRem(VISITORS_KEY, userId);
+    return visitor;
+  }
+
+  /**
+   * 为本实例的访客记录续期，Redis 未就绪期间登记在内存中的访客在此时写回 Redis
+   * @param {Array<string>} userIds - 访客ID列表
+   */
+  async refresh(userIds) {
+    const redisClient = this.getRedisClient();
+    if (!redisClient) {
+      return;
+    }
+
+    for (const userId of userIds) {
+      const localVisitor = this.localVisitors.get(userId);
+      if (localVisitor) {
+        await this.save(localVisitor);
+      } else {
+        await redisClient.expire(this.getVisitorKey(userId), this.ttlSeconds);
+      }
+    }
+  }
+
+  /**
+   * 获取当前在网站上的访客（所有实例，顺带清理已过期的记录）
+   * @param {Object} options - 查询选项
+   * @param {string} options.groupName - 只返回该分组的访客
+   * @returns {Promise<Array>} 访客列表，按进入网站的时间排序
+   */
+  async list(options = {}) {
+    const { groupName } = options;
+    const redisClient = this.getRedisClient();
+    let visitors = [];
+
+    if (!redisClient) {
+      visitors = Array.from(this.localVisitors.values());
+    } else {
+      const userIds = await redisClient.sMembers(VISITORS_KEY);
+      for (const userId of userIds) {
+        const visitor = await this.get(userId);
+        if (visitor) {
+          visitors.push(visitor);
+        } else {
+          await redisClient.sRem(VISITORS_KEY, userId);
+        }
+      }
+
+      // 尚未写回 Redis 的访客
+      for (const visitor of this.localVisitors.values()) {
+        if (!userIds.includes(visitor.userId)) {
+          visitors.push(visitor);
+        }
+      }
+    }
+
+    return visitors
+      .filter(visitor => !groupName || visitor.groupName === groupName)
+      .sort((a, b) => a.connectedAt.localeCompare(b.connectedAt))
+      .map(visitor => this.toPublic(visitor));
+  }
+
+  /**
+   * 访客在当前页面停留的秒数
+   * @param {Object} visitor - 访客记录
+   * @returns {number} 秒数
+   */
+  getSecondsOnPage(visitor) {
+    return Math.max(0, Math.floor((Date.now() - new Date(visitor.pageViewedAt).getTime()) / 1000));
+  }
+
+  /**
+   * 推送给客服的访客信息（不包含连接信息）
+   * @param {Object} visitor - 访客记录
+   * @returns {Object} 访客信息
+   */
+  toPublic(visitor) {
+    return {
+      userId: visitor.userId,
+      userName: visitor.userName,
+      groupName: visitor.groupName,
+      url: visitor.url,
+      title: visitor.title,
+      referrer: visitor.referrer || null,
+      userAgent: visitor.userAgent || null,
+      locale: visitor.locale || null,
+      pageViewedAt: visitor.pageViewedAt,
+      secondsOnPage: this.getSecondsOnPage(visitor),
+      connectedAt: visitor.connectedAt,
+      invitation: this.getPendingInvitation(visitor)
+    };
+  }
+
+  /**
+   * 保存到会话中的访客信息快照，timeOnPage 为生成快照时已在页面停留的秒数
+   * @param {Object} visitor - 访客记录
+   * @returns {Object} 访客信息快照
+   */
+  toContext(visitor) {
+    return {
+      url: visitor.url,
+      title: visitor.title,
+      referrer: visitor.referrer || null,
+      userAgent: visitor.userAgent || null,
+      locale: visitor.locale || null,
+      pageViewedAt: visitor.pageViewedAt,
+      timeOnPage: this.getSecondsOnPage(visitor),
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * 获取访客尚未过期的待回应邀请
+   * @param {Object} visitor - 访客记录
+   * @returns {Object|null} 邀请
+   */
+  getPendingInvitation(visitor) {
+    const { invitation } = visitor;
+    if (!invitation || new Date(invitation.expiresAt).getTime() <= Date.now()) {
+      return null;
+    }
+    return invitation;
+  }
+
+  /**
+   * 邀请访客开始聊天
+   * @param {string} userId - 访客ID
+   * @param {Object} options - 邀请信息
+   * @param {string} options.message - 开场消息
+   * @param {string} options.operatorId - 发出邀请的客服ID（规则邀请为空）
+   * @param {string} options.operatorName - 发出邀请的客服名称
+   * @param {string} options.ruleId - 触发邀请的规则ID
+   * @returns {Promise<Object>} 邀请结果，成功时包含 invitation 和 visitor
+   */
+  async createInvitation(userId, options = {}) {
+    try {
+      const { message, operatorId = null, operatorName = null, ruleId = null } = options;
+
+      const visitor = await this.get(userId);
+      if (!visitor) {
+        return {
+          success: false,
+          error: 'Visitor not found',
+          message: 'Visitor is not on the site'
+        };
+      }
+
+      if (this.getPendingInvitation(visitor)) {
+        return {
+          success: false,
+          error: 'Invitation pending',
+          message: 'Visitor has not responded to the previous invitation'
+        };
+      }
+
+      const activeSession = await ChatSession.findActiveByUserId(userId);
+      if (activeSession) {
+        return {
+          success: false,
+          error: 'Visitor already chatting',
+          message: 'Visitor already has an active chat session'
+        };
+      }
+
+      const createdAt = new Date();
+      const invitation = {
+        id: uuidv4(),
+        userId,
+        operatorId,
+        operatorName,
+        ruleId,
+        message,
+        createdAt: createdAt.toISOString(),
+        expiresAt: new Date(createdAt.getTime() + this.invitationTimeoutSeconds * 1000).toISOString()
+      };
+
+      const saved = await this.save({
+        ...visitor,
+        invitation,
+        triggeredRuleIds: ruleId ? [...visitor.triggeredRuleIds, ruleId] : visitor.triggeredRuleIds
+      });
+
+      return {
+        success: true,
+        invitation,
+        visitor: saved,
+        message: 'Visitor invited successfully'
+      };
+    } catch (error) {
+      console.error('Error inviting visitor:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to invite visitor'
+      };
+    }
+  }
+
+  /**
+   * 按规则邀请访客：访客仍停留在触发规则的页面，且本次访问中该规则尚未触发过
+   * @param {string} userId - 访客ID
+   * @param {Object} rule - InvitationRule 实例
+   * @param {string} pageViewedAt - 安排邀请时访客打开页面的时间
+   * @returns {Promise<Object>} 邀请结果，不满足条件时 skipped 为 true
+   */
+  async inviteByRule(userId, rule, pageViewedAt) {
+    const visitor = await this.get(userId);
+    if (!visitor || visitor.pageViewedAt !== pageViewedAt || visitor.triggeredRuleIds.includes(rule.id)) {
+      return {
+        success: false,
+        skipped: true,
+        message: 'Invitation rule no longer applies'
+      };
+    }
+
+    return this.createInvitation(userId, {
+      message: rule.message,
+      ruleId: rule.id
+    });
+  }
+
+  /**
+   * 访客接受或拒绝邀请
+   * @param {string} userId - 访客ID
+   * @param {string} invitationId - 邀请ID
+   * @returns {Promise<Object>} 处理结果，成功时包含 invitation 和 visitor
+   */
+  async respondToInvitation(userId, invitationId) {
+    try {
+      const visitor = await this.get(userId);
+      const invitation = visitor ? this.getPendingInvitation(visitor) : null;
+
+      if (!invitation || invitation.id !== invitationId) {
+        return {
+          success: false,
+          error: 'Invitation not found',
+          message: 'Invitation does not exist or has expired'
+        };
+      }
+
+      const saved = await this.save({ ...visitor, invitation: null });
+
+      return {
+        success: true,
+        invitation,
+        visitor: saved,
+        message: 'Invitation answered successfully'
+      };
+    } catch (error) {
+      console.error('Error answering invitation:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to answer invitation'
+      };
+    }
+  }
+}
+
+module.exports = new VisitorPresenceService();
@@ -0,0 +1,375 @@
+const crypto = require('crypto');
+const { models } = require('../models');
+const { Webhook, NotificationOutbox } = models;
+
+/**
+ * WebhookService - 管理 Webhook 订阅并分发业务事件
+ * 事件按订阅写入 notification_outbox（每个订阅一条），由 NotificationService 的后台任务投递；
+ * 请求体用订阅的密钥按 HMAC-SHA256 签名，签名内容包含时间戳，接收方据此校验来源并拒绝重放的请求。
+ */
+class WebhookService {
+  constructor() {
+    // 有新投递入队时的回调（由 Socket 初始化时设置为立即触发投递）
+    this.onQueued = null;
+  }
+
+  /**
+   * 生成签名密钥
+   * @returns {string} 密钥
+   */
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * 计算请求签名：HMAC-SHA256(secret, `${timestamp}.${body}`)
+   * @param {string} secret - 签名密钥
+   * @param {number} timestamp - 投递时间（Unix 秒）
+   * @param {string} body - 请求体
+   * @returns {string} 十六进制签名
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * 构造一次投递的请求体和请求头，每次投递使用当前时间重新签名
+   * @param {Object} webhook - Webhook 实例
+   * @param {Object} item - NotificationOutbox 实例
+   * @param {Date} now - 投递时间
+   * @returns {Object} { body, headers }
+   */
+  buildDelivery(webhook, item, now = new Date()) {
+    const timestamp = Math.floor(now.getTime() / 1000);
+    const body = JSON.stringify({
+      id: item.id,
+      event: item.type,
+      createdAt: item.createdAt,
+      data: item.payload
+    });
+
+    return {
+      body,
+      headers: {
+        'Idempotency-Key': item.idempotencyKey,
+        'X-Webhook-Id': item.id,
+        'X-Webhook-Event': item.type,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${this.sign(webhook.secret, timestamp, body)}`
+      }
+    };
+  }
+
+  /**
+   * 会话类事件（session.*）的数据
+   * @param {Object} session - 会话对象
+   * @returns {Object} 事件数据
+   */
+  sessionData(session) {
+    return {
+      sessionId: session.id,
+      userId: session.userId,
+      userName: session.userName,
+      groupName: session.groupName,
+      operatorId: session.operatorId,
+      status: session.status,
+      endReason: session.endReason,
+      endedBy: session.endedBy,
+      createdAt: session.createdAt,
+      closedAt: session.closedAt,
+      tags: session.tags
+    };
+  }
+
+  /**
+   * message.created 事件的数据
+   * @param {Object} message - 消息对象
+   * @returns {Object} 事件数据
+   */
+  messageData(message) {
+    return {
+      messageId: message.id,
+      sessionId: message.sessionId,
+      senderId: message.senderId,
+      senderType: message.senderType,
+      messageType: message.messageType,
+      content: message.content,
+      createdAt: message.createdAt
+    };
+  }
+
+  /**
+   * 分发事件给订阅了该事件的 Webhook
+   * 事件失败不影响业务流程，只记录错误
+   * @param {string} event - 事件名
+   * @param {Object} data - 事件数据
+   * @param {string} eventKey - 事件的唯一标识（如消息ID），同一事件重复分发时只投递一次；不传时每次都投递
+   * @returns {Promise<Object>} 分发结果
+   */
+  async dispatch(event, data, eventKey = null) {
+    try {
+      const webhooks = await Webhook.findAll({ where: { active: true } });
+      const subscribers = webhooks.filter(webhook => webhook.isSubscribedTo(event));
+      const key = eventKey || crypto.randomUUID();
+      let count = 0;
+
+      for (const webhook of subscribers) {
+        try {
+          await NotificationOutbox.create({
+            idempotencyKey: `${webhook.id}:${event}:${key}`,
+            type: event,
+            webhookId: webhook.id,
+            payload: JSON.parse(JSON.stringify(data))
+          });
+          count++;
+        } catch (error) {
+          if (error.name !== 'SequelizeUniqueConstraintError') {
+            throw error;
+          }
+        }
+      }
+
+      if (count > 0 && this.onQueued) {
+        this.onQueued();
+      }
+
+      return { success: true, count };
+    } catch (error) {
+      console.error(`Error dispatching webhook event ${event}:`, error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to dispatch webhook event'
+      };
+    }
+  }
+
+  /**
+   * 获取所有 Webhook
+   * @returns {Promise<Object>} Webhook 列表
+   */
+  async listWebhooks() {
+    try {
+      const webhooks = await Webhook.findAll({ order: [['createdAt', 'DESC']] });
+
+      return {
+        success: true,
+        webhooks,
+        message: 'Webhooks retrieved successfully'
+      };
+    } catch (error) {
+      console.error('Error listing webhooks:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to list webhooks'
+      };
+    }
+  }
+
+  /**
+   * 创建 Webhook，未提供密钥时自动生成
+   * @param {Object} data - Webhook 数据（url、events、secret、active、description）
+   * @param {string} createdBy - 创建者客服ID
+   * @returns {Promise<Object>} 创建结果，secret 只在此时返回
+   */
+  async createWebhook(data, createdBy = null) {
+    try {
+      const { url, events, secret, active, description } = data;
+      const webhook = await Webhook.create({
+        url,
+        events,
+        secret: secret || this.generateSecret(),
+        active,
+        description,
+        createdBy
+      });
+
+      return {
+        success: true,
+        webhook,
+        secret: webhook.secret,
+        message: 'Webhook created successfully'
+      };
+    } catch (error) {
+      return this.handleWriteError(error, 'Failed to create webhook');
+    }
+  }
+
+  /**
+   * 获取单个 Webhook
+   * @param {string} webhookId - Webhook ID
+   * @returns {Promise<Object>} 查询结果
+   */
+  async getWebhook(webhookId) {
+    try {
+      const webhook = await Webhook.findByPk(webhookId);
+      if (!webhook) {
+        return this.notFound();
+      }
+
+      return {
+        success: true,
+        webhook,
+        message: 'Webhook retrieved successfully'
+      };
+    } catch (error) {
+      console.error('Error getting webhook:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to get webhook'
+      };
+    }
+  }
+
+  /**
+   * 更新 Webhook（只更新传入的字段）
+   * @param {string} webhookId - Webhook ID
+   * @param {Object} changes - 要更新的字段（url、events、secret、active、description）
+   * @returns {Promise<Object>} 更新结果
+   */
+  async updateWebhook(webhookId, changes) {
+    try {
+      const webhook = await Webhook.findByPk(webhookId);
+      if (!webhook) {
+        return this.notFound();
+      }
+
+      const fields = ['url', 'events', 'secret', 'active', 'description'];
+      const updates = {};
+      fields.forEach((field) => {
+        if (changes[field] !== undefined) {
+          updates[field] = changes[field];
+        }
+      });
+      await webhook.update(updates);
+
+      return {
+        success: true,
+        webhook,
+        message: 'Webhook updated successfully'
+      };
+    } catch (error) {
+      return this.handleWriteError(error, 'Failed to update webhook');
+    }
+  }
+
+  /**
+   * 删除 Webhook 及其投递记录
+   * @param {string} webhookId - Webhook ID
+   * @returns {Promise<Object>} 删除结果
+   */
+  async deleteWebhook(webhookId) {
+    try {
+      const webhook = await Webhook.findByPk(webhookId);
+      if (!webhook) {
+        return this.notFound();
+      }
+
+      await NotificationOutbox.destroy({ where: { webhookId } });
+      await webhook.destroy();
+
+      return {
+        success: true,
+        message: 'Webhook deleted successfully'
+      };
+    } catch (error) {
+      console.error('Error deleting webhook:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to delete webhook'
+      };
+    }
+  }
+
+  /**
+   * 获取 Webhook 的投递记录（按时间倒序）
+   * @param {string} webhookId - Webhook ID
+   * @param {Object} options - 查询选项
+   * @param {string} options.status - 投递状态
+   * @param {number} options.limit - 每页数量
+   * @param {number} options.offset - 偏移量
+   * @returns {Promise<Object>} 投递记录和分页信息
+   */
+  async getDeliveries(webhookId, options = {}) {
+    try {
+      const { status, limit = 20, offset = 0 } = options;
+
+      const webhook = await Webhook.findByPk(webhookId);
+      if (!webhook) {
+        return this.notFound();
+      }
+
+      const where = { webhookId };
+      if (status) {
+        where.status = status;
+      }
+
+      const { count: total, rows } = await NotificationOutbox.findAndCountAll({
+        where,
+        attributes: { exclude: ['lockedBy', 'lockedUntil'] },
+        order: [['createdAt', 'DESC']],
+        limit,
+        offset
+      });
+
+      return {
+        success: true,
+        deliveries: rows,
+        pagination: {
+          total,
+          limit,
+          offset,
+          hasMore: offset + rows.length < total
+        },
+        message: 'Webhook deliveries retrieved successfully'
+      };
+    } catch (error) {
+      console.error('Error getting webhook deliveries:', error);
+      return {
+        success: false,
+        error: error.message,
+        message: 'Failed to get webhook deliveries'
+      };
+    }
+  }
+
+  /**
+   * Webhook 不存在时的返回结果
+   * @returns {Object} 失败结果
+   */
+  notFound() {
+    return {
+      success: false,
+      error: 'Webhook not found',
+      message: 'Webhook does not exist'
+    };
+  }
+
+  /**
+   * 处理创建/更新时的错误，字段校验失败时返回 Invalid webhook
+   * @param {Error} error - 错误
+   * @param {string} message - 失败说明
+   * @returns {Object} 失败结果
+   */
+  handleWriteError(error, message) {
+    if (error.name === 'SequelizeValidationError') {
+      return {
+        success: false,
+        error: 'Invalid webhook',
+        message: error.errors.map(item => item.message).join(', ')
+      };
+    }
+
+    console.error('Error saving webhook:', error);
+    return {
+      success: false,
+      error: error.message,
+      message
+    };
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,57 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SmtpMailer - 通过 SMTP 服务器发送邮件
+ * 其他邮件适配器需要实现相同的 isConfigured / send 方法。
+ */
+class SmtpMailer {
+  /**
+   * @param {Object} options - 可选参数
+   * @param {string} options.host - SMTP 主机
+   * @param {number} options.port - SMTP 端口
+   * @param {boolean} options.secure - 是否直接使用 TLS 连接（465 端口）
+   * @param {string} options.user - 登录用户名
+   * @param {string} options.pass - 登录密码
+   * @param {string} options.from - 默认发件人
+   */
+  constructor(options = {}) {
+    this.host = options.host || null;
+    this.from = options.from || null;
+
+    const port = Number(options.port) || 587;
+    this.transporter = nodemailer.createTransport({
+      host: this.host,
+      port,
+      secure: options.secure ?? port === 465,
+      auth: options.user ? { user: options.user, pass: options.pass } : undefined
+    });
+  }
+
+  /**
+   * 是否已配置 SMTP 主机
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return !!this.host;
+  }
+
+  /**
+   * 发送邮件，失败时抛出错误
+   * @param {Object} message - 邮件内容
+   * @param {string} message.to - 收件人
+   * @param {string} message.subject - 主题
+   * @param {string} message.html - HTML 正文
+   * @param {string} message.text - 纯文本正文
+   * @param {Array<Object>} message.attachments - 附件（filename、content、contentType）
+   * @returns {Promise<string>} SMTP 服务器返回的消息ID
+   */
+  async send(message) {
+    const info = await this.transporter.sendMail({
+      from: this.from,
+      ...message
+    });
+    return info.messageId;
+  }
+}
+
+module.exports = SmtpMailer;
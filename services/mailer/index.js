@@ -0,0 +1,32 @@
+const SmtpMailer = require('./SmtpMailer');
+
+// 可用的邮件适配器，新增适配器（如邮件服务商 API）时在此登记
+const MAILERS = {
+  smtp: (options) => new SmtpMailer({
+    host: options.host || process.env.SMTP_HOST,
+    port: options.port || process.env.SMTP_PORT,
+    secure: options.secure ?? (process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : undefined),
+    user: options.user || process.env.SMTP_USER,
+    pass: options.pass || process.env.SMTP_PASS,
+    from: options.from || process.env.MAIL_FROM
+  })
+};
+
+/**
+ * 按名称创建邮件适配器
+ * @param {string} name - 适配器名称，默认读取 MAILER_TRANSPORT
+ * @param {Object} options - 传给适配器的参数
+ * @returns {Object} 邮件适配器
+ */
+const createMailer = (name = process.env.MAILER_TRANSPORT || 'smtp', options = {}) => {
+  const factory = MAILERS[name];
+  if (!factory) {
+    throw new Error(`Unknown mailer: ${name}`);
+  }
+  return factory(options);
+};
+
+module.exports = {
+  createMailer,
+  SmtpMailer
+};
@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * LocalDiskStorage - 本地磁盘存储适配器
+ * 文件保存在 rootDir 下，键为相对路径（如 `<sessionId>/<uuid>.png`）。
+ * 其他存储适配器需要实现相同的 save / createReadStream / remove 方法。
+ */
+class LocalDiskStorage {
+  /**
+   * @param {Object} options - 可选参数
+   * @param {string} options.rootDir - 存储根目录
+   */
+  constructor(options = {}) {
+    this.rootDir = path.resolve(options.rootDir || 'uploads/attachments');
+  }
+
+  /**
+   * 将键解析为根目录下的绝对路径，拒绝跳出根目录的键
+   * @param {string} key - 存储键
+   * @returns {string} 文件路径
+   */
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * 保存文件
+   * @param {string} key - 存储键
+   * @param {Buffer} buffer - 文件内容
+   * @returns {Promise<string>} 存储键
+   */
+  async save(key, buffer) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    return key;
+  }
+
+  /**
+   * 打开文件读取流
+   * @param {string} key - 存储键
+   * @returns {Promise<ReadStream>} 文件读取流
+   */
+  async createReadStream(key) {
+    const filePath = this.resolvePath(key);
+    await fs.promises.access(filePath, fs.constants.R_OK);
+    return fs.createReadStream(filePath);
+  }
+
+  /**
+   * 删除文件（文件不存在时忽略）
+   * @param {string} key - 存储键
+   */
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this.resolvePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = LocalDiskStorage;
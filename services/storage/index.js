@@ -0,0 +1,27 @@
+const LocalDiskStorage = require('./LocalDiskStorage');
+
+// 可用的存储适配器，新增适配器（如对象存储）时在此登记
+const STORAGE_ADAPTERS = {
+  local: (options) => new LocalDiskStorage({
+    rootDir: options.rootDir || process.env.ATTACHMENT_STORAGE_DIR
+  })
+};
+
+/**
+ * 按名称创建附件存储适配器
+ * @param {string} name - 适配器名称，默认读取 ATTACHMENT_STORAGE
+ * @param {Object} options - 传给适配器的参数
+ * @returns {Object} 存储适配器
+ */
+const createStorageAdapter = (name = process.env.ATTACHMENT_STORAGE || 'local', options = {}) => {
+  const factory = STORAGE_ADAPTERS[name];
+  if (!factory) {
+    throw new Error(`Unknown attachment storage adapter: ${name}`);
+  }
+  return factory(options);
+};
+
+module.exports = {
+  createStorageAdapter,
+  LocalDiskStorage
+};
@@ -0,0 +1,99 @@
+const { models } = require('../../models');
+const { ChatSession, ChatMessage, Attachment } = models;
+
+describe('Attachment Model', () => {
+  let session;
+  let message;
+
+  const createAttachment = (overrides = {}) => Attachment.create({
+    messageId: message.id,
+    sessionId: session.id,
+    uploaderId: 'test-user-123',
+    uploaderType: 'user',
+    fileName: 'photo.png',
+    mimeType: 'image/png',
+    size: 1024,
+    storageKey: `${session.id}/photo.png`,
+    thumbnailKey: `${session.id}/photo-thumb.webp`,
+    width: 800,
+    height: 600,
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    session = await ChatSession.create({
+      userId: 'test-user-123',
+      status: 'active'
+    });
+
+    message = await ChatMessage.create({
+      sessionId: session.id,
+      senderId: 'test-user-123',
+      senderType: 'user',
+      messageType: 'image',
+      content: 'photo.png'
+    });
+  });
+
+  describe('Model Creation', () => {
+    test('should create an attachment linked to a message', async () => {
+      const attachment = await createAttachment();
+
+      expect(attachment.id).toBeDefined();
+      expect(attachment.messageId).toBe(message.id);
+      expect(attachment.sessionId).toBe(session.id);
+    });
+
+    test('should require a known uploader type', async () => {
+      await expect(createAttachment({ uploaderType: 'system' }))
+        .rejects.toThrow('Uploader type must be one of: user, operator');
+    });
+
+    test('should require a positive size', async () => {
+      await expect(createAttachment({ size: 0 }))
+        .rejects.toThrow('File size must be greater than 0');
+    });
+  });
+
+  describe('Instance Methods', () => {
+    test('isImage() and hasThumbnail() should reflect the file', async () => {
+      const image = await createAttachment();
+      const document = await createAttachment({
+        fileName: 'report.pdf',
+        mimeType: 'application/pdf',
+        thumbnailKey: null,
+        width: null,
+        height: null
+      });
+
+      expect(image.isImage()).toBe(true);
+      expect(image.hasThumbnail()).toBe(true);
+      expect(document.isImage()).toBe(false);
+      expect(document.hasThumbnail()).toBe(false);
+    });
+
+    test('toClientJSON() should expose download URLs but not storage keys', async () => {
+      const attachment = await createAttachment();
+
+      const json = attachment.toClientJSON();
+
+      expect(json.url).toBe(`/api/chat/attachments/${attachment.id}`);
+      expect(json.thumbnailUrl).toBe(`/api/chat/attachments/${attachment.id}/thumbnail`);
+      expect(json.storageKey).toBeUndefined();
+      expect(json.thumbnailKey).toBeUndefined();
+    });
+  });
+
+  describe('Associations', () => {
+    test('should load the attachment together with its message', async () => {
+      const attachment = await createAttachment();
+
+      const loaded = await ChatMessage.findByPk(message.id, {
+        include: [{ model: Attachment, as: 'attachment' }]
+      });
+
+      expect(loaded.attachment.id).toBe(attachment.id);
+      expect((await attachment.getSession()).id).toBe(session.id);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const { models } = require('../../models');
+const { Operator, CannedResponse } = models;
+
+describe('CannedResponse Model', () => {
+  let operator;
+
+  const createCannedResponse = (overrides = {}) => CannedResponse.create({
+    title: 'Greeting',
+    body: 'Hello {{userName}}',
+    ownerId: operator.id,
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    operator = await Operator.create({
+      name: 'Test Operator',
+      email: `canned-${Date.now()}@example.com`
+    });
+  });
+
+  describe('Model Creation', () => {
+    test('should create a personal canned response by default', async () => {
+      const cannedResponse = await createCannedResponse();
+
+      expect(cannedResponse.scope).toBe('personal');
+      expect(cannedResponse.tags).toEqual([]);
+      expect(cannedResponse.usageCount).toBe(0);
+    });
+
+    test('should require a group name for group scope', async () => {
+      await expect(createCannedResponse({ scope: 'group' }))
+        .rejects.toThrow('Group name is required for group scope');
+    });
+
+    test('should drop the group name for other scopes', async () => {
+      const cannedResponse = await createCannedResponse({ scope: 'global', groupName: 'VIP' });
+
+      expect(cannedResponse.groupName).toBeNull();
+    });
+
+    test('should validate shortcuts and tags', async () => {
+      await expect(createCannedResponse({ shortcut: 'hello world' }))
+        .rejects.toThrow('Shortcut may only contain letters, numbers, underscores and hyphens');
+      await expect(createCannedResponse({ tags: 'welcome' }))
+        .rejects.toThrow('Tags must be an array of strings');
+    });
+  });
+
+  describe('Instance Methods', () => {
+    test('isAvailableTo() should respect scope and group', async () => {
+      const personal = await createCannedResponse();
+      const group = await createCannedResponse({ scope: 'group', groupName: 'VIP' });
+      const global = await createCannedResponse({ scope: 'global' });
+
+      expect(personal.isAvailableTo(operator.id)).toBe(true);
+      expect(personal.isAvailableTo('another-operator')).toBe(false);
+      expect(group.isAvailableTo('another-operator')).toBe(true);
+      expect(group.isAvailableTo('another-operator', 'VIP')).toBe(true);
+      expect(group.isAvailableTo('another-operator', 'Retail')).toBe(false);
+      expect(global.isAvailableTo('another-operator', null)).toBe(true);
+    });
+
+    test('render() should replace known placeholders only', async () => {
+      const cannedResponse = await createCannedResponse({ body: 'Hi {{ userName }}, {{groupName}} team here. {{orderId}}' });
+
+      expect(cannedResponse.render({ userName: 'Carol', groupName: null }))
+        .toBe('Hi Carol,  team here. {{orderId}}');
+    });
+  });
+});
@@ -158,11 +158,11 @@ describe('ChatMessage Model', () => {
         senderType: 'user',
         messageType: 'invalid-type',
         content: 'Test message'
-      })).rejects.toThrow('Message type must be one of: text, image, system');
+      })).rejects.toThrow('Message type must be one of: text, image, file, system');
     });
 
     test('should allow valid messageType values', async () => {
-      const validMessageTypes = ['text', 'image', 'system'];
+      const validMessageTypes = ['text', 'image', 'file', 'system'];
       
       for (const messageType of validMessageTypes) {
         const message = await ChatMessage.create({
@@ -326,6 +326,20 @@ describe('ChatMessage Model', () => {
       
       expect(imageMessage.isImageMessage()).toBe(true);
     });
+
+    test('isFileMessage() should return correct boolean', async () => {
+      expect(message.isFileMessage()).toBe(false);
+
+      const fileMessage = await ChatMessage.create({
+        sessionId: testSession.id,
+        senderId: 'test-user-123',
+        senderType: 'user',
+        messageType: 'file',
+        content: 'report.pdf'
+      });
+
+      expect(fileMessage.isFileMessage()).toBe(true);
+    });
   });
 
   describe('Class Methods', () => {
@@ -1,5 +1,5 @@
 const { sequelize } = require('../../config/database');
-const { models } = require('../../models');
+const { models, backfillSessionMessageStats } = require('../../models');
 const ChatSession = models.ChatSession;
 
 describe('ChatSession Model', () => {
@@ -58,6 +58,14 @@ describe('ChatSession Model', () => {
       await expect(ChatSession.create({ userId: longUserId })).rejects.toThrow();
     });
 
+    test('should default tags to an empty list and limit their number', async () => {
+      const session = await ChatSession.create({ userId: 'test-user-123' });
+      expect(session.tags).toEqual([]);
+
+      const tooMany = Array.from({ length: ChatSession.MAX_TAGS + 1 }, (_, index) => `tag-${index}`);
+      await expect(session.update({ tags: tooMany })).rejects.toThrow('Tags must be an array of at most 20 tags');
+    });
+
     test('should validate status enum values', async () => {
       await expect(ChatSession.create({
         userId: 'test-user-123',
@@ -151,6 +159,46 @@ describe('ChatSession Model', () => {
       await session.activate();
       expect(session.isWaiting()).toBe(false);
     });
+
+    test('canTransitionTo() should follow the lifecycle rules', async () => {
+      expect(session.canTransitionTo('active')).toBe(true);
+      expect(session.canTransitionTo('completed')).toBe(false);
+
+      await session.activate();
+      expect(session.canTransitionTo('completed')).toBe(true);
+      expect(session.canTransitionTo('waiting')).toBe(false);
+      expect(session.canTransitionTo('cancelled')).toBe(false);
+    });
+
+    test('transitionTo() should record end reason and who ended the session', async () => {
+      await session.activate();
+      await session.transitionTo('completed', { endReason: 'operator_ended', endedBy: 'operator-1' });
+
+      expect(session.status).toBe('completed');
+      expect(session.endReason).toBe('operator_ended');
+      expect(session.endedBy).toBe('operator-1');
+      expect(session.closedAt).toBeInstanceOf(Date);
+      expect(session.isEnded()).toBe(true);
+    });
+
+    test('transitionTo() should reject transitions out of an ended status', async () => {
+      await session.close();
+
+      expect(() => session.transitionTo('active')).toThrow('Invalid status transition from closed to active');
+    });
+
+    test('hasPendingTransfer() and transferHistory should default to empty', async () => {
+      expect(session.hasPendingTransfer()).toBe(false);
+      expect(session.transferHistory).toEqual([]);
+
+      session.pendingTransfer = { id: 'transfer-1', toOperatorId: 'operator-2' };
+      session.transferHistory = [{ id: 'transfer-1', status: 'pending' }];
+      await session.save();
+      await session.reload();
+
+      expect(session.hasPendingTransfer()).toBe(true);
+      expect(session.transferHistory).toEqual([{ id: 'transfer-1', status: 'pending' }]);
+    });
   });
 
   describe('Class Methods', () => {
@@ -201,6 +249,41 @@ describe('ChatSession Model', () => {
     });
   });
 
+  describe('Message Stats', () => {
+    test('should start without messages', async () => {
+      const session = await ChatSession.create({ userId: 'test-user-123' });
+
+      expect(session.messageCount).toBe(0);
+      expect(session.lastMessageAt == null).toBe(true);
+      expect(session.lastMessagePreview == null).toBe(true);
+    });
+
+    test('toMessagePreview() should truncate long content', () => {
+      const preview = ChatSession.toMessagePreview('a'.repeat(150));
+
+      expect(preview).toHaveLength(ChatSession.MESSAGE_PREVIEW_LENGTH);
+      expect(ChatSession.toMessagePreview(null)).toBe('');
+    });
+
+    test('backfillSessionMessageStats() should recalculate stats from messages', async () => {
+      const session = await ChatSession.create({ userId: 'test-user-123', status: 'active' });
+      await models.ChatMessage.bulkCreate([
+        { sessionId: session.id, senderId: 'test-user-123', senderType: 'user', content: 'First', createdAt: new Date('2024-01-01T10:00:00Z') },
+        { sessionId: session.id, senderId: 'operator-1', senderType: 'operator', content: 'Second', createdAt: new Date('2024-01-01T10:01:00Z') },
+        { sessionId: session.id, senderId: 'system', senderType: 'system', messageType: 'system', content: 'Closed', createdAt: new Date('2024-01-01T10:02:00Z') }
+      ]);
+
+      await backfillSessionMessageStats();
+      await session.reload();
+
+      expect(session.messageCount).toBe(2);
+      expect(session.lastMessagePreview).toBe('Second');
+      expect(session.lastMessageAt.toISOString()).toBe('2024-01-01T10:01:00.000Z');
+
+      await models.ChatMessage.destroy({ where: { sessionId: session.id } });
+    });
+  });
+
   describe('Hooks', () => {
     test('should automatically set closedAt when status changes to closed', async () => {
       const session = await ChatSession.create({
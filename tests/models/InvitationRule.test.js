@@ -0,0 +1,49 @@
+const { models } = require('../../models');
+const { InvitationRule } = models;
+
+describe('InvitationRule Model', () => {
+  describe('Model Creation', () => {
+    test('should apply defaults and normalize fields', async () => {
+      const rule = await InvitationRule.create({
+        pagePattern: ' /pricing ',
+        groupName: '',
+        message: 'Questions about our plans?'
+      });
+
+      expect(rule.pagePattern).toBe('/pricing');
+      expect(rule.groupName).toBeNull();
+      expect(rule.minSecondsOnPage).toBe(0);
+      expect(rule.active).toBe(true);
+    });
+
+    test('should reject invalid time on page', async () => {
+      await expect(InvitationRule.create({ pagePattern: '/pricing', message: 'Hi', minSecondsOnPage: -1 }))
+        .rejects.toThrow('Seconds on page cannot be negative');
+      await expect(InvitationRule.create({ pagePattern: '/pricing', message: 'Hi', minSecondsOnPage: 3601 }))
+        .rejects.toThrow('Seconds on page cannot exceed 3600');
+    });
+  });
+
+  describe('Instance Methods', () => {
+    test('should match page paths with wildcards and ignore query strings', () => {
+      const exact = InvitationRule.build({ pagePattern: '/pricing', message: 'Hi' });
+      const wildcard = InvitationRule.build({ pagePattern: '/products/*', message: 'Hi' });
+
+      expect(exact.matchesPage('https://shop.example.com/pricing?plan=pro#faq')).toBe(true);
+      expect(exact.matchesPage('/pricing/enterprise')).toBe(false);
+      expect(exact.matchesPage(null)).toBe(false);
+      expect(wildcard.matchesPage('/products/shoes/42')).toBe(true);
+      expect(wildcard.matchesPage('/products')).toBe(false);
+    });
+
+    test('should apply to its own group or to every group when none is set', () => {
+      const scoped = InvitationRule.build({ pagePattern: '/pricing', message: 'Hi', groupName: 'vip' });
+      const global = InvitationRule.build({ pagePattern: '/pricing', message: 'Hi' });
+
+      expect(scoped.appliesToGroup('vip')).toBe(true);
+      expect(scoped.appliesToGroup('free')).toBe(false);
+      expect(global.appliesToGroup('free')).toBe(true);
+      expect(global.appliesToGroup(null)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const { models } = require('../../models');
+const { ChatSession, ChatMessage, MessageReceipt } = models;
+
+describe('MessageReceipt Model', () => {
+  let session;
+  let message;
+
+  const createReceipt = (overrides = {}) => MessageReceipt.create({
+    messageId: message.id,
+    sessionId: session.id,
+    recipientId: 'operator-1',
+    recipientType: 'operator',
+    deliveredAt: new Date(),
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    session = await ChatSession.create({
+      userId: 'test-user-123',
+      status: 'active'
+    });
+
+    message = await ChatMessage.create({
+      sessionId: session.id,
+      senderId: 'test-user-123',
+      senderType: 'user',
+      content: 'Hello'
+    });
+  });
+
+  describe('Model Creation', () => {
+    test('should create a receipt for a message recipient', async () => {
+      const receipt = await createReceipt();
+
+      expect(receipt.id).toBeDefined();
+      expect(receipt.messageId).toBe(message.id);
+      expect(receipt.sessionId).toBe(session.id);
+    });
+
+    test('should require a known recipient type', async () => {
+      await expect(createReceipt({ recipientType: 'system' }))
+        .rejects.toThrow('Recipient type must be one of: user, operator');
+    });
+
+    test('should allow only one receipt per message and recipient', async () => {
+      await createReceipt();
+
+      await expect(createReceipt()).rejects.toThrow();
+    });
+  });
+
+  describe('Instance Methods', () => {
+    test('isDelivered() and isRead() should reflect the timestamps', async () => {
+      const receipt = await createReceipt();
+
+      expect(receipt.isDelivered()).toBe(true);
+      expect(receipt.isRead()).toBe(false);
+
+      await receipt.update({ readAt: new Date() });
+      expect(receipt.isRead()).toBe(true);
+    });
+  });
+
+  describe('ChatMessage delivery status', () => {
+    const loadMessage = () => ChatMessage.findByPk(message.id, {
+      include: [{ model: MessageReceipt, as: 'receipts' }]
+    });
+
+    test('should move from sent to delivered to read', async () => {
+      expect((await loadMessage()).getDeliveryStatus()).toBe('sent');
+
+      const receipt = await createReceipt();
+      expect((await loadMessage()).getDeliveryStatus()).toBe('delivered');
+
+      await receipt.update({ readAt: new Date() });
+      expect((await loadMessage()).getDeliveryStatus()).toBe('read');
+    });
+
+    test('should have no delivery status for system messages', async () => {
+      const systemMessage = await ChatMessage.create({
+        sessionId: session.id,
+        senderId: 'system',
+        senderType: 'system',
+        messageType: 'system',
+        content: 'Session started'
+      });
+
+      expect(systemMessage.getDeliveryStatus()).toBeNull();
+    });
+  });
+});
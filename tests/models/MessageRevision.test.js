@@ -0,0 +1,66 @@
+const { models } = require('../../models');
+const { ChatSession, ChatMessage, MessageRevision } = models;
+
+describe('MessageRevision Model', () => {
+  let session;
+  let message;
+
+  const createRevision = (overrides = {}) => MessageRevision.create({
+    messageId: message.id,
+    sessionId: session.id,
+    action: 'edit',
+    previousContent: 'Original content',
+    editorId: 'operator-1',
+    editorType: 'operator',
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    session = await ChatSession.create({
+      userId: 'test-user-123',
+      status: 'active'
+    });
+
+    message = await ChatMessage.create({
+      sessionId: session.id,
+      senderId: 'operator-1',
+      senderType: 'operator',
+      content: 'Edited content'
+    });
+  });
+
+  describe('Model Creation', () => {
+    test('should record the previous content of a message', async () => {
+      const revision = await createRevision();
+
+      expect(revision.id).toBeDefined();
+      expect(revision.previousContent).toBe('Original content');
+      expect(revision.createdAt).toBeInstanceOf(Date);
+    });
+
+    test('should require a known action', async () => {
+      await expect(createRevision({ action: 'restore' }))
+        .rejects.toThrow('Revision action must be one of: edit, delete');
+    });
+
+    test('should require a known editor type', async () => {
+      await expect(createRevision({ editorType: 'system' }))
+        .rejects.toThrow('Editor type must be one of: user, operator');
+    });
+  });
+
+  describe('Associations', () => {
+    test('should load the revisions of a message', async () => {
+      await createRevision();
+      await createRevision({ action: 'delete', previousContent: 'Edited content' });
+
+      const loaded = await ChatMessage.findByPk(message.id, {
+        include: [{ model: MessageRevision, as: 'revisions' }]
+      });
+
+      expect(loaded.isEdited).toBe(false);
+      expect(loaded.isDeleted).toBe(false);
+      expect(loaded.revisions.map(revision => revision.action).sort()).toEqual(['delete', 'edit']);
+    });
+  });
+});
@@ -0,0 +1,45 @@
+const { models } = require('../../models');
+const { NotificationOutbox } = models;
+
+describe('NotificationOutbox Model', () => {
+  describe('Model Creation', () => {
+    test('should default to a pending notification due now', async () => {
+      const before = Date.now();
+      const notification = await NotificationOutbox.create({
+        idempotencyKey: 'new_chat:session-1',
+        type: 'new_chat',
+        payload: { sessionId: 'session-1' }
+      });
+
+      expect(notification.status).toBe('pending');
+      expect(notification.attempts).toBe(0);
+      expect(notification.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before - 1000);
+      expect(notification.isDead()).toBe(false);
+    });
+
+    test('should reject duplicate idempotency keys', async () => {
+      await NotificationOutbox.create({ idempotencyKey: 'dup', type: 'new_chat', payload: {} });
+
+      await expect(NotificationOutbox.create({ idempotencyKey: 'dup', type: 'new_chat', payload: {} }))
+        .rejects.toThrow();
+    });
+  });
+
+  describe('Instance Methods', () => {
+    test('should build the delivered notification from the payload', async () => {
+      const notification = await NotificationOutbox.create({
+        idempotencyKey: 'new_message:message-1',
+        type: 'new_message',
+        payload: { sessionId: 'session-1', content: 'Hi' }
+      });
+
+      expect(notification.toNotification()).toEqual({
+        sessionId: 'session-1',
+        content: 'Hi',
+        id: notification.id,
+        type: 'new_message',
+        idempotencyKey: 'new_message:message-1'
+      });
+    });
+  });
+});
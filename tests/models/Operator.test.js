@@ -82,6 +82,14 @@ describe('Operator Model', () => {
       })).rejects.toThrow();
     });
 
+    test('should require at least one concurrent session', async () => {
+      await expect(Operator.create({
+        name: 'Test Operator',
+        email: 'test@example.com',
+        maxConcurrentSessions: 0
+      })).rejects.toThrow('Max concurrent sessions must be at least 1');
+    });
+
     test('should require email', async () => {
       await expect(Operator.create({
         name: 'Test Operator'
@@ -212,6 +220,23 @@ describe('Operator Model', () => {
       expect(operator.isAvailable()).toBe(false);
     });
 
+    test('setBusy() should record whether busy status was set automatically', async () => {
+      await operator.setBusy({ automatic: true });
+      expect(operator.autoBusy).toBe(true);
+
+      await operator.setOnline();
+      expect(operator.autoBusy).toBe(false);
+
+      await operator.setBusy();
+      expect(operator.autoBusy).toBe(false);
+    });
+
+    test('hasCapacity() should compare against maxConcurrentSessions', async () => {
+      expect(operator.maxConcurrentSessions).toBe(5);
+      expect(operator.hasCapacity(4)).toBe(true);
+      expect(operator.hasCapacity(5)).toBe(false);
+    });
+
     test('updateLastActive() should update lastActiveAt timestamp', async () => {
       const originalLastActive = operator.lastActiveAt;
       
@@ -370,6 +395,73 @@ describe('Operator Model', () => {
     });
   });
 
+  describe('Password', () => {
+    test('should hash password on create and clear the plain value', async () => {
+      const operator = await Operator.create({
+        name: 'Password Operator',
+        email: 'password@example.com',
+        password: 'correct-horse'
+      });
+
+      expect(operator.passwordHash).toBeDefined();
+      expect(operator.passwordHash).not.toBe('correct-horse');
+      expect(operator.password).toBeUndefined();
+    });
+
+    test('should verify the correct password only', async () => {
+      const operator = await Operator.create({
+        name: 'Password Operator',
+        email: 'password@example.com',
+        password: 'correct-horse'
+      });
+
+      await expect(operator.verifyPassword('correct-horse')).resolves.toBe(true);
+      await expect(operator.verifyPassword('wrong-password')).resolves.toBe(false);
+    });
+
+    test('should not verify when no password is set', async () => {
+      const operator = await Operator.create({
+        name: 'No Password Operator',
+        email: 'nopassword@example.com'
+      });
+
+      await expect(operator.verifyPassword('anything')).resolves.toBe(false);
+    });
+
+    test('should update password with setPassword', async () => {
+      const operator = await Operator.create({
+        name: 'Password Operator',
+        email: 'password@example.com',
+        password: 'correct-horse'
+      });
+
+      await operator.setPassword('battery-staple');
+
+      await expect(operator.verifyPassword('battery-staple')).resolves.toBe(true);
+      await expect(operator.verifyPassword('correct-horse')).resolves.toBe(false);
+    });
+
+    test('should reject passwords shorter than 8 characters', async () => {
+      await expect(Operator.create({
+        name: 'Short Password Operator',
+        email: 'short@example.com',
+        password: 'short'
+      })).rejects.toThrow('Password must be between 8 and 128 characters');
+    });
+
+    test('should not expose password hash in JSON', async () => {
+      const operator = await Operator.create({
+        name: 'Password Operator',
+        email: 'password@example.com',
+        password: 'correct-horse'
+      });
+
+      const json = operator.toJSON();
+      expect(json.passwordHash).toBeUndefined();
+      expect(json.password).toBeUndefined();
+    });
+  });
+
   describe('Database Indexes', () => {
     test('should create operator and query by email efficiently', async () => {
       await Operator.create({
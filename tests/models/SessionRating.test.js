@@ -0,0 +1,68 @@
+const { models } = require('../../models');
+const { ChatSession, Operator, SessionRating } = models;
+
+describe('SessionRating Model', () => {
+  let operator;
+  let session;
+
+  const createRating = (overrides = {}) => SessionRating.create({
+    sessionId: session.id,
+    operatorId: operator.id,
+    userId: 'test-user-123',
+    rating: 5,
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    operator = await Operator.create({
+      name: 'Test Operator',
+      email: `rating-${Date.now()}@example.com`,
+      status: 'online'
+    });
+
+    session = await ChatSession.create({
+      userId: 'test-user-123',
+      operatorId: operator.id,
+      status: 'completed'
+    });
+  });
+
+  describe('Model Creation', () => {
+    test('should store a rating with an optional comment', async () => {
+      const rating = await createRating({ comment: '  ' });
+
+      expect(rating.id).toBeDefined();
+      expect(rating.rating).toBe(5);
+      expect(rating.comment).toBeNull();
+      expect(rating.createdAt).toBeInstanceOf(Date);
+    });
+
+    test('should only accept ratings from 1 to 5', async () => {
+      await expect(createRating({ rating: 0 }))
+        .rejects.toThrow('Rating must be an integer between 1 and 5');
+      await expect(createRating({ rating: 6 }))
+        .rejects.toThrow('Rating must be an integer between 1 and 5');
+    });
+
+    test('should limit comments to 1000 characters', async () => {
+      await expect(createRating({ comment: 'a'.repeat(1001) }))
+        .rejects.toThrow('Comment must be at most 1000 characters');
+    });
+  });
+
+  describe('Associations', () => {
+    test('should link the rating to its session and operator', async () => {
+      await createRating();
+
+      const found = await ChatSession.findByPk(session.id, {
+        include: [{ model: SessionRating, as: 'rating' }]
+      });
+      const withRatings = await Operator.findByPk(operator.id, {
+        include: [{ model: SessionRating, as: 'ratings' }]
+      });
+
+      expect(found.rating.rating).toBe(5);
+      expect(withRatings.ratings).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+const { models } = require('../../models');
+const { ChatSession, TranscriptEmail } = models;
+
+describe('TranscriptEmail Model', () => {
+  let session;
+
+  beforeEach(async () => {
+    session = await ChatSession.create({
+      userId: 'test-user-123',
+      status: 'active'
+    });
+  });
+
+  describe('Model Creation', () => {
+    test('should default to a pending request without attempts', async () => {
+      const transcriptEmail = await TranscriptEmail.create({
+        sessionId: session.id,
+        email: ' visitor@example.com '
+      });
+
+      expect(transcriptEmail.email).toBe('visitor@example.com');
+      expect(transcriptEmail.status).toBe('pending');
+      expect(transcriptEmail.attempts).toBe(0);
+      expect(transcriptEmail.sentAt).toBeUndefined();
+    });
+
+    test('should require a valid email address', async () => {
+      await expect(TranscriptEmail.create({ sessionId: session.id, email: 'visitor' }))
+        .rejects.toThrow('Must be a valid email address');
+    });
+  });
+
+  describe('Instance Methods', () => {
+    test('should record failed and successful attempts', async () => {
+      const transcriptEmail = await TranscriptEmail.create({
+        sessionId: session.id,
+        email: 'visitor@example.com',
+        status: 'queued'
+      });
+
+      await transcriptEmail.recordAttempt(new Error('Connection refused'));
+      expect(transcriptEmail.attempts).toBe(1);
+      expect(transcriptEmail.lastError).toBe('Connection refused');
+      expect(transcriptEmail.isSent()).toBe(false);
+
+      await transcriptEmail.recordAttempt();
+      expect(transcriptEmail.attempts).toBe(2);
+      expect(transcriptEmail.lastError).toBeNull();
+      expect(transcriptEmail.isSent()).toBe(true);
+      expect(transcriptEmail.sentAt).toBeInstanceOf(Date);
+    });
+
+    test('should belong to its chat session', async () => {
+      await TranscriptEmail.create({ sessionId: session.id, email: 'visitor@example.com' });
+
+      const found = await ChatSession.findByPk(session.id, {
+        include: [{ model: TranscriptEmail, as: 'transcriptEmails' }]
+      });
+
+      expect(found.transcriptEmails).toHaveLength(1);
+    });
+  });
+});
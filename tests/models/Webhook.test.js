@@ -0,0 +1,42 @@
+const { models } = require('../../models');
+const { Webhook } = models;
+
+describe('Webhook Model', () => {
+  describe('Model Creation', () => {
+    test('should default to an active subscription', async () => {
+      const webhook = await Webhook.create({
+        url: ' https://crm.example.com/hooks ',
+        secret: 'test-secret-1234567890',
+        events: ['session.created', 'session.created', 'message.created']
+      });
+
+      expect(webhook.url).toBe('https://crm.example.com/hooks');
+      expect(webhook.active).toBe(true);
+      expect(webhook.events).toEqual(['session.created', 'message.created']);
+    });
+
+    test('should reject unknown events and invalid URLs', async () => {
+      await expect(Webhook.create({ url: 'https://crm.example.com', secret: 'secret', events: ['session.deleted'] }))
+        .rejects.toThrow('Unknown events: session.deleted');
+      await expect(Webhook.create({ url: 'crm', secret: 'secret', events: ['session.created'] }))
+        .rejects.toThrow('URL must be a valid http or https URL');
+    });
+  });
+
+  describe('Instance Methods', () => {
+    test('should match only subscribed events while active', async () => {
+      const webhook = await Webhook.create({
+        url: 'https://crm.example.com/hooks',
+        secret: 'test-secret-1234567890',
+        events: ['session.ended']
+      });
+
+      expect(webhook.isSubscribedTo('session.ended')).toBe(true);
+      expect(webhook.isSubscribedTo('session.created')).toBe(false);
+
+      webhook.active = false;
+      expect(webhook.isSubscribedTo('session.ended')).toBe(false);
+      expect(webhook.toJSON().secret).toBeUndefined();
+    });
+  });
+});
@@ -1,20 +1,66 @@
+const { Readable } = require('stream');
 const request = require('supertest');
 const express = require('express');
 const chatRouter = require('../../routes/chat');
 const ChatService = require('../../services/ChatService');
+const QueueService = require('../../services/QueueService');
+const AuthService = require('../../services/AuthService');
+const AttachmentService = require('../../services/AttachmentService');
+const TranscriptService = require('../../services/TranscriptService');
+const TranscriptEmailService = require('../../services/TranscriptEmailService');
+const { emitAttachmentMessage, emitMessageReceipts, emitMessageChange, notifySessionEnded } = require('../../routes/index');
+const { responseFormatter } = require('../../middleware/responseFormatter');
+const { models } = require('../../models');
 
 // Mock ChatService
 jest.mock('../../services/ChatService');
+jest.mock('../../services/AuthService');
+jest.mock('../../services/QueueService', () => ({
+  getQueue: jest.fn(),
+  remove: jest.fn().mockResolvedValue({ success: true, removed: false })
+}));
+jest.mock('../../services/AttachmentService', () => ({
+  maxFileSize: 1024,
+  uploadAttachment: jest.fn(),
+  getAttachment: jest.fn(),
+  openAttachment: jest.fn()
+}));
+jest.mock('../../services/TranscriptService', () => ({
+  exportSession: jest.fn(),
+  writeArchive: jest.fn()
+}));
+jest.mock('../../services/TranscriptEmailService', () => ({
+  requestTranscript: jest.fn(),
+  sendPendingForSession: jest.fn()
+}));
+jest.mock('../../routes/index', () => ({
+  emitAttachmentMessage: jest.fn(),
+  emitMessageReceipts: jest.fn(),
+  emitMessageChange: jest.fn(),
+  notifySessionEnded: jest.fn().mockResolvedValue()
+}));
 
 const app = express();
 app.use(express.json());
+app.use(responseFormatter);
 app.use('/api/chat', chatRouter);
 
 describe('Chat Routes', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    AuthService.verifyOperatorToken.mockResolvedValue({
+      success: true,
+      operator: { id: 'operator-1', name: 'Test Operator', role: 'supervisor' }
+    });
   });
 
+  const authenticateAs = (role) => {
+    AuthService.verifyOperatorToken.mockResolvedValue({
+      success: true,
+      operator: { id: 'operator-1', name: 'Test Operator', role }
+    });
+  };
+
   describe('GET /api/chat/sessions/:userId', () => {
     it('should get user sessions successfully', async () => {
       const mockSessions = [
@@ -35,6 +81,7 @@ describe('Chat Routes', () => {
 
       const response = await request(app)
         .get('/api/chat/sessions/user-1')
+        .set('Authorization', 'Bearer test-token')
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -57,6 +104,7 @@ describe('Chat Routes', () => {
     it('should handle missing userId', async () => {
       const response = await request(app)
         .get('/api/chat/sessions/')
+        .set('Authorization', 'Bearer test-token')
         .expect(404);
 
       expect(ChatService.getUserSessions).not.toHaveBeenCalled();
@@ -71,6 +119,7 @@ describe('Chat Routes', () => {
 
       const response = await request(app)
         .get('/api/chat/sessions/user-1')
+        .set('Authorization', 'Bearer test-token')
         .expect(500);
 
       expect(response.body.success).toBe(false);
@@ -87,6 +136,7 @@ describe('Chat Routes', () => {
 
       await request(app)
         .get('/api/chat/sessions/user-1?includeMessages=true&includeOperator=true&status=active&limit=5&offset=10')
+        .set('Authorization', 'Bearer test-token')
         .expect(200);
 
       expect(ChatService.getUserSessions).toHaveBeenCalledWith('user-1', {
@@ -200,6 +250,7 @@ describe('Chat Routes', () => {
 
       const response = await request(app)
         .put('/api/chat/sessions/session-1/close')
+        .set('Authorization', 'Bearer test-token')
         .send({ closedBy: 'user-1' })
         .expect(200);
 
@@ -210,7 +261,24 @@ describe('Chat Routes', () => {
         status: 'closed'
       });
       expect(typeof response.body.data.session.closedAt).toBe('string');
-      expect(ChatService.closeChatSession).toHaveBeenCalledWith('session-1', 'user-1');
+      expect(ChatService.closeChatSession).toHaveBeenCalledWith('session-1', 'operator-1');
+      expect(notifySessionEnded).toHaveBeenCalledWith(expect.objectContaining({ id: 'session-1', status: 'closed' }));
+    });
+
+    it('should not notify again when the session was already closed', async () => {
+      ChatService.closeChatSession.mockResolvedValue({
+        success: true,
+        session: { id: '550e8400-e29b-41d4-a716-446655440000', status: 'closed' },
+        alreadyEnded: true,
+        message: 'Session was already closed'
+      });
+
+      await request(app)
+        .put('/api/chat/sessions/550e8400-e29b-41d4-a716-446655440000/close')
+        .set('Authorization', 'Bearer test-token')
+        .expect(200);
+
+      expect(notifySessionEnded).not.toHaveBeenCalled();
     });
 
     it('should handle session not found', async () => {
@@ -222,6 +290,7 @@ describe('Chat Routes', () => {
 
       const response = await request(app)
         .put('/api/chat/sessions/nonexistent/close')
+        .set('Authorization', 'Bearer test-token')
         .send({})
         .expect(404);
 
@@ -238,6 +307,7 @@ describe('Chat Routes', () => {
 
       const response = await request(app)
         .put('/api/chat/sessions/session-1/close')
+        .set('Authorization', 'Bearer test-token')
         .send({})
         .expect(500);
 
@@ -246,6 +316,71 @@ describe('Chat Routes', () => {
     });
   });
 
+  describe('GET /api/chat/queue', () => {
+    it('should get waiting queue successfully', async () => {
+      const mockQueue = [
+        { sessionId: 'session-1', userId: 'user-1', position: 1, estimatedWaitSeconds: 30 },
+        { sessionId: 'session-2', userId: 'user-2', position: 2, estimatedWaitSeconds: 60 }
+      ];
+
+      QueueService.getQueue.mockResolvedValue({
+        success: true,
+        queue: mockQueue,
+        count: 2,
+        message: 'Queue retrieved successfully'
+      });
+
+      const response = await request(app)
+        .get('/api/chat/queue')
+        .set('Authorization', 'Bearer test-token')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.queue).toEqual(mockQueue);
+      expect(response.body.data.count).toBe(2);
+    });
+
+    it('should require operator authentication', async () => {
+      const response = await request(app)
+        .get('/api/chat/queue')
+        .expect(401);
+
+      expect(response.body.error.code).toBe('UNAUTHORIZED');
+      expect(QueueService.getQueue).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid tokens', async () => {
+      AuthService.verifyOperatorToken.mockResolvedValue({
+        success: false,
+        error: 'Token expired',
+        message: 'Authentication token expired'
+      });
+
+      const response = await request(app)
+        .get('/api/chat/queue')
+        .set('Authorization', 'Bearer expired-token')
+        .expect(401);
+
+      expect(response.body.error.code).toBe('TOKEN_EXPIRED');
+    });
+
+    it('should handle service error', async () => {
+      QueueService.getQueue.mockResolvedValue({
+        success: false,
+        error: 'Database error',
+        message: 'Failed to get queue'
+      });
+
+      const response = await request(app)
+        .get('/api/chat/queue')
+        .set('Authorization', 'Bearer test-token')
+        .expect(500);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error.code).toBe('QUEUE_RETRIEVAL_FAILED');
+    });
+  });
+
   describe('GET /api/chat/messages/:sessionId', () => {
     it('should get message history successfully', async () => {
       const mockMessages = [
@@ -275,6 +410,7 @@ describe('Chat Routes', () => {
 
       const response = await request(app)
         .get('/api/chat/messages/session-1')
+        .set('Authorization', 'Bearer test-token')
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -308,6 +444,7 @@ describe('Chat Routes', () => {
 
       await request(app)
         .get('/api/chat/messages/session-1?limit=20&offset=10&order=DESC&includeRead=false&messageType=text')
+        .set('Authorization', 'Bearer test-token')
         .expect(200);
 
       expect(ChatService.getMessageHistory).toHaveBeenCalledWith('session-1', {
@@ -322,6 +459,7 @@ describe('Chat Routes', () => {
     it('should validate limit parameter', async () => {
       const response = await request(app)
         .get('/api/chat/messages/session-1?limit=150')
+        .set('Authorization', 'Bearer test-token')
         .expect(400);
 
       expect(response.body.success).toBe(false);
@@ -332,6 +470,7 @@ describe('Chat Routes', () => {
     it('should validate offset parameter', async () => {
       const response = await request(app)
         .get('/api/chat/messages/session-1?offset=-1')
+        .set('Authorization', 'Bearer test-token')
         .expect(400);
 
       expect(response.body.success).toBe(false);
@@ -348,6 +487,7 @@ describe('Chat Routes', () => {
 
       const response = await request(app)
         .get('/api/chat/messages/nonexistent')
+        .set('Authorization', 'Bearer test-token')
         .expect(404);
 
       expect(response.body.success).toBe(false);
@@ -372,13 +512,18 @@ describe('Chat Routes', () => {
 
       const response = await request(app)
         .put('/api/chat/messages/session-1/read')
+        .set('Authorization', 'Bearer test-token')
         .send({ readBy: 'user-1' })
         .expect(200);
 
       expect(response.body.success).toBe(true);
       expect(response.body.data.updatedCount).toBe(3);
       expect(response.body.data.session).toEqual(mockSession);
-      expect(ChatService.markMessagesAsRead).toHaveBeenCalledWith('session-1', 'user-1');
+      expect(ChatService.markMessagesAsRead).toHaveBeenCalledWith(
+        'session-1',
+        { id: 'operator-1', type: 'operator' },
+        null
+      );
     });
 
     it('should handle session not found', async () => {
@@ -390,12 +535,56 @@ describe('Chat Routes', () => {
 
       const response = await request(app)
         .put('/api/chat/messages/nonexistent/read')
+        .set('Authorization', 'Bearer test-token')
         .send({})
         .expect(404);
 
       expect(response.body.success).toBe(false);
       expect(response.body.error.code).toBe('SESSION_NOT_FOUND');
     });
+
+    it('should broadcast read receipts for the given messages', async () => {
+      const sessionId = '6f1c2a4e-8b3d-4c5e-9f7a-1b2c3d4e5f60';
+      const receipts = [{
+        messageId: 'message-1',
+        recipientId: 'operator-1',
+        recipientType: 'operator',
+        deliveredAt: '2026-01-01T00:00:00.000Z',
+        readAt: '2026-01-01T00:00:00.000Z'
+      }];
+      ChatService.markMessagesAsRead.mockResolvedValue({
+        success: true,
+        updatedCount: 1,
+        receipts,
+        session: { id: sessionId },
+        message: '1 messages marked as read'
+      });
+
+      const response = await request(app)
+        .put(`/api/chat/messages/${sessionId}/read`)
+        .set('Authorization', 'Bearer test-token')
+        .send({ messageIds: ['message-1'] })
+        .expect(200);
+
+      expect(response.body.data.receipts).toEqual(receipts);
+      expect(ChatService.markMessagesAsRead).toHaveBeenCalledWith(
+        sessionId,
+        { id: 'operator-1', type: 'operator' },
+        ['message-1']
+      );
+      expect(emitMessageReceipts).toHaveBeenCalledWith('message-read', sessionId, receipts);
+    });
+
+    it('should reject messageIds that are not an array', async () => {
+      const response = await request(app)
+        .put('/api/chat/messages/6f1c2a4e-8b3d-4c5e-9f7a-1b2c3d4e5f60/read')
+        .set('Authorization', 'Bearer test-token')
+        .send({ messageIds: 'message-1' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_MESSAGE_IDS');
+      expect(ChatService.markMessagesAsRead).not.toHaveBeenCalled();
+    });
   });
 
   describe('GET /api/chat/messages/:sessionId/unread-count', () => {
@@ -415,6 +604,7 @@ describe('Chat Routes', () => {
 
       const response = await request(app)
         .get('/api/chat/messages/session-1/unread-count')
+        .set('Authorization', 'Bearer test-token')
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -432,6 +622,7 @@ describe('Chat Routes', () => {
 
       const response = await request(app)
         .get('/api/chat/messages/nonexistent/unread-count')
+        .set('Authorization', 'Bearer test-token')
         .expect(404);
 
       expect(response.body.success).toBe(false);
@@ -439,12 +630,703 @@ describe('Chat Routes', () => {
     });
   });
 
+  describe('Role-based access', () => {
+    const sessionId = '6f1c2a4e-8b3d-4c5e-9f7a-1b2c3d4e5f60';
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should not let agents list sessions by user', async () => {
+      authenticateAs('agent');
+
+      const response = await request(app)
+        .get('/api/chat/sessions/user-1')
+        .set('Authorization', 'Bearer test-token')
+        .expect(403);
+
+      expect(response.body.error.code).toBe('FORBIDDEN');
+      expect(ChatService.getUserSessions).not.toHaveBeenCalled();
+    });
+
+    it('should not let agents read transcripts of sessions assigned to others', async () => {
+      authenticateAs('agent');
+      jest.spyOn(models.ChatSession, 'findByPk').mockResolvedValue({ id: sessionId, operatorId: 'operator-2' });
+
+      const response = await request(app)
+        .get(`/api/chat/messages/${sessionId}`)
+        .set('Authorization', 'Bearer test-token')
+        .expect(403);
+
+      expect(response.body.error.code).toBe('FORBIDDEN');
+      expect(ChatService.getMessageHistory).not.toHaveBeenCalled();
+    });
+
+    it('should let agents read transcripts of their own sessions', async () => {
+      authenticateAs('agent');
+      jest.spyOn(models.ChatSession, 'findByPk').mockResolvedValue({ id: sessionId, operatorId: 'operator-1' });
+      ChatService.getMessageHistory.mockResolvedValue({
+        success: true,
+        messages: [],
+        session: { id: sessionId },
+        pagination: { total: 0, limit: 50, offset: 0, hasMore: false },
+        message: 'Message history retrieved successfully'
+      });
+
+      await request(app)
+        .get(`/api/chat/messages/${sessionId}`)
+        .set('Authorization', 'Bearer test-token')
+        .expect(200);
+
+      expect(ChatService.getMessageHistory).toHaveBeenCalledWith(sessionId, expect.any(Object));
+    });
+
+    it('should not let agents close sessions assigned to others', async () => {
+      authenticateAs('agent');
+      jest.spyOn(models.ChatSession, 'findByPk').mockResolvedValue({ id: sessionId, operatorId: 'operator-2' });
+
+      await request(app)
+        .put(`/api/chat/sessions/${sessionId}/close`)
+        .set('Authorization', 'Bearer test-token')
+        .expect(403);
+
+      expect(ChatService.closeChatSession).not.toHaveBeenCalled();
+    });
+
+    it('should let supervisors close any session', async () => {
+      const findByPk = jest.spyOn(models.ChatSession, 'findByPk');
+      ChatService.closeChatSession.mockResolvedValue({
+        success: true,
+        session: { id: sessionId, status: 'closed' },
+        message: 'Chat session closed successfully'
+      });
+
+      await request(app)
+        .put(`/api/chat/sessions/${sessionId}/close`)
+        .set('Authorization', 'Bearer test-token')
+        .expect(200);
+
+      expect(findByPk).not.toHaveBeenCalled();
+      expect(ChatService.closeChatSession).toHaveBeenCalledWith(sessionId, 'operator-1');
+    });
+
+    it('should limit agent history to their own sessions', async () => {
+      authenticateAs('agent');
+      ChatService.getAllHistorySessions.mockResolvedValue({
+        success: true,
+        sessions: [],
+        pagination: { page: 1, limit: 100, total: 0 },
+        message: 'History sessions retrieved successfully'
+      });
+
+      await request(app)
+        .get('/api/chat/sessions/history')
+        .set('Authorization', 'Bearer test-token')
+        .expect(200);
+
+      expect(ChatService.getAllHistorySessions).toHaveBeenCalledWith(
+        expect.objectContaining({ operatorId: 'operator-1' })
+      );
+    });
+
+    it('should not limit supervisor history', async () => {
+      ChatService.getAllHistorySessions.mockResolvedValue({
+        success: true,
+        sessions: [],
+        pagination: { page: 1, limit: 100, total: 0 },
+        message: 'History sessions retrieved successfully'
+      });
+
+      await request(app)
+        .get('/api/chat/sessions/history')
+        .set('Authorization', 'Bearer test-token')
+        .expect(200);
+
+      expect(ChatService.getAllHistorySessions).toHaveBeenCalledWith(
+        expect.objectContaining({ operatorId: null })
+      );
+    });
+
+    it('should pass the history cursor to the service', async () => {
+      ChatService.getAllHistorySessions.mockResolvedValue({
+        success: true,
+        sessions: [],
+        pagination: { limit: 20, hasNext: false, nextCursor: null },
+        message: 'Retrieved 0 history sessions'
+      });
+
+      const response = await request(app)
+        .get('/api/chat/sessions/history')
+        .query({ cursor: 'next-page', limit: 20 })
+        .set('Authorization', 'Bearer test-token')
+        .expect(200);
+
+      expect(response.body.data.pagination.nextCursor).toBeNull();
+      expect(ChatService.getAllHistorySessions).toHaveBeenCalledWith(
+        expect.objectContaining({ cursor: 'next-page', limit: 20 })
+      );
+    });
+
+    it('should return 400 for an invalid history cursor', async () => {
+      ChatService.getAllHistorySessions.mockResolvedValue({
+        success: false,
+        error: 'Invalid cursor',
+        message: 'History cursor is malformed'
+      });
+
+      const response = await request(app)
+        .get('/api/chat/sessions/history')
+        .query({ cursor: 'broken' })
+        .set('Authorization', 'Bearer test-token')
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_CURSOR');
+    });
+  });
+
+  describe('GET /api/chat/search', () => {
+    const operatorId = '2a7b9c1d-3e4f-4a5b-8c6d-7e8f9a0b1c2d';
+
+    const mockSearchResult = (results = [], total = results.length) => {
+      ChatService.searchMessages.mockResolvedValue({
+        success: true,
+        results,
+        total,
+        message: `Found ${total} matching messages`
+      });
+    };
+
+    it('should return paginated matches with snippets and session context', async () => {
+      mockSearchResult([
+        {
+          id: 'message-1',
+          sessionId: 'session-1',
+          senderType: 'user',
+          snippet: 'about <mark>invoice</mark> <mark>4471</mark>',
+          session: { id: 'session-1', userName: 'Visitor', status: 'closed' }
+        }
+      ], 3);
+
+      const response = await request(app)
+        .get('/api/chat/search')
+        .query({ q: 'invoice 4471', limit: 1, offset: 1, senderType: 'user', status: 'closed', groupName: 'vip' })
+        .set('Authorization', 'Bearer test-token')
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.items[0].snippet).toBe('about <mark>invoice</mark> <mark>4471</mark>');
+      expect(response.body.data.items[0].session.userName).toBe('Visitor');
+      expect(response.body.data.pagination).toEqual(
+        expect.objectContaining({ total: 3, limit: 1, offset: 1, hasMore: true })
+      );
+      expect(ChatService.searchMessages).toHaveBeenCalledWith(expect.objectContaining({
+        query: 'invoice 4471',
+        limit: 1,
+        offset: 1,
+        senderType: 'user',
+        status: 'closed',
+        groupName: 'vip',
+        operatorId: null
+      }));
+    });
+
+    it('should let supervisors filter by operator', async () => {
+      mockSearchResult();
+
+      await request(app)
+        .get('/api/chat/search')
+        .query({ q: 'invoice', operatorId })
+        .set('Authorization', 'Bearer test-token')
+        .expect(200);
+
+      expect(ChatService.searchMessages).toHaveBeenCalledWith(
+        expect.objectContaining({ operatorId })
+      );
+    });
+
+    it('should limit agents to their own sessions', async () => {
+      authenticateAs('agent');
+      mockSearchResult();
+
+      await request(app)
+        .get('/api/chat/search')
+        .query({ q: 'invoice', operatorId })
+        .set('Authorization', 'Bearer test-token')
+        .expect(200);
+
+      expect(ChatService.searchMessages).toHaveBeenCalledWith(
+        expect.objectContaining({ operatorId: 'operator-1' })
+      );
+    });
+
+    it('should require a search query', async () => {
+      const response = await request(app)
+        .get('/api/chat/search')
+        .query({ q: '   ' })
+        .set('Authorization', 'Bearer test-token')
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(ChatService.searchMessages).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid filters', async () => {
+      const response = await request(app)
+        .get('/api/chat/search')
+        .query({ q: 'invoice', startDate: 'yesterday', senderType: 'bot' })
+        .set('Authorization', 'Bearer test-token')
+        .expect(400);
+
+      expect(response.body.error.details.map(detail => detail.field)).toEqual(['startDate', 'senderType']);
+    });
+
+    it('should return 400 when the query has no searchable words', async () => {
+      ChatService.searchMessages.mockResolvedValue({
+        success: false,
+        error: 'Invalid search query',
+        message: 'Search query must contain at least one word'
+      });
+
+      const response = await request(app)
+        .get('/api/chat/search')
+        .query({ q: '+-*' })
+        .set('Authorization', 'Bearer test-token')
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_SEARCH_QUERY');
+    });
+  });
+
+  describe('Attachments', () => {
+    const sessionId = '6f1c2a4e-8b3d-4c5e-9f7a-1b2c3d4e5f60';
+    const attachmentId = '0d9e8f7a-6b5c-4d3e-8f1a-2b3c4d5e6f70';
+
+    const authenticateVisitor = (userId) => {
+      AuthService.verifyVisitorToken.mockReturnValue({
+        success: true,
+        visitor: { userId, userName: null, groupName: null, anonymous: true }
+      });
+    };
+
+    const mockAttachment = (overrides = {}) => ({
+      id: attachmentId,
+      sessionId,
+      fileName: 'notes.txt',
+      mimeType: 'text/plain',
+      isImage: () => false,
+      getSession: jest.fn().mockResolvedValue({ id: sessionId, userId: 'visitor-1', operatorId: 'operator-1' }),
+      ...overrides
+    });
+
+    beforeEach(() => {
+      jest.spyOn(models.ChatSession, 'findByPk').mockResolvedValue({
+        id: sessionId,
+        userId: 'visitor-1',
+        operatorId: 'operator-1'
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should upload a visitor attachment and broadcast the message', async () => {
+      authenticateVisitor('visitor-1');
+      const uploadResult = {
+        success: true,
+        message: { id: 'message-1', sessionId, messageType: 'file', content: 'report.pdf' },
+        attachment: { toClientJSON: () => ({ id: attachmentId, fileName: 'report.pdf' }) },
+        session: { id: sessionId },
+        messageText: 'Attachment uploaded successfully'
+      };
+      AttachmentService.uploadAttachment.mockResolvedValue(uploadResult);
+
+      const response = await request(app)
+        .post(`/api/chat/sessions/${sessionId}/attachments`)
+        .set('X-Visitor-Token', 'visitor-token')
+        .field('caption', 'Please check')
+        .attach('file', Buffer.from('%PDF-1.4'), 'report.pdf')
+        .expect(201);
+
+      expect(response.body.data.attachment).toEqual({ id: attachmentId, fileName: 'report.pdf' });
+      expect(AttachmentService.uploadAttachment).toHaveBeenCalledWith(
+        sessionId,
+        { id: 'visitor-1', type: 'user' },
+        expect.objectContaining({ originalname: 'report.pdf', mimetype: 'application/pdf' }),
+        { caption: 'Please check' }
+      );
+      expect(emitAttachmentMessage).toHaveBeenCalledWith(uploadResult);
+    });
+
+    it('should not let visitors upload to other sessions', async () => {
+      authenticateVisitor('visitor-2');
+
+      const response = await request(app)
+        .post(`/api/chat/sessions/${sessionId}/attachments`)
+        .set('X-Visitor-Token', 'visitor-token')
+        .attach('file', Buffer.from('%PDF-1.4'), 'report.pdf')
+        .expect(403);
+
+      expect(response.body.error.code).toBe('FORBIDDEN');
+      expect(AttachmentService.uploadAttachment).not.toHaveBeenCalled();
+    });
+
+    it('should reject files over the size limit', async () => {
+      const response = await request(app)
+        .post(`/api/chat/sessions/${sessionId}/attachments`)
+        .set('Authorization', 'Bearer test-token')
+        .attach('file', Buffer.alloc(2048), 'large.pdf')
+        .expect(413);
+
+      expect(response.body.error.code).toBe('FILE_TOO_LARGE');
+      expect(AttachmentService.uploadAttachment).not.toHaveBeenCalled();
+    });
+
+    it('should map rejected file types to 415', async () => {
+      AttachmentService.uploadAttachment.mockResolvedValue({
+        success: false,
+        error: 'Unsupported file type',
+        message: 'File type application/x-msdownload is not allowed'
+      });
+
+      const response = await request(app)
+        .post(`/api/chat/sessions/${sessionId}/attachments`)
+        .set('Authorization', 'Bearer test-token')
+        .attach('file', Buffer.from('MZ'), 'setup.exe')
+        .expect(415);
+
+      expect(response.body.error.code).toBe('UNSUPPORTED_FILE_TYPE');
+    });
+
+    it('should require authentication', async () => {
+      const response = await request(app)
+        .get(`/api/chat/attachments/${attachmentId}`)
+        .expect(401);
+
+      expect(response.body.error.code).toBe('UNAUTHORIZED');
+    });
+
+    it('should serve downloads to the session visitor', async () => {
+      authenticateVisitor('visitor-1');
+      AttachmentService.getAttachment.mockResolvedValue({ success: true, attachment: mockAttachment() });
+      AttachmentService.openAttachment.mockResolvedValue({
+        success: true,
+        stream: Readable.from([Buffer.from('hello')]),
+        mimeType: 'text/plain',
+        fileName: 'notes.txt'
+      });
+
+      const response = await request(app)
+        .get(`/api/chat/attachments/${attachmentId}`)
+        .query({ visitorToken: 'visitor-token' })
+        .expect(200);
+
+      expect(response.text).toBe('hello');
+      expect(response.headers['content-disposition']).toBe("attachment; filename*=UTF-8''notes.txt");
+      expect(AttachmentService.openAttachment).toHaveBeenCalledWith(expect.any(Object), { thumbnail: false });
+    });
+
+    it('should not serve downloads to visitors of other sessions', async () => {
+      authenticateVisitor('visitor-2');
+      AttachmentService.getAttachment.mockResolvedValue({ success: true, attachment: mockAttachment() });
+
+      const response = await request(app)
+        .get(`/api/chat/attachments/${attachmentId}/thumbnail`)
+        .set('X-Visitor-Token', 'visitor-token')
+        .expect(403);
+
+      expect(response.body.error.code).toBe('FORBIDDEN');
+      expect(AttachmentService.openAttachment).not.toHaveBeenCalled();
+    });
+
+    it('should not serve downloads to agents of other sessions', async () => {
+      authenticateAs('agent');
+      AttachmentService.getAttachment.mockResolvedValue({
+        success: true,
+        attachment: mockAttachment({
+          getSession: jest.fn().mockResolvedValue({ id: sessionId, userId: 'visitor-1', operatorId: 'operator-2' })
+        })
+      });
+
+      await request(app)
+        .get(`/api/chat/attachments/${attachmentId}`)
+        .set('Authorization', 'Bearer test-token')
+        .expect(403);
+
+      expect(AttachmentService.openAttachment).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for unknown attachments', async () => {
+      AttachmentService.getAttachment.mockResolvedValue({
+        success: false,
+        error: 'Attachment not found',
+        message: 'Attachment does not exist'
+      });
+
+      const response = await request(app)
+        .get(`/api/chat/attachments/${attachmentId}`)
+        .set('Authorization', 'Bearer test-token')
+        .expect(404);
+
+      expect(response.body.error.code).toBe('ATTACHMENT_NOT_FOUND');
+    });
+  });
+
+  describe('Transcript export', () => {
+    const sessionId = '6f1c2a4e-8b3d-4c5e-9f7a-1b2c3d4e5f60';
+
+    beforeEach(() => {
+      jest.spyOn(models.ChatSession, 'findByPk').mockResolvedValue({
+        id: sessionId,
+        userId: 'visitor-1',
+        operatorId: 'operator-1'
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should download a session transcript in the requested format and time zone', async () => {
+      TranscriptService.exportSession.mockResolvedValue({
+        success: true,
+        fileName: `transcript-${sessionId}.csv`,
+        contentType: 'text/csv; charset=utf-8',
+        body: 'time,senderType\r\n'
+      });
+
+      const response = await request(app)
+        .get(`/api/chat/sessions/${sessionId}/transcript`)
+        .query({ format: 'csv', timezone: 'Asia/Shanghai' })
+        .set('Authorization', 'Bearer test-token')
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+      expect(response.headers['content-disposition']).toBe(`attachment; filename="transcript-${sessionId}.csv"`);
+      expect(response.text).toBe('time,senderType\r\n');
+      expect(TranscriptService.exportSession).toHaveBeenCalledWith(sessionId, 'csv', {
+        timeZone: 'Asia/Shanghai',
+        baseUrl: expect.stringMatching(/^http:\/\/127\.0\.0\.1:\d+$/)
+      });
+    });
+
+    it('should not let visitors download transcripts of other sessions', async () => {
+      AuthService.verifyVisitorToken.mockReturnValue({
+        success: true,
+        visitor: { userId: 'visitor-2', userName: null, groupName: null, anonymous: true }
+      });
+
+      await request(app)
+        .get(`/api/chat/sessions/${sessionId}/transcript`)
+        .query({ visitorToken: 'visitor-token' })
+        .expect(403);
+
+      expect(TranscriptService.exportSession).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown formats and time zones', async () => {
+      const response = await request(app)
+        .get(`/api/chat/sessions/${sessionId}/transcript`)
+        .query({ format: 'docx', timezone: 'Mars/Olympus' })
+        .set('Authorization', 'Bearer test-token')
+        .expect(400);
+
+      expect(response.body.error.details.map(detail => detail.field)).toEqual(['format', 'timezone']);
+    });
+
+    it('should return 404 for a missing session', async () => {
+      TranscriptService.exportSession.mockResolvedValue({
+        success: false,
+        error: 'Session not found',
+        message: 'Chat session does not exist'
+      });
+
+      const response = await request(app)
+        .get(`/api/chat/sessions/${sessionId}/transcript`)
+        .set('Authorization', 'Bearer test-token')
+        .expect(404);
+
+      expect(response.body.error.code).toBe('SESSION_NOT_FOUND');
+    });
+
+    it('should stream a ZIP of the filtered transcripts', async () => {
+      authenticateAs('agent');
+      TranscriptService.writeArchive.mockImplementation(async (filter, format, options, output) => {
+        output.end(Buffer.from('PK-zip'));
+        return 1;
+      });
+
+      const response = await request(app)
+        .get('/api/chat/transcripts/export')
+        .query({ format: 'pdf', status: 'closed', startDate: '2024-01-01', endDate: '2024-01-31' })
+        .set('Authorization', 'Bearer test-token')
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        })
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/zip');
+      expect(response.headers['content-disposition']).toMatch(/^attachment; filename="transcripts-\d{4}-\d{2}-\d{2}\.zip"$/);
+      expect(response.body.toString()).toBe('PK-zip');
+      expect(TranscriptService.writeArchive).toHaveBeenCalledWith(
+        { keyword: null, status: 'closed', startDate: '2024-01-01', endDate: '2024-01-31', operatorId: 'operator-1' },
+        'pdf',
+        expect.objectContaining({ timeZone: undefined }),
+        expect.anything()
+      );
+    });
+
+    it('should return an error when the export fails before streaming', async () => {
+      TranscriptService.writeArchive.mockRejectedValue(new Error('History query failed'));
+
+      const response = await request(app)
+        .get('/api/chat/transcripts/export')
+        .set('Authorization', 'Bearer test-token')
+        .expect(500);
+
+      expect(response.headers['content-disposition']).toBeUndefined();
+      expect(response.body.error.code).toBe('TRANSCRIPT_EXPORT_FAILED');
+    });
+
+    it('should register the visitor email for the transcript', async () => {
+      AuthService.verifyVisitorToken.mockReturnValue({
+        success: true,
+        visitor: { userId: 'visitor-1', userName: null, groupName: null, anonymous: true }
+      });
+      TranscriptEmailService.requestTranscript.mockResolvedValue({
+        success: true,
+        transcriptEmail: { id: 'email-1', sessionId, email: 'bob@example.com', status: 'pending' },
+        message: 'Transcript will be emailed when the session ends'
+      });
+
+      const response = await request(app)
+        .post(`/api/chat/sessions/${sessionId}/transcript/email`)
+        .set('X-Visitor-Token', 'visitor-token')
+        .send({ email: ' bob@example.com ' })
+        .expect(202);
+
+      expect(response.body.data.transcriptEmail).toEqual({
+        id: 'email-1',
+        sessionId,
+        email: 'bob@example.com',
+        status: 'pending'
+      });
+      expect(TranscriptEmailService.requestTranscript).toHaveBeenCalledWith(sessionId, 'bob@example.com');
+    });
+
+    it('should reject invalid transcript email addresses', async () => {
+      const response = await request(app)
+        .post(`/api/chat/sessions/${sessionId}/transcript/email`)
+        .set('Authorization', 'Bearer test-token')
+        .send({ email: 'not-an-email' })
+        .expect(400);
+
+      expect(response.body.error.details.map(detail => detail.field)).toEqual(['email']);
+      expect(TranscriptEmailService.requestTranscript).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Message editing', () => {
+    const sessionId = '6f1c2a4e-8b3d-4c5e-9f7a-1b2c3d4e5f60';
+    const messageId = '1a2b3c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d';
+
+    beforeEach(() => {
+      jest.spyOn(models.ChatSession, 'findByPk').mockResolvedValue({
+        id: sessionId,
+        userId: 'visitor-1',
+        operatorId: 'operator-1'
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should edit the operator message and broadcast the update', async () => {
+      const edited = { id: messageId, sessionId, content: 'Fixed link', isEdited: true };
+      ChatService.editMessage.mockResolvedValue({
+        success: true,
+        message: edited,
+        changed: true,
+        messageText: 'Message edited successfully'
+      });
+
+      const response = await request(app)
+        .put(`/api/chat/sessions/${sessionId}/messages/${messageId}`)
+        .set('Authorization', 'Bearer test-token')
+        .send({ content: 'Fixed link' })
+        .expect(200);
+
+      expect(response.body.data.message).toEqual(edited);
+      expect(ChatService.editMessage).toHaveBeenCalledWith(
+        sessionId,
+        messageId,
+        { id: 'operator-1', type: 'operator' },
+        'Fixed link'
+      );
+      expect(emitMessageChange).toHaveBeenCalledWith(edited);
+    });
+
+    it('should let visitors delete their own messages', async () => {
+      AuthService.verifyVisitorToken.mockReturnValue({
+        success: true,
+        visitor: { userId: 'visitor-1', userName: null, groupName: null, anonymous: true }
+      });
+      const deleted = { id: messageId, sessionId, isDeleted: true };
+      ChatService.deleteMessage.mockResolvedValue({
+        success: true,
+        message: deleted,
+        messageText: 'Message deleted successfully'
+      });
+
+      await request(app)
+        .delete(`/api/chat/sessions/${sessionId}/messages/${messageId}`)
+        .set('X-Visitor-Token', 'visitor-token')
+        .expect(200);
+
+      expect(ChatService.deleteMessage).toHaveBeenCalledWith(sessionId, messageId, { id: 'visitor-1', type: 'user' });
+      expect(emitMessageChange).toHaveBeenCalledWith(deleted);
+    });
+
+    it('should reject changes after the edit window', async () => {
+      ChatService.editMessage.mockResolvedValue({
+        success: false,
+        error: 'Edit window expired',
+        message: 'Messages can only be changed within 15 minutes'
+      });
+
+      const response = await request(app)
+        .put(`/api/chat/sessions/${sessionId}/messages/${messageId}`)
+        .set('Authorization', 'Bearer test-token')
+        .send({ content: 'Too late' })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('EDIT_WINDOW_EXPIRED');
+      expect(emitMessageChange).not.toHaveBeenCalled();
+    });
+
+    it('should require content when editing', async () => {
+      const response = await request(app)
+        .put(`/api/chat/sessions/${sessionId}/messages/${messageId}`)
+        .set('Authorization', 'Bearer test-token')
+        .send({ content: '   ' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(ChatService.editMessage).not.toHaveBeenCalled();
+    });
+  });
+
   describe('Error handling', () => {
     it('should handle unexpected errors', async () => {
       ChatService.getUserSessions.mockRejectedValue(new Error('Unexpected error'));
 
       const response = await request(app)
         .get('/api/chat/sessions/user-1')
+        .set('Authorization', 'Bearer test-token')
         .expect(500);
 
       expect(response.body.success).toBe(false);
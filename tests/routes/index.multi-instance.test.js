@@ -0,0 +1,504 @@
+const http = require('http');
+const { io: ioClient } = require('socket.io-client');
+
+// 缩短输入指示器的节流和过期时间，并开启草稿预览
+process.env.CHAT_TYPING_THROTTLE_MS = '100';
+process.env.CHAT_TYPING_TIMEOUT_MS = '300';
+process.env.CHAT_TYPING_PREVIEW = 'true';
+
+// 进程内的 Redis 替身：所有客户端共享同一份数据和发布/订阅通道
+const mockRedisServer = (() => {
+  const store = new Map();
+  const subscribers = new Set();
+
+  const matches = (pattern, channel) => {
+    return pattern.endsWith('*') ? channel.startsWith(pattern.slice(0, -1)) : pattern === channel;
+  };
+
+  const createClient = () => {
+    const channels = new Map();
+    const patterns = new Map();
+
+    const client = {
+      isReady: true,
+      connect: async () => client,
+      quit: async () => {
+        subscribers.delete(client);
+      },
+      on: () => client,
+      off: () => client,
+      duplicate: () => createClient(),
+
+      get: async (key) => (store.has(key) ? store.get(key) : null),
+      set: async (key, value) => {
+        store.set(key, value);
+        return 'OK';
+      },
+      del: async (key) => (store.delete(key) ? 1 : 0),
+      expire: async (key) => (store.has(key) ? 1 : 0),
+      sAdd: async (key, member) => {
+        if (!store.has(key)) {
+          store.set(key, new Set());
+        }
+        store.get(key).add(member);
+        return 1;
+      },
+      sRem: async (key, member) => (store.has(key) && store.get(key).delete(member) ? 1 : 0),
+      sMembers: async (key) => Array.from(store.get(key) || []),
+
+      publish: async (channel, message) => {
+        let receivers = 0;
+        for (const subscriber of subscribers) {
+          receivers += subscriber.deliver(channel, message);
+        }
+        return receivers;
+      },
+      subscribe: async (names, listener) => {
+        [].concat(names).forEach((name) => channels.set(name, listener));
+        subscribers.add(client);
+      },
+      pSubscribe: async (pattern, listener) => {
+        patterns.set(pattern, listener);
+        subscribers.add(client);
+      },
+      unsubscribe: async (name) => {
+        channels.delete(name);
+      },
+      pUnsubscribe: async (pattern) => {
+        patterns.delete(pattern);
+      },
+      deliver: (channel, message) => {
+        const listeners = [];
+        if (channels.has(channel)) {
+          listeners.push(channels.get(channel));
+        }
+        for (const [pattern, listener] of patterns.entries()) {
+          if (matches(pattern, channel)) {
+            listeners.push(listener);
+          }
+        }
+        listeners.forEach((listener) => setImmediate(() => listener(message, channel)));
+        return listeners.length;
+      }
+    };
+
+    return client;
+  };
+
+  return { createClient };
+})();
+
+const mockSession = {
+  id: 'b7a1c3e2-5d4f-4a6b-9c8d-1e2f3a4b5c6d',
+  userId: null,
+  operatorId: null,
+  userName: '访客',
+  groupName: null,
+  status: 'waiting'
+};
+const mockOperator = { id: 'operator-b', name: 'Operator B', email: 'b@test.com', role: 'agent' };
+const mockOtherOperator = { id: 'operator-c', name: 'Operator C', email: 'c@test.com', role: 'agent' };
+
+const mockMessage = (senderId, senderType, content) => ({
+  id: `message-${Date.now()}`,
+  sessionId: mockSession.id,
+  senderId,
+  senderType,
+  content,
+  messageType: 'text',
+  groupName: null,
+  createdAt: new Date()
+});
+
+jest.mock('../../config/redis', () => ({
+  createRedisClient: () => mockRedisServer.createClient()
+}));
+
+jest.mock('../../models', () => {
+  const models = {
+    ChatSession: { findByPk: jest.fn(async () => mockSession) },
+    Operator: {
+      findByPk: jest.fn(async (id) => [mockOperator, mockOtherOperator].find(item => item.id === id) || null)
+    }
+  };
+  return { models, ...models };
+});
+
+jest.mock('../../services/ChatService', () => ({
+  createChatSession: jest.fn(async (userId) => {
+    mockSession.userId = userId;
+    return { success: true, session: mockSession, isNew: true };
+  }),
+  getMessageHistory: jest.fn(async () => ({ success: true, messages: [], pagination: {} })),
+  updateVisitorContext: jest.fn(async () => ({ success: true, session: null })),
+  assignOperatorToSession: jest.fn(async (sessionId, operatorId) => {
+    mockSession.operatorId = operatorId;
+    return {
+      success: true,
+      session: { ...mockSession, status: 'active' },
+      operator: mockOperator
+    };
+  }),
+  sendMessage: jest.fn(async (sessionId, senderId, senderType, content) => ({
+    success: true,
+    message: mockMessage(senderId, senderType, content),
+    session: mockSession
+  })),
+  markMessagesAsRead: jest.fn(async (sessionId, reader, messageIds) => ({
+    success: true,
+    updatedCount: messageIds.length,
+    receipts: messageIds.map((messageId) => ({
+      messageId,
+      recipientId: reader.id,
+      recipientType: reader.type,
+      deliveredAt: new Date(),
+      readAt: new Date()
+    })),
+    session: mockSession
+  })),
+  editMessage: jest.fn(async (sessionId, messageId, editor, content) => ({
+    success: true,
+    changed: true,
+    message: {
+      ...mockMessage(editor.id, editor.type, content),
+      id: messageId,
+      isEdited: true,
+      isDeleted: false,
+      editedAt: new Date()
+    },
+    session: mockSession
+  }))
+}));
+
+const mockRecordUsage = jest.fn(async () => ({ success: true }));
+
+jest.mock('../../services/CannedResponseService', () => ({
+  renderForSession: jest.fn(async (operator, cannedResponseId, session) => ({
+    success: true,
+    cannedResponse: { id: cannedResponseId },
+    content: `Hi ${session.userName}, this is ${operator.name}`
+  })),
+  recordUsage: mockRecordUsage
+}));
+
+jest.mock('../../services/OperatorService', () => ({
+  syncOperatorCapacityStatus: jest.fn(async () => ({ success: true, changed: false })),
+  updateOperatorStatus: jest.fn(async () => ({ success: true }))
+}));
+
+jest.mock('../../services/QueueService', () => ({
+  enqueue: jest.fn(async () => ({ success: true, position: 1, queueLength: 1, estimatedWaitSeconds: 60 })),
+  remove: jest.fn(async () => ({ success: true, removed: true })),
+  broadcastPositions: jest.fn(async () => {})
+}));
+
+jest.mock('../../services/DispatchService', () => ({
+  isEnabled: () => false
+}));
+
+jest.mock('../../services/NotificationService', () => {
+  return jest.fn().mockImplementation(() => ({
+    sendNewChatNotification: jest.fn(async () => ({ success: true })),
+    sendMessageNotification: jest.fn(async () => ({ success: true })),
+    start: jest.fn()
+  }));
+});
+
+jest.mock('../../services/SessionTimeoutService', () => {
+  return jest.fn().mockImplementation(() => ({
+    start: jest.fn(),
+    stop: jest.fn()
+  }));
+});
+
+const AuthService = require('../../services/AuthService');
+
+// 每个实例使用独立的模块实例，模拟两个独立部署的服务进程
+const startInstance = () => {
+  let socketRoutes;
+  let registry;
+  let chatService;
+  let operatorService;
+  jest.isolateModules(() => {
+    socketRoutes = require('../../routes/index');
+    registry = require('../../services/ConnectionRegistry');
+    chatService = require('../../services/ChatService');
+    operatorService = require('../../services/OperatorService');
+  });
+
+  const server = http.createServer();
+  const io = socketRoutes.init(server);
+
+  return new Promise((resolve) => {
+    server.listen(0, () => {
+      resolve({ io, registry, chatService, operatorService, url: `http://localhost:${server.address().port}` });
+    });
+  });
+};
+
+const connectClient = (url, auth = {}) => {
+  return new Promise((resolve, reject) => {
+    const client = ioClient(url, { auth, transports: ['websocket'], forceNew: true });
+    client.once('connect', () => resolve(client));
+    client.once('connect_error', reject);
+  });
+};
+
+const waitFor = (client, event) => {
+  return new Promise((resolve) => client.once(event, resolve));
+};
+
+// 等待跨实例的房间操作通过发布/订阅生效
+const flush = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+describe('Socket.IO across multiple instances', () => {
+  let instanceA;
+  let instanceB;
+  let visitor;
+  let operator;
+
+  beforeAll(async () => {
+    instanceA = await startInstance();
+    instanceB = await startInstance();
+
+    operator = await connectClient(instanceB.url, {
+      token: AuthService.signOperatorToken(mockOperator)
+    });
+    visitor = await connectClient(instanceA.url);
+    await flush();
+  });
+
+  afterAll(async () => {
+    visitor.close();
+    operator.close();
+    await new Promise((resolve) => instanceA.io.close(resolve));
+    await new Promise((resolve) => instanceB.io.close(resolve));
+  });
+
+  it('should notify operators on another instance when a visitor starts a chat', async () => {
+    const notification = waitFor(operator, 'new-chat-notification');
+    const created = waitFor(visitor, 'chat-session-created');
+
+    visitor.emit('user-join-chat', { userName: 'Guest' });
+
+    const session = await created;
+    expect(session.sessionId).toBe(mockSession.id);
+    expect(await notification).toMatchObject({
+      sessionId: mockSession.id,
+      userId: session.userId,
+      queuePosition: 1
+    });
+  });
+
+  it('should share connection state between instances', async () => {
+    const visitorConnection = await instanceB.registry.get(visitor.id);
+    const operatorConnection = await instanceA.registry.get(operator.id);
+
+    expect(visitorConnection).toMatchObject({ type: 'user', sessionId: mockSession.id });
+    expect(operatorConnection).toMatchObject({ type: 'operator', operatorId: mockOperator.id });
+    expect(await instanceA.registry.getConnectedOperatorIds()).toEqual([mockOperator.id]);
+  });
+
+  it('should deliver visitor messages to operators on another instance', async () => {
+    const notification = waitFor(operator, 'new-message-notification');
+
+    visitor.emit('user-send-message', { content: 'Hello from instance A' });
+
+    expect(await notification).toMatchObject({
+      sessionId: mockSession.id,
+      content: 'Hello from instance A'
+    });
+  });
+
+  it('should deliver operator messages to the visitor on another instance', async () => {
+    const joined = waitFor(operator, 'operator-session-joined');
+    const operatorJoined = waitFor(visitor, 'operator-joined');
+
+    operator.emit('operator-join-session', { sessionId: mockSession.id });
+    await joined;
+    expect(await operatorJoined).toMatchObject({ operatorId: mockOperator.id });
+
+    const received = waitFor(visitor, 'message-received');
+    operator.emit('operator-send-message', {
+      sessionId: mockSession.id,
+      content: 'Hello from instance B'
+    });
+
+    expect(await received).toMatchObject({
+      senderId: mockOperator.id,
+      senderType: 'operator',
+      content: 'Hello from instance B'
+    });
+  });
+
+  it('should only send capacity status changes to operators', async () => {
+    instanceB.operatorService.syncOperatorCapacityStatus.mockResolvedValueOnce({
+      success: true,
+      changed: true,
+      operator: { ...mockOperator, status: 'busy', maxConcurrentSessions: 1 },
+      activeSessions: 1
+    });
+    const onVisitorStatus = jest.fn();
+    visitor.on('operator-status-changed', onVisitorStatus);
+    const statusChanged = waitFor(operator, 'operator-status-changed');
+
+    operator.emit('operator-join-session', { sessionId: mockSession.id });
+
+    expect(await statusChanged).toMatchObject({ operatorId: mockOperator.id, status: 'busy', automatic: true });
+    await flush();
+    visitor.off('operator-status-changed', onVisitorStatus);
+    expect(onVisitorStatus).not.toHaveBeenCalled();
+  });
+
+  it('should send canned responses through the normal operator message path', async () => {
+    const received = waitFor(visitor, 'message-received');
+
+    operator.emit('operator-send-canned-response', {
+      sessionId: mockSession.id,
+      cannedResponseId: 'canned-greeting'
+    });
+
+    expect(await received).toMatchObject({
+      senderId: mockOperator.id,
+      senderType: 'operator',
+      content: 'Hi 访客, this is Operator B'
+    });
+    await flush();
+    expect(mockRecordUsage).toHaveBeenCalledWith({ id: 'canned-greeting' });
+  });
+
+  it('should broadcast operator message edits to the visitor on another instance', async () => {
+    const updated = waitFor(visitor, 'message-updated');
+
+    operator.emit('message-edit', {
+      sessionId: mockSession.id,
+      messageId: 'message-operator-1',
+      content: 'Hello again from instance B'
+    });
+
+    expect(await updated).toMatchObject({
+      id: 'message-operator-1',
+      sessionId: mockSession.id,
+      content: 'Hello again from instance B',
+      isEdited: true
+    });
+  });
+
+  it('should show visitor typing and the draft to the assigned operator on another instance', async () => {
+    const indicator = waitFor(operator, 'typing-indicator');
+    const preview = waitFor(operator, 'typing-preview');
+    const visitorPreview = jest.fn();
+    visitor.on('typing-preview', visitorPreview);
+
+    visitor.emit('user-typing', { draft: 'I have a question' });
+
+    expect(await indicator).toMatchObject({ sessionId: mockSession.id, senderType: 'user' });
+    expect(await preview).toMatchObject({ sessionId: mockSession.id, draft: 'I have a question' });
+
+    const stopped = waitFor(operator, 'stop-typing-indicator');
+    visitor.emit('user-stop-typing');
+    expect(await stopped).toMatchObject({ senderType: 'user', expired: false });
+
+    visitor.off('typing-preview', visitorPreview);
+    expect(visitorPreview).not.toHaveBeenCalled();
+  });
+
+  it('should throttle visitor typing and expire it when stop is never sent', async () => {
+    const indicators = [];
+    const previews = [];
+    const onIndicator = (data) => indicators.push(data);
+    const onPreview = (data) => previews.push(data);
+    operator.on('typing-indicator', onIndicator);
+    operator.on('typing-preview', onPreview);
+
+    const stopped = waitFor(operator, 'stop-typing-indicator');
+    ['H', 'He', 'Hel', 'Hell', 'Hello'].forEach((draft) => {
+      visitor.emit('user-typing', { draft });
+    });
+
+    expect(await stopped).toMatchObject({ senderType: 'user', expired: true });
+    operator.off('typing-indicator', onIndicator);
+    operator.off('typing-preview', onPreview);
+
+    // 首次立即广播，节流期间的输入合并为一次尾随广播
+    expect(indicators).toHaveLength(2);
+    expect(previews[previews.length - 1].draft).toBe('Hello');
+  });
+
+  it('should show operators on another instance when the visitor has read a message', async () => {
+    const receipt = waitFor(operator, 'message-read');
+
+    visitor.emit('message-read', { sessionId: mockSession.id, messageIds: ['message-operator-1'] });
+
+    expect(await receipt).toMatchObject({
+      sessionId: mockSession.id,
+      recipientType: 'user',
+      receipts: [{ messageId: 'message-operator-1' }]
+    });
+  });
+
+  it('should keep the operator online while another connection remains', async () => {
+    const OperatorService = require('../../services/OperatorService');
+    const secondConnection = await connectClient(instanceA.url, {
+      token: AuthService.signOperatorToken(mockOperator)
+    });
+    await flush();
+
+    secondConnection.close();
+    await flush();
+
+    expect(OperatorService.updateOperatorStatus).not.toHaveBeenCalledWith(mockOperator.id, 'offline');
+    expect(await instanceB.registry.getOperatorSocketIds(mockOperator.id)).toEqual([operator.id]);
+  });
+
+  it('should not let another agent act on a session assigned to someone else', async () => {
+    const ChatService = instanceA.chatService;
+    const otherAgent = await connectClient(instanceA.url, {
+      token: AuthService.signOperatorToken(mockOtherOperator)
+    });
+
+    try {
+      const events = [
+        'operator-join-session',
+        'get-message-history',
+        'operator-end-session',
+        'operator-reconnect-session',
+        'operator-send-message',
+        'operator-send-canned-response',
+        'operator-typing',
+        'operator-stop-typing'
+      ];
+
+      for (const event of events) {
+        const error = waitFor(otherAgent, 'chat-error');
+        otherAgent.emit(event, { sessionId: mockSession.id, content: 'Hello', cannedResponseId: 'canned-greeting' });
+        expect(await error).toMatchObject({ code: 'FORBIDDEN' });
+      }
+
+      expect(ChatService.assignOperatorToSession).not.toHaveBeenCalledWith(mockSession.id, mockOtherOperator.id, expect.anything());
+      expect(ChatService.sendMessage).not.toHaveBeenCalledWith(mockSession.id, mockOtherOperator.id, 'operator', expect.anything(), expect.anything(), expect.anything());
+      expect(await instanceB.registry.get(otherAgent.id)).toMatchObject({ sessionId: null });
+    } finally {
+      otherAgent.close();
+    }
+  });
+
+  it('should still create the chat when the visitor context cannot be saved', async () => {
+    const ChatService = instanceA.chatService;
+    ChatService.updateVisitorContext.mockRejectedValueOnce(new Error('Database unavailable'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const secondVisitor = await connectClient(instanceA.url);
+
+    try {
+      const created = waitFor(secondVisitor, 'chat-session-created');
+      secondVisitor.emit('user-join-chat', { userName: 'Guest', url: 'https://example.com/pricing' });
+
+      expect(await created).toMatchObject({ sessionId: mockSession.id });
+      await flush();
+      expect(console.error).toHaveBeenCalledWith('Error syncing visitor context:', expect.any(Error));
+    } finally {
+      secondVisitor.close();
+      console.error.mockRestore();
+    }
+  });
+});
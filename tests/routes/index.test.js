@@ -0,0 +1,112 @@
+const jwt = require('jsonwebtoken');
+const AuthService = require('../../services/AuthService');
+
+// Mock services
+jest.mock('../../services/ChatService');
+jest.mock('../../services/OperatorService');
+jest.mock('../../services/NotificationService');
+jest.mock('../../services/SessionTimeoutService');
+jest.mock('../../services/QueueService', () => ({}));
+jest.mock('../../services/DispatchService', () => ({}));
+
+const { resolveVisitorIdentity } = require('../../routes/index');
+
+describe('Visitor identity for user-join-chat', () => {
+  describe('signed visitors', () => {
+    it('should use the identity from a token signed with the shared secret', () => {
+      const visitorToken = jwt.sign(
+        { userId: 'customer-42', userName: 'Alice', groupName: 'VIP' },
+        AuthService.getVisitorSecret()
+      );
+
+      const result = resolveVisitorIdentity({ visitorToken });
+
+      expect(result.success).toBe(true);
+      expect(result.visitor).toEqual({
+        userId: 'customer-42',
+        userName: 'Alice',
+        groupName: 'VIP',
+        anonymous: false
+      });
+      expect(result.visitorToken).toBe(visitorToken);
+    });
+
+    it('should ignore identity fields sent next to the token', () => {
+      const visitorToken = jwt.sign({ userId: 'customer-42' }, AuthService.getVisitorSecret());
+
+      const result = resolveVisitorIdentity({
+        visitorToken,
+        userId: 'someone-else',
+        groupName: 'VIP'
+      });
+
+      expect(result.visitor.userId).toBe('customer-42');
+      expect(result.visitor.groupName).toBeNull();
+    });
+
+    it('should reject a token signed with another secret', () => {
+      const visitorToken = jwt.sign({ userId: 'customer-42' }, 'forged-secret');
+
+      const result = resolveVisitorIdentity({ visitorToken });
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('INVALID_VISITOR_TOKEN');
+    });
+
+    it('should reject an expired token', () => {
+      const visitorToken = jwt.sign(
+        { userId: 'customer-42' },
+        AuthService.getVisitorSecret(),
+        { expiresIn: -10 }
+      );
+
+      const result = resolveVisitorIdentity({ visitorToken });
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('VISITOR_TOKEN_EXPIRED');
+    });
+
+    it('should reject a token without userId', () => {
+      const visitorToken = jwt.sign({ userName: 'Alice' }, AuthService.getVisitorSecret());
+
+      const result = resolveVisitorIdentity({ visitorToken });
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('INVALID_VISITOR_TOKEN');
+    });
+  });
+
+  describe('anonymous visitors', () => {
+    it('should generate a user ID instead of trusting the client', () => {
+      const result = resolveVisitorIdentity({
+        userId: 'customer-42',
+        userName: 'Guest',
+        groupName: 'Sales'
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.visitor.userId).not.toBe('customer-42');
+      expect(result.visitor.userId).toMatch(/^visitor-[0-9a-f-]{36}$/);
+      expect(result.visitor.userName).toBe('Guest');
+      expect(result.visitor.groupName).toBe('Sales');
+      expect(result.visitor.anonymous).toBe(true);
+    });
+
+    it('should generate a different ID for every anonymous join', () => {
+      const first = resolveVisitorIdentity({});
+      const second = resolveVisitorIdentity({});
+
+      expect(first.visitor.userId).not.toBe(second.visitor.userId);
+    });
+
+    it('should issue a token that resumes the same anonymous identity', () => {
+      const first = resolveVisitorIdentity({ userName: 'Guest' });
+
+      const resumed = resolveVisitorIdentity({ visitorToken: first.visitorToken });
+
+      expect(resumed.success).toBe(true);
+      expect(resumed.visitor.userId).toBe(first.visitor.userId);
+      expect(resumed.visitor.anonymous).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+const request = require('supertest');
+const express = require('express');
+const ChatService = require('../../services/ChatService');
+const AuthService = require('../../services/AuthService');
+const { emitSystemMessage, notifySessionOpened, notifySessionEnded } = require('../../routes/index');
+const { responseFormatter } = require('../../middleware/responseFormatter');
+
+jest.mock('../../services/ChatService');
+jest.mock('../../services/AuthService');
+jest.mock('../../routes/index', () => ({
+  emitSystemMessage: jest.fn(),
+  notifySessionOpened: jest.fn(),
+  notifySessionEnded: jest.fn()
+}));
+
+const integrationsRouter = require('../../routes/integrations');
+
+const app = express();
+app.use(express.json());
+app.use(responseFormatter);
+app.use('/api/integrations', integrationsRouter);
+
+describe('Integration Routes', () => {
+  const sessionId = '3f1c2a4e-8b7d-4c6e-9a5f-1d2e3c4b5a69';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    AuthService.verifyApiKey.mockReturnValue({
+      success: true,
+      integration: { name: 'crm' }
+    });
+  });
+
+  it('should require a valid API key', async () => {
+    const missing = await request(app)
+      .post(`/api/integrations/sessions/${sessionId}/close`)
+      .expect(401);
+    expect(missing.body.error.code).toBe('UNAUTHORIZED');
+
+    AuthService.verifyApiKey.mockReturnValue({
+      success: false,
+      error: 'Invalid API key',
+      message: 'API key is invalid'
+    });
+
+    const invalid = await request(app)
+      .post(`/api/integrations/sessions/${sessionId}/close`)
+      .set('X-API-Key', 'wrong')
+      .expect(401);
+    expect(invalid.body.error.code).toBe('INVALID_API_KEY');
+    expect(ChatService.endChatSession).not.toHaveBeenCalled();
+  });
+
+  it('should post a system message and push it to the session', async () => {
+    const message = { id: 'message-1', sessionId, content: 'Ticket #42 created', senderType: 'system' };
+    ChatService.sendMessage.mockResolvedValue({
+      success: true,
+      message,
+      messageText: 'Message sent successfully'
+    });
+
+    const response = await request(app)
+      .post(`/api/integrations/sessions/${sessionId}/messages`)
+      .set('X-API-Key', 'crm-key')
+      .send({ content: 'Ticket #42 created' })
+      .expect(201);
+
+    expect(ChatService.sendMessage).toHaveBeenCalledWith(sessionId, 'integration:crm', 'system', 'Ticket #42 created', 'system');
+    expect(emitSystemMessage).toHaveBeenCalledWith(sessionId, message);
+    expect(response.body.data.message.id).toBe('message-1');
+  });
+
+  it('should not post messages to closed sessions', async () => {
+    ChatService.sendMessage.mockResolvedValue({
+      success: false,
+      error: 'Session closed',
+      message: 'Cannot send message to closed session'
+    });
+
+    const response = await request(app)
+      .post(`/api/integrations/sessions/${sessionId}/messages`)
+      .set('X-API-Key', 'crm-key')
+      .send({ content: 'Too late' })
+      .expect(409);
+
+    expect(response.body.error.code).toBe('SESSION_CLOSED');
+    expect(emitSystemMessage).not.toHaveBeenCalled();
+  });
+
+  it('should close a session and notify its participants', async () => {
+    const session = { id: sessionId, status: 'closed', endReason: 'admin_closed' };
+    ChatService.endChatSession.mockResolvedValue({
+      success: true,
+      session,
+      alreadyEnded: false,
+      message: 'Chat session ended successfully'
+    });
+
+    const response = await request(app)
+      .post(`/api/integrations/sessions/${sessionId}/close`)
+      .set('X-API-Key', 'crm-key')
+      .expect(200);
+
+    expect(ChatService.endChatSession).toHaveBeenCalledWith(sessionId, 'integration:crm', { reason: 'admin_closed' });
+    expect(notifySessionEnded).toHaveBeenCalledWith(session);
+    expect(response.body.data.alreadyEnded).toBe(false);
+  });
+
+  it('should update session tags', async () => {
+    ChatService.updateSessionTags.mockResolvedValue({
+      success: true,
+      session: { id: sessionId, tags: ['vip'] },
+      message: 'Session tags updated successfully'
+    });
+
+    const response = await request(app)
+      .post(`/api/integrations/sessions/${sessionId}/tags`)
+      .set('X-API-Key', 'crm-key')
+      .send({ add: ['vip'], remove: ['pending'] })
+      .expect(200);
+
+    expect(ChatService.updateSessionTags).toHaveBeenCalledWith(sessionId, { add: ['vip'], remove: ['pending'] });
+    expect(response.body.data.session.tags).toEqual(['vip']);
+
+    await request(app)
+      .post(`/api/integrations/sessions/${sessionId}/tags`)
+      .set('X-API-Key', 'crm-key')
+      .send({})
+      .expect(400);
+  });
+
+  it('should start an outbound chat and queue new sessions', async () => {
+    const session = { id: sessionId, userId: 'customer-7', status: 'waiting' };
+    const openingMessage = { id: 'message-1', sessionId, content: 'Hello from support' };
+    ChatService.startOutboundChat.mockResolvedValue({
+      success: true,
+      session,
+      isNew: true,
+      openingMessage,
+      message: 'Outbound chat session started successfully'
+    });
+
+    const response = await request(app)
+      .post('/api/integrations/chats')
+      .set('X-API-Key', 'crm-key')
+      .send({ userId: 'customer-7', userName: 'Customer', content: 'Hello from support' })
+      .expect(201);
+
+    expect(ChatService.startOutboundChat).toHaveBeenCalledWith('customer-7', {
+      userName: 'Customer',
+      groupName: undefined,
+      content: 'Hello from support',
+      startedBy: 'integration:crm'
+    });
+    expect(notifySessionOpened).toHaveBeenCalledWith(session);
+    expect(emitSystemMessage).toHaveBeenCalledWith(sessionId, openingMessage);
+    expect(response.body.data.isNew).toBe(true);
+  });
+});
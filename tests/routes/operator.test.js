@@ -0,0 +1,745 @@
+const request = require('supertest');
+const express = require('express');
+const ChatService = require('../../services/ChatService');
+const AuthService = require('../../services/AuthService');
+const OperatorService = require('../../services/OperatorService');
+const CannedResponseService = require('../../services/CannedResponseService');
+const SessionRatingService = require('../../services/SessionRatingService');
+const InvitationRuleService = require('../../services/InvitationRuleService');
+const { responseFormatter } = require('../../middleware/responseFormatter');
+const { models } = require('../../models');
+const { notifyTransferRequested, notifySessionAssigned, notificationService } = require('../../routes/index');
+
+// Mock services
+jest.mock('../../services/ChatService');
+jest.mock('../../services/OperatorService');
+jest.mock('../../services/AuthService');
+jest.mock('../../services/CannedResponseService');
+jest.mock('../../services/SessionRatingService', () => ({
+  getOperatorRatings: jest.fn()
+}));
+jest.mock('../../services/InvitationRuleService', () => ({
+  listRules: jest.fn(),
+  createRule: jest.fn(),
+  updateRule: jest.fn(),
+  deleteRule: jest.fn()
+}));
+jest.mock('../../services/QueueService', () => ({
+  remove: jest.fn().mockResolvedValue({ success: true, removed: false })
+}));
+jest.mock('../../routes/index', () => ({
+  notifyTransferRequested: jest.fn().mockResolvedValue(),
+  notifySessionAssigned: jest.fn().mockResolvedValue(),
+  notificationService: {
+    listNotifications: jest.fn(),
+    getQueueStatus: jest.fn(),
+    retryFailed: jest.fn(),
+    purgeFailed: jest.fn()
+  }
+}));
+
+const operatorRouter = require('../../routes/operator');
+
+const app = express();
+app.use(express.json());
+app.use(responseFormatter);
+app.use('/api/operators', operatorRouter);
+
+describe('Operator Routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    AuthService.verifyOperatorToken.mockResolvedValue({
+      success: true,
+      operator: { id: 'operator-1', name: 'Test Operator', role: 'agent' }
+    });
+  });
+
+  const authenticateAs = (role) => {
+    AuthService.verifyOperatorToken.mockResolvedValue({
+      success: true,
+      operator: { id: 'operator-1', name: 'Test Operator', role }
+    });
+  };
+
+  describe('POST /api/operators/login', () => {
+    it('should return a token for valid credentials', async () => {
+      AuthService.login.mockResolvedValue({
+        success: true,
+        token: 'signed-token',
+        expiresIn: '12h',
+        operator: { id: 'operator-1', name: 'Test Operator' },
+        message: 'Login successful'
+      });
+
+      const response = await request(app)
+        .post('/api/operators/login')
+        .send({ email: 'operator@example.com', password: 'secret-password' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.token).toBe('signed-token');
+      expect(AuthService.login).toHaveBeenCalledWith('operator@example.com', 'secret-password');
+      expect(AuthService.verifyOperatorToken).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid credentials', async () => {
+      AuthService.login.mockResolvedValue({
+        success: false,
+        error: 'Invalid credentials',
+        message: 'Email or password is incorrect'
+      });
+
+      const response = await request(app)
+        .post('/api/operators/login')
+        .send({ email: 'operator@example.com', password: 'wrong-password' })
+        .expect(401);
+
+      expect(response.body.error.code).toBe('INVALID_CREDENTIALS');
+    });
+
+    it('should require email and password', async () => {
+      const response = await request(app)
+        .post('/api/operators/login')
+        .send({ email: 'operator@example.com' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('MISSING_CREDENTIALS');
+      expect(AuthService.login).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('authentication', () => {
+    it('should require a token for operator routes', async () => {
+      const response = await request(app)
+        .post('/api/operators/operator-1/transfer')
+        .send({ sessionId: 'session-1' })
+        .expect(401);
+
+      expect(response.body.error.code).toBe('UNAUTHORIZED');
+      expect(ChatService.requestTransfer).not.toHaveBeenCalled();
+    });
+
+    it('should not allow acting on behalf of another operator', async () => {
+      const response = await request(app)
+        .post('/api/operators/operator-2/transfer')
+        .set('Authorization', 'Bearer test-token')
+        .send({ sessionId: 'session-1' })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('FORBIDDEN');
+      expect(ChatService.requestTransfer).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('role-based access', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should only let admins batch-change statuses', async () => {
+      authenticateAs('supervisor');
+
+      const response = await request(app)
+        .put('/api/operators/batch-status')
+        .set('Authorization', 'Bearer test-token')
+        .send({ operatorIds: ['operator-2'], status: 'offline' })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('FORBIDDEN');
+      expect(OperatorService.batchUpdateOperatorStatus).not.toHaveBeenCalled();
+    });
+
+    it('should allow admins to batch-change statuses', async () => {
+      authenticateAs('admin');
+      OperatorService.batchUpdateOperatorStatus.mockResolvedValue({
+        success: true,
+        updatedCount: 1,
+        message: '1 operators updated'
+      });
+
+      await request(app)
+        .put('/api/operators/batch-status')
+        .set('Authorization', 'Bearer test-token')
+        .send({ operatorIds: ['operator-2'], status: 'offline' })
+        .expect(200);
+
+      expect(OperatorService.batchUpdateOperatorStatus).toHaveBeenCalledWith(['operator-2'], 'offline');
+    });
+
+    it('should not let agents read stats or assign operators', async () => {
+      await request(app)
+        .get('/api/operators/stats')
+        .set('Authorization', 'Bearer test-token')
+        .expect(403);
+
+      await request(app)
+        .post('/api/operators/assign')
+        .set('Authorization', 'Bearer test-token')
+        .send({})
+        .expect(403);
+
+      expect(OperatorService.getOperatorStats).not.toHaveBeenCalled();
+      expect(OperatorService.assignOperator).not.toHaveBeenCalled();
+    });
+
+    it('should let supervisors read stats', async () => {
+      authenticateAs('supervisor');
+      OperatorService.getOperatorStats.mockResolvedValue({
+        success: true,
+        stats: { total: 2 },
+        message: 'Operator statistics retrieved successfully'
+      });
+
+      const response = await request(app)
+        .get('/api/operators/stats')
+        .set('Authorization', 'Bearer test-token')
+        .expect(200);
+
+      expect(response.body.data.stats).toEqual({ total: 2 });
+    });
+
+    it('should not let agents take over sessions assigned to others', async () => {
+      jest.spyOn(models.ChatSession, 'findByPk').mockResolvedValue({ id: 'session-1', operatorId: 'operator-2' });
+
+      const response = await request(app)
+        .post('/api/operators/operator-1/assign-session')
+        .set('Authorization', 'Bearer test-token')
+        .send({ sessionId: 'session-1' })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('FORBIDDEN');
+      expect(ChatService.assignOperatorToSession).not.toHaveBeenCalled();
+    });
+
+    it('should let agents pick up waiting sessions', async () => {
+      jest.spyOn(models.ChatSession, 'findByPk').mockResolvedValue({ id: 'session-1', operatorId: null });
+      ChatService.assignOperatorToSession.mockResolvedValue({
+        success: true,
+        session: { id: 'session-1', operatorId: 'operator-1' },
+        operator: { id: 'operator-1' },
+        message: 'Operator assigned successfully'
+      });
+
+      await request(app)
+        .post('/api/operators/operator-1/assign-session')
+        .set('Authorization', 'Bearer test-token')
+        .send({ sessionId: 'session-1' })
+        .expect(200);
+
+      expect(ChatService.assignOperatorToSession).toHaveBeenCalledWith('session-1', 'operator-1', {
+        enforceCapacity: true,
+        allowReassign: false
+      });
+      expect(notifySessionAssigned).toHaveBeenCalledWith(expect.objectContaining({
+        session: expect.objectContaining({ id: 'session-1' }),
+        operator: expect.objectContaining({ id: 'operator-1' })
+      }));
+    });
+
+    it('should refuse operators at their concurrent session limit', async () => {
+      jest.spyOn(models.ChatSession, 'findByPk').mockResolvedValue({ id: 'session-1', operatorId: null });
+      ChatService.assignOperatorToSession.mockResolvedValue({
+        success: false,
+        error: 'Operator at capacity',
+        message: 'Operator already has 5 of 5 concurrent sessions'
+      });
+
+      const response = await request(app)
+        .post('/api/operators/operator-1/assign-session')
+        .set('Authorization', 'Bearer test-token')
+        .send({ sessionId: 'session-1' })
+        .expect(409);
+
+      expect(response.body.error.code).toBe('OPERATOR_AT_CAPACITY');
+      expect(notifySessionAssigned).not.toHaveBeenCalled();
+    });
+
+    it('should let supervisors reassign sessions to another operator', async () => {
+      authenticateAs('supervisor');
+      ChatService.assignOperatorToSession.mockResolvedValue({
+        success: true,
+        session: { id: 'session-1', operatorId: 'operator-3' },
+        operator: { id: 'operator-3' },
+        message: 'Operator assigned successfully'
+      });
+
+      await request(app)
+        .post('/api/operators/operator-3/assign-session')
+        .set('Authorization', 'Bearer test-token')
+        .send({ sessionId: 'session-1' })
+        .expect(200);
+
+      expect(ChatService.assignOperatorToSession).toHaveBeenCalledWith('session-1', 'operator-3', {
+        enforceCapacity: true,
+        allowReassign: true
+      });
+    });
+  });
+
+  describe('PUT /api/operators/:operatorId/status', () => {
+    it('should return 404 for an unknown operator', async () => {
+      authenticateAs('supervisor');
+      OperatorService.updateOperatorStatus.mockResolvedValue({
+        success: false,
+        error: 'Operator not found',
+        message: 'Operator does not exist'
+      });
+
+      const response = await request(app)
+        .put('/api/operators/operator-9/status')
+        .set('Authorization', 'Bearer test-token')
+        .send({ status: 'online' })
+        .expect(404);
+
+      expect(response.body.error.code).toBe('OPERATOR_NOT_FOUND');
+    });
+  });
+
+  describe('POST /api/operators/:operatorId/transfer', () => {
+    it('should request a transfer to another operator', async () => {
+      const transferResult = {
+        success: true,
+        session: { id: 'session-1', operatorId: 'operator-1' },
+        transfer: { id: 'transfer-1', fromOperatorId: 'operator-1', toOperatorId: 'operator-2', status: 'pending' },
+        requeued: false,
+        message: 'Transfer requested successfully'
+      };
+      ChatService.requestTransfer.mockResolvedValue(transferResult);
+
+      const response = await request(app)
+        .post('/api/operators/operator-1/transfer')
+        .set('Authorization', 'Bearer test-token')
+        .send({ sessionId: 'session-1', toOperatorId: 'operator-2', note: 'Needs billing' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.transfer.status).toBe('pending');
+      expect(response.body.data.requeued).toBe(false);
+      expect(ChatService.requestTransfer).toHaveBeenCalledWith('session-1', 'operator-1', {
+        toOperatorId: 'operator-2',
+        note: 'Needs billing'
+      });
+      expect(notifyTransferRequested).toHaveBeenCalledWith(transferResult);
+    });
+
+    it('should return the session to the queue without a target', async () => {
+      ChatService.requestTransfer.mockResolvedValue({
+        success: true,
+        session: { id: 'session-1', operatorId: null },
+        transfer: { id: 'transfer-1', fromOperatorId: 'operator-1', toOperatorId: null, status: 'requeued' },
+        requeued: true,
+        message: 'Session returned to queue successfully'
+      });
+
+      const response = await request(app)
+        .post('/api/operators/operator-1/transfer')
+        .set('Authorization', 'Bearer test-token')
+        .send({ sessionId: 'session-1' })
+        .expect(200);
+
+      expect(response.body.data.requeued).toBe(true);
+      expect(ChatService.requestTransfer).toHaveBeenCalledWith('session-1', 'operator-1', {
+        toOperatorId: null,
+        note: null
+      });
+    });
+
+    it('should require a session ID', async () => {
+      const response = await request(app)
+        .post('/api/operators/operator-1/transfer')
+        .set('Authorization', 'Bearer test-token')
+        .send({})
+        .expect(400);
+
+      expect(response.body.error.code).toBe('MISSING_SESSION_ID');
+      expect(ChatService.requestTransfer).not.toHaveBeenCalled();
+    });
+
+    it('should reject transfers by operators not assigned to the session', async () => {
+      AuthService.verifyOperatorToken.mockResolvedValue({
+        success: true,
+        operator: { id: 'operator-2', name: 'Other Operator' }
+      });
+      ChatService.requestTransfer.mockResolvedValue({
+        success: false,
+        error: 'Not session operator',
+        message: 'Only the operator assigned to the session can transfer it'
+      });
+
+      const response = await request(app)
+        .post('/api/operators/operator-2/transfer')
+        .set('Authorization', 'Bearer test-token')
+        .send({ sessionId: 'session-1', toOperatorId: 'operator-3' })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('TRANSFER_FAILED');
+      expect(notifyTransferRequested).not.toHaveBeenCalled();
+    });
+
+    it('should handle session not found', async () => {
+      ChatService.requestTransfer.mockResolvedValue({
+        success: false,
+        error: 'Session not found',
+        message: 'Chat session does not exist'
+      });
+
+      await request(app)
+        .post('/api/operators/operator-1/transfer')
+        .set('Authorization', 'Bearer test-token')
+        .send({ sessionId: 'missing' })
+        .expect(404);
+    });
+  });
+
+  describe('canned responses', () => {
+    const cannedResponseId = '3c1d2e4f-5a6b-4c7d-8e9f-0a1b2c3d4e5f';
+
+    const mockCannedResponse = (overrides = {}) => ({
+      id: cannedResponseId,
+      title: 'Greeting',
+      body: 'Hello {{userName}}',
+      scope: 'personal',
+      ownerId: 'operator-1',
+      isPersonal() {
+        return this.scope === 'personal';
+      },
+      ...overrides
+    });
+
+    it('should list the canned responses available to the operator', async () => {
+      CannedResponseService.listCannedResponses.mockResolvedValue({
+        success: true,
+        cannedResponses: [{ id: cannedResponseId, title: 'Greeting' }],
+        count: 1,
+        message: 'Canned responses retrieved successfully'
+      });
+
+      const response = await request(app)
+        .get('/api/operators/operator-1/canned-responses?groupName=VIP&tag=billing')
+        .set('Authorization', 'Bearer test-token')
+        .expect(200);
+
+      expect(response.body.data.count).toBe(1);
+      expect(CannedResponseService.listCannedResponses).toHaveBeenCalledWith('operator-1', {
+        groupName: 'VIP',
+        tag: 'billing',
+        search: undefined
+      });
+    });
+
+    it('should create a personal canned response', async () => {
+      CannedResponseService.createCannedResponse.mockResolvedValue({
+        success: true,
+        cannedResponse: { id: cannedResponseId, title: 'Greeting' },
+        message: 'Canned response created successfully'
+      });
+
+      await request(app)
+        .post('/api/operators/operator-1/canned-responses')
+        .set('Authorization', 'Bearer test-token')
+        .send({ title: 'Greeting', body: 'Hello {{userName}}', shortcut: 'hi', tags: ['welcome'] })
+        .expect(201);
+
+      expect(CannedResponseService.createCannedResponse).toHaveBeenCalledWith('operator-1', expect.objectContaining({
+        title: 'Greeting',
+        shortcut: 'hi'
+      }));
+    });
+
+    it('should only let supervisors create global canned responses', async () => {
+      await request(app)
+        .post('/api/operators/operator-1/canned-responses')
+        .set('Authorization', 'Bearer test-token')
+        .send({ title: 'Hours', body: 'We are open 9-18', scope: 'global' })
+        .expect(403);
+
+      authenticateAs('supervisor');
+      CannedResponseService.createCannedResponse.mockResolvedValue({
+        success: true,
+        cannedResponse: { id: cannedResponseId },
+        message: 'Canned response created successfully'
+      });
+
+      await request(app)
+        .post('/api/operators/operator-1/canned-responses')
+        .set('Authorization', 'Bearer test-token')
+        .send({ title: 'Hours', body: 'We are open 9-18', scope: 'global' })
+        .expect(201);
+    });
+
+    it('should require a group name for group canned responses', async () => {
+      authenticateAs('supervisor');
+
+      const response = await request(app)
+        .post('/api/operators/operator-1/canned-responses')
+        .set('Authorization', 'Bearer test-token')
+        .send({ title: 'VIP', body: 'Welcome back', scope: 'group' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+      expect(CannedResponseService.createCannedResponse).not.toHaveBeenCalled();
+    });
+
+    it('should not let agents edit shared canned responses', async () => {
+      CannedResponseService.getCannedResponse.mockResolvedValue({
+        success: true,
+        cannedResponse: mockCannedResponse({ scope: 'global' })
+      });
+
+      await request(app)
+        .put(`/api/operators/operator-1/canned-responses/${cannedResponseId}`)
+        .set('Authorization', 'Bearer test-token')
+        .send({ body: 'Changed' })
+        .expect(403);
+
+      expect(CannedResponseService.updateCannedResponse).not.toHaveBeenCalled();
+    });
+
+    it('should update and delete personal canned responses', async () => {
+      const cannedResponse = mockCannedResponse();
+      CannedResponseService.getCannedResponse.mockResolvedValue({ success: true, cannedResponse });
+      CannedResponseService.updateCannedResponse.mockResolvedValue({
+        success: true,
+        cannedResponse,
+        message: 'Canned response updated successfully'
+      });
+      CannedResponseService.deleteCannedResponse.mockResolvedValue({
+        success: true,
+        message: 'Canned response deleted successfully'
+      });
+
+      await request(app)
+        .put(`/api/operators/operator-1/canned-responses/${cannedResponseId}`)
+        .set('Authorization', 'Bearer test-token')
+        .send({ body: 'Hi {{userName}}' })
+        .expect(200);
+      await request(app)
+        .delete(`/api/operators/operator-1/canned-responses/${cannedResponseId}`)
+        .set('Authorization', 'Bearer test-token')
+        .expect(200);
+
+      expect(CannedResponseService.getCannedResponse).toHaveBeenCalledWith('operator-1', cannedResponseId);
+      expect(CannedResponseService.updateCannedResponse).toHaveBeenCalledWith(cannedResponse, { body: 'Hi {{userName}}' });
+      expect(CannedResponseService.deleteCannedResponse).toHaveBeenCalledWith(cannedResponse);
+    });
+
+    it('should not expose other operators\' canned responses', async () => {
+      await request(app)
+        .get('/api/operators/operator-2/canned-responses')
+        .set('Authorization', 'Bearer test-token')
+        .expect(403);
+
+      CannedResponseService.getCannedResponse.mockResolvedValue({
+        success: false,
+        error: 'Canned response not found',
+        message: 'Canned response does not exist'
+      });
+
+      const response = await request(app)
+        .delete(`/api/operators/operator-1/canned-responses/${cannedResponseId}`)
+        .set('Authorization', 'Bearer test-token')
+        .expect(404);
+
+      expect(response.body.error.code).toBe('CANNED_RESPONSE_NOT_FOUND');
+    });
+  });
+
+  describe('satisfaction ratings', () => {
+    it('should list the ratings of the current operator', async () => {
+      SessionRatingService.getOperatorRatings.mockResolvedValue({
+        success: true,
+        ratings: [{ id: 'rating-1', rating: 5, comment: 'Great' }],
+        summary: { count: 1, average: 5 },
+        pagination: { total: 1, limit: 10, offset: 0, hasMore: false },
+        message: 'Ratings retrieved successfully'
+      });
+
+      const response = await request(app)
+        .get('/api/operators/operator-1/ratings')
+        .query({ limit: '10', startDate: '2024-03-01' })
+        .set('Authorization', 'Bearer test-token')
+        .expect(200);
+
+      expect(response.body.data.summary).toEqual({ count: 1, average: 5 });
+      expect(response.body.data.ratings).toHaveLength(1);
+      expect(SessionRatingService.getOperatorRatings).toHaveBeenCalledWith('operator-1', {
+        limit: 10,
+        offset: 0,
+        startDate: '2024-03-01',
+        endDate: undefined
+      });
+    });
+
+    it('should not let agents read other operators\' ratings', async () => {
+      await request(app)
+        .get('/api/operators/operator-2/ratings')
+        .set('Authorization', 'Bearer test-token')
+        .expect(403);
+
+      expect(SessionRatingService.getOperatorRatings).not.toHaveBeenCalled();
+    });
+
+    it('should pass the rating period to the operator stats', async () => {
+      authenticateAs('supervisor');
+      OperatorService.getOperatorStats.mockResolvedValue({
+        success: true,
+        stats: { total: 2, ratings: { count: 0, average: null } },
+        message: 'Operator statistics retrieved successfully'
+      });
+
+      await request(app)
+        .get('/api/operators/stats')
+        .query({ period: 'month', startDate: '2024-01-01' })
+        .set('Authorization', 'Bearer test-token')
+        .expect(200);
+
+      expect(OperatorService.getOperatorStats).toHaveBeenCalledWith({
+        startDate: '2024-01-01',
+        endDate: undefined,
+        period: 'month'
+      });
+
+      const response = await request(app)
+        .get('/api/operators/stats')
+        .query({ period: 'week' })
+        .set('Authorization', 'Bearer test-token')
+        .expect(400);
+
+      expect(response.body.error.details.map(detail => detail.field)).toEqual(['period']);
+    });
+  });
+
+  describe('invitation rules', () => {
+    const ruleId = '3f1c2a4e-8b7d-4c6e-9a5f-1d2e3c4b5a69';
+
+    it('should let supervisors create rules', async () => {
+      authenticateAs('supervisor');
+      InvitationRuleService.createRule.mockResolvedValue({
+        success: true,
+        rule: { id: ruleId, pagePattern: '/pricing', minSecondsOnPage: 60 },
+        message: 'Invitation rule created successfully'
+      });
+
+      const response = await request(app)
+        .post('/api/operators/invitation-rules')
+        .set('Authorization', 'Bearer test-token')
+        .send({ pagePattern: '/pricing', minSecondsOnPage: '60', message: 'Questions about our plans?' })
+        .expect(201);
+
+      expect(response.body.data.rule.id).toBe(ruleId);
+      expect(InvitationRuleService.createRule).toHaveBeenCalledWith({
+        pagePattern: '/pricing',
+        minSecondsOnPage: 60,
+        message: 'Questions about our plans?'
+      }, 'operator-1');
+    });
+
+    it('should not let agents manage rules', async () => {
+      await request(app)
+        .post('/api/operators/invitation-rules')
+        .set('Authorization', 'Bearer test-token')
+        .send({ pagePattern: '/pricing', message: 'Hi' })
+        .expect(403);
+
+      expect(InvitationRuleService.createRule).not.toHaveBeenCalled();
+    });
+
+    it('should validate rules and report missing ones', async () => {
+      authenticateAs('supervisor');
+
+      const invalid = await request(app)
+        .post('/api/operators/invitation-rules')
+        .set('Authorization', 'Bearer test-token')
+        .send({ pagePattern: '/pricing', minSecondsOnPage: 7200 })
+        .expect(400);
+      expect(new Set(invalid.body.error.details.map(detail => detail.field))).toEqual(new Set(['message', 'minSecondsOnPage']));
+
+      InvitationRuleService.updateRule.mockResolvedValue({
+        success: false,
+        error: 'Invitation rule not found',
+        message: 'Invitation rule does not exist'
+      });
+
+      const missing = await request(app)
+        .put(`/api/operators/invitation-rules/${ruleId}`)
+        .set('Authorization', 'Bearer test-token')
+        .send({ active: false })
+        .expect(404);
+      expect(missing.body.error.code).toBe('INVITATION_RULE_NOT_FOUND');
+      expect(InvitationRuleService.updateRule).toHaveBeenCalledWith(ruleId, { active: false });
+    });
+  });
+
+  describe('notification outbox', () => {
+    const notificationId = '3f1c2a4e-8b7d-4c6e-9a5f-1d2e3c4b5a69';
+
+    it('should list failed notifications with the outbox status for admins', async () => {
+      authenticateAs('admin');
+      notificationService.listNotifications.mockResolvedValue({
+        success: true,
+        notifications: [{ id: notificationId, status: 'dead', lastError: 'HTTP 500' }],
+        pagination: { total: 1, limit: 20, offset: 0, hasMore: false },
+        message: 'Notifications retrieved successfully'
+      });
+      notificationService.getQueueStatus.mockResolvedValue({
+        queueLength: 2, pending: 2, processing: 0, delivered: 5, dead: 1, configured: true
+      });
+
+      const response = await request(app)
+        .get('/api/operators/notifications')
+        .set('Authorization', 'Bearer test-token')
+        .expect(200);
+
+      expect(notificationService.listNotifications).toHaveBeenCalledWith({ status: 'dead', limit: 20, offset: 0 });
+      expect(response.body.data.notifications).toHaveLength(1);
+      expect(response.body.data.queueStatus.dead).toBe(1);
+    });
+
+    it('should only let admins manage notifications', async () => {
+      authenticateAs('supervisor');
+
+      await request(app)
+        .post('/api/operators/notifications/retry')
+        .set('Authorization', 'Bearer test-token')
+        .expect(403);
+
+      expect(notificationService.retryFailed).not.toHaveBeenCalled();
+    });
+
+    it('should retry a failed notification and report ones that cannot be retried', async () => {
+      authenticateAs('admin');
+      notificationService.retryFailed
+        .mockResolvedValueOnce({ success: true, count: 1, message: '1 notifications scheduled for retry' })
+        .mockResolvedValueOnce({ success: false, error: 'Notification not failed', message: 'Only failed notifications can be retried' });
+
+      const retried = await request(app)
+        .post(`/api/operators/notifications/${notificationId}/retry`)
+        .set('Authorization', 'Bearer test-token')
+        .expect(200);
+
+      expect(retried.body.data.retriedCount).toBe(1);
+      expect(notificationService.retryFailed).toHaveBeenCalledWith(notificationId);
+
+      const rejected = await request(app)
+        .post(`/api/operators/notifications/${notificationId}/retry`)
+        .set('Authorization', 'Bearer test-token')
+        .expect(409);
+
+      expect(rejected.body.error.code).toBe('NOTIFICATION_NOT_FAILED');
+    });
+
+    it('should purge failed notifications older than the given date', async () => {
+      authenticateAs('admin');
+      notificationService.purgeFailed.mockResolvedValue({ success: true, count: 3, message: '3 failed notifications purged' });
+
+      const response = await request(app)
+        .delete('/api/operators/notifications')
+        .query({ before: '2024-03-01' })
+        .set('Authorization', 'Bearer test-token')
+        .expect(200);
+
+      expect(response.body.data.purgedCount).toBe(3);
+      expect(notificationService.purgeFailed).toHaveBeenCalledWith({ before: '2024-03-01' });
+    });
+  });
+});
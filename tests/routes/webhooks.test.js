@@ -0,0 +1,134 @@
+const request = require('supertest');
+const express = require('express');
+const AuthService = require('../../services/AuthService');
+const WebhookService = require('../../services/WebhookService');
+const { responseFormatter } = require('../../middleware/responseFormatter');
+
+jest.mock('../../services/AuthService');
+jest.mock('../../services/WebhookService', () => ({
+  listWebhooks: jest.fn(),
+  createWebhook: jest.fn(),
+  getWebhook: jest.fn(),
+  updateWebhook: jest.fn(),
+  deleteWebhook: jest.fn(),
+  getDeliveries: jest.fn()
+}));
+
+const webhooksRouter = require('../../routes/webhooks');
+
+const app = express();
+app.use(express.json());
+app.use(responseFormatter);
+app.use('/api/webhooks', webhooksRouter);
+
+describe('Webhook Routes', () => {
+  const webhookId = '3f1c2a4e-8b7d-4c6e-9a5f-1d2e3c4b5a69';
+
+  const authenticateAs = (role) => {
+    AuthService.verifyOperatorToken.mockResolvedValue({
+      success: true,
+      operator: { id: 'operator-1', name: 'Test Operator', role }
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    authenticateAs('admin');
+  });
+
+  it('should only let admins manage webhooks', async () => {
+    authenticateAs('supervisor');
+
+    await request(app)
+      .get('/api/webhooks')
+      .set('Authorization', 'Bearer test-token')
+      .expect(403);
+
+    expect(WebhookService.listWebhooks).not.toHaveBeenCalled();
+  });
+
+  it('should list the event catalogue', async () => {
+    const response = await request(app)
+      .get('/api/webhooks/events')
+      .set('Authorization', 'Bearer test-token')
+      .expect(200);
+
+    expect(response.body.data.events).toContain('session.created');
+    expect(response.body.data.events).toContain('rating.submitted');
+  });
+
+  it('should create a webhook and return its secret once', async () => {
+    WebhookService.createWebhook.mockResolvedValue({
+      success: true,
+      webhook: { id: webhookId, url: 'https://crm.example.com/hooks', events: ['session.created'] },
+      secret: 'whsec_generated',
+      message: 'Webhook created successfully'
+    });
+
+    const response = await request(app)
+      .post('/api/webhooks')
+      .set('Authorization', 'Bearer test-token')
+      .send({ url: 'https://crm.example.com/hooks', events: ['session.created'] })
+      .expect(201);
+
+    expect(response.body.data.secret).toBe('whsec_generated');
+    expect(WebhookService.createWebhook).toHaveBeenCalledWith(
+      { url: 'https://crm.example.com/hooks', events: ['session.created'] },
+      'operator-1'
+    );
+  });
+
+  it('should validate the webhook fields', async () => {
+    const response = await request(app)
+      .post('/api/webhooks')
+      .set('Authorization', 'Bearer test-token')
+      .send({ url: 'ftp://crm.example.com', events: [] })
+      .expect(400);
+
+    expect(response.body.error.details.map(detail => detail.field)).toEqual(['url', 'events']);
+    expect(WebhookService.createWebhook).not.toHaveBeenCalled();
+  });
+
+  it('should map unknown events to INVALID_WEBHOOK', async () => {
+    WebhookService.updateWebhook.mockResolvedValue({
+      success: false,
+      error: 'Invalid webhook',
+      message: 'Unknown events: session.deleted'
+    });
+
+    const response = await request(app)
+      .put(`/api/webhooks/${webhookId}`)
+      .set('Authorization', 'Bearer test-token')
+      .send({ events: ['session.deleted'] })
+      .expect(400);
+
+    expect(response.body.error.code).toBe('INVALID_WEBHOOK');
+  });
+
+  it('should list the deliveries of a webhook', async () => {
+    WebhookService.getDeliveries
+      .mockResolvedValueOnce({
+        success: true,
+        deliveries: [{ id: 'delivery-1', type: 'session.created', status: 'delivered', responseStatus: 200 }],
+        pagination: { total: 1, limit: 10, offset: 0, hasMore: false },
+        message: 'Webhook deliveries retrieved successfully'
+      })
+      .mockResolvedValueOnce({ success: false, error: 'Webhook not found', message: 'Webhook does not exist' });
+
+    const response = await request(app)
+      .get(`/api/webhooks/${webhookId}/deliveries`)
+      .query({ status: 'delivered', limit: '10' })
+      .set('Authorization', 'Bearer test-token')
+      .expect(200);
+
+    expect(response.body.data.deliveries).toHaveLength(1);
+    expect(WebhookService.getDeliveries).toHaveBeenCalledWith(webhookId, { status: 'delivered', limit: 10, offset: 0 });
+
+    const missing = await request(app)
+      .get(`/api/webhooks/${webhookId}/deliveries`)
+      .set('Authorization', 'Bearer test-token')
+      .expect(404);
+
+    expect(missing.body.error.code).toBe('WEBHOOK_NOT_FOUND');
+  });
+});
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const AttachmentService = require('../../services/AttachmentService');
+const { LocalDiskStorage } = require('../../services/storage');
+const { models } = require('../../models');
+const { ChatSession, ChatMessage } = models;
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+describe('AttachmentService', () => {
+  let storageDir;
+  let session;
+  let png;
+
+  beforeAll(async () => {
+    png = await sharp({
+      create: { width: 800, height: 400, channels: 3, background: '#3366ff' }
+    }).png().toBuffer();
+  });
+
+  beforeEach(async () => {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+    AttachmentService.storage = new LocalDiskStorage({ rootDir: storageDir });
+
+    session = await ChatSession.create({
+      userId: 'attachment-user',
+      operatorId: null,
+      status: 'active'
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  const file = (overrides = {}) => ({
+    buffer: png,
+    originalname: 'photo.png',
+    mimetype: 'image/png',
+    size: png.length,
+    ...overrides
+  });
+
+  describe('validateFile', () => {
+    it('should classify images and documents', () => {
+      const pdf = Buffer.from('%PDF-1.4 test');
+
+      expect(AttachmentService.validateFile(file()).messageType).toBe('image');
+      expect(AttachmentService.validateFile(file({
+        buffer: pdf,
+        mimetype: 'application/pdf',
+        size: pdf.length
+      })).messageType).toBe('file');
+    });
+
+    it('should reject files over the size limit', () => {
+      const result = AttachmentService.validateFile(file({ size: AttachmentService.maxFileSize + 1 }));
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('File too large');
+    });
+
+    it('should reject types that are not allowed', () => {
+      const result = AttachmentService.validateFile(file({ mimetype: 'application/x-msdownload' }));
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Unsupported file type');
+    });
+
+    it('should reject content that does not match the declared type', () => {
+      const script = Buffer.from('<script>alert(1)</script>');
+
+      const result = AttachmentService.validateFile(file({ buffer: script, size: script.length }));
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Unsupported file type');
+    });
+  });
+
+  describe('uploadAttachment', () => {
+    it('should store an image with a thumbnail and create an image message', async () => {
+      const result = await AttachmentService.uploadAttachment(
+        session.id,
+        { id: 'attachment-user', type: 'user' },
+        file()
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.message.messageType).toBe('image');
+      expect(result.message.content).toBe('photo.png');
+      expect(result.attachment.messageId).toBe(result.message.id);
+      expect(result.attachment.width).toBe(800);
+      expect(result.attachment.height).toBe(400);
+
+      const thumbnail = await readStream(await AttachmentService.storage.createReadStream(result.attachment.thumbnailKey));
+      const metadata = await sharp(thumbnail).metadata();
+      expect(metadata.format).toBe('webp');
+      expect(metadata.width).toBe(AttachmentService.thumbnailSize);
+    });
+
+    it('should create a file message for documents without a thumbnail', async () => {
+      const pdf = Buffer.from('%PDF-1.4 test');
+
+      const result = await AttachmentService.uploadAttachment(
+        session.id,
+        { id: 'operator-1', type: 'operator' },
+        file({ buffer: pdf, originalname: 'report.pdf', mimetype: 'application/pdf', size: pdf.length }),
+        { caption: 'Your invoice' }
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.message.messageType).toBe('file');
+      expect(result.message.content).toBe('Your invoice');
+      expect(result.attachment.thumbnailKey).toBeNull();
+
+      const opened = await AttachmentService.openAttachment(result.attachment);
+      expect(opened.mimeType).toBe('application/pdf');
+      expect((await readStream(opened.stream)).equals(pdf)).toBe(true);
+    });
+
+    it('should not store anything for closed sessions', async () => {
+      await session.close();
+
+      const result = await AttachmentService.uploadAttachment(
+        session.id,
+        { id: 'attachment-user', type: 'user' },
+        file()
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Session closed');
+      expect(fs.readdirSync(storageDir)).toHaveLength(0);
+      expect(await ChatMessage.count({ where: { sessionId: session.id } })).toBe(0);
+    });
+
+    it('should reject images that cannot be decoded', async () => {
+      const broken = Buffer.concat([png.subarray(0, 16), Buffer.alloc(32)]);
+
+      const result = await AttachmentService.uploadAttachment(
+        session.id,
+        { id: 'attachment-user', type: 'user' },
+        file({ buffer: broken, size: broken.length })
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Invalid image');
+    });
+  });
+
+  describe('LocalDiskStorage', () => {
+    it('should reject keys outside the storage directory', async () => {
+      await expect(AttachmentService.storage.save('../escape.txt', Buffer.from('x')))
+        .rejects.toThrow('Invalid storage key');
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const jwt = require('jsonwebtoken');
+const AuthService = require('../../services/AuthService');
+const { models } = require('../../models');
+const { Operator } = models;
+
+describe('AuthService', () => {
+  let operator;
+
+  beforeEach(async () => {
+    operator = await Operator.create({
+      name: 'Auth Operator',
+      email: 'auth@test.com',
+      password: 'correct-horse',
+      status: 'offline'
+    });
+  });
+
+  describe('login', () => {
+    it('should return a token for valid credentials', async () => {
+      const result = await AuthService.login('auth@test.com', 'correct-horse');
+
+      expect(result.success).toBe(true);
+      expect(result.token).toBeDefined();
+      expect(result.operator.id).toBe(operator.id);
+
+      const payload = jwt.verify(result.token, AuthService.getSecret());
+      expect(payload.sub).toBe(operator.id);
+      expect(payload.type).toBe('operator');
+    });
+
+    it('should reject a wrong password', async () => {
+      const result = await AuthService.login('auth@test.com', 'wrong-password');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Invalid credentials');
+    });
+
+    it('should reject an unknown email with the same error', async () => {
+      const result = await AuthService.login('unknown@test.com', 'correct-horse');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Invalid credentials');
+    });
+
+    it('should reject operators without a password', async () => {
+      await Operator.create({ name: 'No Password', email: 'nopassword@test.com' });
+
+      const result = await AuthService.login('nopassword@test.com', '');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Invalid credentials');
+    });
+  });
+
+  describe('verifyOperatorToken', () => {
+    it('should load the operator for a valid token', async () => {
+      const token = AuthService.signOperatorToken(operator);
+
+      const result = await AuthService.verifyOperatorToken(token);
+
+      expect(result.success).toBe(true);
+      expect(result.operator.id).toBe(operator.id);
+    });
+
+    it('should reject an expired token', async () => {
+      const token = jwt.sign(
+        { sub: operator.id, type: 'operator' },
+        AuthService.getSecret(),
+        { expiresIn: -10 }
+      );
+
+      const result = await AuthService.verifyOperatorToken(token);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Token expired');
+    });
+
+    it('should reject a token signed with another secret', async () => {
+      const token = jwt.sign({ sub: operator.id, type: 'operator' }, 'another-secret');
+
+      const result = await AuthService.verifyOperatorToken(token);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Invalid token');
+    });
+
+    it('should reject a token for a deleted operator', async () => {
+      const token = AuthService.signOperatorToken(operator);
+      await operator.destroy();
+
+      const result = await AuthService.verifyOperatorToken(token);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Invalid token');
+    });
+
+    it('should reject a missing token', async () => {
+      const result = await AuthService.verifyOperatorToken(null);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Invalid token');
+    });
+  });
+
+  describe('verifyApiKey', () => {
+    const originalKeys = process.env.INTEGRATION_API_KEYS;
+
+    afterEach(() => {
+      if (originalKeys === undefined) {
+        delete process.env.INTEGRATION_API_KEYS;
+      } else {
+        process.env.INTEGRATION_API_KEYS = originalKeys;
+      }
+    });
+
+    it('should return the integration name for a configured key', () => {
+      process.env.INTEGRATION_API_KEYS = 'crm:crm-secret-key, ticketing:ticket-secret-key';
+
+      const result = AuthService.verifyApiKey('ticket-secret-key');
+
+      expect(result.success).toBe(true);
+      expect(result.integration).toEqual({ name: 'ticketing' });
+    });
+
+    it('should use a default name for keys without one', () => {
+      process.env.INTEGRATION_API_KEYS = 'plain-secret-key';
+
+      expect(AuthService.verifyApiKey('plain-secret-key').integration).toEqual({ name: 'integration' });
+    });
+
+    it('should reject unknown keys', () => {
+      process.env.INTEGRATION_API_KEYS = 'crm:crm-secret-key';
+
+      const result = AuthService.verifyApiKey('crm');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Invalid API key');
+    });
+
+    it('should reject all keys when none are configured', () => {
+      delete process.env.INTEGRATION_API_KEYS;
+
+      const result = AuthService.verifyApiKey('anything');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('API keys not configured');
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const CannedResponseService = require('../../services/CannedResponseService');
+const { models } = require('../../models');
+const { Operator, CannedResponse } = models;
+
+describe('CannedResponseService', () => {
+  let alice;
+  let bob;
+
+  beforeEach(async () => {
+    alice = await Operator.create({ name: 'Alice', email: `alice-${Date.now()}@example.com` });
+    bob = await Operator.create({ name: 'Bob', email: `bob-${Date.now()}@example.com` });
+  });
+
+  afterEach(async () => {
+    await CannedResponse.destroy({ where: {} });
+  });
+
+  const create = (ownerId, data) => CannedResponse.create({ ownerId, ...data });
+
+  describe('listCannedResponses', () => {
+    beforeEach(async () => {
+      await create(alice.id, { title: 'Alice greeting', body: 'Hi!', tags: ['welcome'] });
+      await create(bob.id, { title: 'Bob greeting', body: 'Hello!' });
+      await create(bob.id, { title: 'Opening hours', body: 'We are open 9-18', scope: 'global', usageCount: 5 });
+      await create(bob.id, { title: 'VIP line', body: 'Call our VIP line', scope: 'group', groupName: 'VIP', tags: ['welcome'] });
+      await create(bob.id, { title: 'Retail line', body: 'Call our store', scope: 'group', groupName: 'Retail' });
+    });
+
+    it('should return own personal, group and global responses ordered by usage', async () => {
+      const result = await CannedResponseService.listCannedResponses(alice.id);
+
+      expect(result.success).toBe(true);
+      expect(result.cannedResponses.map(item => item.title)).toEqual([
+        'Opening hours',
+        'Alice greeting',
+        'Retail line',
+        'VIP line'
+      ]);
+    });
+
+    it('should filter by group, tag and search text', async () => {
+      const byGroup = await CannedResponseService.listCannedResponses(alice.id, { groupName: 'VIP' });
+      const byTag = await CannedResponseService.listCannedResponses(alice.id, { tag: 'welcome' });
+      const bySearch = await CannedResponseService.listCannedResponses(alice.id, { search: 'open' });
+
+      expect(byGroup.cannedResponses.map(item => item.title)).toEqual(['Opening hours', 'Alice greeting', 'VIP line']);
+      expect(byTag.cannedResponses.map(item => item.title)).toEqual(['Alice greeting', 'VIP line']);
+      expect(bySearch.cannedResponses.map(item => item.title)).toEqual(['Opening hours']);
+    });
+  });
+
+  describe('getCannedResponse', () => {
+    it('should hide personal responses of other operators', async () => {
+      const personal = await create(bob.id, { title: 'Bob greeting', body: 'Hello!' });
+
+      const result = await CannedResponseService.getCannedResponse(alice.id, personal.id);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Canned response not found');
+    });
+  });
+
+  describe('createCannedResponse', () => {
+    it('should report model validation errors', async () => {
+      const result = await CannedResponseService.createCannedResponse(alice.id, {
+        title: 'VIP',
+        body: 'Welcome back',
+        scope: 'group'
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Invalid canned response');
+      expect(result.message).toContain('Group name is required for group scope');
+    });
+
+    it('should ignore fields that are not editable', async () => {
+      const result = await CannedResponseService.createCannedResponse(alice.id, {
+        title: 'Thanks',
+        body: 'Thank you!',
+        ownerId: bob.id,
+        usageCount: 100
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.cannedResponse.ownerId).toBe(alice.id);
+      expect(result.cannedResponse.usageCount).toBe(0);
+    });
+  });
+
+  describe('renderForSession', () => {
+    it('should fill placeholders from the session', async () => {
+      const cannedResponse = await create(alice.id, {
+        title: 'Greeting',
+        body: 'Hello {{userName}}, this is {{operatorName}} from {{groupName}}. {{unknown}}'
+      });
+
+      const result = await CannedResponseService.renderForSession(
+        { id: alice.id, name: 'Alice' },
+        cannedResponse.id,
+        { userName: 'Carol', groupName: 'VIP' }
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.content).toBe('Hello Carol, this is Alice from VIP. {{unknown}}');
+    });
+
+    it('should not use group responses in sessions of another group', async () => {
+      const cannedResponse = await create(bob.id, { title: 'VIP line', body: 'Call our VIP line', scope: 'group', groupName: 'VIP' });
+
+      const result = await CannedResponseService.renderForSession(
+        { id: alice.id, name: 'Alice' },
+        cannedResponse.id,
+        { userName: 'Dave', groupName: 'Retail' }
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Canned response not found');
+    });
+  });
+
+  describe('recordUsage', () => {
+    it('should count each use', async () => {
+      const cannedResponse = await create(alice.id, { title: 'Thanks', body: 'Thank you!' });
+
+      await CannedResponseService.recordUsage(cannedResponse);
+      await CannedResponseService.recordUsage(cannedResponse);
+      await cannedResponse.reload();
+
+      expect(cannedResponse.usageCount).toBe(2);
+      expect(cannedResponse.lastUsedAt).toBeInstanceOf(Date);
+    });
+  });
+});
@@ -1,6 +1,6 @@
 const ChatService = require('../../services/ChatService');
 const { models, sequelize } = require('../../models');
-const { ChatSession, ChatMessage, Operator } = models;
+const { ChatSession, ChatMessage, Operator, MessageReceipt, MessageRevision } = models;
 
 describe('ChatService', () => {
   let testOperator;
@@ -238,6 +238,20 @@ describe('ChatService', () => {
       expect(result.messages[0].messageType).toBe('system');
     });
 
+    it('should include receipts and delivery status', async () => {
+      await ChatService.markMessagesAsRead(testSession.id, { id: testOperator.id, type: 'operator' });
+
+      const result = await ChatService.getMessageHistory(testSession.id);
+      const [userMessage, operatorMessage] = result.messages.map(message => message.toJSON());
+
+      expect(userMessage.deliveryStatus).toBe('read');
+      expect(userMessage.receipts).toEqual([
+        expect.objectContaining({ recipientId: testOperator.id, recipientType: 'operator' })
+      ]);
+      expect(operatorMessage.deliveryStatus).toBe('sent');
+      expect(operatorMessage.receipts).toEqual([]);
+    });
+
     it('should not retrieve history for non-existent session', async () => {
       const result = await ChatService.getMessageHistory('fake-session-id');
 
@@ -352,6 +366,230 @@ describe('ChatService', () => {
     });
   });
 
+  describe('endChatSession', () => {
+    beforeEach(async () => {
+      testSession = await ChatSession.create({
+        userId: testUserId,
+        operatorId: testOperator.id,
+        status: 'active'
+      });
+    });
+
+    it('should complete an active session ended by the operator', async () => {
+      const result = await ChatService.endChatSession(testSession.id, testOperator.id);
+
+      expect(result.success).toBe(true);
+      expect(result.alreadyEnded).toBe(false);
+      expect(result.session.status).toBe('completed');
+      expect(result.session.endReason).toBe('operator_ended');
+      expect(result.session.endedBy).toBe(testOperator.id);
+      expect(result.session.closedAt).toBeInstanceOf(Date);
+      expect(result.message).toBe('Chat session ended successfully');
+    });
+
+    it('should add a system message describing the end reason', async () => {
+      await ChatService.endChatSession(testSession.id, testOperator.id);
+
+      const messages = await ChatMessage.findBySessionId(testSession.id);
+      const systemMessage = messages.find(m => m.messageType === 'system');
+      expect(systemMessage).toBeDefined();
+      expect(systemMessage.content).toBe('Chat session has been ended by the operator');
+    });
+
+    it('should close a waiting session ended by the operator', async () => {
+      const waitingSession = await ChatSession.create({
+        userId: 'waiting-user',
+        status: 'waiting'
+      });
+
+      const result = await ChatService.endChatSession(waitingSession.id, testOperator.id);
+
+      expect(result.success).toBe(true);
+      expect(result.session.status).toBe('closed');
+    });
+
+    it('should mark the session as timeout for the timeout reason', async () => {
+      const result = await ChatService.endChatSession(testSession.id, 'system', { reason: 'timeout' });
+
+      expect(result.success).toBe(true);
+      expect(result.session.status).toBe('timeout');
+      expect(result.session.endReason).toBe('timeout');
+      expect(result.session.endedBy).toBe('system');
+    });
+
+    it('should reject transitions that are not allowed', async () => {
+      const result = await ChatService.endChatSession(testSession.id, testOperator.id, {
+        reason: 'cancelled'
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Invalid status transition');
+
+      await testSession.reload();
+      expect(testSession.status).toBe('active');
+    });
+
+    it('should reject unknown end reasons', async () => {
+      const result = await ChatService.endChatSession(testSession.id, testOperator.id, {
+        reason: 'bored'
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Invalid end reason');
+    });
+
+    it('should report sessions that already ended', async () => {
+      await ChatService.endChatSession(testSession.id, testOperator.id);
+      const result = await ChatService.endChatSession(testSession.id, testOperator.id);
+
+      expect(result.success).toBe(true);
+      expect(result.alreadyEnded).toBe(true);
+      expect(result.message).toBe('Session was already ended');
+    });
+
+    it('should not end non-existent session', async () => {
+      const result = await ChatService.endChatSession('fake-session-id', testOperator.id);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Session not found');
+    });
+  });
+
+  describe('startOutboundChat', () => {
+    it('should create a waiting session with an opening system message', async () => {
+      const result = await ChatService.startOutboundChat(testUserId, {
+        userName: 'Known Customer',
+        content: 'Your order has shipped, any questions?',
+        startedBy: 'integration:crm'
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.isNew).toBe(true);
+      expect(result.session.status).toBe('waiting');
+      expect(result.session.userName).toBe('Known Customer');
+      expect(result.openingMessage.senderId).toBe('integration:crm');
+      expect(result.openingMessage.senderType).toBe('system');
+      expect(result.openingMessage.messageType).toBe('system');
+    });
+
+    it('should reuse the active session of the user', async () => {
+      const existing = await ChatSession.create({ userId: testUserId, status: 'active', operatorId: testOperator.id });
+
+      const result = await ChatService.startOutboundChat(testUserId, { content: 'Follow-up' });
+
+      expect(result.success).toBe(true);
+      expect(result.isNew).toBe(false);
+      expect(result.session.id).toBe(existing.id);
+      expect(result.openingMessage.sessionId).toBe(existing.id);
+    });
+  });
+
+  describe('startInvitedChat', () => {
+    const visitor = { userId: 'invited-user', userName: 'Invited Visitor', groupName: 'vip' };
+
+    it('should assign the inviting operator and send the invitation as their message', async () => {
+      const result = await ChatService.startInvitedChat(visitor, {
+        operatorId: testOperator.id,
+        message: 'Can I help you with pricing?'
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.isNew).toBe(true);
+      expect(result.operator.id).toBe(testOperator.id);
+      expect(result.session.operatorId).toBe(testOperator.id);
+      expect(result.session.status).toBe('active');
+      expect(result.session.groupName).toBe('vip');
+      expect(result.openingMessage.senderId).toBe(testOperator.id);
+      expect(result.openingMessage.senderType).toBe('operator');
+      expect(result.openingMessage.content).toBe('Can I help you with pricing?');
+    });
+
+    it('should leave rule invitations waiting for an operator', async () => {
+      const result = await ChatService.startInvitedChat(visitor, {
+        operatorId: null,
+        message: 'Need help choosing a plan?'
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.operator).toBeNull();
+      expect(result.session.status).toBe('waiting');
+      expect(result.openingMessage.senderType).toBe('system');
+      expect(result.openingMessage.messageType).toBe('system');
+    });
+  });
+
+  describe('updateVisitorContext', () => {
+    const visitorContext = { url: 'https://example.com/pricing', locale: 'en-US', timeOnPage: 12 };
+
+    it('should store the context on the active session of the visitor', async () => {
+      await ChatSession.create({ userId: testUserId, status: 'closed' });
+      const active = await ChatSession.create({ userId: testUserId, status: 'active', operatorId: testOperator.id });
+
+      const result = await ChatService.updateVisitorContext(testUserId, visitorContext);
+
+      expect(result.success).toBe(true);
+      expect(result.session.id).toBe(active.id);
+      await active.reload();
+      expect(active.visitorContext).toEqual(visitorContext);
+    });
+
+    it('should not count as session activity', async () => {
+      const idleSince = new Date(Date.now() - 60 * 60 * 1000);
+      const active = await ChatSession.create({ userId: testUserId, status: 'active', operatorId: testOperator.id });
+      await sequelize.query('UPDATE chat_sessions SET updatedAt = :updatedAt WHERE id = :id', {
+        replacements: { updatedAt: idleSince, id: active.id }
+      });
+
+      await ChatService.updateVisitorContext(testUserId, visitorContext);
+
+      await active.reload();
+      expect(active.visitorContext).toEqual(visitorContext);
+      expect(active.updatedAt.getTime()).toBe(idleSince.getTime());
+    });
+
+    it('should do nothing for visitors without an active session', async () => {
+      const result = await ChatService.updateVisitorContext(testUserId, visitorContext);
+
+      expect(result.success).toBe(true);
+      expect(result.session).toBeNull();
+    });
+  });
+
+  describe('updateSessionTags', () => {
+    beforeEach(async () => {
+      testSession = await ChatSession.create({
+        userId: testUserId,
+        status: 'closed',
+        tags: ['billing', 'pending']
+      });
+    });
+
+    it('should add and remove tags without duplicates', async () => {
+      const result = await ChatService.updateSessionTags(testSession.id, {
+        add: ['vip', ' billing '],
+        remove: ['pending']
+      });
+
+      expect(result.success).toBe(true);
+      await testSession.reload();
+      expect(testSession.tags).toEqual(['billing', 'vip']);
+    });
+
+    it('should reject tags that are too long', async () => {
+      const result = await ChatService.updateSessionTags(testSession.id, { add: ['x'.repeat(51)] });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Invalid tags');
+    });
+
+    it('should report missing sessions', async () => {
+      const result = await ChatService.updateSessionTags('fake-session-id', { add: ['vip'] });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Session not found');
+    });
+  });
+
   describe('assignOperatorToSession', () => {
     beforeEach(async () => {
       testSession = await ChatSession.create({
@@ -398,6 +636,24 @@ describe('ChatService', () => {
       expect(result.error).toBe('Operator not found');
     });
 
+    it('should not create operators for unknown IDs outside the test environment', async () => {
+      const nodeEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+
+      try {
+        const result = await ChatService.assignOperatorToSession(
+          testSession.id,
+          '550e8400-e29b-41d4-a716-446655440000'
+        );
+
+        expect(result.success).toBe(false);
+        expect(result.error).toBe('Operator not found');
+        expect(await Operator.count()).toBe(1);
+      } finally {
+        process.env.NODE_ENV = nodeEnv;
+      }
+    });
+
     it('should not assign unavailable operator', async () => {
       await testOperator.setOffline();
 
@@ -421,6 +677,204 @@ describe('ChatService', () => {
       expect(result.success).toBe(false);
       expect(result.error).toBe('Session closed');
     });
+
+    it('should not reactivate a session the state machine does not allow', async () => {
+      await testSession.update({ status: 'cancelled' });
+      const isEnded = jest.spyOn(ChatSession.prototype, 'isEnded').mockReturnValue(false);
+
+      const result = await ChatService.assignOperatorToSession(testSession.id, testOperator.id);
+      isEnded.mockRestore();
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Invalid status transition');
+      await testSession.reload();
+      expect(testSession.status).toBe('cancelled');
+      expect(testSession.operatorId).toBeNull();
+    });
+
+    it('should not take over a session assigned to another operator', async () => {
+      const otherOperator = await Operator.create({ name: 'Other Operator', email: 'other@example.com', status: 'online' });
+      await testSession.update({ operatorId: otherOperator.id, status: 'active' });
+
+      const result = await ChatService.assignOperatorToSession(testSession.id, testOperator.id);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Session already assigned');
+      await testSession.reload();
+      expect(testSession.operatorId).toBe(otherOperator.id);
+    });
+
+    it('should let supervisors reassign a session to another operator', async () => {
+      const otherOperator = await Operator.create({ name: 'Other Operator', email: 'other@example.com', status: 'online' });
+      await testSession.update({ operatorId: otherOperator.id, status: 'active' });
+
+      const result = await ChatService.assignOperatorToSession(testSession.id, testOperator.id, {
+        allowReassign: true
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.previousOperatorId).toBe(otherOperator.id);
+      expect(result.session.operatorId).toBe(testOperator.id);
+    });
+
+    it('should refuse operators at their concurrent session limit when capacity is enforced', async () => {
+      await testOperator.update({ maxConcurrentSessions: 1 });
+      await ChatSession.create({ userId: 'other-user', operatorId: testOperator.id, status: 'active' });
+
+      const result = await ChatService.assignOperatorToSession(testSession.id, testOperator.id, {
+        enforceCapacity: true
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Operator at capacity');
+      await testSession.reload();
+      expect(testSession.operatorId).toBeNull();
+    });
+  });
+
+  describe('requestTransfer', () => {
+    let targetOperator;
+
+    beforeEach(async () => {
+      targetOperator = await Operator.create({
+        name: 'Target Operator',
+        email: 'target@example.com',
+        status: 'online'
+      });
+
+      testSession = await ChatSession.create({
+        userId: testUserId,
+        operatorId: testOperator.id,
+        status: 'active'
+      });
+    });
+
+    it('should create a pending transfer to another operator', async () => {
+      const result = await ChatService.requestTransfer(testSession.id, testOperator.id, {
+        toOperatorId: targetOperator.id,
+        note: 'Billing question'
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.requeued).toBe(false);
+      expect(result.transfer).toMatchObject({
+        fromOperatorId: testOperator.id,
+        toOperatorId: targetOperator.id,
+        note: 'Billing question',
+        status: 'pending'
+      });
+      expect(result.systemMessage.messageType).toBe('system');
+
+      // 接受前原客服仍负责该会话
+      await testSession.reload();
+      expect(testSession.operatorId).toBe(testOperator.id);
+      expect(testSession.pendingTransfer.id).toBe(result.transfer.id);
+      expect(testSession.transferHistory).toHaveLength(1);
+    });
+
+    it('should return session to the queue when no target is given', async () => {
+      const result = await ChatService.requestTransfer(testSession.id, testOperator.id);
+
+      expect(result.success).toBe(true);
+      expect(result.requeued).toBe(true);
+      expect(result.transfer.status).toBe('requeued');
+
+      await testSession.reload();
+      expect(testSession.operatorId).toBeNull();
+      expect(testSession.pendingTransfer).toBeNull();
+      expect(testSession.transferHistory[0].status).toBe('requeued');
+    });
+
+    it('should only allow the assigned operator to transfer', async () => {
+      const result = await ChatService.requestTransfer(testSession.id, targetOperator.id, {
+        toOperatorId: testOperator.id
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Not session operator');
+    });
+
+    it('should reject unavailable target operators', async () => {
+      await targetOperator.setOffline();
+
+      const result = await ChatService.requestTransfer(testSession.id, testOperator.id, {
+        toOperatorId: targetOperator.id
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Operator not available');
+    });
+
+    it('should reject a second transfer while one is pending', async () => {
+      await ChatService.requestTransfer(testSession.id, testOperator.id, { toOperatorId: targetOperator.id });
+
+      const result = await ChatService.requestTransfer(testSession.id, testOperator.id);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Transfer already pending');
+    });
+  });
+
+  describe('respondToTransfer', () => {
+    let targetOperator;
+
+    beforeEach(async () => {
+      targetOperator = await Operator.create({
+        name: 'Target Operator',
+        email: 'target@example.com',
+        status: 'online'
+      });
+
+      testSession = await ChatSession.create({
+        userId: testUserId,
+        operatorId: testOperator.id,
+        status: 'active'
+      });
+
+      await ChatService.requestTransfer(testSession.id, testOperator.id, {
+        toOperatorId: targetOperator.id,
+        note: 'VIP customer'
+      });
+    });
+
+    it('should move the session to the target operator when accepted', async () => {
+      const result = await ChatService.respondToTransfer(testSession.id, targetOperator.id, true);
+
+      expect(result.success).toBe(true);
+      expect(result.transfer.status).toBe('accepted');
+      expect(result.systemMessage.content).toContain('Target Operator');
+
+      await testSession.reload();
+      expect(testSession.operatorId).toBe(targetOperator.id);
+      expect(testSession.pendingTransfer).toBeNull();
+      expect(testSession.transferHistory).toHaveLength(1);
+      expect(testSession.transferHistory[0]).toMatchObject({
+        fromOperatorId: testOperator.id,
+        toOperatorId: targetOperator.id,
+        note: 'VIP customer',
+        status: 'accepted'
+      });
+    });
+
+    it('should keep the original operator when declined', async () => {
+      const result = await ChatService.respondToTransfer(testSession.id, targetOperator.id, false);
+
+      expect(result.success).toBe(true);
+      expect(result.transfer.status).toBe('declined');
+      expect(result.systemMessage).toBeNull();
+
+      await testSession.reload();
+      expect(testSession.operatorId).toBe(testOperator.id);
+      expect(testSession.pendingTransfer).toBeNull();
+      expect(testSession.transferHistory[0].status).toBe('declined');
+    });
+
+    it('should reject responses from other operators', async () => {
+      const result = await ChatService.respondToTransfer(testSession.id, testOperator.id, true);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('No pending transfer');
+    });
   });
 
   describe('markMessagesAsRead', () => {
@@ -466,6 +920,228 @@ describe('ChatService', () => {
       expect(result.success).toBe(false);
       expect(result.error).toBe('Session not found');
     });
+
+    it('should record who read the messages', async () => {
+      const operatorMessage = await ChatMessage.create({
+        sessionId: testSession.id,
+        senderId: testOperator.id,
+        senderType: 'operator',
+        content: 'Operator reply'
+      });
+
+      const result = await ChatService.markMessagesAsRead(testSession.id, { id: testOperator.id, type: 'operator' });
+
+      expect(result.success).toBe(true);
+      expect(result.updatedCount).toBe(2);
+      expect(result.receipts.every(receipt => receipt.recipientId === testOperator.id)).toBe(true);
+      expect(result.receipts.every(receipt => receipt.readAt && receipt.deliveredAt)).toBe(true);
+
+      // 客服自己发送的消息不会被标记
+      await operatorMessage.reload();
+      expect(operatorMessage.isRead).toBe(false);
+      expect(await MessageReceipt.count({ where: { messageId: operatorMessage.id } })).toBe(0);
+    });
+
+    it('should only mark the given messages and not record a receipt twice', async () => {
+      const [first] = await ChatMessage.findBySessionId(testSession.id);
+      const reader = { id: testOperator.id, type: 'operator' };
+
+      const result = await ChatService.markMessagesAsRead(testSession.id, reader, [first.id]);
+      const again = await ChatService.markMessagesAsRead(testSession.id, reader, [first.id]);
+
+      expect(result.receipts).toHaveLength(1);
+      expect(result.receipts[0].messageId).toBe(first.id);
+      expect(again.receipts).toHaveLength(0);
+      expect(await ChatService.getUnreadMessageCount(testSession.id)).toMatchObject({ unreadCount: 1 });
+    });
+  });
+
+  describe('markMessagesDelivered', () => {
+    let operatorMessage;
+
+    beforeEach(async () => {
+      testSession = await ChatSession.create({
+        userId: testUserId,
+        operatorId: testOperator.id,
+        status: 'active'
+      });
+
+      operatorMessage = await ChatMessage.create({
+        sessionId: testSession.id,
+        senderId: testOperator.id,
+        senderType: 'operator',
+        content: 'Hello from the operator'
+      });
+    });
+
+    it('should record delivery for the visitor without marking the message read', async () => {
+      const result = await ChatService.markMessagesDelivered(testSession.id, { id: testUserId, type: 'user' });
+
+      expect(result.success).toBe(true);
+      expect(result.receipts).toHaveLength(1);
+      expect(result.receipts[0]).toMatchObject({
+        messageId: operatorMessage.id,
+        recipientId: testUserId,
+        recipientType: 'user',
+        readAt: null
+      });
+
+      await operatorMessage.reload();
+      expect(operatorMessage.isRead).toBe(false);
+    });
+
+    it('should keep the original delivery time when the message is read later', async () => {
+      const recipient = { id: testUserId, type: 'user' };
+      const delivered = await ChatService.markMessagesDelivered(testSession.id, recipient);
+
+      const read = await ChatService.markMessagesAsRead(testSession.id, recipient);
+
+      expect(read.receipts).toHaveLength(1);
+      expect(read.receipts[0].deliveredAt).toEqual(delivered.receipts[0].deliveredAt);
+      expect(read.receipts[0].readAt).toBeTruthy();
+    });
+
+    it('should handle non-existent session', async () => {
+      const result = await ChatService.markMessagesDelivered('fake-session-id', { id: testUserId, type: 'user' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Session not found');
+    });
+  });
+
+  describe('editMessage and deleteMessage', () => {
+    let operatorMessage;
+    let operator;
+
+    beforeEach(async () => {
+      testSession = await ChatSession.create({
+        userId: testUserId,
+        operatorId: testOperator.id,
+        status: 'active'
+      });
+
+      operatorMessage = await ChatMessage.create({
+        sessionId: testSession.id,
+        senderId: testOperator.id,
+        senderType: 'operator',
+        content: 'Please visit http://wrong.example.com'
+      });
+      operator = { id: testOperator.id, type: 'operator' };
+    });
+
+    afterEach(() => {
+      ChatService.messageEditWindowMinutes = 15;
+    });
+
+    it('should edit a message and keep the original content as a revision', async () => {
+      const result = await ChatService.editMessage(testSession.id, operatorMessage.id, operator, 'Please visit https://right.example.com');
+
+      expect(result.success).toBe(true);
+      expect(result.changed).toBe(true);
+      expect(result.message.content).toBe('Please visit https://right.example.com');
+      expect(result.message.isEdited).toBe(true);
+      expect(result.message.editedAt).toBeInstanceOf(Date);
+
+      const revisions = await MessageRevision.findAll({ where: { messageId: operatorMessage.id } });
+      expect(revisions).toHaveLength(1);
+      expect(revisions[0]).toMatchObject({
+        action: 'edit',
+        previousContent: 'Please visit http://wrong.example.com',
+        editorId: testOperator.id,
+        editorType: 'operator'
+      });
+    });
+
+    it('should not record a revision when the content is unchanged', async () => {
+      const result = await ChatService.editMessage(testSession.id, operatorMessage.id, operator, ' Please visit http://wrong.example.com ');
+
+      expect(result.success).toBe(true);
+      expect(result.changed).toBe(false);
+      expect(await MessageRevision.count()).toBe(0);
+    });
+
+    it('should only allow the sender to change the message', async () => {
+      const result = await ChatService.editMessage(testSession.id, operatorMessage.id, { id: testUserId, type: 'user' }, 'Hacked');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Not message sender');
+    });
+
+    it('should reject changes after the edit window', async () => {
+      ChatService.messageEditWindowMinutes = 5;
+      await ChatMessage.update(
+        { createdAt: new Date(Date.now() - 10 * 60 * 1000) },
+        { where: { id: operatorMessage.id }, silent: true }
+      );
+
+      const result = await ChatService.deleteMessage(testSession.id, operatorMessage.id, operator);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Edit window expired');
+    });
+
+    it('should not limit changes when the edit window is 0', async () => {
+      ChatService.messageEditWindowMinutes = 0;
+      await ChatMessage.update(
+        { createdAt: new Date(Date.now() - 24 * 60 * 60 * 1000) },
+        { where: { id: operatorMessage.id }, silent: true }
+      );
+
+      const result = await ChatService.editMessage(testSession.id, operatorMessage.id, operator, 'Fixed');
+
+      expect(result.success).toBe(true);
+    });
+
+    it('should delete a message without losing its content', async () => {
+      const result = await ChatService.deleteMessage(testSession.id, operatorMessage.id, operator);
+
+      expect(result.success).toBe(true);
+      expect(result.message.isDeleted).toBe(true);
+      expect(result.message.content).not.toContain('wrong.example.com');
+
+      const revision = await MessageRevision.findOne({ where: { messageId: operatorMessage.id } });
+      expect(revision.action).toBe('delete');
+      expect(revision.previousContent).toBe('Please visit http://wrong.example.com');
+
+      const edited = await ChatService.editMessage(testSession.id, operatorMessage.id, operator, 'Again');
+      expect(edited.success).toBe(false);
+      expect(edited.error).toBe('Message deleted');
+    });
+
+    it('should return edited and deleted flags in the message history', async () => {
+      const userMessage = await ChatMessage.create({
+        sessionId: testSession.id,
+        senderId: testUserId,
+        senderType: 'user',
+        content: 'Thanks'
+      });
+      await ChatService.editMessage(testSession.id, operatorMessage.id, operator, 'Fixed link');
+      await ChatService.deleteMessage(testSession.id, userMessage.id, { id: testUserId, type: 'user' });
+
+      const result = await ChatService.getMessageHistory(testSession.id);
+      const [edited, deleted] = result.messages;
+
+      expect(edited).toMatchObject({ isEdited: true, isDeleted: false });
+      expect(deleted).toMatchObject({ isEdited: false, isDeleted: true });
+    });
+
+    it('should not change messages in closed sessions', async () => {
+      await testSession.close();
+
+      const result = await ChatService.editMessage(testSession.id, operatorMessage.id, operator, 'Too late');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Session closed');
+    });
+
+    it('should not change messages from another session', async () => {
+      const otherSession = await ChatSession.create({ userId: 'other-user', status: 'active' });
+
+      const result = await ChatService.deleteMessage(otherSession.id, operatorMessage.id, operator);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Message not found');
+    });
   });
 
   describe('getUnreadMessageCount', () => {
@@ -516,4 +1192,105 @@ describe('ChatService', () => {
       expect(result.error).toBe('Session not found');
     });
   });
+
+  describe('getAllHistorySessions', () => {
+    const createSessionWithMessage = async (userId, lastMessageAt) => {
+      const session = await ChatSession.create({ userId, status: 'active' });
+      await ChatService.sendMessage(session.id, userId, 'user', `Hello from ${userId}`);
+      await session.update({ lastMessageAt });
+      return session;
+    };
+
+    it('should keep the last message and message count on the session', async () => {
+      const session = await ChatSession.create({ userId: testUserId, status: 'active' });
+
+      await ChatService.sendMessage(session.id, testUserId, 'user', 'Hello');
+      const reply = await ChatService.sendMessage(session.id, testOperator.id, 'operator', 'Hi, how can I help?');
+      await ChatService.sendMessage(session.id, 'system', 'system', 'Operator joined', 'system');
+
+      await session.reload();
+      expect(session.messageCount).toBe(2);
+      expect(session.lastMessagePreview).toBe('Hi, how can I help?');
+      expect(session.lastMessageAt.getTime()).toBe(reply.message.createdAt.getTime());
+    });
+
+    it('should update the preview when the last message is edited', async () => {
+      const session = await ChatSession.create({ userId: testUserId, status: 'active' });
+      const sent = await ChatService.sendMessage(session.id, testUserId, 'user', 'Helo');
+
+      await ChatService.editMessage(session.id, sent.message.id, { id: testUserId, type: 'user' }, 'Hello');
+
+      await session.reload();
+      expect(session.lastMessagePreview).toBe('Hello');
+    });
+
+    it('should list sessions with messages by last message time', async () => {
+      const older = await createSessionWithMessage('user-old', new Date('2024-01-01T10:00:00Z'));
+      const newer = await createSessionWithMessage('user-new', new Date('2024-01-02T10:00:00Z'));
+      await ChatSession.create({ userId: 'user-empty', status: 'waiting' });
+
+      const result = await ChatService.getAllHistorySessions({ includeMessages: true });
+
+      expect(result.success).toBe(true);
+      expect(result.sessions.map(session => session.id)).toEqual([newer.id, older.id]);
+      expect(result.sessions[0].lastMessage).toBe('Hello from user-new');
+      expect(result.sessions[0].messageCount).toBe(1);
+      expect(result.sessions[0].messages).toHaveLength(1);
+      expect(result.pagination).toEqual(expect.objectContaining({ page: 1, total: 2, hasNext: false, nextCursor: null }));
+    });
+
+    it('should page through sessions with a cursor', async () => {
+      const sameTime = new Date('2024-01-01T10:00:00Z');
+      const first = await createSessionWithMessage('user-1', new Date('2024-01-03T10:00:00Z'));
+      const tied = [
+        await createSessionWithMessage('user-2', sameTime),
+        await createSessionWithMessage('user-3', sameTime)
+      ].sort((a, b) => (a.id < b.id ? 1 : -1));
+
+      const firstPage = await ChatService.getAllHistorySessions({ limit: 2 });
+      expect(firstPage.sessions.map(session => session.id)).toEqual([first.id, tied[0].id]);
+      expect(firstPage.pagination.nextCursor).toEqual(expect.any(String));
+
+      const secondPage = await ChatService.getAllHistorySessions({ limit: 2, cursor: firstPage.pagination.nextCursor });
+      expect(secondPage.success).toBe(true);
+      expect(secondPage.sessions.map(session => session.id)).toEqual([tied[1].id]);
+      expect(secondPage.pagination).toEqual({ limit: 2, hasNext: false, nextCursor: null });
+    });
+
+    it('should reject a malformed cursor', async () => {
+      const result = await ChatService.getAllHistorySessions({ cursor: 'not-a-cursor' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Invalid cursor');
+    });
+  });
+
+  describe('searchMessages', () => {
+    it('should split the query into unique terms without full-text operators', () => {
+      expect(ChatService.parseSearchTerms(' invoice +4471 "refund" invoice -(*) ')).toEqual(['invoice', '4471', 'refund']);
+    });
+
+    it('should reject queries without searchable words', async () => {
+      const result = await ChatService.searchMessages({ query: '+-*' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Invalid search query');
+    });
+
+    it('should highlight matched terms and escape the rest of the snippet', () => {
+      const snippet = ChatService.buildSearchSnippet('<b>Hi</b>, about Invoice 4471', ['invoice', '4471']);
+
+      expect(snippet).toBe('&lt;b&gt;Hi&lt;/b&gt;, about <mark>Invoice</mark> <mark>4471</mark>');
+    });
+
+    it('should cut long messages around the first match', () => {
+      const content = `${'a'.repeat(300)} invoice ${'b'.repeat(300)}`;
+      const snippet = ChatService.buildSearchSnippet(content, ['invoice']);
+
+      expect(snippet.startsWith('…')).toBe(true);
+      expect(snippet.endsWith('…')).toBe(true);
+      expect(snippet).toContain('<mark>invoice</mark>');
+      expect(snippet.replace(/…|<\/?mark>/g, '')).toHaveLength(160);
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,146 @@
+const ConnectionRegistry = require('../../services/ConnectionRegistry');
+
+// Mock Redis
+jest.mock('../../config/redis', () => ({
+  createRedisClient: jest.fn(() => ({
+    isReady: true,
+    connect: jest.fn().mockResolvedValue(true),
+    get: jest.fn().mockResolvedValue(null),
+    set: jest.fn().mockResolvedValue('OK'),
+    del: jest.fn().mockResolvedValue(1),
+    expire: jest.fn().mockResolvedValue(1),
+    sAdd: jest.fn().mockResolvedValue(1),
+    sRem: jest.fn().mockResolvedValue(1),
+    sMembers: jest.fn().mockResolvedValue([]),
+    quit: jest.fn().mockResolvedValue('OK')
+  }))
+}));
+
+describe('ConnectionRegistry', () => {
+  let redisClient;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redisClient = ConnectionRegistry.redisClient;
+  });
+
+  describe('set', () => {
+    it('should store the connection with a TTL', async () => {
+      await ConnectionRegistry.set('socket-1', { type: 'user', userId: 'user-1', sessionId: 'session-1' });
+
+      const [key, value, options] = redisClient.set.mock.calls[0];
+      expect(key).toBe('chat:connection:socket-1');
+      expect(JSON.parse(value)).toMatchObject({
+        type: 'user',
+        userId: 'user-1',
+        operatorId: null,
+        sessionId: 'session-1'
+      });
+      expect(options).toEqual({ EX: ConnectionRegistry.ttlSeconds });
+      expect(redisClient.sAdd).not.toHaveBeenCalled();
+    });
+
+    it('should index operator connections by operator', async () => {
+      await ConnectionRegistry.set('socket-2', { type: 'operator', operatorId: 'operator-1' });
+
+      expect(redisClient.sAdd).toHaveBeenCalledWith('chat:operator-sockets:operator-1', 'socket-2');
+      expect(redisClient.sAdd).toHaveBeenCalledWith('chat:connected-operators', 'operator-1');
+    });
+  });
+
+  describe('remove', () => {
+    it('should delete the connection and its operator index entry', async () => {
+      redisClient.get.mockResolvedValueOnce(JSON.stringify({ type: 'operator', operatorId: 'operator-1' }));
+
+      const connection = await ConnectionRegistry.remove('socket-2');
+
+      expect(connection.operatorId).toBe('operator-1');
+      expect(redisClient.del).toHaveBeenCalledWith('chat:connection:socket-2');
+      expect(redisClient.sRem).toHaveBeenCalledWith('chat:operator-sockets:operator-1', 'socket-2');
+    });
+  });
+
+  describe('refresh', () => {
+    it('should extend the TTL of every given connection', async () => {
+      await ConnectionRegistry.refresh(['socket-1', 'socket-2']);
+
+      expect(redisClient.expire).toHaveBeenCalledWith('chat:connection:socket-1', ConnectionRegistry.ttlSeconds);
+      expect(redisClient.expire).toHaveBeenCalledWith('chat:connection:socket-2', ConnectionRegistry.ttlSeconds);
+    });
+  });
+
+  describe('getConnectedOperatorIds', () => {
+    it('should drop operators whose connections have expired', async () => {
+      redisClient.sMembers.mockImplementation(async (key) => {
+        if (key === 'chat:connected-operators') return ['operator-1', 'operator-2'];
+        if (key === 'chat:operator-sockets:operator-1') return ['socket-live'];
+        return ['socket-expired'];
+      });
+      redisClient.get.mockImplementation(async (key) => {
+        return key === 'chat:connection:socket-live' ? JSON.stringify({ type: 'operator' }) : null;
+      });
+
+      const operatorIds = await ConnectionRegistry.getConnectedOperatorIds();
+
+      expect(operatorIds).toEqual(['operator-1']);
+      expect(redisClient.sRem).toHaveBeenCalledWith('chat:operator-sockets:operator-2', 'socket-expired');
+      expect(redisClient.sRem).toHaveBeenCalledWith('chat:connected-operators', 'operator-2');
+    });
+  });
+
+  describe('without Redis', () => {
+    beforeEach(() => {
+      ConnectionRegistry.redisClient = null;
+      ConnectionRegistry.localConnections.clear();
+    });
+
+    afterEach(() => {
+      ConnectionRegistry.redisClient = redisClient;
+    });
+
+    it('should keep connections in memory', async () => {
+      await ConnectionRegistry.set('socket-3', { type: 'operator', operatorId: 'operator-3', sessionId: 'session-3' });
+      await ConnectionRegistry.setOperatorSession('operator-3', null, { onlyFrom: 'session-3' });
+
+      expect((await ConnectionRegistry.get('socket-3')).sessionId).toBeNull();
+      expect(await ConnectionRegistry.getConnectedOperatorIds()).toEqual(['operator-3']);
+
+      await ConnectionRegistry.remove('socket-3');
+      expect(await ConnectionRegistry.getOperatorSocketIds('operator-3')).toEqual([]);
+    });
+  });
+
+  describe('while Redis is not ready', () => {
+    beforeEach(() => {
+      ConnectionRegistry.localConnections.clear();
+      redisClient.isReady = false;
+    });
+
+    afterEach(() => {
+      redisClient.isReady = true;
+      ConnectionRegistry.localConnections.clear();
+    });
+
+    it('should keep connections in memory without queueing Redis commands', async () => {
+      await ConnectionRegistry.set('socket-4', { type: 'user', userId: 'user-4', sessionId: 'session-4' });
+
+      expect((await ConnectionRegistry.get('socket-4')).sessionId).toBe('session-4');
+      expect(redisClient.set).not.toHaveBeenCalled();
+      expect(redisClient.get).not.toHaveBeenCalled();
+    });
+
+    it('should write in-memory connections back to Redis on refresh once ready', async () => {
+      await ConnectionRegistry.set('socket-5', { type: 'operator', operatorId: 'operator-5' });
+      redisClient.isReady = true;
+
+      expect((await ConnectionRegistry.get('socket-5')).operatorId).toBe('operator-5');
+
+      await ConnectionRegistry.refresh(['socket-5']);
+
+      expect(redisClient.set.mock.calls[0][0]).toBe('chat:connection:socket-5');
+      expect(redisClient.sAdd).toHaveBeenCalledWith('chat:operator-sockets:operator-5', 'socket-5');
+      expect(redisClient.expire).not.toHaveBeenCalled();
+      expect(ConnectionRegistry.localConnections.has('socket-5')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const DispatchService = require('../../services/DispatchService');
+const QueueService = require('../../services/QueueService');
+const { models } = require('../../models');
+const { Operator, ChatSession } = models;
+
+jest.mock('../../services/QueueService');
+
+// Mock Redis
+jest.mock('../../config/redis', () => ({
+  createRedisClient: jest.fn(() => ({
+    connect: jest.fn().mockResolvedValue(true),
+    get: jest.fn().mockResolvedValue(null),
+    setEx: jest.fn().mockResolvedValue('OK'),
+    sAdd: jest.fn().mockResolvedValue(1),
+    sRem: jest.fn().mockResolvedValue(1),
+    quit: jest.fn().mockResolvedValue('OK')
+  }))
+}));
+
+describe('DispatchService', () => {
+  let operator1;
+  let operator2;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    DispatchService.strategy = 'least_busy';
+    QueueService.remove.mockResolvedValue({ success: true, removed: true });
+
+    operator1 = await Operator.create({
+      name: 'Dispatch Operator 1',
+      email: 'dispatch1@test.com',
+      status: 'online',
+      maxConcurrentSessions: 2
+    });
+
+    operator2 = await Operator.create({
+      name: 'Dispatch Operator 2',
+      email: 'dispatch2@test.com',
+      status: 'online',
+      maxConcurrentSessions: 2
+    });
+  });
+
+  describe('dispatchSession', () => {
+    it('should assign a waiting session to the least busy operator', async () => {
+      await ChatSession.create({ userId: 'busy-user', operatorId: operator1.id, status: 'active' });
+      const session = await ChatSession.create({ userId: 'dispatch-user', status: 'waiting' });
+
+      const result = await DispatchService.dispatchSession(session.id);
+
+      expect(result.success).toBe(true);
+      expect(result.assigned).toBe(true);
+      expect(result.operator.id).toBe(operator2.id);
+      expect(result.session.status).toBe('active');
+      expect(QueueService.remove).toHaveBeenCalledWith(session.id, { pickedUp: true });
+
+      await session.reload();
+      expect(session.operatorId).toBe(operator2.id);
+    });
+
+    it('should skip operators at their concurrent session limit', async () => {
+      await Operator.update({ maxConcurrentSessions: 1 }, { where: {} });
+      await ChatSession.create({ userId: 'busy-user-1', operatorId: operator1.id, status: 'active' });
+      await ChatSession.create({ userId: 'busy-user-2', operatorId: operator2.id, status: 'active' });
+      const session = await ChatSession.create({ userId: 'dispatch-user', status: 'waiting' });
+
+      const result = await DispatchService.dispatchSession(session.id);
+
+      expect(result.success).toBe(true);
+      expect(result.assigned).toBe(false);
+      expect(result.error).toBe('No available operators');
+
+      await session.reload();
+      expect(session.operatorId).toBeNull();
+    });
+
+    it('should switch the operator to busy when the limit is reached', async () => {
+      await ChatSession.create({ userId: 'busy-user-1', operatorId: operator1.id, status: 'active' });
+      await ChatSession.create({ userId: 'busy-user-2', operatorId: operator2.id, status: 'active' });
+      const session = await ChatSession.create({ userId: 'dispatch-user', status: 'waiting' });
+
+      const result = await DispatchService.dispatchSession(session.id);
+
+      expect(result.assigned).toBe(true);
+      expect(result.statusChanged).toBe(true);
+      expect(result.operator.status).toBe('busy');
+      expect(result.operator.autoBusy).toBe(true);
+    });
+
+    it('should only assign to eligible operators', async () => {
+      const session = await ChatSession.create({ userId: 'dispatch-user', status: 'waiting' });
+
+      const result = await DispatchService.dispatchSession(session.id, {
+        eligibleOperatorIds: [operator1.id]
+      });
+
+      expect(result.assigned).toBe(true);
+      expect(result.operator.id).toBe(operator1.id);
+    });
+
+    it('should not dispatch sessions that already have an operator', async () => {
+      const session = await ChatSession.create({
+        userId: 'dispatch-user',
+        operatorId: operator1.id,
+        status: 'active'
+      });
+
+      const result = await DispatchService.dispatchSession(session.id);
+
+      expect(result.success).toBe(true);
+      expect(result.assigned).toBe(false);
+      expect(QueueService.remove).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('dispatchQueue', () => {
+    it('should dispatch queued sessions until capacity is used up', async () => {
+      await Operator.update({ maxConcurrentSessions: 1 }, { where: {} });
+      const sessions = await Promise.all(['queue-1', 'queue-2', 'queue-3'].map(userId =>
+        ChatSession.create({ userId, status: 'waiting' })
+      ));
+
+      QueueService.getQueue.mockResolvedValue({
+        success: true,
+        queue: sessions.map((session, index) => ({ sessionId: session.id, position: index + 1 })),
+        count: sessions.length
+      });
+
+      const result = await DispatchService.dispatchQueue();
+
+      expect(result.success).toBe(true);
+      expect(result.count).toBe(2);
+      expect(result.assignments.map(item => item.session.id)).toEqual([sessions[0].id, sessions[1].id]);
+      expect(result.assignments.map(item => item.operator.id).sort()).toEqual([operator1.id, operator2.id].sort());
+
+      await sessions[2].reload();
+      expect(sessions[2].operatorId).toBeNull();
+    });
+
+    it('should return queue errors', async () => {
+      QueueService.getQueue.mockResolvedValue({
+        success: false,
+        error: 'Redis error',
+        message: 'Failed to get queue'
+      });
+
+      const result = await DispatchService.dispatchQueue();
+
+      expect(result.success).toBe(false);
+      expect(result.message).toBe('Failed to get queue');
+    });
+  });
+});
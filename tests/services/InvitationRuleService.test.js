@@ -0,0 +1,65 @@
+const InvitationRuleService = require('../../services/InvitationRuleService');
+const { models } = require('../../models');
+const { InvitationRule } = models;
+
+describe('InvitationRuleService', () => {
+  afterEach(async () => {
+    await InvitationRule.destroy({ where: {} });
+  });
+
+  describe('createRule and updateRule', () => {
+    it('should create a rule and update only the given fields', async () => {
+      const created = await InvitationRuleService.createRule({
+        pagePattern: '/pricing',
+        minSecondsOnPage: 60,
+        message: 'Questions about our plans?',
+        id: 'ignored'
+      });
+
+      expect(created.success).toBe(true);
+      expect(created.rule.id).not.toBe('ignored');
+
+      const updated = await InvitationRuleService.updateRule(created.rule.id, { active: false });
+      expect(updated.success).toBe(true);
+      expect(updated.rule.active).toBe(false);
+      expect(updated.rule.minSecondsOnPage).toBe(60);
+    });
+
+    it('should report invalid and missing rules', async () => {
+      const invalid = await InvitationRuleService.createRule({ pagePattern: '/pricing', message: 'Hi', minSecondsOnPage: 5000 });
+      expect(invalid.success).toBe(false);
+      expect(invalid.error).toBe('Invalid invitation rule');
+
+      const missing = await InvitationRuleService.deleteRule('3f1c2a4e-8b7d-4c6e-9a5f-1d2e3c4b5a69');
+      expect(missing.success).toBe(false);
+      expect(missing.error).toBe('Invitation rule not found');
+    });
+  });
+
+  describe('listRules', () => {
+    it('should include rules for every group when filtering by group', async () => {
+      await InvitationRuleService.createRule({ pagePattern: '/pricing', message: 'All groups' });
+      await InvitationRuleService.createRule({ pagePattern: '/pricing', message: 'VIP only', groupName: 'vip' });
+      await InvitationRuleService.createRule({ pagePattern: '/pricing', message: 'Free only', groupName: 'free' });
+
+      const result = await InvitationRuleService.listRules({ groupName: 'vip' });
+
+      expect(result.success).toBe(true);
+      expect(result.rules.map(rule => rule.message).sort()).toEqual(['All groups', 'VIP only']);
+    });
+  });
+
+  describe('findMatchingRules', () => {
+    it('should return active rules for the page and group ordered by time on page', async () => {
+      await InvitationRuleService.createRule({ pagePattern: '/pricing', minSecondsOnPage: 60, message: 'Slow' });
+      await InvitationRuleService.createRule({ pagePattern: '/pricing*', minSecondsOnPage: 10, message: 'Fast' });
+      await InvitationRuleService.createRule({ pagePattern: '/pricing', message: 'Disabled', active: false });
+      await InvitationRuleService.createRule({ pagePattern: '/pricing', message: 'Other group', groupName: 'free' });
+      await InvitationRuleService.createRule({ pagePattern: '/docs/*', message: 'Other page' });
+
+      const rules = await InvitationRuleService.findMatchingRules('vip', 'https://example.com/pricing?plan=pro');
+
+      expect(rules.map(rule => rule.message)).toEqual(['Fast', 'Slow']);
+    });
+  });
+});
@@ -1,4 +1,6 @@
 const NotificationService = require('../../services/NotificationService');
+const { models } = require('../../models');
+const { NotificationOutbox } = models;
 const http = require('http');
 const https = require('https');
 
@@ -41,17 +43,33 @@ describe('NotificationService', () => {
   });
 
   afterEach(() => {
-    // Clean up
-    notificationService.clearQueue();
+    notificationService.stop();
   });
 
+  // 让 http.request 按顺序返回给定的状态码
+  const mockStatusCodes = (...statusCodes) => {
+    http.request.mockImplementation((options, callback) => {
+      const statusCode = statusCodes.length > 1 ? statusCodes.shift() : statusCodes[0];
+      setTimeout(() => {
+        callback({
+          statusCode,
+          on: (event, handler) => {
+            if (event === 'data') handler('{}');
+            else if (event === 'end') handler();
+          }
+        });
+      }, 0);
+      return mockRequest;
+    });
+  };
+
   describe('constructor', () => {
     it('should initialize with default values', () => {
       expect(notificationService.notificationUrl).toBe('http://localhost:3001/api/notifications');
-      expect(notificationService.retryAttempts).toBe(3);
+      expect(notificationService.maxAttempts).toBe(8);
       expect(notificationService.retryDelay).toBe(1000);
-      expect(notificationService.queue).toEqual([]);
       expect(notificationService.processing).toBe(false);
+      expect(notificationService.timer).toBeNull();
     });
 
     it('should warn when ADMIN_NOTIFICATION_URL is not configured', () => {
@@ -68,7 +86,7 @@ describe('NotificationService', () => {
   });
 
   describe('sendNewChatNotification', () => {
-    it('should add new chat notification to queue', async () => {
+    it('should store new chat notification in the outbox', async () => {
       const chatData = {
         sessionId: 'session-123',
         userId: 'user-456',
@@ -79,16 +97,29 @@ describe('NotificationService', () => {
       const result = await notificationService.sendNewChatNotification(chatData);
 
       expect(result).toBe(true);
-      expect(notificationService.queue).toHaveLength(1);
-      expect(notificationService.queue[0]).toMatchObject({
+      const items = await NotificationOutbox.findAll();
+      expect(items).toHaveLength(1);
+      expect(items[0]).toMatchObject({
         type: 'new_chat',
+        idempotencyKey: 'new_chat:session-123',
+        status: 'pending',
+        attempts: 0
+      });
+      expect(items[0].payload).toEqual({
         sessionId: 'session-123',
         userId: 'user-456',
         message: 'Hello, I need help',
-        timestamp: '2024-01-01T10:00:00.000Z',
-        attempts: 0
+        timestamp: '2024-01-01T10:00:00.000Z'
       });
-      expect(notificationService.queue[0].id).toBeDefined();
+    });
+
+    it('should store a notification only once per idempotency key', async () => {
+      const chatData = { sessionId: 'session-123', userId: 'user-456', message: 'Hello' };
+
+      expect(await notificationService.sendNewChatNotification(chatData)).toBe(true);
+      expect(await notificationService.sendNewChatNotification(chatData)).toBe(true);
+
+      expect(await NotificationOutbox.count()).toBe(1);
     });
 
     it('should use current timestamp if not provided', async () => {
@@ -100,8 +131,9 @@ describe('NotificationService', () => {
 
       await notificationService.sendNewChatNotification(chatData);
 
-      expect(notificationService.queue[0].timestamp).toBeDefined();
-      expect(new Date(notificationService.queue[0].timestamp)).toBeInstanceOf(Date);
+      const item = await NotificationOutbox.findOne();
+      expect(item.payload.timestamp).toBeDefined();
+      expect(new Date(item.payload.timestamp)).toBeInstanceOf(Date);
     });
 
     it('should return false when notification URL is not configured', async () => {
@@ -118,15 +150,17 @@ describe('NotificationService', () => {
 
       expect(result).toBe(false);
       expect(consoleSpy).toHaveBeenCalledWith('Notification URL not configured, skipping notification');
+      expect(await NotificationOutbox.count()).toBe(0);
       
       consoleSpy.mockRestore();
     });
   });
 
   describe('sendMessageNotification', () => {
-    it('should add message notification to queue', async () => {
+    it('should store message notification keyed by message ID', async () => {
       const messageData = {
         sessionId: 'session-123',
+        messageId: 'message-789',
         senderId: 'user-456',
         senderType: 'user',
         content: 'This is a test message',
@@ -136,15 +170,15 @@ describe('NotificationService', () => {
       const result = await notificationService.sendMessageNotification(messageData);
 
       expect(result).toBe(true);
-      expect(notificationService.queue).toHaveLength(1);
-      expect(notificationService.queue[0]).toMatchObject({
-        type: 'new_message',
+      const item = await NotificationOutbox.findOne();
+      expect(item.type).toBe('new_message');
+      expect(item.idempotencyKey).toBe('new_message:message-789');
+      expect(item.payload).toMatchObject({
         sessionId: 'session-123',
         senderId: 'user-456',
         senderType: 'user',
         content: 'This is a test message',
-        timestamp: '2024-01-01T10:00:00.000Z',
-        attempts: 0
+        timestamp: '2024-01-01T10:00:00.000Z'
       });
     });
   });
@@ -293,79 +327,142 @@ describe('NotificationService', () => {
     });
   });
 
-  describe('processQueue', () => {
-    it('should process queue items sequentially', async () => {
-      // Mock successful HTTP requests
-      http.request.mockImplementation((options, callback) => {
-        setTimeout(() => {
-          mockResponse.on.mockImplementation((event, callback) => {
-            if (event === 'data') callback('{}');
-            else if (event === 'end') callback();
-          });
-          callback(mockResponse);
-        }, 0);
-        return mockRequest;
-      });
-
-      // Add multiple notifications
-      await notificationService.sendNewChatNotification({
-        sessionId: 'session-1',
-        userId: 'user-1',
-        message: 'Message 1'
-      });
+  describe('processDue', () => {
+    it('should deliver due notifications with their idempotency key', async () => {
+      mockStatusCodes(200);
 
+      await notificationService.sendNewChatNotification({ sessionId: 'session-1', userId: 'user-1', message: 'Message 1' });
       await notificationService.sendMessageNotification({
         sessionId: 'session-2',
+        messageId: 'message-2',
         senderId: 'user-2',
         senderType: 'user',
         content: 'Message 2'
       });
 
-      // Manually trigger processing since autoProcess is disabled
-      await notificationService.processQueue();
+      const deliveredCount = await notificationService.processDue();
 
-      expect(notificationService.queue).toHaveLength(0);
+      expect(deliveredCount).toBe(2);
       expect(notificationService.processing).toBe(false);
+      expect(http.request.mock.calls.map(([options]) => options.headers['Idempotency-Key']).sort())
+        .toEqual(['new_chat:session-1', 'new_message:message-2']);
+      const sent = JSON.parse(mockRequest.write.mock.calls[0][0]);
+      expect(sent).toMatchObject({ type: 'new_chat', sessionId: 'session-1' });
+
+      const items = await NotificationOutbox.findAll();
+      expect(items.every(item => item.status === 'delivered' && item.deliveredAt && !item.lockedBy)).toBe(true);
     });
 
-    it('should retry failed notifications', async () => {
-      let callCount = 0;
-      
-      http.request.mockImplementation((options, callback) => {
-        callCount++;
-        setTimeout(() => {
-          if (callCount < 3) {
-            // Fail first 2 attempts
-            mockResponse.statusCode = 500;
-          } else {
-            // Succeed on 3rd attempt
-            mockResponse.statusCode = 200;
-          }
-          
-          mockResponse.on.mockImplementation((event, callback) => {
-            if (event === 'data') callback('{}');
-            else if (event === 'end') callback();
-          });
-          callback(mockResponse);
-        }, 10); // Small delay to allow for retry logic
-        return mockRequest;
+    it('should back off failed notifications without blocking the others', async () => {
+      mockStatusCodes(500, 200);
+      const now = new Date('2024-01-01T10:00:00Z');
+
+      await NotificationOutbox.bulkCreate([
+        { idempotencyKey: 'failing', type: 'new_chat', payload: {}, nextAttemptAt: new Date('2024-01-01T09:00:00Z') },
+        { idempotencyKey: 'healthy', type: 'new_chat', payload: {}, nextAttemptAt: new Date('2024-01-01T09:30:00Z') }
+      ]);
+
+      expect(await notificationService.processDue(now)).toBe(1);
+
+      const failing = await NotificationOutbox.findOne({ where: { idempotencyKey: 'failing' } });
+      const healthy = await NotificationOutbox.findOne({ where: { idempotencyKey: 'healthy' } });
+      expect(healthy.status).toBe('delivered');
+      expect(failing.status).toBe('pending');
+      expect(failing.attempts).toBe(1);
+      expect(failing.lastError).toBe('HTTP 500');
+      expect(failing.nextAttemptAt.getTime()).toBe(now.getTime() + 1000);
+
+      // 未到重试时间不会再次投递
+      expect(await notificationService.processDue(new Date(now.getTime() + 500))).toBe(0);
+      expect(http.request).toHaveBeenCalledTimes(2);
+    });
+
+    it('should move notifications to the dead state after the last attempt', async () => {
+      mockStatusCodes(503);
+      notificationService.maxAttempts = 3;
+      await NotificationOutbox.create({
+        idempotencyKey: 'dying',
+        type: 'new_chat',
+        payload: {},
+        attempts: 2,
+        nextAttemptAt: new Date(Date.now() - 1000)
       });
 
-      // Manually add to queue and process to have more control
-      await notificationService.addToQueue({
+      await notificationService.processDue();
+
+      const item = await NotificationOutbox.findOne({ where: { idempotencyKey: 'dying' } });
+      expect(item.status).toBe('dead');
+      expect(item.attempts).toBe(3);
+      expect(item.lastError).toBe('HTTP 503');
+    });
+
+    it('should reclaim notifications whose worker lease has expired', async () => {
+      mockStatusCodes(200);
+      const now = new Date();
+      await NotificationOutbox.bulkCreate([
+        { idempotencyKey: 'expired', type: 'new_chat', payload: {}, status: 'processing', lockedBy: 'crashed', lockedUntil: new Date(now.getTime() - 1000) },
+        { idempotencyKey: 'leased', type: 'new_chat', payload: {}, status: 'processing', lockedBy: 'other', lockedUntil: new Date(now.getTime() + 60000) }
+      ]);
+
+      expect(await notificationService.processDue(now)).toBe(1);
+
+      const leased = await NotificationOutbox.findOne({ where: { idempotencyKey: 'leased' } });
+      expect(leased.status).toBe('processing');
+      expect(leased.lockedBy).toBe('other');
+    });
+
+    it('should cap the exponential retry delay', () => {
+      notificationService.maxRetryDelay = 5000;
+
+      expect([1, 2, 3, 4].map(attempts => notificationService.getRetryDelay(attempts)))
+        .toEqual([1000, 2000, 4000, 5000]);
+    });
+  });
+
+  describe('failed notifications', () => {
+    let dead;
+
+    beforeEach(async () => {
+      dead = await NotificationOutbox.create({
+        idempotencyKey: 'dead-1',
         type: 'new_chat',
-        sessionId: 'session-1',
-        userId: 'user-1',
-        message: 'Message 1'
+        payload: {},
+        status: 'dead',
+        attempts: 8,
+        lastError: 'HTTP 500'
       });
+      await NotificationOutbox.create({ idempotencyKey: 'delivered-1', type: 'new_chat', payload: {}, status: 'delivered' });
+    });
 
-      // Manually trigger processing
-      await notificationService.processQueue();
+    it('should list failed notifications', async () => {
+      const result = await notificationService.listNotifications();
 
-      // Wait for retries to complete
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      expect(result.success).toBe(true);
+      expect(result.notifications.map(item => item.id)).toEqual([dead.id]);
+      expect(result.pagination).toEqual({ total: 1, limit: 20, offset: 0, hasMore: false });
+    });
+
+    it('should reschedule failed notifications for retry', async () => {
+      const result = await notificationService.retryFailed(dead.id);
+
+      expect(result).toMatchObject({ success: true, count: 1 });
+      await dead.reload();
+      expect(dead.status).toBe('pending');
+      expect(dead.attempts).toBe(0);
+    });
+
+    it('should only retry notifications in the dead state', async () => {
+      const delivered = await NotificationOutbox.findOne({ where: { idempotencyKey: 'delivered-1' } });
 
-      expect(callCount).toBeGreaterThan(1);
+      expect((await notificationService.retryFailed(delivered.id)).error).toBe('Notification not failed');
+      expect((await notificationService.retryFailed('00000000-0000-4000-8000-000000000000')).error).toBe('Notification not found');
+    });
+
+    it('should purge only failed notifications', async () => {
+      const result = await notificationService.purgeFailed();
+
+      expect(result.count).toBe(1);
+      expect(await NotificationOutbox.count()).toBe(1);
     });
   });
 
@@ -379,32 +476,23 @@ describe('NotificationService', () => {
       expect(id1).not.toBe(id2);
     });
 
-    it('should return correct queue status', () => {
-      const status = notificationService.getQueueStatus();
+    it('should report queue status from the outbox', async () => {
+      await NotificationOutbox.bulkCreate([
+        { idempotencyKey: 'a', type: 'new_chat', payload: {} },
+        { idempotencyKey: 'b', type: 'new_chat', payload: {}, status: 'processing' },
+        { idempotencyKey: 'c', type: 'new_chat', payload: {}, status: 'dead' }
+      ]);
+
+      const status = await notificationService.getQueueStatus();
 
       expect(status).toEqual({
-        queueLength: 0,
-        processing: false,
+        queueLength: 2,
+        pending: 1,
+        processing: 1,
+        delivered: 0,
+        dead: 1,
         configured: true
       });
     });
-
-    it('should clear queue', () => {
-      notificationService.queue = [{ id: 'test' }];
-      notificationService.processing = true;
-
-      notificationService.clearQueue();
-
-      expect(notificationService.queue).toEqual([]);
-      expect(notificationService.processing).toBe(false);
-    });
-
-    it('should delay execution', async () => {
-      const start = Date.now();
-      await notificationService.delay(100);
-      const end = Date.now();
-
-      expect(end - start).toBeGreaterThanOrEqual(90); // Allow some tolerance
-    });
   });
 });
\ No newline at end of file
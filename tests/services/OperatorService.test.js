@@ -1,6 +1,6 @@
 const OperatorService = require('../../services/OperatorService');
 const { models } = require('../../models');
-const { Operator, ChatSession } = models;
+const { Operator, ChatSession, SessionRating } = models;
 
 // Mock Redis
 jest.mock('../../config/redis', () => ({
@@ -151,6 +151,31 @@ describe('OperatorService', () => {
     });
   });
 
+  describe('updateOperatorStatus', () => {
+    it('should update the status of an existing operator', async () => {
+      const result = await OperatorService.updateOperatorStatus(testOperator1.id, 'busy');
+
+      expect(result.success).toBe(true);
+      expect(result.operator.status).toBe('busy');
+    });
+
+    it('should not create operators for unknown IDs outside the test environment', async () => {
+      const nodeEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+
+      try {
+        const countBefore = await Operator.count();
+        const result = await OperatorService.updateOperatorStatus('550e8400-e29b-41d4-a716-446655440000', 'online');
+
+        expect(result.success).toBe(false);
+        expect(result.error).toBe('Operator not found');
+        expect(await Operator.count()).toBe(countBefore);
+      } finally {
+        process.env.NODE_ENV = nodeEnv;
+      }
+    });
+  });
+
   describe('getOnlineOperators', () => {
     it('should return online operators successfully', async () => {
       const result = await OperatorService.getOnlineOperators();
@@ -324,6 +349,50 @@ describe('OperatorService', () => {
     });
   });
 
+  describe('syncOperatorCapacityStatus', () => {
+    it('should set operator busy when concurrent limit is reached', async () => {
+      await testOperator2.update({ maxConcurrentSessions: 1 });
+
+      const result = await OperatorService.syncOperatorCapacityStatus(testOperator2.id);
+
+      expect(result.success).toBe(true);
+      expect(result.changed).toBe(true);
+      expect(result.previousStatus).toBe('online');
+      expect(result.operator.status).toBe('busy');
+      expect(result.operator.autoBusy).toBe(true);
+      expect(result.activeSessions).toBe(1);
+      expect(result.freeSlots).toBe(0);
+    });
+
+    it('should set automatically busy operator back online when a chat ends', async () => {
+      await testOperator2.update({ maxConcurrentSessions: 1 });
+      await OperatorService.syncOperatorCapacityStatus(testOperator2.id);
+      await testSession1.update({ status: 'closed' });
+
+      const result = await OperatorService.syncOperatorCapacityStatus(testOperator2.id);
+
+      expect(result.success).toBe(true);
+      expect(result.changed).toBe(true);
+      expect(result.operator.status).toBe('online');
+      expect(result.operator.autoBusy).toBe(false);
+    });
+
+    it('should not change manually set busy status', async () => {
+      const result = await OperatorService.syncOperatorCapacityStatus(testOperator3.id);
+
+      expect(result.success).toBe(true);
+      expect(result.changed).toBe(false);
+      expect(result.operator.status).toBe('busy');
+    });
+
+    it('should return error for non-existent operator', async () => {
+      const result = await OperatorService.syncOperatorCapacityStatus('non-existent-id');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Operator not found');
+    });
+  });
+
   describe('getOperatorStats', () => {
     it('should return correct operator statistics', async () => {
       const result = await OperatorService.getOperatorStats();
@@ -335,10 +404,48 @@ describe('OperatorService', () => {
       expect(result.stats.offline).toBe(1);
       expect(result.stats.busy).toBe(1);
       expect(result.stats.available).toBe(1);
+      expect(result.stats.freeSlots).toBe(4);
+      expect(result.stats.activeSessions).toBe(2);
       expect(parseFloat(result.stats.utilization)).toBeCloseTo(66.67, 1);
       expect(result.message).toBe('Operator statistics retrieved successfully');
     });
 
+    it('should include satisfaction rating averages', async () => {
+      const completed = await ChatSession.create({
+        userId: 'user3',
+        operatorId: testOperator2.id,
+        groupName: 'vip',
+        status: 'completed'
+      });
+      await SessionRating.create({
+        sessionId: completed.id,
+        operatorId: testOperator2.id,
+        userId: 'user3',
+        groupName: 'vip',
+        rating: 4
+      });
+
+      const result = await OperatorService.getOperatorStats({ period: 'month' });
+
+      expect(result.stats.ratings.count).toBe(1);
+      expect(result.stats.ratings.average).toBe(4);
+      expect(result.stats.ratings.period).toBe('month');
+      expect(result.stats.ratings.byOperator).toEqual([
+        { operatorId: testOperator2.id, operatorName: 'Test Operator 2', count: 1, average: 4 }
+      ]);
+      await SessionRating.destroy({ where: {} });
+    });
+
+    it('should not count online operators without free capacity as available', async () => {
+      await testOperator2.update({ maxConcurrentSessions: 1 });
+
+      const result = await OperatorService.getOperatorStats();
+
+      expect(result.stats.online).toBe(1);
+      expect(result.stats.available).toBe(0);
+      expect(result.stats.freeSlots).toBe(0);
+    });
+
     it('should handle zero operators correctly', async () => {
       // 删除所有客服
       await Operator.destroy({ where: {} });
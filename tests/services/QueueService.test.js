@@ -0,0 +1,274 @@
+const QueueService = require('../../services/QueueService');
+const { models } = require('../../models');
+const { ChatSession, Operator } = models;
+
+// Mock Redis
+jest.mock('../../config/redis', () => ({
+  createRedisClient: jest.fn(() => ({
+    connect: jest.fn().mockResolvedValue(true),
+    quit: jest.fn().mockResolvedValue('OK')
+  }))
+}));
+
+// 简易的内存有序集合 / 哈希 / 列表实现
+const createFakeRedis = () => {
+  const zsets = new Map();
+  const hashes = new Map();
+  const lists = new Map();
+
+  return {
+    isReady: true,
+    zAdd: jest.fn(async (key, { score, value }, options = {}) => {
+      const zset = zsets.get(key) || new Map();
+      if (options.NX && zset.has(value)) {
+        return 0;
+      }
+      zset.set(value, score);
+      zsets.set(key, zset);
+      return 1;
+    }),
+    zRem: jest.fn(async (key, value) => {
+      const zset = zsets.get(key);
+      return zset && zset.delete(value) ? 1 : 0;
+    }),
+    zRange: jest.fn(async (key) => {
+      const zset = zsets.get(key) || new Map();
+      return Array.from(zset.entries()).sort((a, b) => a[1] - b[1]).map(([value]) => value);
+    }),
+    hSet: jest.fn(async (key, field, value) => {
+      const hash = hashes.get(key) || {};
+      hash[field] = value;
+      hashes.set(key, hash);
+      return 1;
+    }),
+    hGet: jest.fn(async (key, field) => {
+      const hash = hashes.get(key) || {};
+      return field in hash ? hash[field] : null;
+    }),
+    hmGet: jest.fn(async (key, fields) => {
+      const hash = hashes.get(key) || {};
+      return fields.map(field => (field in hash ? hash[field] : null));
+    }),
+    hDel: jest.fn(async (key, field) => {
+      const hash = hashes.get(key) || {};
+      delete hash[field];
+      return 1;
+    }),
+    lPush: jest.fn(async (key, value) => {
+      const list = lists.get(key) || [];
+      list.unshift(value);
+      lists.set(key, list);
+      return list.length;
+    }),
+    lTrim: jest.fn(async (key, start, stop) => {
+      lists.set(key, (lists.get(key) || []).slice(start, stop + 1));
+      return 'OK';
+    }),
+    lRange: jest.fn(async (key) => lists.get(key) || [])
+  };
+};
+
+describe('QueueService', () => {
+  let originalClient;
+  let originalPriorities;
+
+  beforeEach(() => {
+    originalClient = QueueService.redisClient;
+    originalPriorities = QueueService.groupPriorities;
+  });
+
+  afterEach(() => {
+    QueueService.redisClient = originalClient;
+    QueueService.groupPriorities = originalPriorities;
+  });
+
+  describe('estimateWaitSeconds', () => {
+    it('should return null without pickup history', () => {
+      expect(QueueService.estimateWaitSeconds(1, [])).toBeNull();
+    });
+
+    it('should use the wait time of a single pickup', () => {
+      const samples = [{ pickedUpAt: new Date().toISOString(), waitMs: 45000 }];
+      expect(QueueService.estimateWaitSeconds(3, samples)).toBe(45);
+    });
+
+    it('should scale the average pickup interval by position', () => {
+      const samples = [
+        { pickedUpAt: '2024-01-01T10:02:00.000Z', waitMs: 10000 },
+        { pickedUpAt: '2024-01-01T10:01:00.000Z', waitMs: 10000 },
+        { pickedUpAt: '2024-01-01T10:00:00.000Z', waitMs: 10000 }
+      ];
+      expect(QueueService.estimateWaitSeconds(2, samples)).toBe(120);
+    });
+  });
+
+  describe('getQueue without Redis', () => {
+    beforeEach(() => {
+      QueueService.redisClient = null;
+    });
+
+    it('should derive the queue from unassigned sessions', async () => {
+      const first = await ChatSession.create({ userId: 'queue-user-1', status: 'waiting' });
+      const second = await ChatSession.create({ userId: 'queue-user-2', status: 'active' });
+      const operator = await Operator.create({ name: 'Queue Operator', email: 'queue@test.com' });
+      await ChatSession.create({ userId: 'queue-user-3', status: 'active', operatorId: operator.id });
+      await ChatSession.create({ userId: 'queue-user-4', status: 'closed' });
+
+      const result = await QueueService.getQueue();
+
+      expect(result.success).toBe(true);
+      expect(result.count).toBe(2);
+      expect(result.queue.map(entry => entry.sessionId)).toEqual([first.id, second.id]);
+      expect(result.queue[1].position).toBe(2);
+    });
+
+    it('should put higher priority groups first', async () => {
+      QueueService.groupPriorities = { VIP: 10 };
+      const regular = await ChatSession.create({ userId: 'queue-user-1', status: 'waiting' });
+      const vip = await ChatSession.create({ userId: 'queue-user-2', status: 'waiting', groupName: 'VIP' });
+
+      const result = await QueueService.getQueue();
+
+      expect(result.queue.map(entry => entry.sessionId)).toEqual([vip.id, regular.id]);
+      expect(result.queue[0].priority).toBe(10);
+    });
+
+    it('should ignore the self-chosen group of anonymous visitors', async () => {
+      QueueService.groupPriorities = { VIP: 10 };
+      const regular = await ChatSession.create({ userId: 'queue-user-1', status: 'waiting' });
+      const anonymous = await ChatSession.create({
+        userId: 'queue-user-2',
+        status: 'waiting',
+        groupName: 'VIP',
+        isAnonymous: true
+      });
+
+      const result = await QueueService.getQueue();
+
+      expect(result.queue.map(entry => entry.sessionId)).toEqual([regular.id, anonymous.id]);
+      expect(result.queue[1].priority).toBe(0);
+    });
+  });
+
+  describe('with Redis', () => {
+    let redis;
+
+    beforeEach(() => {
+      redis = createFakeRedis();
+      QueueService.redisClient = redis;
+    });
+
+    it('should enqueue a session and report its position', async () => {
+      const session = await ChatSession.create({ userId: 'queue-user-1', status: 'waiting' });
+
+      const result = await QueueService.enqueue(session);
+
+      expect(result.success).toBe(true);
+      expect(result.position).toBe(1);
+      expect(result.queueLength).toBe(1);
+      expect(redis.zAdd).toHaveBeenCalledWith('chat:queue', expect.any(Object), { NX: true });
+    });
+
+    it('should keep the original position when enqueued twice', async () => {
+      const first = await ChatSession.create({ userId: 'queue-user-1', status: 'waiting' });
+      const second = await ChatSession.create({ userId: 'queue-user-2', status: 'waiting' });
+
+      await QueueService.enqueue(first);
+      await QueueService.enqueue(second);
+      const result = await QueueService.enqueue(first);
+
+      expect(result.position).toBe(1);
+      expect(result.queueLength).toBe(2);
+    });
+
+    it('should record pickup wait time when removed by an operator', async () => {
+      const session = await ChatSession.create({ userId: 'queue-user-1', status: 'waiting' });
+      await QueueService.enqueue(session);
+
+      const result = await QueueService.remove(session.id, { pickedUp: true });
+
+      expect(result.success).toBe(true);
+      expect(result.removed).toBe(true);
+      expect(result.waitMs).toEqual(expect.any(Number));
+      expect(redis.lPush).toHaveBeenCalledWith('chat:queue:pickups', expect.any(String));
+    });
+
+    it('should prune assigned and ended sessions', async () => {
+      const waiting = await ChatSession.create({ userId: 'queue-user-1', status: 'waiting' });
+      const assigned = await ChatSession.create({ userId: 'queue-user-2', status: 'waiting' });
+      await QueueService.enqueue(waiting);
+      await QueueService.enqueue(assigned);
+      const operator = await Operator.create({ name: 'Queue Operator', email: 'queue@test.com' });
+      await assigned.update({ operatorId: operator.id });
+
+      const result = await QueueService.getQueue();
+
+      expect(result.queue.map(entry => entry.sessionId)).toEqual([waiting.id]);
+      expect(redis.zRem).toHaveBeenCalledWith('chat:queue', assigned.id);
+    });
+
+    it('should enqueue anonymous visitors with the default priority', async () => {
+      QueueService.groupPriorities = { VIP: 10 };
+      const session = await ChatSession.create({
+        userId: 'queue-user-1',
+        status: 'waiting',
+        groupName: 'VIP',
+        isAnonymous: true
+      });
+
+      await QueueService.enqueue(session);
+
+      expect(redis.zAdd).toHaveBeenCalledWith('chat:queue', {
+        score: new Date(session.createdAt).getTime(),
+        value: session.id
+      }, { NX: true });
+    });
+
+    it('should read queue entries with a single hash lookup', async () => {
+      const first = await ChatSession.create({ userId: 'queue-user-1', status: 'waiting' });
+      const second = await ChatSession.create({ userId: 'queue-user-2', status: 'waiting' });
+      await QueueService.enqueue(first);
+      await QueueService.enqueue(second);
+      redis.hmGet.mockClear();
+      redis.hGet.mockClear();
+
+      const result = await QueueService.getQueue();
+
+      expect(result.count).toBe(2);
+      expect(redis.hmGet).toHaveBeenCalledTimes(1);
+      expect(redis.hmGet).toHaveBeenCalledWith('chat:queue:entries', [first.id, second.id]);
+      expect(redis.hGet).not.toHaveBeenCalled();
+    });
+
+    it('should derive the queue from the database while Redis is not ready', async () => {
+      redis.isReady = false;
+      const session = await ChatSession.create({ userId: 'queue-user-1', status: 'waiting' });
+
+      const result = await QueueService.enqueue(session);
+
+      expect(result.success).toBe(true);
+      expect(result.position).toBe(1);
+      expect(redis.zAdd).not.toHaveBeenCalled();
+      expect(redis.zRange).not.toHaveBeenCalled();
+    });
+
+    it('should broadcast positions to every queued session', async () => {
+      const emit = jest.fn();
+      const io = { to: jest.fn(() => ({ emit })) };
+      const first = await ChatSession.create({ userId: 'queue-user-1', status: 'waiting' });
+      const second = await ChatSession.create({ userId: 'queue-user-2', status: 'waiting' });
+      await QueueService.enqueue(first);
+      await QueueService.enqueue(second);
+
+      const result = await QueueService.broadcastPositions(io);
+
+      expect(result.success).toBe(true);
+      expect(io.to).toHaveBeenCalledWith(`chat-session-${second.id}`);
+      expect(emit).toHaveBeenCalledWith('queue-position', expect.objectContaining({
+        sessionId: second.id,
+        position: 2,
+        queueLength: 2
+      }));
+    });
+  });
+});
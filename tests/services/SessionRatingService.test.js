@@ -0,0 +1,134 @@
+const SessionRatingService = require('../../services/SessionRatingService');
+const { models } = require('../../models');
+const { ChatSession, Operator, SessionRating } = models;
+
+describe('SessionRatingService', () => {
+  let alice;
+  let bob;
+
+  beforeEach(async () => {
+    alice = await Operator.create({ name: 'Alice', email: `alice-${Date.now()}@example.com`, status: 'online' });
+    bob = await Operator.create({ name: 'Bob', email: `bob-${Date.now()}@example.com`, status: 'online' });
+  });
+
+  const createRatedSession = async (operator, groupName, rating, createdAt) => {
+    const session = await ChatSession.create({
+      userId: `visitor-${Math.random()}`,
+      operatorId: operator.id,
+      groupName,
+      status: 'completed'
+    });
+    await SessionRating.bulkCreate([{
+      sessionId: session.id,
+      operatorId: operator.id,
+      userId: session.userId,
+      groupName,
+      rating,
+      createdAt: new Date(createdAt)
+    }]);
+    return session;
+  };
+
+  describe('submitRating', () => {
+    let session;
+
+    beforeEach(async () => {
+      session = await ChatSession.create({
+        userId: 'visitor-1',
+        operatorId: alice.id,
+        groupName: 'vip',
+        status: 'completed'
+      });
+    });
+
+    it('should store the rating with the operator and group of the session', async () => {
+      const result = await SessionRatingService.submitRating(session.id, 'visitor-1', { rating: 4, comment: ' Quick answer ' });
+
+      expect(result.success).toBe(true);
+      expect(result.rating.operatorId).toBe(alice.id);
+      expect(result.rating.groupName).toBe('vip');
+      expect(result.rating.comment).toBe('Quick answer');
+    });
+
+    it('should only accept one rating per session', async () => {
+      await SessionRatingService.submitRating(session.id, 'visitor-1', { rating: 5 });
+
+      const result = await SessionRatingService.submitRating(session.id, 'visitor-1', { rating: 1 });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Already rated');
+    });
+
+    it('should reject ratings from other visitors, for unfinished sessions and out of range', async () => {
+      const active = await ChatSession.create({ userId: 'visitor-1', status: 'active' });
+
+      const otherVisitor = await SessionRatingService.submitRating(session.id, 'visitor-2', { rating: 5 });
+      const unfinished = await SessionRatingService.submitRating(active.id, 'visitor-1', { rating: 5 });
+      const outOfRange = await SessionRatingService.submitRating(session.id, 'visitor-1', { rating: 6 });
+
+      expect(otherVisitor.error).toBe('Not session visitor');
+      expect(unfinished.error).toBe('Session not completed');
+      expect(outOfRange.error).toBe('Invalid rating');
+      expect(outOfRange.message).toBe('Rating must be an integer between 1 and 5');
+    });
+  });
+
+  describe('getRatingStats', () => {
+    beforeEach(async () => {
+      await createRatedSession(alice, 'vip', 5, '2024-03-01T10:00:00Z');
+      await createRatedSession(alice, null, 4, '2024-03-02T10:00:00Z');
+      await createRatedSession(bob, 'vip', 2, '2024-04-01T10:00:00Z');
+    });
+
+    it('should average ratings per operator, group and period', async () => {
+      const stats = await SessionRatingService.getRatingStats({ period: 'month' });
+
+      expect(stats.count).toBe(3);
+      expect(stats.average).toBe(3.67);
+      expect(stats.byOperator).toEqual([
+        { operatorId: alice.id, operatorName: 'Alice', count: 2, average: 4.5 },
+        { operatorId: bob.id, operatorName: 'Bob', count: 1, average: 2 }
+      ]);
+      expect(stats.byGroup).toEqual(expect.arrayContaining([
+        { groupName: 'vip', count: 2, average: 3.5 },
+        { groupName: null, count: 1, average: 4 }
+      ]));
+      expect(stats.byPeriod).toEqual([
+        { period: '2024-03', count: 2, average: 4.5 },
+        { period: '2024-04', count: 1, average: 2 }
+      ]);
+    });
+
+    it('should limit the statistics to the date range', async () => {
+      const stats = await SessionRatingService.getRatingStats({
+        startDate: '2024-03-02T00:00:00Z',
+        endDate: '2024-03-31T23:59:59Z'
+      });
+
+      expect(stats.period).toBe('day');
+      expect(stats.count).toBe(1);
+      expect(stats.byPeriod).toEqual([{ period: '2024-03-02', count: 1, average: 4 }]);
+    });
+  });
+
+  describe('getOperatorRatings', () => {
+    it('should page the ratings of an operator with a summary', async () => {
+      await createRatedSession(alice, 'vip', 5, '2024-03-01T10:00:00Z');
+      await createRatedSession(alice, 'vip', 3, '2024-03-02T10:00:00Z');
+      await createRatedSession(bob, 'vip', 1, '2024-03-03T10:00:00Z');
+
+      const result = await SessionRatingService.getOperatorRatings(alice.id, { limit: 1, offset: 0 });
+
+      expect(result.success).toBe(true);
+      expect(result.ratings.map(rating => rating.rating)).toEqual([3]);
+      expect(result.summary).toEqual({ count: 2, average: 4 });
+      expect(result.pagination).toEqual({ total: 2, limit: 1, offset: 0, hasMore: true });
+    });
+
+    it('should fail for a missing operator', async () => {
+      const result = await SessionRatingService.getOperatorRatings('00000000-0000-4000-8000-000000000000');
+
+      expect(result.error).toBe('Operator not found');
+    });
+  });
+});
@@ -0,0 +1,260 @@
+const SessionTimeoutService = require('../../services/SessionTimeoutService');
+const { models, sequelize } = require('../../models');
+const QueueService = require('../../services/QueueService');
+const { ChatSession, ChatMessage, Operator } = models;
+
+jest.mock('../../services/QueueService');
+
+// Mock Redis
+jest.mock('../../config/redis', () => ({
+  createRedisClient: jest.fn(() => ({
+    connect: jest.fn().mockResolvedValue(true),
+    quit: jest.fn().mockResolvedValue('OK')
+  }))
+}));
+
+const minutesAgo = (now, minutes) => new Date(now.getTime() - minutes * 60 * 1000);
+
+describe('SessionTimeoutService', () => {
+  let service;
+  let emit;
+  let io;
+  let now;
+
+  beforeEach(() => {
+    QueueService.remove.mockResolvedValue({ success: true, removed: false });
+    QueueService.broadcastPositions.mockResolvedValue({ success: true, count: 0 });
+    emit = jest.fn();
+    io = { to: jest.fn(() => ({ emit })) };
+    now = new Date();
+    service = new SessionTimeoutService({
+      io,
+      useRedis: false,
+      waitingTimeoutMinutes: 10,
+      activeTimeoutMinutes: 30,
+      warningMinutes: 2
+    });
+  });
+
+  afterEach(async () => {
+    service.stop();
+    await ChatMessage.destroy({ where: {} });
+    await ChatSession.destroy({ where: {} });
+  });
+
+  const createSession = async (status, idleMinutes) => {
+    const session = await ChatSession.create({ userId: `user-${Math.random()}`, status });
+    // Sequelize always overwrites updatedAt, so backdate it with a raw query
+    await sequelize.query('UPDATE chat_sessions SET updatedAt = :updatedAt WHERE id = :id', {
+      replacements: { updatedAt: minutesAgo(now, idleMinutes), id: session.id }
+    });
+    return session;
+  };
+
+  describe('sweep', () => {
+    it('should time out waiting sessions past the waiting idle limit', async () => {
+      const session = await createSession('waiting', 11);
+
+      const result = await service.sweep(now);
+
+      expect(result.success).toBe(true);
+      expect(result.closedCount).toBe(1);
+
+      await session.reload();
+      expect(session.status).toBe('timeout');
+      expect(session.endReason).toBe('timeout');
+      expect(session.endedBy).toBe('system');
+
+      expect(io.to).toHaveBeenCalledWith(`chat-session-${session.id}`);
+      expect(emit).toHaveBeenCalledWith('session-ended', expect.objectContaining({
+        sessionId: session.id,
+        reason: 'timeout',
+        status: 'timeout'
+      }));
+    });
+
+    it('should write a system message when closing a session', async () => {
+      const session = await createSession('waiting', 11);
+
+      await service.sweep(now);
+
+      const messages = await ChatMessage.findBySessionId(session.id);
+      expect(messages.some(m => m.messageType === 'system')).toBe(true);
+    });
+
+    it('should complete active sessions that had a conversation', async () => {
+      const session = await createSession('active', 31);
+      await ChatMessage.bulkCreate([
+        { sessionId: session.id, senderId: 'user', senderType: 'user', content: 'Hi', createdAt: minutesAgo(now, 40) },
+        { sessionId: session.id, senderId: 'op', senderType: 'operator', content: 'Hello', createdAt: minutesAgo(now, 35) }
+      ]);
+
+      await service.sweep(now);
+
+      await session.reload();
+      expect(session.status).toBe('completed');
+      expect(session.endReason).toBe('timeout');
+    });
+
+    it('should pass ended sessions to the onSessionEnded callback', async () => {
+      const onSessionEnded = jest.fn();
+      service.onSessionEnded = onSessionEnded;
+      const session = await createSession('active', 31);
+      await ChatMessage.bulkCreate([
+        { sessionId: session.id, senderId: 'user', senderType: 'user', content: 'Hi', createdAt: minutesAgo(now, 40) },
+        { sessionId: session.id, senderId: 'op', senderType: 'operator', content: 'Hello', createdAt: minutesAgo(now, 35) }
+      ]);
+
+      await service.sweep(now);
+
+      expect(onSessionEnded).toHaveBeenCalledTimes(1);
+      expect(onSessionEnded.mock.calls[0][0]).toMatchObject({ id: session.id, status: 'completed' });
+    });
+
+    it('should release the operator and dispatch waiting sessions after closing', async () => {
+      const onOperatorReleased = jest.fn().mockResolvedValue({ success: true, changed: false });
+      const onSessionsClosed = jest.fn().mockResolvedValue();
+      service.onOperatorReleased = onOperatorReleased;
+      service.onSessionsClosed = onSessionsClosed;
+      const operator = await Operator.create({ name: 'Timeout Operator', email: `timeout-${Date.now()}@example.com` });
+      const session = await createSession('active', 31);
+      await sequelize.query('UPDATE chat_sessions SET operatorId = :operatorId WHERE id = :id', {
+        replacements: { operatorId: operator.id, id: session.id }
+      });
+
+      const result = await service.sweep(now);
+
+      expect(result.closedCount).toBe(1);
+      expect(onOperatorReleased).toHaveBeenCalledWith(operator.id);
+      expect(onSessionsClosed).toHaveBeenCalledTimes(1);
+      await operator.destroy();
+    });
+
+    it('should not dispatch when no session was closed', async () => {
+      const onSessionsClosed = jest.fn();
+      service.onSessionsClosed = onSessionsClosed;
+      await createSession('waiting', 9);
+
+      await service.sweep(now);
+
+      expect(onSessionsClosed).not.toHaveBeenCalled();
+    });
+
+    it('should use the latest message as last activity', async () => {
+      const session = await createSession('active', 60);
+      await ChatMessage.create({
+        sessionId: session.id,
+        senderId: 'user',
+        senderType: 'user',
+        content: 'Still here',
+        createdAt: minutesAgo(now, 5)
+      });
+
+      const result = await service.sweep(now);
+
+      expect(result.closedCount).toBe(0);
+      expect(result.warnedCount).toBe(0);
+      await session.reload();
+      expect(session.status).toBe('active');
+    });
+
+    it('should warn sessions that are about to time out only once', async () => {
+      const session = await createSession('waiting', 9);
+
+      const first = await service.sweep(now);
+      const second = await service.sweep(now);
+
+      expect(first.warnedCount).toBe(1);
+      expect(second.warnedCount).toBe(0);
+      expect(emit).toHaveBeenCalledTimes(1);
+      expect(emit).toHaveBeenCalledWith('session-timeout-warning', expect.objectContaining({
+        sessionId: session.id
+      }));
+
+      await session.reload();
+      expect(session.status).toBe('waiting');
+    });
+
+    it('should compute the warning from the sweep time', async () => {
+      now = new Date('2024-01-01T12:00:00.000Z');
+      await createSession('waiting', 9);
+
+      await service.sweep(now);
+
+      expect(emit).toHaveBeenCalledWith('session-timeout-warning', expect.objectContaining({
+        closesAt: '2024-01-01T12:01:00.000Z',
+        remainingMinutes: 1,
+        timestamp: now.toISOString()
+      }));
+    });
+
+    it('should apply separate limits for waiting and active sessions', async () => {
+      const waitingSession = await createSession('waiting', 20);
+      const activeSession = await createSession('active', 20);
+
+      const result = await service.sweep(now);
+
+      expect(result.closedCount).toBe(1);
+      await waitingSession.reload();
+      await activeSession.reload();
+      expect(waitingSession.status).toBe('timeout');
+      expect(activeSession.status).toBe('active');
+    });
+
+    it('should skip the sweep when another instance holds the lock', async () => {
+      const lockedService = new SessionTimeoutService({
+        io,
+        redisClient: { isReady: true, set: jest.fn().mockResolvedValue(null) }
+      });
+      await createSession('waiting', 60);
+
+      const result = await lockedService.sweep(now);
+
+      expect(result.success).toBe(true);
+      expect(result.skipped).toBe(true);
+      expect(emit).not.toHaveBeenCalled();
+    });
+
+    it('should sweep as a single instance while Redis is not ready', async () => {
+      const redisClient = { isReady: false, set: jest.fn(() => new Promise(() => {})) };
+      const offlineService = new SessionTimeoutService({ io, redisClient, waitingTimeoutMinutes: 10 });
+      const session = await createSession('waiting', 60);
+
+      const result = await offlineService.sweep(now);
+
+      expect(result.closedCount).toBe(1);
+      expect(redisClient.set).not.toHaveBeenCalled();
+      await session.reload();
+      expect(session.status).toBe('timeout');
+    });
+
+    it('should give up on a lock request that does not return and sweep again later', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const redisClient = { isReady: true, set: jest.fn(() => new Promise(() => {})) };
+      const stalledService = new SessionTimeoutService({ io, redisClient, lockTimeoutMs: 10 });
+
+      try {
+        const result = await stalledService.sweep(now);
+
+        expect(result.success).toBe(false);
+        expect(stalledService.running).toBe(false);
+        redisClient.set.mockResolvedValueOnce(null);
+        expect((await stalledService.sweep(now)).message).toBe('Sweep is running on another instance');
+      } finally {
+        console.error.mockRestore();
+      }
+    });
+  });
+
+  describe('getIdleLimitMs', () => {
+    it('should return the limit for each status', () => {
+      expect(service.getIdleLimitMs('waiting')).toBe(10 * 60 * 1000);
+      expect(service.getIdleLimitMs('active')).toBe(30 * 60 * 1000);
+    });
+
+    it('should treat zero as no limit', () => {
+      service.activeTimeoutMinutes = 0;
+      expect(service.getIdleLimitMs('active')).toBe(0);
+    });
+  });
+});
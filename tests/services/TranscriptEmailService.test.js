@@ -0,0 +1,151 @@
+const { SMTPServer } = require('smtp-server');
+const TranscriptEmailService = require('../../services/TranscriptEmailService');
+const { SmtpMailer } = require('../../services/mailer');
+const { models } = require('../../models');
+const { ChatSession, ChatMessage, TranscriptEmail } = models;
+
+describe('TranscriptEmailService', () => {
+  let smtpServer;
+  let smtpPort;
+  let received;
+  let rejectMail;
+  let session;
+
+  // 本地 SMTP 服务代替真实邮件服务器，记录收到的邮件
+  beforeAll(async () => {
+    smtpServer = new SMTPServer({
+      authOptional: true,
+      disabledCommands: ['STARTTLS'],
+      logger: false,
+      onData(stream, smtpSession, callback) {
+        let raw = '';
+        stream.on('data', chunk => {
+          raw += chunk;
+        });
+        stream.on('end', () => {
+          if (rejectMail) {
+            const error = new Error('Mailbox unavailable');
+            error.responseCode = 450;
+            return callback(error);
+          }
+          received.push({ to: smtpSession.envelope.rcptTo.map(rcpt => rcpt.address), raw });
+          callback();
+        });
+      }
+    });
+    await new Promise(resolve => smtpServer.listen(0, '127.0.0.1', resolve));
+    smtpPort = smtpServer.server.address().port;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => smtpServer.close(resolve));
+  });
+
+  beforeEach(async () => {
+    received = [];
+    rejectMail = false;
+    TranscriptEmailService.clearQueue();
+    TranscriptEmailService.autoProcess = false;
+    TranscriptEmailService.retryDelay = 0;
+    TranscriptEmailService.mailer = new SmtpMailer({
+      host: '127.0.0.1',
+      port: smtpPort,
+      from: 'support@example.com'
+    });
+
+    session = await ChatSession.create({ userId: 'email-user', userName: 'Bob', status: 'active' });
+    await ChatMessage.create({
+      sessionId: session.id,
+      senderId: 'email-user',
+      senderType: 'user',
+      content: 'Where is my <order>?'
+    });
+  });
+
+  afterAll(() => {
+    TranscriptEmailService.mailer = null;
+    TranscriptEmailService.autoProcess = true;
+    TranscriptEmailService.retryDelay = 1000;
+  });
+
+  describe('requestTranscript', () => {
+    it('should keep a single pending request with the latest email until the session ends', async () => {
+      await TranscriptEmailService.requestTranscript(session.id, 'old@example.com');
+      const result = await TranscriptEmailService.requestTranscript(session.id, 'bob@example.com');
+
+      expect(result.success).toBe(true);
+      expect(result.transcriptEmail.status).toBe('pending');
+      const requests = await TranscriptEmail.findAll({ where: { sessionId: session.id } });
+      expect(requests.map(request => request.email)).toEqual(['bob@example.com']);
+      expect(TranscriptEmailService.queue).toHaveLength(0);
+    });
+
+    it('should queue the email right away for an ended session', async () => {
+      await session.update({ status: 'completed' });
+
+      const result = await TranscriptEmailService.requestTranscript(session.id, 'bob@example.com');
+
+      expect(result.transcriptEmail.status).toBe('queued');
+      expect(TranscriptEmailService.queue).toHaveLength(1);
+    });
+
+    it('should reject invalid email addresses and missing sessions', async () => {
+      const invalid = await TranscriptEmailService.requestTranscript(session.id, 'not-an-email');
+      const missing = await TranscriptEmailService.requestTranscript('00000000-0000-4000-8000-000000000000', 'bob@example.com');
+
+      expect(invalid.error).toBe('Invalid email');
+      expect(missing.error).toBe('Session not found');
+    });
+  });
+
+  describe('sendPendingForSession', () => {
+    it('should mail the rendered transcript over SMTP and record the send', async () => {
+      await TranscriptEmailService.requestTranscript(session.id, 'bob@example.com');
+      await session.update({ status: 'completed' });
+
+      const result = await TranscriptEmailService.sendPendingForSession(session.id);
+      await TranscriptEmailService.processQueue();
+
+      expect(result.count).toBe(1);
+      expect(received).toHaveLength(1);
+      expect(received[0].to).toEqual(['bob@example.com']);
+      expect(received[0].raw).toContain('Subject: Your chat transcript');
+      expect(received[0].raw).toContain(`transcript-${session.id}.html`);
+
+      const transcriptEmail = await TranscriptEmail.findOne({ where: { sessionId: session.id } });
+      expect(transcriptEmail.status).toBe('sent');
+      expect(transcriptEmail.attempts).toBe(1);
+      expect(transcriptEmail.sentAt).toBeInstanceOf(Date);
+    });
+
+    it('should retry failed sends and mark the email as failed when retries run out', async () => {
+      rejectMail = true;
+      TranscriptEmailService.retryAttempts = 1;
+      await TranscriptEmailService.requestTranscript(session.id, 'bob@example.com');
+
+      await TranscriptEmailService.sendPendingForSession(session.id);
+      await TranscriptEmailService.processQueue()
+        .finally(() => {
+          TranscriptEmailService.retryAttempts = 3;
+        });
+
+      const transcriptEmail = await TranscriptEmail.findOne({ where: { sessionId: session.id } });
+      expect(transcriptEmail.status).toBe('failed');
+      expect(transcriptEmail.attempts).toBe(2);
+      expect(transcriptEmail.lastError).toContain('Mailbox unavailable');
+      expect(received).toHaveLength(0);
+    });
+
+    it('should mark emails as failed when no mailer is configured', async () => {
+      TranscriptEmailService.mailer = new SmtpMailer({});
+      await TranscriptEmailService.requestTranscript(session.id, 'bob@example.com');
+
+      await TranscriptEmailService.sendPendingForSession(session.id);
+
+      const transcriptEmail = await TranscriptEmail.findOne({ where: { sessionId: session.id } });
+      expect(transcriptEmail.status).toBe('failed');
+      expect(transcriptEmail.lastError).toBe('Mailer is not configured');
+      expect(TranscriptEmailService.queue).toHaveLength(0);
+    });
+  });
+});
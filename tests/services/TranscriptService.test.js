@@ -0,0 +1,163 @@
+const { PassThrough } = require('stream');
+const TranscriptService = require('../../services/TranscriptService');
+const ChatService = require('../../services/ChatService');
+const { models } = require('../../models');
+const { ChatSession, ChatMessage, Operator, Attachment } = models;
+
+const collect = (stream) => new Promise((resolve, reject) => {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+  stream.on('error', reject);
+});
+
+describe('TranscriptService', () => {
+  let operator;
+  let session;
+
+  beforeEach(async () => {
+    operator = await Operator.create({
+      name: 'Alice Operator',
+      email: `transcript-${Date.now()}@example.com`,
+      status: 'online'
+    });
+
+    session = await ChatSession.create({
+      userId: 'transcript-user',
+      userName: 'Bob',
+      groupName: 'vip',
+      operatorId: operator.id,
+      status: 'active'
+    });
+
+    await ChatMessage.bulkCreate([
+      { sessionId: session.id, senderId: 'transcript-user', senderType: 'user', content: '=SUM(A1) <b>help</b>', createdAt: new Date('2024-03-01T01:00:00Z') },
+      { sessionId: session.id, senderId: operator.id, senderType: 'operator', content: 'Hello, "Bob"', createdAt: new Date('2024-03-01T01:01:00Z') },
+      { sessionId: session.id, senderId: 'system', senderType: 'system', messageType: 'system', content: 'Chat session has been closed', createdAt: new Date('2024-03-01T01:02:00Z') }
+    ]);
+
+    const fileMessage = await ChatMessage.create({
+      sessionId: session.id,
+      senderId: 'transcript-user',
+      senderType: 'user',
+      messageType: 'file',
+      content: 'invoice.pdf',
+      createdAt: new Date('2024-03-01T01:03:00Z')
+    });
+    await Attachment.create({
+      messageId: fileMessage.id,
+      sessionId: session.id,
+      uploaderId: 'transcript-user',
+      uploaderType: 'user',
+      fileName: 'invoice.pdf',
+      mimeType: 'application/pdf',
+      size: 1024,
+      storageKey: `${session.id}/invoice.pdf`
+    });
+  });
+
+  describe('buildTranscript', () => {
+    it('should include sender names, system messages and attachment links', async () => {
+      const transcript = await TranscriptService.buildTranscript(session.id, { baseUrl: 'https://chat.example.com' });
+
+      expect(transcript.session.operatorName).toBe('Alice Operator');
+      expect(transcript.messages.map(message => message.senderName))
+        .toEqual(['Bob', 'Alice Operator', 'System', 'Bob']);
+      expect(transcript.messages[3].attachment.url)
+        .toMatch(/^https:\/\/chat\.example\.com\/api\/chat\/attachments\/[0-9a-f-]+$/);
+    });
+
+    it('should format timestamps in the requested time zone', async () => {
+      const utc = await TranscriptService.buildTranscript(session.id);
+      const shanghai = await TranscriptService.buildTranscript(session.id, { timeZone: 'Asia/Shanghai' });
+
+      expect(utc.messages[0].time).toBe('2024-03-01 01:00:00');
+      expect(shanghai.timeZone).toBe('Asia/Shanghai');
+      expect(shanghai.messages[0].time).toBe('2024-03-01 09:00:00');
+      expect(shanghai.messages[0].timestamp).toBe('2024-03-01T01:00:00.000Z');
+    });
+
+    it('should return null for a missing session', async () => {
+      expect(await TranscriptService.buildTranscript('00000000-0000-4000-8000-000000000000')).toBeNull();
+    });
+  });
+
+  describe('exportSession', () => {
+    it('should escape content in HTML transcripts', async () => {
+      const result = await TranscriptService.exportSession(session.id, 'html');
+
+      expect(result.success).toBe(true);
+      expect(result.contentType).toBe('text/html; charset=utf-8');
+      expect(result.fileName).toBe(`transcript-${session.id}.html`);
+      expect(result.body).toContain('&lt;b&gt;help&lt;/b&gt;');
+      expect(result.body).toContain('href="/api/chat/attachments/');
+    });
+
+    it('should show the visitor context in the transcript header', async () => {
+      await session.update({
+        visitorContext: {
+          url: 'https://shop.example.com/pricing',
+          title: 'Pricing',
+          referrer: 'https://www.google.com/',
+          userAgent: 'Mozilla/5.0 <script>',
+          locale: 'de-DE',
+          timeOnPage: 75
+        }
+      });
+
+      const html = await TranscriptService.exportSession(session.id, 'html');
+      const json = await TranscriptService.exportSession(session.id, 'json');
+
+      expect(html.body).toContain('<dt>Page</dt><dd>Pricing (https://shop.example.com/pricing)</dd>');
+      expect(html.body).toContain('<dt>User agent</dt><dd>Mozilla/5.0 &lt;script&gt;</dd>');
+      expect(html.body).toContain('<dt>Time on page</dt><dd>75s</dd>');
+      expect(JSON.parse(json.body).session.visitorContext.locale).toBe('de-DE');
+    });
+
+    it('should quote CSV fields and neutralise formulas', async () => {
+      const result = await TranscriptService.exportSession(session.id, 'csv');
+      const lines = result.body.replace(/^\ufeff/, '').split('\r\n');
+
+      expect(lines[0]).toBe('time,senderType,senderName,messageType,content,attachmentName,attachmentUrl,edited,deleted');
+      expect(lines[1]).toContain(",'=SUM(A1) <b>help</b>,");
+      expect(lines[2]).toContain('"Hello, ""Bob"""');
+    });
+
+    it('should render PDF transcripts', async () => {
+      const result = await TranscriptService.exportSession(session.id, 'pdf');
+
+      expect(result.contentType).toBe('application/pdf');
+      expect(result.body.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+
+    it('should fail for a missing session', async () => {
+      const result = await TranscriptService.exportSession('00000000-0000-4000-8000-000000000000', 'json');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Session not found');
+    });
+  });
+
+  describe('writeArchive', () => {
+    it('should zip the transcripts of the filtered history sessions', async () => {
+      await ChatService.sendMessage(session.id, 'transcript-user', 'user', 'One more question');
+      const other = await ChatSession.create({ userId: 'transcript-other', status: 'active' });
+      await ChatService.sendMessage(other.id, 'transcript-other', 'user', 'Hi');
+
+      // 每批一个会话，确认按游标读取了所有批次
+      TranscriptService.exportBatchSize = 1;
+      const output = new PassThrough();
+      const zipped = collect(output);
+      const count = await TranscriptService.writeArchive({ keyword: 'transcript-' }, 'json', {}, output)
+        .finally(() => {
+          TranscriptService.exportBatchSize = 100;
+        });
+      const zip = await zipped;
+
+      expect(count).toBe(2);
+      expect(zip.subarray(0, 2).toString()).toBe('PK');
+      expect(zip.includes(`transcript-${session.id}.json`)).toBe(true);
+      expect(zip.includes(`transcript-${other.id}.json`)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,226 @@
+const VisitorPresenceService = require('../../services/VisitorPresenceService');
+const { models } = require('../../models');
+const { ChatSession } = models;
+
+// Redis 不可用，访客记录保存在进程内存中
+jest.mock('../../config/redis', () => ({
+  createRedisClient: jest.fn(() => ({
+    connect: jest.fn().mockRejectedValue(new Error('Redis unavailable'))
+  }))
+}));
+
+describe('VisitorPresenceService', () => {
+  const identity = { userId: 'visitor-1', userName: 'Visitor', groupName: 'vip' };
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await VisitorPresenceService.initRedis();
+  });
+
+  afterAll(() => {
+    console.error.mockRestore();
+  });
+
+  beforeEach(() => {
+    VisitorPresenceService.localVisitors.clear();
+  });
+
+  afterEach(async () => {
+    await ChatSession.destroy({ where: {} });
+  });
+
+  describe('register and recordPageView', () => {
+    it('should track the current page and keep the visit start across pages', async () => {
+      const registered = await VisitorPresenceService.register('socket-1', identity, { url: '/home', title: 'Home' });
+      const viewed = await VisitorPresenceService.recordPageView('visitor-1', { url: '/pricing' });
+
+      expect(viewed.url).toBe('/pricing');
+      expect(viewed.title).toBeNull();
+      expect(viewed.connectedAt).toBe(registered.connectedAt);
+      expect(await VisitorPresenceService.recordPageView('visitor-2', { url: '/pricing' })).toBeNull();
+    });
+
+    it('should list visitors by group without connection details', async () => {
+      await VisitorPresenceService.register('socket-1', identity, { url: '/pricing' });
+      await VisitorPresenceService.register('socket-2', { userId: 'visitor-2', groupName: 'free' }, { url: '/docs' });
+
+      const visitors = await VisitorPresenceService.list({ groupName: 'vip' });
+
+      expect(visitors).toHaveLength(1);
+      expect(visitors[0]).toMatchObject({ userId: 'visitor-1', url: '/pricing', invitation: null });
+      expect(visitors[0].secondsOnPage).toBeGreaterThanOrEqual(0);
+      expect(visitors[0].socketId).toBeUndefined();
+    });
+
+    it('should only remove the visitor for the socket that registered it', async () => {
+      await VisitorPresenceService.register('socket-1', identity, { url: '/pricing' });
+      await VisitorPresenceService.register('socket-2', identity, { url: '/pricing' });
+
+      expect(await VisitorPresenceService.remove('visitor-1', 'socket-1')).toBeNull();
+      expect((await VisitorPresenceService.remove('visitor-1', 'socket-2')).socketId).toBe('socket-2');
+      expect(await VisitorPresenceService.get('visitor-1')).toBeNull();
+    });
+  });
+
+  describe('page context', () => {
+    it('should truncate reported fields and date the page view back by the time on page', async () => {
+      const before = Date.now();
+      const visitor = await VisitorPresenceService.register('socket-1', identity, {
+        url: ` /pricing?ref=${'x'.repeat(3000)} `,
+        referrer: 'https://www.google.com/',
+        userAgent: 'Mozilla/5.0',
+        locale: 'de-DE',
+        timeOnPage: '30'
+      });
+
+      expect(visitor.url).toHaveLength(2048);
+      expect(visitor.url.startsWith('/pricing')).toBe(true);
+      expect(visitor.referrer).toBe('https://www.google.com/');
+      expect(new Date(visitor.pageViewedAt).getTime()).toBeLessThanOrEqual(before - 29000);
+
+      const context = VisitorPresenceService.toContext(visitor);
+      expect(context).toMatchObject({ referrer: 'https://www.google.com/', userAgent: 'Mozilla/5.0', locale: 'de-DE' });
+      expect(context.timeOnPage).toBeGreaterThanOrEqual(30);
+    });
+
+    it('should keep the browser and locale when a page view does not report them', async () => {
+      await VisitorPresenceService.register('socket-1', identity, { url: '/home', userAgent: 'Mozilla/5.0', locale: 'de-DE' });
+
+      const viewed = await VisitorPresenceService.recordPageView('visitor-1', { url: '/pricing', referrer: '/home', timeOnPage: -5 });
+
+      expect(viewed).toMatchObject({ url: '/pricing', referrer: '/home', userAgent: 'Mozilla/5.0', locale: 'de-DE' });
+      expect(VisitorPresenceService.getSecondsOnPage(viewed)).toBe(0);
+    });
+  });
+
+  describe('createInvitation', () => {
+    beforeEach(async () => {
+      await VisitorPresenceService.register('socket-1', identity, { url: '/pricing' });
+    });
+
+    it('should allow one pending invitation at a time', async () => {
+      const first = await VisitorPresenceService.createInvitation('visitor-1', {
+        message: 'Can I help?',
+        operatorId: 'operator-1',
+        operatorName: 'Alice'
+      });
+      const second = await VisitorPresenceService.createInvitation('visitor-1', { message: 'Hello?' });
+
+      expect(first.success).toBe(true);
+      expect(first.invitation).toMatchObject({ userId: 'visitor-1', operatorId: 'operator-1', message: 'Can I help?' });
+      expect(second.success).toBe(false);
+      expect(second.error).toBe('Invitation pending');
+    });
+
+    it('should not invite visitors who are offline or already chatting', async () => {
+      const offline = await VisitorPresenceService.createInvitation('visitor-2', { message: 'Hi' });
+      expect(offline.error).toBe('Visitor not found');
+
+      await ChatSession.create({ userId: 'visitor-1', status: 'waiting' });
+      const chatting = await VisitorPresenceService.createInvitation('visitor-1', { message: 'Hi' });
+      expect(chatting.error).toBe('Visitor already chatting');
+    });
+
+    it('should ignore expired invitations', async () => {
+      const { invitation } = await VisitorPresenceService.createInvitation('visitor-1', { message: 'Hi' });
+      const visitor = await VisitorPresenceService.get('visitor-1');
+      await VisitorPresenceService.save({
+        ...visitor,
+        invitation: { ...invitation, expiresAt: new Date(Date.now() - 1000).toISOString() }
+      });
+
+      const answer = await VisitorPresenceService.respondToInvitation('visitor-1', invitation.id);
+      const next = await VisitorPresenceService.createInvitation('visitor-1', { message: 'Hi again' });
+
+      expect(answer.error).toBe('Invitation not found');
+      expect(next.success).toBe(true);
+    });
+  });
+
+  describe('inviteByRule', () => {
+    const rule = { id: 'rule-1', message: 'Questions about pricing?' };
+
+    it('should invite once per rule while the visitor stays on the page', async () => {
+      const { pageViewedAt } = await VisitorPresenceService.register('socket-1', identity, { url: '/pricing' });
+
+      const invited = await VisitorPresenceService.inviteByRule('visitor-1', rule, pageViewedAt);
+      expect(invited.success).toBe(true);
+      expect(invited.invitation.ruleId).toBe('rule-1');
+
+      await VisitorPresenceService.respondToInvitation('visitor-1', invited.invitation.id);
+      const repeated = await VisitorPresenceService.inviteByRule('visitor-1', rule, pageViewedAt);
+      expect(repeated.skipped).toBe(true);
+    });
+
+    it('should skip the rule after the visitor moved to another page', async () => {
+      const { pageViewedAt } = await VisitorPresenceService.register('socket-1', identity, { url: '/pricing' });
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await VisitorPresenceService.recordPageView('visitor-1', { url: '/docs' });
+
+      const result = await VisitorPresenceService.inviteByRule('visitor-1', rule, pageViewedAt);
+
+      expect(result.skipped).toBe(true);
+    });
+  });
+
+  describe('respondToInvitation', () => {
+    it('should clear the invitation once answered', async () => {
+      await VisitorPresenceService.register('socket-1', identity, { url: '/pricing' });
+      const { invitation } = await VisitorPresenceService.createInvitation('visitor-1', { message: 'Hi' });
+
+      const answer = await VisitorPresenceService.respondToInvitation('visitor-1', invitation.id);
+      const again = await VisitorPresenceService.respondToInvitation('visitor-1', invitation.id);
+
+      expect(answer.success).toBe(true);
+      expect(answer.invitation.id).toBe(invitation.id);
+      expect((await VisitorPresenceService.get('visitor-1')).invitation).toBeNull();
+      expect(again.error).toBe('Invitation not found');
+    });
+  });
+
+  describe('while Redis is not ready', () => {
+    let redisClient;
+
+    beforeEach(() => {
+      // 未就绪的客户端上的命令不会返回
+      const pending = () => new Promise(() => {});
+      redisClient = {
+        isReady: false,
+        get: jest.fn(pending),
+        set: jest.fn(pending),
+        sAdd: jest.fn(pending),
+        expire: jest.fn(pending)
+      };
+      VisitorPresenceService.redisClient = redisClient;
+    });
+
+    afterEach(() => {
+      VisitorPresenceService.redisClient = null;
+    });
+
+    it('should keep visitors in memory without queueing Redis commands', async () => {
+      await VisitorPresenceService.register('socket-1', identity, { url: '/pricing' });
+
+      expect((await VisitorPresenceService.get('visitor-1')).url).toBe('/pricing');
+      expect(redisClient.get).not.toHaveBeenCalled();
+      expect(redisClient.set).not.toHaveBeenCalled();
+    });
+
+    it('should write in-memory visitors back to Redis on refresh once ready', async () => {
+      await VisitorPresenceService.register('socket-1', identity, { url: '/pricing' });
+      Object.assign(redisClient, {
+        isReady: true,
+        set: jest.fn().mockResolvedValue('OK'),
+        sAdd: jest.fn().mockResolvedValue(1),
+        expire: jest.fn().mockResolvedValue(1)
+      });
+
+      await VisitorPresenceService.refresh(['visitor-1']);
+
+      expect(redisClient.set.mock.calls[0][0]).toBe('chat:visitor:visitor-1');
+      expect(redisClient.sAdd).toHaveBeenCalledWith('chat:visitors', 'visitor-1');
+      expect(redisClient.expire).not.toHaveBeenCalled();
+      expect(VisitorPresenceService.localVisitors.has('visitor-1')).toBe(false);
+    });
+  });
+});
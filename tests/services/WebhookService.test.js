@@ -0,0 +1,152 @@
+const http = require('http');
+const crypto = require('crypto');
+const WebhookService = require('../../services/WebhookService');
+const NotificationService = require('../../services/NotificationService');
+const ChatService = require('../../services/ChatService');
+const { models } = require('../../models');
+const { Webhook, NotificationOutbox } = models;
+
+describe('WebhookService', () => {
+  let server;
+  let hookUrl;
+  let received;
+  let responseStatus;
+
+  // 本地 HTTP 服务代替订阅方，记录收到的请求
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = responseStatus;
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    hookUrl = `http://127.0.0.1:${server.address().port}/hooks`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    received = [];
+    responseStatus = 200;
+  });
+
+  const createWebhook = (data = {}) => Webhook.create({
+    url: hookUrl,
+    secret: 'test-secret-1234567890',
+    events: ['session.created', 'message.created'],
+    ...data
+  });
+
+  describe('dispatch', () => {
+    it('should queue one delivery per active subscriber of the event', async () => {
+      const subscriber = await createWebhook();
+      await createWebhook({ events: ['session.ended'] });
+      await createWebhook({ active: false });
+
+      const result = await WebhookService.dispatch('session.created', { sessionId: 'session-1' }, 'session-1');
+      await WebhookService.dispatch('session.created', { sessionId: 'session-1' }, 'session-1');
+
+      expect(result).toEqual({ success: true, count: 1 });
+      const deliveries = await NotificationOutbox.findAll();
+      expect(deliveries).toHaveLength(1);
+      expect(deliveries[0].webhookId).toBe(subscriber.id);
+      expect(deliveries[0].type).toBe('session.created');
+    });
+
+    it('should dispatch message.created for chat messages but not system messages', async () => {
+      await createWebhook();
+      const session = await models.ChatSession.create({ userId: 'webhook-user', status: 'active' });
+
+      const sent = await ChatService.sendMessage(session.id, 'webhook-user', 'user', 'Hello');
+      await ChatService.sendMessage(session.id, 'system', 'system', 'Operator joined', 'system');
+
+      const deliveries = await NotificationOutbox.findAll({ where: { type: 'message.created' } });
+      expect(deliveries).toHaveLength(1);
+      expect(deliveries[0].payload).toMatchObject({
+        messageId: sent.message.id,
+        sessionId: session.id,
+        senderType: 'user',
+        content: 'Hello'
+      });
+    });
+  });
+
+  describe('delivery', () => {
+    it('should sign deliveries with the subscription secret and a timestamp', async () => {
+      const webhook = await createWebhook();
+      await WebhookService.dispatch('session.created', { sessionId: 'session-1' }, 'session-1');
+
+      const worker = new NotificationService({ autoProcess: false });
+      expect(await worker.processDue()).toBe(1);
+
+      expect(received).toHaveLength(1);
+      const { headers, body } = received[0];
+      const expected = crypto.createHmac('sha256', 'test-secret-1234567890')
+        .update(`${headers['x-webhook-timestamp']}.${body}`)
+        .digest('hex');
+      expect(headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+      expect(headers['x-webhook-event']).toBe('session.created');
+      expect(Math.abs(Number(headers['x-webhook-timestamp']) - Date.now() / 1000)).toBeLessThan(60);
+      expect(JSON.parse(body)).toMatchObject({ event: 'session.created', data: { sessionId: 'session-1' } });
+
+      const result = await WebhookService.getDeliveries(webhook.id);
+      expect(result.deliveries[0]).toMatchObject({ status: 'delivered', responseStatus: 200, attempts: 1 });
+    });
+
+    it('should record failed responses and stop delivering to disabled webhooks', async () => {
+      responseStatus = 500;
+      const webhook = await createWebhook();
+      await WebhookService.dispatch('session.created', { sessionId: 'session-1' }, 'session-1');
+
+      const worker = new NotificationService({ autoProcess: false, retryDelay: 0 });
+      await worker.processDue();
+
+      const delivery = await NotificationOutbox.findOne({ where: { webhookId: webhook.id } });
+      expect(delivery).toMatchObject({ status: 'pending', responseStatus: 500, lastError: 'HTTP 500' });
+
+      await WebhookService.updateWebhook(webhook.id, { active: false });
+      await worker.processDue();
+
+      await delivery.reload();
+      expect(delivery.status).toBe('dead');
+      expect(delivery.lastError).toBe('Webhook is inactive');
+      expect(received).toHaveLength(1);
+    });
+  });
+
+  describe('management', () => {
+    it('should generate a secret when none is given', async () => {
+      const result = await WebhookService.createWebhook({ url: hookUrl, events: ['rating.submitted'] });
+
+      expect(result.success).toBe(true);
+      expect(result.secret).toMatch(/^whsec_[0-9a-f]{48}$/);
+      expect(result.webhook.toJSON().secret).toBeUndefined();
+    });
+
+    it('should reject unknown events', async () => {
+      const result = await WebhookService.createWebhook({ url: hookUrl, events: ['session.deleted'] });
+
+      expect(result.error).toBe('Invalid webhook');
+      expect(result.message).toBe('Unknown events: session.deleted');
+    });
+
+    it('should delete the delivery log with the webhook', async () => {
+      const webhook = await createWebhook();
+      await WebhookService.dispatch('session.created', { sessionId: 'session-1' }, 'session-1');
+
+      const result = await WebhookService.deleteWebhook(webhook.id);
+
+      expect(result.success).toBe(true);
+      expect(await NotificationOutbox.count()).toBe(0);
+      expect((await WebhookService.getDeliveries(webhook.id)).error).toBe('Webhook not found');
+    });
+  });
+});